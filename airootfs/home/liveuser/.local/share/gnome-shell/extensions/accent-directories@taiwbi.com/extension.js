@@ -15,49 +15,57 @@
  *
  * SPDX-License-Identifier: GPL-2.0-or-later
  */
-import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
+import { Extension, gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import { ACCENT_COLORS, findThemeDir, generateTheme, getGeneratedThemeName, getLocalIconsDir, isGeneratedTheme, isPartialTheme, isThemeUpToDate, parseAccentColor, removeDirectory, } from './themeGenerator.js';
+// Prebuilt themes installed by earlier versions
+const LEGACY_THEMES = ["Adwaita-Blue-Default", "Adwaita-Teal", "Adwaita-Green", "Adwaita-Yellow",
+    "Adwaita-Orange", "Adwaita-Red", "Adwaita-Pink", "Adwaita-Purple", "Adwaita-Slate"];
+// Generations quicker than this, in milliseconds, don't get a progress notification
+const PROGRESS_DELAY = 1000;
 export default class AccentColorIconThemeExtension extends Extension {
     _settings;
     _preferences;
     _accentColorChangedId = 0;
+    _iconThemeChangedId = 0;
+    _settingIconTheme = false;
     _appIconChangeId = 0;
-    _customThemeChangedId = 0;
-    iconThemes = Object.values({});
+    _customThemeChangedIds = [];
+    _cancellable = null;
+    _generationCancellable = null;
+    _notificationSource = null;
     enable() {
+        // Cancelled on disable, for everything still running then
+        this._cancellable = new Gio.Cancellable();
         // Get the interface settings
         this._settings = new Gio.Settings({
             schema: "org.gnome.desktop.interface",
         });
-        // Initializing icon themes
-        this.iconThemes = Object.values({
-            blue: "Adwaita-Blue-Default",
-            teal: "Adwaita-Teal",
-            green: "Adwaita-Green",
-            yellow: "Adwaita-Yellow",
-            orange: "Adwaita-Orange",
-            red: "Adwaita-Red",
-            pink: "Adwaita-Pink",
-            purple: "Adwaita-Purple",
-            slate: "Adwaita-Slate",
-        });
         // Get Preferences
         this._preferences = this.getSettings();
-        // Check and install missing icon themes
-        this._installMissingIconThemes();
+        // Clean up themes shipped by earlier versions
+        this._removeLegacyThemes();
+        // Remember the user's icon theme to put it back on disable. A snapshot left
+        // over by a session that ended without disabling is still the right one.
+        if (!this._preferences.get_string("previous-icon-theme")) {
+            this._preferences.set_string("previous-icon-theme", this._settings.get_string("icon-theme"));
+        }
         // Connect to accent color changes
         this._accentColorChangedId = this._settings.connect("changed::accent-color", this._onAccentColorChanged.bind(this));
+        // Keep the snapshot up to date when the icon theme is changed by someone else
+        this._iconThemeChangedId = this._settings.connect("changed::icon-theme", this._onIconThemeChanged.bind(this));
         // connect to app icons changed
         this._appIconChangeId = this._preferences.connect("changed::change-app-colors", this._onAppIconChanged.bind(this));
         // Initial theme update
         this._onAccentColorChanged();
-        // Initial app icons check
-        this._onAppIconChanged();
-        // Update icon theme on custom themes change
+        // Update icon theme on custom themes, custom color or base theme change
         const themeKeys = ['blue-theme', 'teal-theme', 'green-theme', 'yellow-theme',
-            'orange-theme', 'red-theme', 'pink-theme', 'purple-theme', 'slate-theme'];
-        this._customThemeChangedId = themeKeys.map(key => this._preferences?.connect(`changed::${key}`, this._onAccentColorChanged.bind(this)))[0];
+            'orange-theme', 'red-theme', 'pink-theme', 'purple-theme', 'slate-theme',
+            'custom-accent-color', 'base-theme'];
+        this._customThemeChangedIds = themeKeys.map(key => this._preferences.connect(`changed::${key}`, this._onAccentColorChanged.bind(this)));
     }
     disable() {
         // Disconnect the signal handler
@@ -65,133 +73,239 @@ export default class AccentColorIconThemeExtension extends Extension {
             this._settings.disconnect(this._accentColorChangedId);
             this._accentColorChangedId = 0;
         }
+        if (this._settings && this._iconThemeChangedId) {
+            this._settings.disconnect(this._iconThemeChangedId);
+            this._iconThemeChangedId = 0;
+        }
         if (this._preferences && this._appIconChangeId) {
             this._preferences.disconnect(this._appIconChangeId);
             this._appIconChangeId = 0;
         }
-        if (this._preferences && this._customThemeChangedId) {
-            this._preferences.disconnect(this._customThemeChangedId);
-            this._customThemeChangedId = 0;
-        }
-        // Clear the iconThemes array
-        this.iconThemes = [];
-        // Optionally reset to default icon theme
-        this._setIconTheme("Adwaita");
+        this._customThemeChangedIds.forEach(id => this._preferences?.disconnect(id));
+        this._customThemeChangedIds = [];
+        // Stop any theme generation or cleanup in progress
+        this._cancellable?.cancel();
+        this._cancellable = null;
+        this._generationCancellable?.cancel();
+        this._generationCancellable = null;
+        this._notificationSource?.destroy();
+        this._notificationSource = null;
+        // Restore the icon theme in use before the extension was enabled
+        this._restorePreviousIconTheme();
         // Null out settings
         this._settings = null;
         this._preferences = null;
     }
-    _installMissingIconThemes() {
-        const changeAppIcons = this._preferences?.get_boolean("change-app-colors");
-        const localIconsDir = GLib.get_home_dir() + "/.local/share/icons/";
-        const extensionIconsDir = this.path + "/icons/";
-        // Create the local icons directory if it doesn't exist
-        if (!GLib.file_test(localIconsDir, GLib.FileTest.EXISTS)) {
-            GLib.mkdir(localIconsDir, 0o755);
-        }
-        this.iconThemes.forEach((theme) => {
-            const themeDir = localIconsDir + theme;
-            // check if `version` file is available in themeDir and the number in it is equal than latest ver
-            const versionFilePath = `${themeDir}/version`;
-            if (GLib.file_test(versionFilePath, GLib.FileTest.EXISTS)) {
-                const [success, contents] = GLib.file_get_contents(versionFilePath);
-                if (success && parseInt(new TextDecoder().decode(contents)) == 5) {
-                    if (!changeAppIcons) {
-                        return;
-                    }
-                    else if (GLib.file_test(themeDir + "/scalable/apps/org.gnome.Nautilus-symbolic.svg", GLib.FileTest.EXISTS)) {
-                        return;
-                    }
-                }
+    _removeLegacyThemes() {
+        // Accents still mapped to a removed theme get the generated one instead
+        Object.keys(ACCENT_COLORS).forEach((color) => {
+            if (LEGACY_THEMES.includes(this._preferences?.get_string(`${color}-theme`) ?? "")) {
+                this._preferences?.reset(`${color}-theme`);
             }
-            // Remove the old theme directory if it exists
-            if (GLib.file_test(themeDir, GLib.FileTest.EXISTS)) {
-                this._removeDirectoryRecursively(themeDir);
+        });
+        // Versions up to 2.2 copied prebuilt themes, recognizable by their `version` file
+        const localIconsDir = getLocalIconsDir();
+        LEGACY_THEMES.forEach((theme) => {
+            const themeDir = GLib.build_filenamev([localIconsDir, theme]);
+            if (GLib.file_test(`${themeDir}/version`, GLib.FileTest.EXISTS)) {
+                removeDirectory(Gio.File.new_for_path(themeDir), this._cancellable).catch(e => this._logError(`unable to remove ${theme}`, e));
             }
-            // Copy the theme from icons to local icons directory
-            const sourceDir = extensionIconsDir + theme;
-            this._copyDirectory(sourceDir, themeDir);
         });
     }
-    _copyDirectory(sourceDir, destDir) {
-        const sourceFile = Gio.File.new_for_path(sourceDir);
-        const destFile = Gio.File.new_for_path(destDir);
-        // Create the destination directory
-        destFile.make_directory_with_parents(null);
-        // Enumerate the contents of the source directory
-        const enumerator = sourceFile.enumerate_children("standard::*", 0, null);
-        let info;
-        while ((info = enumerator.next_file(null)) !== null) {
-            const sourcePath = sourceDir + "/" + info.get_name();
-            const destPath = destDir + "/" + info.get_name();
-            const sourceGioFile = Gio.File.new_for_path(sourcePath);
-            const destGioFile = Gio.File.new_for_path(destPath);
-            if (info.get_file_type() === Gio.FileType.DIRECTORY) {
-                // Recursively copy the directory
-                this._copyDirectory(sourcePath, destPath);
+    _restorePreviousIconTheme() {
+        const previousTheme = this._preferences?.get_string("previous-icon-theme") ?? "";
+        const themeDir = previousTheme ? findThemeDir(previousTheme) : null;
+        if (themeDir && !isGeneratedTheme(themeDir)) {
+            this._setIconTheme(previousTheme);
+        }
+        else {
+            if (previousTheme) {
+                console.warn(`Accent Icons: previous icon theme ${previousTheme} is no longer installed`);
             }
-            else {
-                // Copy the file
-                sourceGioFile.copy(destGioFile, Gio.FileCopyFlags.NONE, null, null);
+            this._settings?.reset("icon-theme");
+        }
+        this._preferences?.reset("previous-icon-theme");
+    }
+    _getAccentHex() {
+        // A custom color takes precedence over the system accent color
+        const customColor = parseAccentColor(this._preferences?.get_string("custom-accent-color") ?? "");
+        if (customColor) {
+            return customColor;
+        }
+        const accentColor = this._settings?.get_string("accent-color") ?? "blue";
+        return ACCENT_COLORS[accentColor] ?? ACCENT_COLORS.blue;
+    }
+    /*
+     * Generate the theme for the current base theme and accent color, unless an
+     * intact one is already there. Resolves to [theme name, whether it was
+     * regenerated], the theme name being null when there is no base theme.
+     */
+    async _ensureGeneratedTheme(cancellable) {
+        const baseTheme = this._preferences?.get_string("base-theme") || "Adwaita";
+        const accentHex = this._getAccentHex();
+        const changeAppIcons = this._preferences?.get_boolean("change-app-colors") ?? false;
+        const themeName = getGeneratedThemeName(baseTheme, accentHex);
+        const themeDir = GLib.build_filenamev([getLocalIconsDir(), themeName]);
+        if (await isThemeUpToDate(baseTheme, accentHex, themeDir, changeAppIcons, cancellable)) {
+            return [themeName, false];
+        }
+        if (!findThemeDir(baseTheme)) {
+            this._notify(_("Base Icon Theme Not Found"), _("%s is not installed, Adwaita is used instead.").format(baseTheme), false);
+            return [null, false];
+        }
+        await this._removeGeneratedThemes(baseTheme, cancellable);
+        const progress = this._startProgress(themeName);
+        try {
+            await generateTheme(baseTheme, accentHex, themeDir, changeAppIcons ? `${this.path}/apps` : null, cancellable, progress.update);
+        }
+        finally {
+            progress.finish();
+        }
+        return [themeName, true];
+    }
+    async _removeGeneratedThemes(keepBaseTheme, cancellable) {
+        // Themes generated for other accents of the same base are kept as a cache,
+        // leftovers of interrupted generations are not
+        const localIcons = Gio.File.new_for_path(getLocalIconsDir());
+        if (!localIcons.query_exists(null)) {
+            return;
+        }
+        const enumerator = await localIcons.enumerate_children_async("standard::name", Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, cancellable);
+        let infos;
+        while ((infos = await enumerator.next_files_async(100, GLib.PRIORITY_DEFAULT, cancellable)).length > 0) {
+            for (const info of infos) {
+                const name = info.get_name();
+                const themeDir = localIcons.get_child(name);
+                const stale = isGeneratedTheme(themeDir.get_path()) && !name.startsWith(`${keepBaseTheme}-Accent-`);
+                if (isPartialTheme(name) || stale) {
+                    await removeDirectory(themeDir, cancellable).catch(e => this._logError(`unable to remove ${name}`, e));
+                }
             }
         }
+        await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
     }
-    _removeDirectoryRecursively(path) {
-        let file = Gio.File.new_for_path(path);
-        // Get the contents of the directory
-        let enumerator = file.enumerate_children('standard::*', Gio.FileQueryInfoFlags.NONE, null);
-        let info;
-        // Iterate through the contents
-        while ((info = enumerator.next_file(null)) !== null) {
-            let childFile = file.get_child(info.get_name());
-            let childPath = childFile.get_path();
-            // continue if childPath is null
-            if (childPath == null)
-                continue;
-            // Recursively remove the child file or directory
-            if (info.get_file_type() === Gio.FileType.DIRECTORY) {
-                this._removeDirectoryRecursively(childPath);
+    async _applyGeneratedTheme() {
+        // Only the latest request matters, earlier ones are abandoned
+        this._generationCancellable?.cancel();
+        const cancellable = new Gio.Cancellable();
+        this._generationCancellable = cancellable;
+        try {
+            const [themeName, regenerated] = await this._ensureGeneratedTheme(cancellable);
+            // The icon theme has to be set again for its new files to be loaded
+            if (regenerated && this._settings?.get_string("icon-theme") === themeName) {
+                this._settingIconTheme = true;
+                this._settings?.reset("icon-theme");
+                this._settingIconTheme = false;
+            }
+            this._setIconTheme(themeName ?? "Adwaita");
+        }
+        catch (e) {
+            if (e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                return;
             }
-            else {
-                childFile.delete(null); // Delete the file
+            this._logError("unable to generate the icon theme", e);
+            this._notify(_("Icon Theme Generation Failed"), e.message, false);
+        }
+        finally {
+            if (this._generationCancellable === cancellable) {
+                this._generationCancellable = null;
             }
         }
-        // Remove the empty directory
-        file.delete(null); // Permanently delete the directory
+    }
+    _startProgress(themeName) {
+        // The notification only shows up when generating takes a while
+        let notification = null;
+        let body = "";
+        let timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, PROGRESS_DELAY, () => {
+            timeoutId = 0;
+            notification = this._notify(_("Generating %s").format(themeName), body, true);
+            notification.connect("destroy", () => {
+                notification = null;
+            });
+            return GLib.SOURCE_REMOVE;
+        });
+        return {
+            update: (done, total) => {
+                body = _("%d of %d icons recolored").format(done, total);
+                if (notification) {
+                    notification.body = body;
+                }
+            },
+            finish: () => {
+                if (timeoutId) {
+                    GLib.source_remove(timeoutId);
+                }
+                notification?.destroy();
+            },
+        };
+    }
+    _notify(title, body, isTransient) {
+        if (!this._notificationSource) {
+            this._notificationSource = new MessageTray.Source({
+                title: this.metadata.name,
+                iconName: "folder-symbolic",
+            });
+            this._notificationSource.connect("destroy", () => {
+                this._notificationSource = null;
+            });
+            Main.messageTray.add(this._notificationSource);
+        }
+        const notification = new MessageTray.Notification({
+            source: this._notificationSource,
+            title,
+            body,
+            isTransient,
+        });
+        this._notificationSource.addNotification(notification);
+        return notification;
+    }
+    _logError(message, error) {
+        console.error(`Accent Icons: ${message}: ${error}`);
     }
     _onAccentColorChanged() {
         // Get the current accent color
         const accentColor = this._settings?.get_string("accent-color") ?? "blue";
-        // Get custom theme from preferences
-        const customTheme = this._preferences?.get_string(`${accentColor}-theme`);
-        // Get the corresponding icon theme or default to Adwaita
-        const iconTheme = customTheme || "Adwaita";
-        // Set the icon theme
-        this._setIconTheme(iconTheme);
+        // A theme picked for this accent takes precedence, unless a custom color is set
+        let customTheme = this._preferences?.get_string("custom-accent-color")
+            ? ""
+            : this._preferences?.get_string(`${accentColor}-theme`);
+        // Skip themes that were uninstalled since they were picked
+        if (customTheme && !findThemeDir(customTheme)) {
+            console.warn(`Accent Icons: icon theme ${customTheme} for ${accentColor} accent is not installed`);
+            customTheme = "";
+        }
+        if (customTheme) {
+            this._generationCancellable?.cancel();
+            this._setIconTheme(customTheme);
+            return;
+        }
+        // Otherwise use the generated theme, or fall back to Adwaita
+        this._applyGeneratedTheme();
     }
     _onAppIconChanged() {
-        const changeAppIcons = this._preferences?.get_boolean("change-app-colors");
-        if (changeAppIcons) {
-            // Reinstall icon themes
-            this._installMissingIconThemes();
+        // Regenerate the current theme with or without app icons, its manifest
+        // records whether they were included
+        const iconTheme = this._settings?.get_string("icon-theme");
+        if (iconTheme && isGeneratedTheme(GLib.build_filenamev([getLocalIconsDir(), iconTheme]))) {
+            this._applyGeneratedTheme();
         }
-        else {
-            // Remove app directory from every extensions icon themes in ~/.local/share/icons/
-            const localIconsDir = GLib.get_home_dir() + "/.local/share/icons/";
-            this.iconThemes.forEach((theme) => {
-                const appDir = localIconsDir + theme + "/scalable/apps";
-                if (GLib.file_test(appDir, GLib.FileTest.EXISTS)) {
-                    this._removeDirectoryRecursively(appDir);
-                }
-            });
+    }
+    _onIconThemeChanged() {
+        // Our own changes and generated themes are not the user's choice
+        const iconTheme = this._settings?.get_string("icon-theme") ?? "";
+        if (this._settingIconTheme || !iconTheme) {
+            return;
         }
-        // reload icon theme for gnome shell
-        const iconTheme = this._settings?.get_string("icon-theme");
-        this._settings?.reset("icon-theme");
-        this._setIconTheme(iconTheme ?? "Adwaita");
+        const themeDir = findThemeDir(iconTheme);
+        if (themeDir && isGeneratedTheme(themeDir)) {
+            return;
+        }
+        this._preferences?.set_string("previous-icon-theme", iconTheme);
     }
     _setIconTheme(themeName) {
         // Set the icon theme
+        this._settingIconTheme = true;
         this._settings?.set_string("icon-theme", themeName);
+        this._settingIconTheme = false;
     }
 }
@@ -18,8 +18,10 @@
 import Adw from 'gi://Adw';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
+import Gdk from 'gi://Gdk';
 import Gtk from 'gi://Gtk';
 import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import { ACCENT_COLORS, getIconDirs, isGeneratedTheme, parseAccentColor } from './themeGenerator.js';
 export default class AccentDirsPreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         const preferences = this.getSettings();
@@ -37,14 +39,40 @@ export default class AccentDirsPreferences extends ExtensionPreferences {
             subtitle: _('Match app icons with accent color (Adwaita colored icons only).'),
         });
         GeneralGroup.add(changeAppColors);
+        // Get available icon themes
+        const iconThemes = this._getAvailableIconThemes();
+        // Add generated theme group
+        const GeneratedGroup = new Adw.PreferencesGroup({
+            title: _('Generated Theme'),
+            description: _('Folder icons of the base theme are recolored with the accent color'),
+        });
+        page.add(GeneratedGroup);
+        // Keep showing a base theme uninstalled since it was picked
+        const savedBaseTheme = preferences.get_string('base-theme');
+        const baseThemes = [...iconThemes];
+        const baseThemeLabels = [...iconThemes];
+        if (savedBaseTheme && !iconThemes.includes(savedBaseTheme)) {
+            baseThemes.push(savedBaseTheme);
+            baseThemeLabels.push(_('%s (not installed)').format(savedBaseTheme));
+        }
+        const baseThemeRow = new Adw.ComboRow({
+            title: _('Base Theme'),
+            model: this._createIconThemeModel(baseThemeLabels),
+            selected: Math.max(0, baseThemes.indexOf(savedBaseTheme)),
+        });
+        baseThemeRow.connect('notify::selected', () => {
+            preferences.set_string('base-theme', baseThemes[baseThemeRow.selected]);
+        });
+        GeneratedGroup.add(baseThemeRow);
+        GeneratedGroup.add(this._createAccentColorRow(preferences));
         // Add custom theme selection group
         const ThemeGroup = new Adw.PreferencesGroup({
             title: _('Custom Icon Themes'),
             description: _('Select custom icon themes for each accent color'),
         });
         page.add(ThemeGroup);
-        // Get available icon themes
-        const iconThemes = this._getAvailableIconThemes();
+        // The first choice stands for the generated theme
+        const accentThemes = [_('Generated'), ...iconThemes];
         // Create dropdown for each accent color
         const accentColors = [
             'blue', 'teal', 'green', 'yellow',
@@ -53,13 +81,15 @@ export default class AccentDirsPreferences extends ExtensionPreferences {
         accentColors.forEach(color => {
             const row = new Adw.ComboRow({
                 title: _(color.charAt(0).toUpperCase() + color.slice(1)),
-                model: this._createIconThemeModel(iconThemes),
+                model: this._createIconThemeModel(accentThemes),
                 selected: this._getSelectedIndex(preferences, color, iconThemes)
             });
             row.connect('notify::selected', () => {
-                const selected = iconThemes[row.selected];
+                const selected = row.selected > 0 ? iconThemes[row.selected - 1] : '';
                 preferences.set_string(`${color}-theme`, selected);
+                this._validateThemeRow(row, preferences, color, iconThemes);
             });
+            this._validateThemeRow(row, preferences, color, iconThemes);
             ThemeGroup.add(row);
         });
         window.add(page);
@@ -68,30 +98,39 @@ export default class AccentDirsPreferences extends ExtensionPreferences {
     }
     _getAvailableIconThemes() {
         const themes = new Set();
-        const directories = [
-            '/usr/local/share/icons',
-            '/usr/share/icons',
-            GLib.get_home_dir() + '/.local/share/icons',
-            GLib.get_home_dir() + '/.icons'
-        ];
-        // Scan directories for icon themes
-        directories.forEach(dir => {
-            if (GLib.file_test(dir, GLib.FileTest.IS_DIR)) {
+        // Scan directories for icon themes, the same ones GTK looks into
+        getIconDirs().forEach(dir => {
+            if (!GLib.file_test(dir, GLib.FileTest.IS_DIR)) {
+                return;
+            }
+            // An unreadable directory must not hide the themes of the others
+            try {
                 const directory = Gio.File.new_for_path(dir);
                 const enumerator = directory.enumerate_children('standard::*', Gio.FileQueryInfoFlags.NONE, null);
                 let info;
                 while ((info = enumerator.next_file(null))) {
                     const path = dir + '/' + info.get_name();
-                    if (this._isValidIconTheme(path)) {
+                    if (this._isValidIconTheme(path) && !isGeneratedTheme(path)) {
                         themes.add(info.get_name());
                     }
                 }
             }
+            catch (e) {
+                console.warn(`Accent Icons: unable to list icon themes in ${dir}: ${e}`);
+            }
         });
         return Array.from(themes).sort();
     }
     _isValidIconTheme(path) {
-        return GLib.file_test(path + '/index.theme', GLib.FileTest.EXISTS);
+        // Cursor themes also have an index.theme, but no icon directories
+        const keyFile = new GLib.KeyFile();
+        try {
+            keyFile.load_from_file(path + '/index.theme', GLib.KeyFileFlags.NONE);
+            return keyFile.get_string('Icon Theme', 'Directories').trim().length > 0;
+        }
+        catch {
+            return false;
+        }
     }
     _createIconThemeModel(themes) {
         return new Gtk.StringList({ strings: themes });
@@ -99,6 +138,61 @@ export default class AccentDirsPreferences extends ExtensionPreferences {
     _getSelectedIndex(preferences, color, themes) {
         const savedTheme = preferences.get_string(`${color}-theme`);
         const theme = savedTheme;
-        return Math.max(0, themes.indexOf(theme));
+        return themes.indexOf(theme) + 1;
+    }
+    _validateThemeRow(row, preferences, color, themes) {
+        // A mapped theme may have been uninstalled since it was picked
+        const savedTheme = preferences.get_string(`${color}-theme`);
+        if (savedTheme && !themes.includes(savedTheme)) {
+            row.subtitle = _('%s is not installed, the generated theme is used instead').format(savedTheme);
+            row.add_css_class('warning');
+        }
+        else {
+            row.subtitle = '';
+            row.remove_css_class('warning');
+        }
+    }
+    _createAccentColorRow(preferences) {
+        const row = new Adw.ActionRow({
+            title: _('Accent Color'),
+        });
+        const colorButton = new Gtk.ColorDialogButton({
+            dialog: new Gtk.ColorDialog({ withAlpha: false }),
+            valign: Gtk.Align.CENTER,
+        });
+        const resetButton = new Gtk.Button({
+            iconName: 'edit-undo-symbolic',
+            tooltipText: _('Follow System Accent Color'),
+            valign: Gtk.Align.CENTER,
+            cssClasses: ['flat'],
+        });
+        row.add_suffix(colorButton);
+        row.add_suffix(resetButton);
+        const interfaceSettings = new Gio.Settings({ schema: 'org.gnome.desktop.interface' });
+        const update = () => {
+            const customColor = parseAccentColor(preferences.get_string('custom-accent-color'));
+            const color = customColor ?? ACCENT_COLORS[interfaceSettings.get_string('accent-color')] ?? ACCENT_COLORS.blue;
+            const rgba = new Gdk.RGBA();
+            rgba.parse(color);
+            if (!colorButton.rgba.equal(rgba)) {
+                colorButton.rgba = rgba;
+            }
+            row.subtitle = customColor ? _('Custom color') : _('Following the system accent color');
+            resetButton.sensitive = customColor !== null;
+        };
+        colorButton.connect('notify::rgba', () => {
+            const { red, green, blue } = colorButton.rgba;
+            const hex = '#' + [red, green, blue].map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+            const current = parseAccentColor(preferences.get_string('custom-accent-color'))
+                ?? ACCENT_COLORS[interfaceSettings.get_string('accent-color')];
+            if (hex !== current) {
+                preferences.set_string('custom-accent-color', hex);
+            }
+        });
+        resetButton.connect('clicked', () => preferences.reset('custom-accent-color'));
+        preferences.connect('changed::custom-accent-color', update);
+        interfaceSettings.connect('changed::accent-color', update);
+        update();
+        return row;
     }
 }
@@ -0,0 +1,408 @@
+/* themeGenerator.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+Gio._promisify(Gio.File.prototype, "enumerate_children_async");
+Gio._promisify(Gio.File.prototype, "load_contents_async");
+Gio._promisify(Gio.File.prototype, "replace_contents_bytes_async", "replace_contents_finish");
+Gio._promisify(Gio.File.prototype, "make_directory_async");
+Gio._promisify(Gio.File.prototype, "delete_async");
+Gio._promisify(Gio.FileEnumerator.prototype, "next_files_async");
+Gio._promisify(Gio.FileEnumerator.prototype, "close_async");
+// Bump when the generated output changes, so that cached themes get rebuilt
+export const GENERATOR_VERSION = 2;
+// File written in every generated theme, also used to tell them apart from real themes
+export const MANIFEST_FILE = "accent-directories.json";
+// libadwaita accent colors, as used by org.gnome.desktop.interface accent-color
+export const ACCENT_COLORS = {
+    blue: "#3584e4",
+    teal: "#2190a4",
+    green: "#3a944a",
+    yellow: "#c88800",
+    orange: "#ed5b00",
+    red: "#e62d42",
+    pink: "#d56199",
+    purple: "#9141ac",
+    slate: "#6f8396",
+};
+// The shipped app icon templates are drawn with the Adwaita blue palette
+const APP_TEMPLATE_COLOR = "#3584e4";
+// Icons that get recolored, symbolic ones follow the text color and are left alone
+const FOLDER_ICON_RE = /^(folder|user-home|user-desktop|user-bookmarks|inode-directory|network-workgroup)([-.][\w.-]*)?\.svg$/;
+const FOLDER_CONTEXTS = ["Places", "MimeTypes", "Status"];
+// Colors further away than this from the reference hue, in degrees, are kept as is
+const HUE_TOLERANCE = 30;
+// Colors less saturated than this are greys and are kept as is
+const MIN_SATURATION = 0.2;
+export function getLocalIconsDir() {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), "icons"]);
+}
+// Icon theme search path, in the order GTK looks themes up
+export function getIconDirs() {
+    return [
+        getLocalIconsDir(),
+        GLib.build_filenamev([GLib.get_home_dir(), ".icons"]),
+        ...GLib.get_system_data_dirs().map(dir => GLib.build_filenamev([dir, "icons"])),
+    ];
+}
+export function findThemeDir(themeName) {
+    for (const dir of getIconDirs()) {
+        const path = GLib.build_filenamev([dir, themeName]);
+        if (GLib.file_test(GLib.build_filenamev([path, "index.theme"]), GLib.FileTest.EXISTS)) {
+            return path;
+        }
+    }
+    return null;
+}
+export function isGeneratedTheme(path) {
+    return GLib.file_test(GLib.build_filenamev([path, MANIFEST_FILE]), GLib.FileTest.EXISTS);
+}
+// Accent colors are normalized to lowercase #rrggbb, null when the color can't be parsed
+export function parseAccentColor(color) {
+    if (color in ACCENT_COLORS) {
+        return ACCENT_COLORS[color];
+    }
+    const m = color.trim().toLowerCase().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (!m) {
+        return null;
+    }
+    const hex = m[1].length == 3 ? m[1].split("").map(c => c + c).join("") : m[1];
+    return "#" + hex;
+}
+export function getGeneratedThemeName(baseTheme, accentHex) {
+    return `${baseTheme}-Accent-${accentHex.substring(1)}`;
+}
+function hexToHsl(hex) {
+    const r = parseInt(hex.substring(1, 3), 16) / 255;
+    const g = parseInt(hex.substring(3, 5), 16) / 255;
+    const b = parseInt(hex.substring(5, 7), 16) / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max == min) {
+        return [0, 0, l];
+    }
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max == r) {
+        h = (g - b) / d + (g < b ? 6 : 0);
+    }
+    else if (max == g) {
+        h = (b - r) / d + 2;
+    }
+    else {
+        h = (r - g) / d + 4;
+    }
+    return [h * 60, s, l];
+}
+function hslToHex([h, s, l]) {
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + h / 30) % 12;
+        const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, "0");
+    };
+    return "#" + channel(0) + channel(8) + channel(4);
+}
+function hueDistance(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+// The most used saturated color sets the hue, its darkest shade is what the accent replaces
+function findReferenceColor(colors) {
+    const counts = new Map();
+    colors.forEach(color => counts.set(color, (counts.get(color) ?? 0) + 1));
+    const saturated = [...counts.keys()].filter(color => hexToHsl(color)[1] >= MIN_SATURATION);
+    if (saturated.length == 0) {
+        return null;
+    }
+    const dominant = saturated.reduce((a, b) => counts.get(b) > counts.get(a) ? b : a);
+    const hue = hexToHsl(dominant)[0];
+    return saturated
+        .filter(color => hueDistance(hexToHsl(color)[0], hue) <= HUE_TOLERANCE)
+        .reduce((a, b) => hexToHsl(b)[2] < hexToHsl(a)[2] ? b : a);
+}
+/*
+ * Shift every color of the reference hue family to the accent color, keeping
+ * the shading of the original: lighter and darker shades stay as much lighter
+ * and darker than the accent as they were than the reference.
+ */
+export function recolorSvg(svg, accentHex, referenceHex = null) {
+    const colors = (svg.match(/#[0-9a-fA-F]{6}\b/g) ?? []).map(color => color.toLowerCase());
+    const reference = referenceHex ?? findReferenceColor(colors);
+    if (!reference) {
+        return svg;
+    }
+    const [refH, refS, refL] = hexToHsl(reference);
+    const [accentH, accentS, accentL] = hexToHsl(accentHex);
+    return svg.replace(/#[0-9a-fA-F]{6}\b/g, (color) => {
+        const [h, s, l] = hexToHsl(color.toLowerCase());
+        if (s < MIN_SATURATION || hueDistance(h, refH) > HUE_TOLERANCE) {
+            return color;
+        }
+        return hslToHex([
+            accentH,
+            clamp(refS > 0 ? s * accentS / refS : accentS, 0, 1),
+            clamp(accentL + l - refL, 0.05, 0.95),
+        ]);
+    });
+}
+function loadKeyFile(path) {
+    const keyFile = new GLib.KeyFile();
+    keyFile.load_from_file(path, GLib.KeyFileFlags.NONE);
+    return keyFile;
+}
+function getString(keyFile, group, key) {
+    try {
+        return keyFile.get_string(group, key);
+    }
+    catch {
+        return "";
+    }
+}
+function splitList(value) {
+    return value.split(",").map(item => item.trim()).filter(item => item.length > 0);
+}
+// Base theme followed by the themes it inherits from, hicolor excluded
+function getInheritanceChain(themeName, chain = []) {
+    if (chain.includes(themeName) || themeName == "hicolor") {
+        return chain;
+    }
+    const themeDir = findThemeDir(themeName);
+    if (!themeDir) {
+        return chain;
+    }
+    chain.push(themeName);
+    const index = loadKeyFile(GLib.build_filenamev([themeDir, "index.theme"]));
+    splitList(getString(index, "Icon Theme", "Inherits")).forEach(parent => getInheritanceChain(parent, chain));
+    return chain;
+}
+async function listChildren(file, cancellable) {
+    const children = [];
+    const enumerator = await file.enumerate_children_async("standard::name,standard::type", Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, GLib.PRIORITY_DEFAULT, cancellable);
+    let infos;
+    while ((infos = await enumerator.next_files_async(100, GLib.PRIORITY_DEFAULT, cancellable)).length > 0) {
+        children.push(...infos);
+    }
+    await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+    return children;
+}
+async function listSvgs(dirPath, cancellable) {
+    if (!GLib.file_test(dirPath, GLib.FileTest.IS_DIR)) {
+        return [];
+    }
+    const children = await listChildren(Gio.File.new_for_path(dirPath), cancellable);
+    return children
+        .map(info => info.get_name())
+        .filter(name => FOLDER_ICON_RE.test(name) && !name.includes("symbolic"));
+}
+/*
+ * Find the folder icons to recolor: those of the first theme of the inheritance
+ * chain that has any. Mixing icons of several themes would break size matching.
+ * Returns { themeDir, index, directories: Map(directory => [svg names]) } or null.
+ */
+async function findFolderIcons(baseTheme, cancellable) {
+    for (const themeName of getInheritanceChain(baseTheme)) {
+        const themeDir = findThemeDir(themeName);
+        const index = loadKeyFile(GLib.build_filenamev([themeDir, "index.theme"]));
+        const directories = new Map();
+        const sections = [
+            ...splitList(getString(index, "Icon Theme", "Directories")),
+            ...splitList(getString(index, "Icon Theme", "ScaledDirectories")),
+        ];
+        for (const section of sections) {
+            if (!FOLDER_CONTEXTS.includes(getString(index, section, "Context"))) {
+                continue;
+            }
+            const names = await listSvgs(GLib.build_filenamev([themeDir, section]), cancellable);
+            if (names.length > 0) {
+                directories.set(section, names);
+            }
+        }
+        if (directories.size > 0) {
+            return { themeDir, index, directories };
+        }
+    }
+    return null;
+}
+async function makeDirectory(file, cancellable) {
+    try {
+        await file.make_directory_async(GLib.PRIORITY_DEFAULT, cancellable);
+    }
+    catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+            throw e;
+        }
+    }
+}
+export async function removeDirectory(file, cancellable = null) {
+    for (const info of await listChildren(file, cancellable)) {
+        const child = file.get_child(info.get_name());
+        if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+            await removeDirectory(child, cancellable);
+        }
+        else {
+            await child.delete_async(GLib.PRIORITY_DEFAULT, cancellable);
+        }
+    }
+    await file.delete_async(GLib.PRIORITY_DEFAULT, cancellable);
+}
+function checksum(data) {
+    return GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, data);
+}
+function uniqueSibling(file, suffix) {
+    return file.get_parent().get_child(`${file.get_basename()}.${suffix}-${GLib.uuid_string_random().substring(0, 8)}`);
+}
+// Leftovers of an interrupted generation, see generateTheme()
+export function isPartialTheme(name) {
+    return /\.(partial|old)-[0-9a-f]{8}$/.test(name);
+}
+/*
+ * Generate the accent tinted variant of baseTheme in outputDir. It only holds the
+ * recolored icons and inherits everything else from the base theme.
+ * appTemplatesDir, when given, holds app icons to recolor as well.
+ *
+ * The theme is built next to outputDir and renamed into place once complete,
+ * so that outputDir never holds a half written theme. The manifest lists the
+ * checksum of every file for isThemeUpToDate() to catch later damage.
+ * onProgress(done, total) is called after each icon.
+ */
+export async function generateTheme(baseTheme, accentHex, outputDir, appTemplatesDir = null, cancellable = null, onProgress = null) {
+    const themeName = GLib.path_get_basename(outputDir);
+    const output = Gio.File.new_for_path(outputDir);
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const index = new GLib.KeyFile();
+    const directories = [];
+    // Each job is [source file, directory, reference color]
+    const jobs = [];
+    const folderIcons = await findFolderIcons(baseTheme, cancellable);
+    if (folderIcons) {
+        folderIcons.directories.forEach((names, section) => {
+            names.forEach(name => jobs.push([GLib.build_filenamev([folderIcons.themeDir, section, name]), section, null]));
+            folderIcons.index.get_keys(section)[0].forEach(key => {
+                index.set_string(section, key, folderIcons.index.get_string(section, key));
+            });
+            directories.push(section);
+        });
+    }
+    if (appTemplatesDir) {
+        const section = "scalable/apps";
+        const children = await listChildren(Gio.File.new_for_path(appTemplatesDir), cancellable);
+        children.forEach(info => jobs.push([GLib.build_filenamev([appTemplatesDir, info.get_name()]), section, APP_TEMPLATE_COLOR]));
+        index.set_string(section, "Context", "Applications");
+        index.set_string(section, "Size", "128");
+        index.set_string(section, "MinSize", "8");
+        index.set_string(section, "MaxSize", "512");
+        index.set_string(section, "Type", "Scalable");
+        directories.push(section);
+    }
+    index.set_string("Icon Theme", "Name", themeName);
+    index.set_string("Icon Theme", "Comment", `${baseTheme} tinted with ${accentHex}`);
+    index.set_string("Icon Theme", "Example", "folder");
+    index.set_string("Icon Theme", "Inherits", `${baseTheme},hicolor`);
+    index.set_string("Icon Theme", "Hidden", "true");
+    index.set_string("Icon Theme", "Directories", directories.join(","));
+    const partial = uniqueSibling(output, "partial");
+    const files = {};
+    const writeFile = async (path, data) => {
+        await partial.get_child(path).replace_contents_bytes_async(new GLib.Bytes(data), null, false, Gio.FileCreateFlags.NONE, cancellable);
+        files[path] = checksum(data);
+    };
+    try {
+        await makeDirectory(output.get_parent(), cancellable);
+        await makeDirectory(partial, cancellable);
+        for (const section of directories) {
+            let dir = partial;
+            for (const part of section.split("/")) {
+                dir = dir.get_child(part);
+                await makeDirectory(dir, cancellable);
+            }
+        }
+        for (const [i, [sourcePath, section, reference]] of jobs.entries()) {
+            const [contents] = await Gio.File.new_for_path(sourcePath).load_contents_async(cancellable);
+            const svg = recolorSvg(decoder.decode(contents), accentHex, reference);
+            await writeFile(`${section}/${GLib.path_get_basename(sourcePath)}`, encoder.encode(svg));
+            onProgress?.(i + 1, jobs.length);
+        }
+        await writeFile("index.theme", encoder.encode(index.to_data()[0]));
+        // The manifest comes last, a theme without one is never considered complete
+        await partial.get_child(MANIFEST_FILE).replace_contents_bytes_async(new GLib.Bytes(encoder.encode(JSON.stringify({
+            generator: GENERATOR_VERSION,
+            base: baseTheme,
+            accent: accentHex,
+            apps: appTemplatesDir != null,
+            files,
+        }))), null, false, Gio.FileCreateFlags.NONE, cancellable);
+    }
+    catch (e) {
+        await removeDirectory(partial).catch(() => { });
+        throw e;
+    }
+    // Renames within a directory are atomic, only the old copy has to be moved out first
+    let old = null;
+    if (output.query_exists(null)) {
+        old = uniqueSibling(output, "old");
+        output.move(old, Gio.FileCopyFlags.NO_FALLBACK_FOR_MOVE, null, null);
+    }
+    partial.move(output, Gio.FileCopyFlags.NO_FALLBACK_FOR_MOVE, null, null);
+    if (old) {
+        await removeDirectory(old).catch(e => console.warn(`Accent Icons: unable to remove ${old.get_path()}: ${e}`));
+    }
+}
+/*
+ * Whether the theme in outputDir was generated from these same inputs and
+ * still has all of its files intact.
+ */
+export async function isThemeUpToDate(baseTheme, accentHex, outputDir, withApps, cancellable = null) {
+    const output = Gio.File.new_for_path(outputDir);
+    let manifest;
+    try {
+        const [contents] = await output.get_child(MANIFEST_FILE).load_contents_async(cancellable);
+        manifest = JSON.parse(new TextDecoder().decode(contents));
+    }
+    catch (e) {
+        if (e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+            throw e;
+        }
+        return false;
+    }
+    if (manifest.generator != GENERATOR_VERSION || manifest.base != baseTheme ||
+        manifest.accent != accentHex || manifest.apps != withApps || !manifest.files) {
+        return false;
+    }
+    for (const [path, sum] of Object.entries(manifest.files)) {
+        try {
+            const [contents] = await output.get_child(path).load_contents_async(cancellable);
+            if (checksum(contents) != sum) {
+                return false;
+            }
+        }
+        catch (e) {
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                throw e;
+            }
+            return false;
+        }
+    }
+    return true;
+}
@@ -0,0 +1,108 @@
+/*
+    This file is part of Arch Linux Updates Indicator
+
+    Arch Linux Updates Indicator is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Arch Linux Updates Indicator is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Arch Linux Updates Indicator.  If not, see <http://www.gnu.org/licenses/>.
+
+    Copyright 2016-2022 Raphaël Rochet
+*/
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const BUS_NAME    = 'org.gnome.Shell.Extensions.ArchUpdate';
+const OBJECT_PATH = '/org/gnome/Shell/Extensions/ArchUpdate';
+
+/*
+	Count follows the indicator status : number of updates pending, -1 when unknown, -2 on error.
+	Updates are the ones shown in the menu, ignored and held packages are left out.
+*/
+const ArchUpdateIface = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.ArchUpdate">
+    <method name="Check"/>
+    <method name="Cancel"/>
+    <method name="GetUpdates">
+      <arg type="aa{sv}" direction="out" name="updates"/>
+    </method>
+    <property name="Updates" type="aa{sv}" access="read"/>
+    <property name="Count" type="i" access="read"/>
+    <property name="Checking" type="b" access="read"/>
+    <signal name="UpdatesChanged">
+      <arg type="i" name="count"/>
+    </signal>
+  </interface>
+</node>`;
+
+function packUpdate(pkg) {
+	return {
+		'name': new GLib.Variant('s', pkg.name),
+		'old-version': new GLib.Variant('s', pkg.oldVersion),
+		'new-version': new GLib.Variant('s', pkg.newVersion),
+		'source': new GLib.Variant('s', pkg.source),
+		'download-size': new GLib.Variant('x', pkg.downloadSize),
+		'severity': new GLib.Variant('s', pkg.isSecurity ? pkg.advisory.severity : ''),
+		'cves': new GLib.Variant('as', pkg.isSecurity ? pkg.advisory.cves : []),
+	};
+}
+
+/* Exposes the indicator state on the session bus, for scripts and other extensions */
+export class ArchUpdateService {
+	constructor(indicator) {
+		this._indicator = indicator;
+		this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(ArchUpdateIface, this);
+		this._dbusImpl.export(Gio.DBus.session, OBJECT_PATH);
+		this._ownerId = Gio.bus_own_name_on_connection(Gio.DBus.session, BUS_NAME,
+			Gio.BusNameOwnerFlags.NONE, null, null);
+	}
+
+	Check() {
+		this._indicator._checkUpdates();
+	}
+
+	Cancel() {
+		this._indicator._cancelCheck();
+	}
+
+	GetUpdates() {
+		return this.Updates;
+	}
+
+	get Updates() {
+		return this._indicator.getUpdates().map(packUpdate);
+	}
+
+	get Count() {
+		return this._indicator.getUpdatesCount();
+	}
+
+	get Checking() {
+		return this._indicator.isChecking();
+	}
+
+	checkingChanged() {
+		this._dbusImpl.emit_property_changed('Checking', new GLib.Variant('b', this.Checking));
+	}
+
+	updatesChanged() {
+		this._dbusImpl.emit_property_changed('Updates', new GLib.Variant('aa{sv}', this.Updates));
+		this._dbusImpl.emit_property_changed('Count', new GLib.Variant('i', this.Count));
+		this._dbusImpl.emit_signal('UpdatesChanged', new GLib.Variant('(i)', [this.Count]));
+	}
+
+	destroy() {
+		Gio.bus_unown_name(this._ownerId);
+		this._dbusImpl.unexport();
+		this._indicator = null;
+	}
+}
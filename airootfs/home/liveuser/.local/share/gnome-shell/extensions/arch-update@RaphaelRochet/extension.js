@@ -21,21 +21,147 @@ import Clutter from 'gi://Clutter';
 import St from 'gi://St';
 import GObject from 'gi://GObject';
 import Gio from 'gi://Gio';
-import GioUnix from 'gi://GioUnix';
 import GLib from 'gi://GLib';
+import Soup from 'gi://Soup';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import {Button} from 'resource:///org/gnome/shell/ui/panelMenu.js';
 
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
 import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
 import * as Util from 'resource:///org/gnome/shell/misc/util.js';
 import {Extension, gettext as _, ngettext as __} from 'resource:///org/gnome/shell/extensions/extension.js';
 
+import {fetchNews} from './news.js';
+import {parseAdvisories, compareSeverities} from './security.js';
+import {UpdateHistory, getActionLabel, getChangelogUrl} from './history.js';
+import {ArchUpdateService} from './dbus.js';
+
 /* RegExp to tell what's an update */
 /* I am very loose on this, may make it easier to port to other distros */
 const RE_UpdateLine = /^(.+)\s+(\S+)\s+->\s+(.+)$/;
 
+/* Known update sources, in the order they are grouped in the menu */
+/* Any other pacman repository found is listed after those, alphabetically */
+const UPDATE_SOURCES   = ['core', 'extra', 'multilib', 'AUR', 'Flatpak'];
+const SOURCE_UNKNOWN   = '';
+
+/* Units used by pacman to display download sizes */
+const SIZE_UNITS       = { 'B': 1, 'KiB': 1024, 'MiB': 1024*1024, 'GiB': 1024*1024*1024 };
+
+/* One pending update */
+class PackageUpdate {
+	constructor(name, oldVersion = '', newVersion = '', source = SOURCE_UNKNOWN, downloadSize = -1) {
+		this.name = name;
+		this.oldVersion = oldVersion;
+		this.newVersion = newVersion;
+		this.source = source;
+		this.downloadSize = downloadSize; // in bytes, -1 when unknown
+		this.base = name; // pkgbase, differs from name for split packages
+		this.advisory = null; // { severity, cves } when this update fixes a known vulnerability
+	}
+
+	static fromLine(line) {
+		let matches = line.match(RE_UpdateLine);
+		if (matches == null) return null;
+		return new PackageUpdate(matches[1], matches[2], matches[3]);
+	}
+
+	get isSecurity() {
+		return this.advisory != null;
+	}
+
+	get hasVersions() {
+		return this.newVersion != '';
+	}
+
+	equals(other) {
+		return this.name == other.name && this.newVersion == other.newVersion && this.source == other.source;
+	}
+
+	toString() {
+		if (!this.hasVersions) return this.name;
+		if (this.oldVersion == '') return `${this.name} -> ${this.newVersion}`;
+		return `${this.name} ${this.oldVersion} -> ${this.newVersion}`;
+	}
+}
+
+/* Parsers available to check backends */
+/* okStatus lists exit codes that are not errors, eg. checkupdates exits with 2 when there is no update */
+const BACKEND_PARSERS = {
+	'pacman': {
+		okStatus: [0, 2],
+		parse: line => PackageUpdate.fromLine(line),
+	},
+	'aur': {
+		okStatus: [0, 1],
+		parse: line => {
+			let pkg = PackageUpdate.fromLine(line);
+			if (pkg) pkg.source = 'AUR';
+			return pkg;
+		},
+	},
+	'flatpak': {
+		// Expects "flatpak remote-ls --updates --columns=application,version" output
+		okStatus: [0],
+		parse: line => {
+			let columns = line.split('\t');
+			if (columns[0].trim() == '') return null;
+			return new PackageUpdate(columns[0].trim(), '', (columns[1] || '').trim(), 'Flatpak');
+		},
+	},
+	'raw': {
+		okStatus: [0],
+		parse: line => new PackageUpdate(line),
+	},
+};
+
+function compareSources(a, b) {
+	let ia = UPDATE_SOURCES.indexOf(a);
+	let ib = UPDATE_SOURCES.indexOf(b);
+	if (ia < 0) ia = UPDATE_SOURCES.length;
+	if (ib < 0) ib = UPDATE_SOURCES.length;
+	return (ia - ib) || a.localeCompare(b);
+}
+
+/* Returns a [source, updates] list, sources sorted as they should be displayed */
+function groupBySource(updates) {
+	let groups = new Map();
+	updates.forEach( pkg => {
+		if (!groups.has(pkg.source)) groups.set(pkg.source, []);
+		groups.get(pkg.source).push(pkg);
+	});
+	return [...groups.entries()].sort( (a, b) => compareSources(a[0], b[0]) );
+}
+
+/* Patterns are globs, or regular expressions when written as /regex/ */
+function compilePatterns(patterns) {
+	return patterns.map( pattern => pattern.trim() ).filter( pattern => pattern != '' ).map( pattern => {
+		if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+			try {
+				return new RegExp(pattern.slice(1, -1));
+			} catch (err) {
+				console.log(`Arch-update : invalid pattern ` + pattern);
+				return null;
+			}
+		}
+		let glob = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+		return new RegExp('^' + glob + '$');
+	}).filter( re => re != null );
+}
+
+function matchesAny(name, regexps) {
+	return regexps.some( re => re.test(name) );
+}
+
+function parseSize(text) {
+	let m = text.match(/^([\d.,]+)\s*(\S+)$/);
+	if (m == null || !(m[2] in SIZE_UNITS)) return -1;
+	return Math.round(parseFloat(m[1].replace(',', '.')) * SIZE_UNITS[m[2]]);
+}
+
 /* Options */
 let ALWAYS_VISIBLE     = true;
 let USE_BUILDIN_ICONS  = true;
@@ -45,7 +171,7 @@ let CHECK_INTERVAL     = 60*60;   // 1h
 let NOTIFY             = false;
 let HOWMUCH            = 0;
 let UPDATE_CMD         = "gnome-terminal -- /bin/sh -c \"sudo pacman -Syu ; echo Done - Press enter to exit; read _\" ";
-let CHECK_CMD          = "/usr/bin/checkupdates";
+let CHECK_BACKENDS     = [];
 let MANAGER_CMD        = "";
 let PACMAN_DIR         = "/var/lib/pacman/local";
 let STRIP_VERSIONS     = false;
@@ -55,12 +181,24 @@ let DISABLE_PARSING    = false;
 let PACKAGE_INFO_CMD   = "xdg-open https://www.archlinux.org/packages/%2$s/%3$s/%1$s";
 let LINKIFY_MENU       = true;
 let SHOW_TIMECHECKED   = true;
+let NEWS_URL           = "https://archlinux.org/feeds/news/";
+let SECURITY_CMD       = "arch-audit --upgradable --show-cve";
+let PACMAN_LOG         = "/var/log/pacman.log";
+let IGNORE_PATTERNS    = [];
+let HOLD_PATTERNS      = [];
+let HOLD_DAYS          = 0;
+let NOTIFY_MIN_COUNT   = 0;
+let IMPORTANT_PATTERNS = [];
 
 /* Variables we want to keep when extension is disabled (eg during screen lock) */
 let FIRST_BOOT         = 1;
 let UPDATES_PENDING    = -1;
 let UPDATES_LIST       = [];
+let CHECKED_LIST       = [];
+let BACKEND_ERRORS     = new Map();
 let LAST_CHECK         = undefined;
+let NEWS_ITEMS         = [];
+let NEWS_NOTIFIED      = new Set();
 
 export default class ArchUpdateIndicatorExtension extends Extension {
 	constructor(metadata) {
@@ -84,10 +222,9 @@ const ArchUpdateIndicator = GObject.registerClass(
 	{
 		_TimeoutId: null,
 		_FirstTimeoutId: null,
-		_updateProcess_sourceId: null,
-		_updateProcess_stream: null,
-		_updateProcess_pid: null,
+		_checkRuns: null,
 		_updateList: [],
+		_checkedList: [],
 	},
 class ArchUpdateIndicator extends Button {
 
@@ -144,8 +281,16 @@ class ArchUpdateIndicator extends Button {
 		// A placeholder to show the last check time
 		this.timeCheckedMenu = new PopupMenu.PopupMenuItem( "-", {reactive:false} );
 
+		// Unread news, hidden when there is none
+		this.newsMenuExpander = new PopupMenu.PopupSubMenuMenuItem('');
+		this.newsMenuSection = new PopupMenu.PopupMenuSection();
+		let markNewsReadMenuItem = new PopupMenu.PopupMenuItem(_('Mark all as read'));
+		this.newsMenuExpander.menu.addMenuItem(this.newsMenuSection);
+		this.newsMenuExpander.menu.addMenuItem(markNewsReadMenuItem);
+
 		// Assemble all menu items into the popup menu
 		this.menu.addMenuItem(this.menuExpander);
+		this.menu.addMenuItem(this.newsMenuExpander);
 		this.menu.addMenuItem(this.timeCheckedMenu);
 		this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 		this.menu.addMenuItem(this.updateNowMenuItem);
@@ -162,21 +307,34 @@ class ArchUpdateIndicator extends Button {
 		settingsMenuItem.connect('activate', this._openSettings.bind(this));
 		this.updateNowMenuItem.connect('activate', this._updateNow.bind(this));
 		this.managerMenuItem.connect('activate', this._openManager.bind(this));
+		markNewsReadMenuItem.connect('activate', this._markNewsRead.bind(this));
 
 		// Some initial status display
 		this._showChecking(false);
 		this._updateMenuExpander(false, _('Waiting first check'));
 		if (LAST_CHECK) this._updateLastCheckMenu();
+		this._updateNewsMenu();
 
 		// Restore previous updates list if any
 		this._updateList = UPDATES_LIST;
+		this._checkedList = CHECKED_LIST;
+
+		// Load history, then catch up with what pacman did meanwhile
+		this._history = new UpdateHistory();
+		this._history.load( () => {
+			if (PACMAN_LOG && this._history) this._history.readPacmanLog(PACMAN_LOG);
+		});
 
 		// Load settings
 		this._settings = this._extension.getSettings();
+		this._migrateSettings();
 		this._settings.connect('changed', this._positionChanged.bind(this));
 		this._settingsChangedId = this._settings.connect('changed', this._applySettings.bind(this));
 		this._applySettings();
 
+		// Let other tools know about updates
+		this._dbusService = new ArchUpdateService(this);
+
 		if (FIRST_BOOT) {
 			// Schedule first check only if this is the first extension load
 			// This won't be run again if extension is disabled/enabled (like when screen is locked)
@@ -215,6 +373,17 @@ class ArchUpdateIndicator extends Button {
 		}
 	}
 
+	_migrateSettings() {
+		// check-cmd used to be the only way to check for updates, turn it into the first backend
+		if (this._settings.get_user_value('check-cmd') === null) return;
+		if (this._settings.get_user_value('check-backends') === null) {
+			let backends = this._settings.get_value('check-backends').deepUnpack();
+			backends[0][2] = this._settings.get_string('check-cmd');
+			this._settings.set_value('check-backends', new GLib.Variant('a(bsssi)', backends));
+		}
+		this._settings.reset('check-cmd');
+	}
+
 	_openSettings() {
 		this._extension.openPreferences();
 	}
@@ -224,7 +393,42 @@ class ArchUpdateIndicator extends Button {
 	}
 
 	_updateNow() {
-		Util.spawnCommandLine(UPDATE_CMD);
+		let unread = this._getUnreadNews();
+		if (unread.length == 0) {
+			Util.spawnCommandLine(UPDATE_CMD);
+			return;
+		}
+		// Make sure news were read before updating, some may require a manual intervention
+		this.menu.close();
+		let dialog = new ModalDialog.ModalDialog();
+		let content = new Dialog.MessageDialogContent({
+			title: __( "There is %d unread Arch Linux news", "There are %d unread Arch Linux news", unread.length ).format(unread.length),
+			description: (unread.some( item => item.manualIntervention ) ? _('Some of them require a manual intervention.') + "\n\n" : '')
+				+ unread.map( item => "• " + item.title ).join("\n"),
+		});
+		dialog.contentLayout.add_child(content);
+		dialog.addButton({
+			label: _('Cancel'),
+			action: () => dialog.close(),
+			key: Clutter.KEY_Escape,
+		});
+		dialog.addButton({
+			label: _('Read news'),
+			action: () => {
+				dialog.close();
+				this._openNews(unread[0]);
+			},
+			default: true,
+		});
+		dialog.addButton({
+			label: _('Update anyway'),
+			action: () => {
+				dialog.close();
+				this._markNewsRead();
+				Util.spawnCommandLine(UPDATE_CMD);
+			},
+		});
+		dialog.open();
 	}
 
 	_applySettings() {
@@ -236,7 +440,9 @@ class ArchUpdateIndicator extends Button {
 		NOTIFY = this._settings.get_boolean('notify');
 		HOWMUCH = this._settings.get_int('howmuch');
 		UPDATE_CMD = this._settings.get_string('update-cmd');
-		CHECK_CMD = this._settings.get_string('check-cmd');
+		CHECK_BACKENDS = this._settings.get_value('check-backends').deepUnpack().map(
+			([enabled, name, command, parser, timeout]) => ({ enabled, name, command, parser, timeout })
+		);
 		DISABLE_PARSING = this._settings.get_boolean('disable-parsing');
 		MANAGER_CMD = this._settings.get_string('package-manager');
 		PACMAN_DIR = this._settings.get_string('pacman-dir');
@@ -246,6 +452,19 @@ class ArchUpdateIndicator extends Button {
 		PACKAGE_INFO_CMD = this._settings.get_string('package-info-cmd');
 		LINKIFY_MENU = this._settings.get_boolean('linkify-menu');
 		SHOW_TIMECHECKED = this._settings.get_boolean('show-timechecked');
+		SECURITY_CMD = this._settings.get_string('security-cmd');
+		PACMAN_LOG = this._settings.get_string('pacman-log');
+		IGNORE_PATTERNS = compilePatterns(this._settings.get_strv('ignore-patterns'));
+		HOLD_PATTERNS = compilePatterns(this._settings.get_strv('hold-patterns'));
+		HOLD_DAYS = this._settings.get_int('hold-days');
+		NOTIFY_MIN_COUNT = this._settings.get_int('notify-min-count');
+		IMPORTANT_PATTERNS = compilePatterns(this._settings.get_strv('important-patterns'));
+		let newsUrl = this._settings.get_string('news-url');
+		if (newsUrl != NEWS_URL) {
+			NEWS_URL = newsUrl;
+			NEWS_ITEMS = [];
+			if (!FIRST_BOOT) this._checkNews();
+		}
 		this.managerMenuItem.visible = ( MANAGER_CMD != "" );
 		this.timeCheckedMenu.visible = SHOW_TIMECHECKED;
 		this._checkShowHide();
@@ -277,6 +496,10 @@ class ArchUpdateIndicator extends Button {
 	destroy() {
 		console.log(`Arch-update : unloading`);
 		this._settings.disconnect( this._settingsChangedId );
+		if (this._dbusService) {
+			this._dbusService.destroy();
+			this._dbusService = null;
+		}
 		if (this._notifSource) {
 			// Delete the notification source, which lay still have a notification shown
 			this._notifSource.destroy();
@@ -287,11 +510,30 @@ class ArchUpdateIndicator extends Button {
 			this.monitor.cancel();
 			this.monitor = null;
 		}
-		if (this._updateProcess_sourceId) {
-			// We leave the checkupdate process end by itself but undef handles to avoid zombies
-			GLib.source_remove(this._updateProcess_sourceId);
-			this._updateProcess_sourceId = null;
-			this._updateProcess_stream = null;
+		if (this._checkRuns) {
+			// Stop waiting for running backends, but leave them end by themselves
+			this._checkRuns.forEach( run => {
+				run.cancellable.cancel();
+				if (run.timeoutId) GLib.source_remove(run.timeoutId);
+			});
+			this._checkRuns = null;
+		}
+		if (this._resolveCancellable) {
+			this._resolveCancellable.cancel();
+			this._resolveCancellable = null;
+		}
+		this._history = null;
+		if (this._securityCancellable) {
+			this._securityCancellable.cancel();
+			this._securityCancellable = null;
+		}
+		if (this._newsCancellable) {
+			this._newsCancellable.cancel();
+			this._newsCancellable = null;
+		}
+		if (this._soupSession) {
+			this._soupSession.abort();
+			this._soupSession = null;
 		}
 		if (this._FirstTimeoutId) {
 			GLib.source_remove(this._FirstTimeoutId);
@@ -352,9 +594,11 @@ class ArchUpdateIndicator extends Button {
 	_onFolderChanged() {
 		// Folder have changed ! Let's schedule a check in a few seconds
 		// This will replace the first check if not done yet, we don't want to do double checking
+		// Packages were most probably upgraded too, time to read pacman log for history
 		if (this._FirstTimeoutId) GLib.source_remove(this._FirstTimeoutId);
 		this._FirstTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 5, ()=>{
 			this._FirstTimeoutId = null;
+			if (PACMAN_LOG) this._history.readPacmanLog(PACMAN_LOG);
 			this._checkUpdates();
 			FIRST_BOOT = 0;
 			return false;
@@ -370,6 +614,19 @@ class ArchUpdateIndicator extends Button {
 			this.checkNowMenuItem.visible = true;
 			this.checkingMenuItem.visible = false;
 		}
+		if (this._dbusService) this._dbusService.checkingChanged();
+	}
+
+	getUpdates() {
+		return UPDATES_PENDING > 0 ? this._updateList : [];
+	}
+
+	getUpdatesCount() {
+		return UPDATES_PENDING;
+	}
+
+	isChecking() {
+		return this.checkingMenuItem.visible;
 	}
 
 	_updateLastCheckMenu() {
@@ -377,45 +634,77 @@ class ArchUpdateIndicator extends Button {
 		this.timeCheckedMenu.visible = SHOW_TIMECHECKED;
 	}
 
+	_applyRules(updates) {
+		// Drop ignored packages, and held ones until they are old enough
+		let now = Date.now() / 1000;
+		return updates.filter( pkg => {
+			if (matchesAny(pkg.name, IGNORE_PATTERNS)) return false;
+			if (HOLD_DAYS > 0 && matchesAny(pkg.name, HOLD_PATTERNS)) {
+				// Not recorded yet means it is being detected right now
+				let detected = this._history ? this._history.getDetectedDate(pkg) : null;
+				if (detected == null || now - detected < HOLD_DAYS * 24 * 60 * 60) return false;
+			}
+			return true;
+		});
+	}
+
+	_shouldNotify(updates) {
+		// Notify for any update, or only when there are enough of them or important ones
+		if (NOTIFY_MIN_COUNT == 0) return true;
+		return updates.length > NOTIFY_MIN_COUNT || updates.some( pkg => matchesAny(pkg.name, IMPORTANT_PATTERNS) );
+	}
+
 	_updateStatus(updatesCount) {
 		updatesCount = typeof updatesCount === 'number' ? updatesCount : UPDATES_PENDING;
+		if (updatesCount >= 0) {
+			// Rules are applied on what was found by the last check, before counting
+			this._updateList = this._applyRules(this._checkedList);
+			updatesCount = this._updateList.length;
+		}
 		if (updatesCount > 0) {
-			// Updates pending
-			this.updateIcon.set_gicon( this._getCustIcon('arch-updates-symbolic') );
+			// Updates pending, security ones get their own icon
+			let hasSecurity = this._updateList.some( pkg => pkg.isSecurity );
+			let statusIcon = hasSecurity ? 'arch-security-symbolic' : 'arch-updates-symbolic';
+			this.updateIcon.set_gicon( this._getCustIcon(statusIcon) );
 			this._updateMenuExpander( true, __( "%d update pending", "%d updates pending", updatesCount ).format(updatesCount) );
 			this.label.set_text(updatesCount.toString());
-			if (NOTIFY && UPDATES_PENDING < updatesCount) {
+			if (NOTIFY && UPDATES_PENDING < updatesCount && this._shouldNotify(this._updateList)) {
 				if (HOWMUCH > 0) {
 					let updateList = [];
 					if (HOWMUCH > 1) {
 						updateList = this._updateList;
 					} else {
 						// Keep only packets that was not in the previous notification
-						updateList = this._updateList.filter(function(pkg) { return UPDATES_LIST.indexOf(pkg) < 0 });
-					}
-					// Filter out titles and whatnot
-					if (!DISABLE_PARSING) {
-						updateList = updateList.filter(function(line) { return RE_UpdateLine.test(line) });
+						updateList = this._updateList.filter(function(pkg) { return !UPDATES_LIST.some(prev => prev.equals(pkg)) });
 					}
+					let newSecurity = updateList.some( pkg => pkg.isSecurity );
 					// If version numbers should be stripped, do it
 					if (STRIP_VERSIONS_N == true) {
-						updateList = updateList.map(function(p) {
+						updateList = updateList.map(function(pkg) {
 							// Try to keep only what's before the first space
-							var chunks = p.split(" ",2);
+							var chunks = pkg.name.split(" ",2);
 							return chunks[0];
 						});
+					} else {
+						updateList = updateList.map(pkg => pkg.toString());
 					}
 					if (updateList.length > 0) {
 						// Show notification only if there's new updates
 						this._showNotification(
-							__( "New Arch Linux Update", "New Arch Linux Updates", updateList.length ),
-							updateList.join(', ')
+							newSecurity ? __( "New Arch Linux Security Update", "New Arch Linux Security Updates", updateList.length )
+								: __( "New Arch Linux Update", "New Arch Linux Updates", updateList.length ),
+							updateList.join(', '),
+							newSecurity ? MessageTray.Urgency.CRITICAL : MessageTray.Urgency.NORMAL,
+							newSecurity ? 'arch-security-symbolic' : 'arch-updates-symbolic'
 						);
 					}
 				} else {
 					this._showNotification(
-						__( "New Arch Linux Update", "New Arch Linux Updates", updatesCount ),
-						__( "There is %d update pending", "There are %d updates pending", updatesCount ).format(updatesCount)
+						hasSecurity ? __( "New Arch Linux Security Update", "New Arch Linux Security Updates", updatesCount )
+							: __( "New Arch Linux Update", "New Arch Linux Updates", updatesCount ),
+						__( "There is %d update pending", "There are %d updates pending", updatesCount ).format(updatesCount),
+						hasSecurity ? MessageTray.Urgency.CRITICAL : MessageTray.Urgency.NORMAL,
+						statusIcon
 					);
 				}
 			}
@@ -428,24 +717,21 @@ class ArchUpdateIndicator extends Button {
 				this.updateIcon.set_gicon( this._getCustIcon('arch-unknown-symbolic') );
 				this._updateMenuExpander( false, '' );
 			} else if (updatesCount == -2) {
-				// Error
+				// Error, on every backend
 				this.updateIcon.set_gicon( this._getCustIcon('arch-error-symbolic') );
-				if (CHECK_CMD === "/usr/bin/checkupdates" && this.lastUnknowErrorString.indexOf("/usr/bin/checkupdates") > 0) {
-					// We do a special change here due to checkupdates moved to pacman-contrib
-					this._updateMenuExpander( false, _("Note : you have to install pacman-contrib to use the 'checkupdates' script.") );
-				} else {
-					this._updateMenuExpander( false, _('Error') + "\n" + this.lastUnknowErrorString );
-				}
+				this._updateMenuExpander( false, _('Error') + "\n" + [...BACKEND_ERRORS.values()].join("\n") );
 			} else {
-				// Up to date
+				// Up to date, some backends may have failed though
 				this.updateIcon.set_gicon( this._getCustIcon('arch-uptodate-symbolic') );
-				this._updateMenuExpander( false, _('Up to date :)') );
+				this._updateMenuExpander( BACKEND_ERRORS.size > 0, _('Up to date :)') );
 				UPDATES_LIST = []; // Reset stored list
 			}
 		}
+		let changed = UPDATES_PENDING != updatesCount || updatesCount > 0;
 		UPDATES_PENDING = updatesCount;
 		this._checkAutoExpandList();
 		this._checkShowHide();
+		if (changed && this._dbusService) this._dbusService.updatesChanged();
 	}
 
 	_updateMenuExpander(enabled, label) {
@@ -458,37 +744,54 @@ class ArchUpdateIndicator extends Button {
 			this.menuExpander._triangle.visible = enabled;
 			this.menuExpander.label.set_text(label);
 			this.menuExpander.visible = true;
-			if (enabled && this._updateList.length > 0) {
+			if (enabled && (this._updateList.length > 0 || BACKEND_ERRORS.size > 0)) {
 				this.menuExpanderContainer.destroy_all_children();
-				this._updateList.forEach( item => {
-					if(DISABLE_PARSING) {
-						var menutext = item;
+				if (DISABLE_PARSING) {
+					// Raw lines, nothing to group
+					this._updateList.forEach( pkg => {
+						var menutext = pkg.name;
 						if (STRIP_VERSIONS) {
 							var chunks = menutext.split(" ",2);
 							menutext = chunks[0];
 						}
 						this.menuExpanderContainer.add_child( this._createPackageLabel(menutext) );
-					} else {
-						let matches = item.match(RE_UpdateLine);
-						if (matches == null) {
-							// Not an update
-							this.menuExpanderContainer.add_child( new St.Label({ text: item, style_class: 'arch-updates-update-title' }) );
-						} else {
-							let hBox = new St.BoxLayout({ vertical: false, style_class: 'arch-updates-update-line' });
-							hBox.add_child( this._createPackageLabel(matches[1]) );
-							if (!STRIP_VERSIONS) {
-								hBox.add_child( new St.Label({
-									text: matches[2] + " → ",
-									y_expand: true,
-									y_align: Clutter.ActorAlign.CENTER,
-									style_class: 'arch-updates-update-version-from' }) );
-								hBox.add_child( new St.Label({
-									text: matches[3],
-									style_class: 'arch-updates-update-version-to' }) );
-							}
-							this.menuExpanderContainer.add_child( hBox );
-						}
+					} );
+				} else {
+					// Security updates come first, most severe at the top
+					let security = this._updateList.filter( pkg => pkg.isSecurity ).sort(
+						(a, b) => compareSeverities(a.advisory.severity, b.advisory.severity) || a.name.localeCompare(b.name)
+					);
+					if (security.length > 0) {
+						this.menuExpanderContainer.add_child( new St.Label({
+							text: "%s (%d)".format(_('Security'), security.length),
+							style_class: 'arch-updates-update-title' }) );
+						security.forEach( pkg => {
+							this.menuExpanderContainer.add_child( this._createUpdateLine(pkg) );
+						} );
 					}
+					groupBySource(this._updateList.filter( pkg => !pkg.isSecurity )).forEach( ([source, updates]) => {
+						this.menuExpanderContainer.add_child( new St.Label({
+							text: "%s (%d)".format(this._sourceLabel(source), updates.length),
+							style_class: 'arch-updates-update-title' }) );
+						updates.forEach( pkg => {
+							this.menuExpanderContainer.add_child( this._createUpdateLine(pkg) );
+						} );
+					} );
+				}
+				let hidden = this._checkedList.length - this._updateList.length;
+				if (hidden > 0) {
+					this.menuExpanderContainer.add_child( new St.Label({
+						text: __( "%d update ignored or held", "%d updates ignored or held", hidden ).format(hidden),
+						style_class: 'arch-updates-update-hidden' }) );
+				}
+				// Failing backends get their own section
+				BACKEND_ERRORS.forEach( (error, name) => {
+					this.menuExpanderContainer.add_child( new St.Label({
+						text: "%s (%s)".format(name, _('Error')),
+						style_class: 'arch-updates-update-title' }) );
+					this.menuExpanderContainer.add_child( new St.Label({
+						text: error,
+						style_class: 'arch-updates-update-error' }) );
 				} );
 			}
 		}
@@ -507,8 +810,52 @@ class ArchUpdateIndicator extends Button {
 		}
 	}
 
-	_createPackageLabel(name) {
-		if (PACKAGE_INFO_CMD) {
+	_sourceLabel(source) {
+		if (source == SOURCE_UNKNOWN) return _('Other');
+		return source;
+	}
+
+	_createUpdateLine(pkg) {
+		let hBox = new St.BoxLayout({ vertical: false, style_class: 'arch-updates-update-line' });
+		hBox.add_child( this._createPackageLabel(pkg.name, pkg) );
+		if (!STRIP_VERSIONS && pkg.oldVersion != '') {
+			hBox.add_child( new St.Label({
+				text: pkg.oldVersion + " → ",
+				y_expand: true,
+				y_align: Clutter.ActorAlign.CENTER,
+				style_class: 'arch-updates-update-version-from' }) );
+		}
+		if (!STRIP_VERSIONS && pkg.newVersion != '') {
+			hBox.add_child( new St.Label({
+				text: pkg.newVersion,
+				style_class: 'arch-updates-update-version-to' }) );
+		}
+		if (pkg.downloadSize >= 0) {
+			hBox.add_child( new St.Label({
+				text: GLib.format_size(pkg.downloadSize),
+				y_expand: true,
+				y_align: Clutter.ActorAlign.CENTER,
+				style_class: 'arch-updates-update-size' }) );
+		}
+		if (!pkg.isSecurity) return hBox;
+		// Tell what the update fixes on a second line
+		hBox.add_child( new St.Label({
+			text: pkg.advisory.severity,
+			y_expand: true,
+			y_align: Clutter.ActorAlign.CENTER,
+			style_class: 'arch-updates-update-severity arch-updates-update-severity-' + pkg.advisory.severity.toLowerCase() }) );
+		let vBox = new St.BoxLayout({ vertical: true });
+		vBox.add_child( hBox );
+		if (pkg.advisory.cves.length > 0) {
+			vBox.add_child( new St.Label({
+				text: pkg.advisory.cves.join(', '),
+				style_class: 'arch-updates-update-cves' }) );
+		}
+		return vBox;
+	}
+
+	_createPackageLabel(name, pkg = null) {
+		if (pkg || PACKAGE_INFO_CMD) {
 			let label = new St.Label({
 				text: name,
 				x_expand: true,
@@ -518,7 +865,11 @@ class ArchUpdateIndicator extends Button {
 				child: label,
 				x_expand: true
 			});
-			button.connect('clicked', this._packageInfo.bind(this, name));
+			if (pkg) {
+				button.connect('clicked', this._packageDetails.bind(this, pkg));
+			} else {
+				button.connect('clicked', this._packageInfo.bind(this, name));
+			}
 			return button;
 		} else {
 			return new St.Label({
@@ -529,6 +880,50 @@ class ArchUpdateIndicator extends Button {
 		}
 	}
 
+	_packageDetails(pkg) {
+		// Show what we know about this package history, and where to find what changed
+		this.menu.close();
+		let history = this._history.getPackageHistory(pkg.name);
+		let lines = history.map( entry => {
+			let date = new Date(entry.date * 1000).toLocaleString();
+			let versions = [entry.oldVersion, entry.newVersion].filter( v => v != '' ).join(" → ");
+			return "%s  %s  %s".format(date, getActionLabel(entry.action, _), versions);
+		});
+		let dialog = new ModalDialog.ModalDialog();
+		let content = new Dialog.MessageDialogContent({
+			title: pkg.name,
+			description: pkg.toString() + "\n\n" + (lines.length > 0 ? lines.join("\n") : _('No history for this package yet')),
+		});
+		dialog.contentLayout.add_child(content);
+		dialog.addButton({
+			label: _('Close'),
+			action: () => dialog.close(),
+			key: Clutter.KEY_Escape,
+			default: true,
+		});
+		if (PACKAGE_INFO_CMD) {
+			dialog.addButton({
+				label: _('Package info'),
+				action: () => {
+					dialog.close();
+					this._packageInfo(pkg.name);
+				},
+			});
+		}
+		dialog.addButton({
+			label: _('Changelog'),
+			action: () => {
+				dialog.close();
+				try {
+					Gio.AppInfo.launch_default_for_uri(getChangelogUrl(pkg.base, pkg.source), global.create_app_launch_context(0, -1));
+				} catch (err) {
+					console.log(`Arch-update : unable to open changelog ` + err.message);
+				}
+			},
+		});
+		dialog.open();
+	}
+
 	_packageInfo(item) {
 		this.menu.close();
 		let proc = this.launcher.spawnv(['pacman', '-Si', item]);
@@ -551,27 +946,19 @@ class ArchUpdateIndicator extends Button {
 	_checkUpdates() {
 		// Remove timer if any (in case the trigger was menu or external)
 		if (this._TimeoutId) { GLib.source_remove(this._TimeoutId) ; this._TimeoutId = null }
-		if(this._updateProcess_sourceId) {
+		if (this._checkRuns) {
 			// A check is already running ! Maybe we should kill it and run another one ?
 			return;
 		}
-		// Run asynchronously, to avoid  shell freeze - even for a 1s check
+		// News are fetched along with updates
+		this._checkNews();
+		// Run all enabled backends in parallel and asynchronously, to avoid shell freeze - even for a 1s check
 		this._showChecking(true);
-		try {
-			// Parse check command line
-			let [parseok, argvp] = GLib.shell_parse_argv( CHECK_CMD );
-			if (!parseok) { throw 'Parse error' };
-			let [res, pid, in_fd, out_fd, err_fd]  = GLib.spawn_async_with_pipes(null, argvp, null, GLib.SpawnFlags.DO_NOT_REAP_CHILD, null);
-			// Let's buffer the command's output - that's a input for us !
-			this._updateProcess_stream = new Gio.DataInputStream({
-				base_stream: new GioUnix.InputStream({fd: out_fd})
-			});
-			// We will process the output at once when it's done
-			this._updateProcess_sourceId = GLib.child_watch_add(0, pid, () => {this._checkUpdatesRead()} );
-			this._updateProcess_pid = pid;
-		} catch (err) {
+		this._checkRuns = CHECK_BACKENDS.filter( backend => backend.enabled ).map( backend => this._runBackend(backend) );
+		if (this._checkRuns.length == 0) {
+			this._checkRuns = null;
 			this._showChecking(false);
-			this.lastUnknowErrorString = err.message.toString();
+			BACKEND_ERRORS = new Map([[_('Settings'), _('No backend is enabled to check for updates')]]);
 			this._updateStatus(-2);
 		}
 		// Update last check (start) time and schedule next check even if the current one is not done yet
@@ -582,42 +969,320 @@ class ArchUpdateIndicator extends Button {
 		this._scheduleCheck();
 	}
 
+	_runBackend(backend) {
+		let run = {
+			backend: backend,
+			proc: null,
+			cancellable: new Gio.Cancellable(),
+			timeoutId: null,
+			done: false,
+			updates: [],
+			error: null,
+		};
+		try {
+			let parser = BACKEND_PARSERS[backend.parser];
+			if (!parser) { throw new Error(_('Unknown parser') + " : " + backend.parser) };
+			// Parse check command line
+			let [parseok, argvp] = GLib.shell_parse_argv( backend.command );
+			if (!parseok) { throw new Error('Parse error') };
+			run.proc = this.launcher.spawnv(argvp);
+			// We will process the output at once when it's done
+			run.proc.communicate_utf8_async(null, run.cancellable, (proc, res) => {
+				try {
+					let [, stdout, stderr] = proc.communicate_utf8_finish(res);
+					this._checkUpdatesRead(run, parser, stdout, stderr);
+				} catch (err) {
+					if (err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+					run.error = err.message;
+				}
+				this._backendDone(run);
+			});
+			if (backend.timeout > 0) {
+				run.timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, backend.timeout, () => {
+					run.timeoutId = null;
+					run.proc.force_exit();
+					run.error = _('Timed out');
+					return false;
+				});
+			}
+		} catch (err) {
+			if (backend.command.startsWith("/usr/bin/checkupdates") && err.message.indexOf("/usr/bin/checkupdates") >= 0) {
+				// We do a special change here due to checkupdates moved to pacman-contrib
+				run.error = _("Note : you have to install pacman-contrib to use the 'checkupdates' script.");
+			} else {
+				run.error = err.message.toString();
+			}
+			// Let other runs be prepared before ending this one
+			GLib.idle_add(GLib.PRIORITY_DEFAULT, () => { this._backendDone(run); return false; });
+		}
+		return run;
+	}
+
 	_cancelCheck() {
-		if (this._updateProcess_pid == null) { return; };
-		Util.spawnCommandLine( "kill " + this._updateProcess_pid );
-		this._updateProcess_pid = null; // Prevent double kill
-		this._checkUpdatesEnd();
+		if (this._checkRuns == null) { return; };
+		this._checkRuns.forEach( run => {
+			if (!run.done && run.proc) {
+				run.proc.force_exit();
+				if (!run.error) run.error = _('Canceled');
+			}
+		});
 	}
 
-	_checkUpdatesRead() {
+	_checkUpdatesRead(run, parser, stdout, stderr) {
+		// Check if the backend failed
+		let status = run.proc.get_if_exited() ? run.proc.get_exit_status() : -1;
+		if (run.error) {
+			// Timed out or canceled
+			return;
+		} else if (!parser.okStatus.includes(status) || (status != 0 && stderr.trim() != '')) {
+			run.error = stderr.trim() || _('Exited with status %d').format(status);
+			return;
+		}
 		// Read the buffered output
-		let updateList = [];
-		let out, size;
-		do {
-			[out, size] = this._updateProcess_stream.read_line_utf8(null);
-			if (out) updateList.push(out);
-		} while (out);
-		this._updateList = updateList;
-		this._checkUpdatesEnd();
+		stdout.split("\n").forEach( line => {
+			if (!line) return;
+			// Lines that are not updates (titles and whatnot) are dropped
+			let pkg = DISABLE_PARSING ? new PackageUpdate(line) : parser.parse(line);
+			if (pkg) run.updates.push(pkg);
+		});
+	}
+
+	_backendDone(run) {
+		if (run.done) return;
+		run.done = true;
+		if (run.timeoutId) {
+			GLib.source_remove(run.timeoutId);
+			run.timeoutId = null;
+		}
+		if (this._checkRuns && this._checkRuns.every( r => r.done )) {
+			this._checkUpdatesEnd();
+		}
 	}
 
 	_checkUpdatesEnd() {
-		// Free resources
-		this._updateProcess_stream.close(null);
-		this._updateProcess_stream = null;
-		GLib.source_remove(this._updateProcess_sourceId);
-		this._updateProcess_sourceId = null;
-		this._updateProcess_pid = null;
-		// Update indicator
-		this._showChecking(false);
-		if (DISABLE_PARSING) {
-			this._updateStatus(this._updateList.length);
+		let runs = this._checkRuns;
+		this._checkRuns = null;
+		// Merge results, keeping errors apart for each backend
+		BACKEND_ERRORS = new Map();
+		let checkedList = [];
+		runs.forEach( run => {
+			if (run.error) {
+				BACKEND_ERRORS.set(run.backend.name, run.error);
+			} else {
+				checkedList = checkedList.concat(run.updates);
+			}
+		});
+		this._checkedList = CHECKED_LIST = checkedList;
+		let updatesCount = runs.every( run => run.error ) ? -2 : checkedList.length;
+		if (DISABLE_PARSING || checkedList.length == 0) {
+			// Nothing is known to be pending when every backend failed,
+			// and unparsed lines carry no package name to record
+			if (updatesCount >= 0 && !DISABLE_PARSING) this._history.addDetected(checkedList);
+			this._showChecking(false);
+			this._updateStatus(updatesCount);
 		} else {
-			this._updateStatus(this._updateList.filter(function(line) { return RE_UpdateLine.test(line) }).length);
+			// Find out where updates come from and what they fix before displaying them
+			this._resolveSources(checkedList, () => {
+				this._resolveAdvisories(checkedList, () => {
+					this._history.addDetected(checkedList);
+					this._showChecking(false);
+					this._updateStatus(updatesCount);
+				});
+			});
+		}
+	}
+
+	_resolveSources(updates, callback) {
+		// Ask pacman about all packages at once, for repository and download size
+		// Packages unknown to pacman sync databases are considered coming from AUR
+		let pending = updates.filter( pkg => pkg.source == SOURCE_UNKNOWN );
+		if (pending.length == 0) {
+			callback();
+			return;
+		}
+		let proc;
+		try {
+			proc = this.launcher.spawnv(['pacman', '-Si', '--'].concat(pending.map( pkg => pkg.name )));
+		} catch (err) {
+			// No pacman there, leave sources unknown
+			console.log(`Arch-update : unable to resolve sources ` + err.message);
+			callback();
+			return;
 		}
+		if (this._resolveCancellable) this._resolveCancellable.cancel();
+		this._resolveCancellable = new Gio.Cancellable();
+		proc.communicate_utf8_async(null, this._resolveCancellable, (proc, res) => {
+			let stdout;
+			try {
+				[,stdout,] = proc.communicate_utf8_finish(res);
+			} catch (err) {
+				// Cancelled, most probably because we are being destroyed
+				if (err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+				// Any other failure leaves sources unknown
+				this._resolveCancellable = null;
+				console.log(`Arch-update : unable to resolve sources ` + err.message);
+				callback();
+				return;
+			}
+			this._resolveCancellable = null;
+			// pacman exits with an error if any package is not found, but still prints others
+			let found = new Map();
+			stdout.split(/\n\s*\n/).forEach( block => {
+				let name = block.match(/^Name\s+:\s+(\S+)/m);
+				let repo = block.match(/^Repository\s+:\s+(\S+)/m);
+				let size = block.match(/^Download Size\s+:\s+(.+)$/m);
+				let base = block.match(/^Base\s+:\s+(\S+)/m);
+				if (name && repo && !found.has(name[1])) {
+					found.set(name[1], { repo: repo[1], size: size ? parseSize(size[1].trim()) : -1, base: base ? base[1] : name[1] });
+				}
+			});
+			pending.forEach( pkg => {
+				let info = found.get(pkg.name);
+				if (info) {
+					pkg.source = info.repo;
+					pkg.downloadSize = info.size;
+					pkg.base = info.base;
+				} else {
+					pkg.source = 'AUR';
+				}
+			});
+			callback();
+		});
+	}
+
+	_checkNews() {
+		if (this._newsCancellable) this._newsCancellable.cancel();
+		if (!NEWS_URL) {
+			NEWS_ITEMS = [];
+			this._updateNewsMenu();
+			return;
+		}
+		if (!this._soupSession) this._soupSession = new Soup.Session({ timeout: 30 });
+		this._newsCancellable = new Gio.Cancellable();
+		fetchNews(this._soupSession, NEWS_URL, this._newsCancellable, (items, error) => {
+			this._newsCancellable = null;
+			NEWS_ITEMS = items;
+			this._updateNewsMenu();
+			// Tell about news that were not notified yet
+			let unread = this._getUnreadNews().filter( item => !NEWS_NOTIFIED.has(item.guid) );
+			unread.forEach( item => NEWS_NOTIFIED.add(item.guid) );
+			if (NOTIFY && unread.length > 0) {
+				this._showNotification(
+					_('Arch Linux news'),
+					unread.map( item => item.title ).join(', '),
+					unread.some( item => item.manualIntervention ) ? MessageTray.Urgency.HIGH : MessageTray.Urgency.NORMAL
+				);
+			}
+		});
+	}
+
+	_getLastUpgrade() {
+		// pacman local dir is changed by every transaction, that's when we consider news were read
+		try {
+			let info = Gio.File.new_for_path(PACMAN_DIR).query_info('time::modified', Gio.FileQueryInfoFlags.NONE, null);
+			return info.get_modification_date_time().to_unix();
+		} catch (err) {
+			return 0;
+		}
+	}
+
+	_getUnreadNews() {
+		let readDate = Math.max(this._settings.get_int64('news-read-date'), this._getLastUpgrade());
+		return NEWS_ITEMS.filter( item => item.date.getTime() / 1000 > readDate );
+	}
+
+	_markNewsRead() {
+		this._settings.set_int64('news-read-date', Math.floor(Date.now() / 1000));
+		this._updateNewsMenu();
+	}
+
+	_openNews(item) {
+		this.menu.close();
+		if (!item.link) return;
+		try {
+			Gio.AppInfo.launch_default_for_uri(item.link, global.create_app_launch_context(0, -1));
+		} catch (err) {
+			console.log(`Arch-update : unable to open news ` + err.message);
+		}
+	}
+
+	_updateNewsMenu() {
+		let unread = this._settings ? this._getUnreadNews() : [];
+		this.newsMenuSection.removeAll();
+		this.newsMenuExpander.visible = unread.length > 0;
+		if (unread.length == 0) return;
+		this.newsMenuExpander.label.set_text( __( "%d unread news", "%d unread news", unread.length ).format(unread.length) );
+		unread.forEach( item => {
+			let menuItem = new PopupMenu.PopupMenuItem( item.date.toLocaleDateString() + "  " + item.title );
+			if (item.manualIntervention) {
+				menuItem.label.add_style_class_name('arch-updates-news-intervention');
+			}
+			menuItem.connect('activate', this._openNews.bind(this, item));
+			this.newsMenuSection.addMenuItem(menuItem);
+		});
+	}
+
+	_resolveAdvisories(updates, callback) {
+		// Security data comes from either a JSON file or a command like arch-audit
+		updates.forEach( pkg => { pkg.advisory = null } );
+		if (!SECURITY_CMD) {
+			callback();
+			return;
+		}
+		let apply = (text) => {
+			try {
+				let advisories = parseAdvisories(text);
+				updates.forEach( pkg => { pkg.advisory = advisories.get(pkg.name) || null } );
+			} catch (err) {
+				console.log(`Arch-update : unable to parse security advisories ` + err.message);
+			}
+			callback();
+		};
+		if (this._securityCancellable) this._securityCancellable.cancel();
+		this._securityCancellable = new Gio.Cancellable();
+		let cancellable = this._securityCancellable;
+		let path = SECURITY_CMD.startsWith('file://') ? Gio.File.new_for_uri(SECURITY_CMD).get_path() : SECURITY_CMD;
+		if (GLib.path_is_absolute(path) && GLib.file_test(path, GLib.FileTest.IS_REGULAR) && !GLib.file_test(path, GLib.FileTest.IS_EXECUTABLE)) {
+			Gio.File.new_for_path(path).load_contents_async(cancellable, (file, res) => {
+				let contents;
+				try {
+					[, contents] = file.load_contents_finish(res);
+				} catch (err) {
+					if (err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+					console.log(`Arch-update : unable to read security advisories ` + err.message);
+					contents = new Uint8Array();
+				}
+				this._securityCancellable = null;
+				apply(new TextDecoder().decode(contents));
+			});
+			return;
+		}
+		let proc;
+		try {
+			let [, argvp] = GLib.shell_parse_argv( SECURITY_CMD );
+			proc = this.launcher.spawnv(argvp);
+		} catch (err) {
+			// Most probably arch-audit is not installed
+			console.log(`Arch-update : unable to check security advisories ` + err.message);
+			this._securityCancellable = null;
+			callback();
+			return;
+		}
+		// arch-audit exit status is not meaningful, only its output is
+		proc.communicate_utf8_async(null, cancellable, (proc, res) => {
+			let stdout;
+			try {
+				[, stdout, ] = proc.communicate_utf8_finish(res);
+			} catch (err) {
+				if (err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+				stdout = '';
+			}
+			this._securityCancellable = null;
+			apply(stdout || '');
+		});
 	}
 
-	_showNotification(title, message) {
+	_showNotification(title, message, urgency = MessageTray.Urgency.NORMAL, iconName = 'arch-updates-symbolic') {
 		// Destroy previous notification if still there
 		if (this._notification) {
 			this._notification.destroy(MessageTray.NotificationDestroyedReason.REPLACED);
@@ -638,9 +1303,10 @@ class ArchUpdateIndicator extends Button {
 		this._notification = new MessageTray.Notification({
 			source: this._notifSource,
 			title: title,
-			body: message
+			body: message,
+			urgency: urgency,
 		});
-		this._notification.gicon = this._getCustIcon("arch-updates-symbolic");
+		this._notification.gicon = this._getCustIcon(iconName);
 		this._notification.addAction( _('Update now') , ()=>{this._updateNow();} );
 		this._notification.connect('destroy', ()=>{this._notification = null;});
 		this._notifSource.addNotification(this._notification);
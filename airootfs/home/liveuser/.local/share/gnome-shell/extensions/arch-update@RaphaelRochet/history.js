@@ -0,0 +1,299 @@
+/*
+    This file is part of Arch Linux Updates Indicator
+
+    Arch Linux Updates Indicator is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Arch Linux Updates Indicator is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Arch Linux Updates Indicator.  If not, see <http://www.gnu.org/licenses/>.
+
+    Copyright 2016-2022 Raphaël Rochet
+*/
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+/* Older entries are dropped past this count */
+const MAX_ENTRIES = 5000;
+
+/* pacman.log transaction lines : "[2024-05-01T10:00:00+0200] [ALPM] upgraded linux (6.8.1.arch1-1 -> 6.8.2.arch1-1)" */
+const RE_LogLine = /^\[([^\]]+)\] \[ALPM\] (upgraded|downgraded|reinstalled|installed|removed) (\S+) \((.+?)(?: -> (.+))?\)$/;
+
+function parseLogDate(text) {
+	// Old pacman versions logged "2019-01-01 10:00" in local time
+	let date = GLib.DateTime.new_from_iso8601(text.replace(' ', 'T'), GLib.TimeZone.new_local());
+	return date ? date.to_unix() : 0;
+}
+
+export function getHistoryFile() {
+	return Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), 'arch-update', 'history.json']));
+}
+
+/* Read a stream up to its end, callback gets null on failure */
+function readChunks(stream, chunks, callback) {
+	stream.read_bytes_async(64 * 1024, GLib.PRIORITY_DEFAULT, null, (stream, res) => {
+		let bytes;
+		try {
+			bytes = stream.read_bytes_finish(res);
+		} catch (err) {
+			console.log(`Arch-update : unable to read pacman log ` + err.message);
+			stream.close_async(GLib.PRIORITY_DEFAULT, null, null);
+			callback(null);
+			return;
+		}
+		if (bytes.get_size() == 0) {
+			stream.close_async(GLib.PRIORITY_DEFAULT, null, null);
+			callback(chunks);
+			return;
+		}
+		chunks.push(bytes.toArray());
+		readChunks(stream, chunks, callback);
+	});
+}
+
+/*
+	Persistent history of detected and applied updates.
+	Entries are { date, action, name, oldVersion, newVersion, source }, date being a unix timestamp
+	and action one of detected, upgraded, downgraded, reinstalled, installed or removed.
+	Detected entries of updates found by the last check are also marked pending.
+*/
+export class UpdateHistory {
+	constructor() {
+		this.entries = [];
+		this._logOffset = -1; // -1 until known, pacman log is then read from its end
+		this._file = getHistoryFile();
+		this._queue = [];
+		this._saving = false;
+		this._saveAgain = false;
+	}
+
+	/* Loading, reading pacman log and recording updates run one after the other, each one calls done when finished */
+	_enqueue(task) {
+		this._queue.push(task);
+		if (this._queue.length == 1) this._runNext();
+	}
+
+	_runNext() {
+		if (this._queue.length == 0) return;
+		this._queue[0]( () => {
+			this._queue.shift();
+			this._runNext();
+		});
+	}
+
+	load(callback) {
+		this._enqueue( done => {
+			this._file.load_contents_async(null, (file, res) => {
+				try {
+					let [, contents] = file.load_contents_finish(res);
+					let data = JSON.parse(new TextDecoder().decode(contents));
+					this.entries = data.entries || [];
+					this._logOffset = ("logOffset" in data) ? data.logOffset : -1;
+				} catch (err) {
+					// No history yet
+				}
+				if (callback) callback();
+				done();
+			});
+		});
+	}
+
+	save() {
+		if (this.entries.length > MAX_ENTRIES) {
+			// Oldest entries go first, but held updates depend on pending ones
+			let extra = this.entries.length - MAX_ENTRIES;
+			this.entries = this.entries.filter( entry => entry.pending || extra-- <= 0 );
+		}
+		// Never write twice at once, the last state is written again once the current write is over
+		if (this._saving) {
+			this._saveAgain = true;
+			return;
+		}
+		try {
+			this._file.get_parent().make_directory_with_parents(null);
+		} catch (err) {
+			if (!err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+				console.log(`Arch-update : unable to create history directory ` + err.message);
+				return;
+			}
+		}
+		let bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify({
+			logOffset: this._logOffset,
+			entries: this.entries,
+		})));
+		this._saving = true;
+		this._file.replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (file, res) => {
+			try {
+				file.replace_contents_finish(res);
+			} catch (err) {
+				console.log(`Arch-update : unable to save history ` + err.message);
+			}
+			this._saving = false;
+			if (this._saveAgain) {
+				this._saveAgain = false;
+				this.save();
+			}
+		});
+	}
+
+	/* Record updates found by a check, unless they were already seen */
+	addDetected(updates) {
+		this._enqueue( done => {
+			let now = Math.floor(Date.now() / 1000);
+			let changed = false;
+			let pending = new Set();
+			updates.forEach( pkg => {
+				let entry = this._findDetected(pkg);
+				if (entry == null) {
+					entry = {
+						date: now,
+						action: 'detected',
+						name: pkg.name,
+						oldVersion: pkg.oldVersion,
+						newVersion: pkg.newVersion,
+						source: pkg.source,
+					};
+					this.entries.push(entry);
+				}
+				if (!entry.pending) {
+					entry.pending = true;
+					changed = true;
+				}
+				pending.add(entry);
+			});
+			// Updates without versions are told apart only by leaving the list in between
+			this.entries.filter( entry => entry.pending && !pending.has(entry) ).forEach( entry => {
+				delete entry.pending;
+				changed = true;
+			});
+			if (changed) this.save();
+			done();
+		});
+	}
+
+	_findDetected(pkg) {
+		if (pkg.hasVersions) {
+			return this.entries.find( entry => entry.action == 'detected' && entry.name == pkg.name && entry.newVersion == pkg.newVersion ) || null;
+		}
+		return this.entries.find( entry => entry.action == 'detected' && entry.pending && entry.name == pkg.name && entry.newVersion == '' ) || null;
+	}
+
+	/* Read transactions logged by pacman since last time */
+	readPacmanLog(path, callback) {
+		this._enqueue( done => {
+			this._readLogTail(Gio.File.new_for_path(path), () => {
+				if (callback) callback();
+				done();
+			});
+		});
+	}
+
+	_readLogTail(file, callback) {
+		file.query_info_async(Gio.FILE_ATTRIBUTE_STANDARD_SIZE, Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null, (file, res) => {
+			let size;
+			try {
+				size = file.query_info_finish(res).get_size();
+			} catch (err) {
+				console.log(`Arch-update : unable to read pacman log ` + err.message);
+				callback();
+				return;
+			}
+			if (this._logOffset < 0) {
+				// No history yet, only keep track of what happens from now on
+				this._logOffset = size;
+				this.save();
+				callback();
+				return;
+			}
+			// The log was rotated or truncated, read it again from its start
+			if (size < this._logOffset) this._logOffset = 0;
+			if (size == this._logOffset) {
+				callback();
+				return;
+			}
+			file.read_async(GLib.PRIORITY_DEFAULT, null, (file, res) => {
+				let stream;
+				try {
+					stream = file.read_finish(res);
+					stream.seek(this._logOffset, GLib.SeekType.SET, null);
+				} catch (err) {
+					console.log(`Arch-update : unable to read pacman log ` + err.message);
+					if (stream) stream.close_async(GLib.PRIORITY_DEFAULT, null, null);
+					callback();
+					return;
+				}
+				readChunks(stream, [], chunks => {
+					if (chunks == null) {
+						callback();
+						return;
+					}
+					let tail = new Uint8Array(chunks.reduce( (length, chunk) => length + chunk.length, 0 ));
+					chunks.reduce( (offset, chunk) => {
+						tail.set(chunk, offset);
+						return offset + chunk.length;
+					}, 0);
+					// pacman may be writing a line right now, leave it for next time
+					let end = tail.lastIndexOf(10) + 1;
+					this._addLogLines(new TextDecoder().decode(tail.subarray(0, end)));
+					this._logOffset += end;
+					this.save();
+					callback();
+				});
+			});
+		});
+	}
+
+	_addLogLines(text) {
+		text.split("\n").forEach( line => {
+			let m = line.match(RE_LogLine);
+			if (m == null) return;
+			let removed = m[2] == 'removed';
+			this.entries.push({
+				date: parseLogDate(m[1]),
+				action: m[2],
+				name: m[3],
+				oldVersion: (m[5] || removed) ? m[4] : '',
+				newVersion: m[5] || (removed ? '' : m[4]),
+				source: '',
+			});
+		});
+	}
+
+	/* When this update was first detected, null if it never was */
+	getDetectedDate(pkg) {
+		let entry = this._findDetected(pkg);
+		return entry ? entry.date : null;
+	}
+
+	/* Most recent entries first */
+	getPackageHistory(name, count = 10) {
+		return this.entries.filter( entry => entry.name == name ).slice(-count).reverse();
+	}
+}
+
+/* Shared by the extension and its preferences, each one giving its own gettext */
+export function getActionLabel(action, _) {
+	switch (action) {
+		case 'detected': return _('Detected');
+		case 'upgraded': return _('Upgraded');
+		case 'downgraded': return _('Downgraded');
+		case 'reinstalled': return _('Reinstalled');
+		case 'installed': return _('Installed');
+		case 'removed': return _('Removed');
+	}
+	return action;
+}
+
+/* Where to look for what changed in a package, split packages are found under their pkgbase */
+export function getChangelogUrl(name, source) {
+	if (source == 'AUR') return `https://aur.archlinux.org/cgit/aur.git/log/?h=${encodeURIComponent(name)}`;
+	if (source == 'Flatpak') return `https://flathub.org/apps/${encodeURIComponent(name)}`;
+	return `https://gitlab.archlinux.org/archlinux/packaging/packages/${encodeURIComponent(name)}/-/commits/main`;
+}
@@ -0,0 +1,150 @@
+/*
+    This file is part of Arch Linux Updates Indicator
+
+    Arch Linux Updates Indicator is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Arch Linux Updates Indicator is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Arch Linux Updates Indicator.  If not, see <http://www.gnu.org/licenses/>.
+
+    Copyright 2016-2022 Raphaël Rochet
+*/
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup';
+
+/* News asking for a manual intervention have it said in their title, sometimes only in their text */
+const RE_ManualIntervention = /manual intervention|requires? (user )?intervention/i;
+
+const XML_ENTITIES = { 'lt': '<', 'gt': '>', 'quot': '"', 'apos': "'", 'amp': '&' };
+
+function decodeXml(text) {
+	let cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+	if (cdata) return cdata[1];
+	return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+		if (code[0] == '#') {
+			let n = code[1].toLowerCase() == 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+			return String.fromCodePoint(n);
+		}
+		return code in XML_ENTITIES ? XML_ENTITIES[code] : entity;
+	}).trim();
+}
+
+function getTag(xml, name) {
+	let m = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+	return m ? decodeXml(m[1]) : '';
+}
+
+/* Extract news items, newest first, from a RSS feed */
+export function parseFeed(text) {
+	let items = [];
+	for (let m of text.matchAll(/<item\b[^>]*>([\s\S]*?)<\/item>/g)) {
+		let title = getTag(m[1], 'title');
+		let link = getTag(m[1], 'link');
+		let description = getTag(m[1], 'description');
+		let date = new Date(getTag(m[1], 'pubDate'));
+		if (isNaN(date)) date = new Date(0);
+		items.push({
+			guid: getTag(m[1], 'guid') || link || title,
+			title: title,
+			link: link,
+			date: date,
+			manualIntervention: RE_ManualIntervention.test(title) || RE_ManualIntervention.test(description),
+		});
+	}
+	return items.sort( (a, b) => b.date - a.date );
+}
+
+function getCacheFile() {
+	return Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_cache_dir(), 'arch-update', 'news.xml']));
+}
+
+function saveCache(bytes) {
+	let file = getCacheFile();
+	try {
+		file.get_parent().make_directory_with_parents(null);
+	} catch (err) {
+		if (!err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+			console.log(`Arch-update : unable to create news cache directory ` + err.message);
+			return;
+		}
+	}
+	file.replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (file, res) => {
+		try {
+			file.replace_contents_finish(res);
+		} catch (err) {
+			console.log(`Arch-update : unable to cache news ` + err.message);
+		}
+	});
+}
+
+function loadCache(cancellable, callback) {
+	getCacheFile().load_contents_async(cancellable, (file, res) => {
+		let items = [];
+		try {
+			let [, contents] = file.load_contents_finish(res);
+			items = parseFeed(new TextDecoder().decode(contents));
+		} catch (err) {
+			// Cancelled, the caller is gone
+			if (err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+			// Otherwise no cache yet
+		}
+		callback(items);
+	});
+}
+
+/*
+	Fetch the news feed from url, which may be a http(s) URL, any URI Gio knows or a local path.
+	The last feed successfully fetched is cached so that news are still known when offline.
+	callback(items, error) gets error set to a message when the cached copy had to be used.
+*/
+export function fetchNews(session, url, cancellable, callback) {
+	let done = (bytes, error) => {
+		if (bytes) {
+			saveCache(bytes);
+			callback(parseFeed(new TextDecoder().decode(bytes.toArray())), null);
+		} else {
+			console.log(`Arch-update : unable to fetch news, using cache ` + error);
+			loadCache(cancellable, items => callback(items, error) );
+		}
+	};
+	if (/^https?:\/\//.test(url)) {
+		let message;
+		try {
+			message = Soup.Message.new('GET', url);
+		} catch (err) {
+			done(null, err.message);
+			return;
+		}
+		session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, cancellable, (session, res) => {
+			try {
+				let bytes = session.send_and_read_finish(res);
+				if (message.get_status() != Soup.Status.OK) {
+					done(null, message.get_reason_phrase());
+				} else {
+					done(bytes, null);
+				}
+			} catch (err) {
+				if (!err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) done(null, err.message);
+			}
+		});
+	} else {
+		let file = url.includes('://') ? Gio.File.new_for_uri(url) : Gio.File.new_for_path(url);
+		file.load_contents_async(cancellable, (file, res) => {
+			try {
+				let [, contents] = file.load_contents_finish(res);
+				done(new GLib.Bytes(contents), null);
+			} catch (err) {
+				if (!err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) done(null, err.message);
+			}
+		});
+	}
+}
@@ -17,10 +17,20 @@
     Copyright 2016-2022 Raphaël Rochet
 */
 
+import Adw from 'gi://Adw';
 import Gio from "gi://Gio";
+import GLib from 'gi://GLib';
 import Gtk from 'gi://Gtk';
 
-import {ExtensionPreferences} from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js"
+import {ExtensionPreferences, gettext as _} from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js"
+
+import {UpdateHistory, getActionLabel} from './history.js';
+
+/* Must match parsers known by the extension */
+const BACKEND_PARSERS = ['pacman', 'aur', 'flatpak', 'raw'];
+
+/* Do not build thousands of rows, search is there to dig further */
+const HISTORY_ROWS = 200;
 
 export default class ArchUpdatePreferences extends ExtensionPreferences {
 
@@ -47,10 +57,10 @@ export default class ArchUpdatePreferences extends ExtensionPreferences {
 		settings.bind('howmuch', buildable.get_object('field_howmuch'), 'active', Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('strip-versions' , buildable.get_object('field_stripversions') , 'active' , Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('strip-versions-in-notification' , buildable.get_object('field_stripversionsnotifications') , 'active' , Gio.SettingsBindFlags.DEFAULT);
-		settings.bind('check-cmd' , buildable.get_object('field_checkcmd') , 'text' , Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('disable-parsing', buildable.get_object('field_disableparsing'), 'active', Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('update-cmd' , buildable.get_object('field_updatecmd') , 'text' , Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('pacman-dir' , buildable.get_object('field_pacmandir') , 'text' , Gio.SettingsBindFlags.DEFAULT);
+		settings.bind('pacman-log' , buildable.get_object('field_pacmanlog') , 'text' , Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('auto-expand-list', buildable.get_object('field_autoexpandlist'), 'value', Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('package-manager' , buildable.get_object('field_packagemanager') , 'text' , Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('enable-positioning' , buildable.get_object('field_enablepositioning') , 'active' , Gio.SettingsBindFlags.DEFAULT);
@@ -59,13 +69,136 @@ export default class ArchUpdatePreferences extends ExtensionPreferences {
 		settings.bind('position-number' , buildable.get_object('field_positionnumber') , 'value' , Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('package-info-cmd' , buildable.get_object('field_packageinfocmd') , 'text' , Gio.SettingsBindFlags.DEFAULT);
 		settings.bind('linkify-menu' , buildable.get_object('field_linkifymenu') , 'active' , Gio.SettingsBindFlags.DEFAULT);
+		settings.bind('security-cmd' , buildable.get_object('field_securitycmd') , 'text' , Gio.SettingsBindFlags.DEFAULT);
+		settings.bind('news-url' , buildable.get_object('field_newsurl') , 'text' , Gio.SettingsBindFlags.DEFAULT);
+		settings.bind('hold-days' , buildable.get_object('field_holddays') , 'value' , Gio.SettingsBindFlags.DEFAULT);
+		settings.bind('notify-min-count' , buildable.get_object('field_notifymincount') , 'value' , Gio.SettingsBindFlags.DEFAULT);
+		this._bindPatterns(settings, 'ignore-patterns', buildable.get_object('field_ignorepatterns'));
+		this._bindPatterns(settings, 'hold-patterns', buildable.get_object('field_holdpatterns'));
+		this._bindPatterns(settings, 'important-patterns', buildable.get_object('field_importantpatterns'));
 		settings.bind('show-timechecked' , buildable.get_object('field_showtimechecked') , 'active' , Gio.SettingsBindFlags.DEFAULT);
 
+		this._settings = settings;
+		this._fillBackendsGroup(buildable.get_object('group_backends'));
+		this._fillHistoryGroup(buildable.get_object('group_history'), buildable.get_object('field_historysearch'));
+
 		// Pref window layout
 		window.search_enabled = true;
 		window.add( buildable.get_object('page_basic') );
 		window.add( buildable.get_object('page_advanced') );
+		window.add( buildable.get_object('page_history') );
 		window.add( buildable.get_object('page_about') );
 	}
 
+	_fillHistoryGroup(group, searchEntry) {
+		let history = new UpdateHistory();
+		let rows = [];
+		let fill = () => {
+			rows.forEach( row => group.remove(row) );
+			let search = searchEntry.text.trim().toLowerCase();
+			let entries = history.entries.filter( entry => entry.name.toLowerCase().includes(search) );
+			rows = entries.slice(-HISTORY_ROWS).reverse().map( entry => {
+				let versions = [entry.oldVersion, entry.newVersion].filter( v => v != '' ).join(" → ");
+				let row = new Adw.ActionRow({
+					title: GLib.markup_escape_text(entry.name, -1),
+					subtitle: GLib.markup_escape_text(`${getActionLabel(entry.action, _)}  ${versions}`, -1),
+				});
+				row.add_suffix(new Gtk.Label({
+					label: new Date(entry.date * 1000).toLocaleString(),
+					css_classes: ['dim-label'],
+				}));
+				group.add(row);
+				return row;
+			});
+			if (rows.length == 0) {
+				let row = new Adw.ActionRow({ title: _('No history yet') });
+				group.add(row);
+				rows.push(row);
+			}
+		};
+		searchEntry.connect('search-changed', fill);
+		history.load(fill);
+	}
+
+	_bindPatterns(settings, key, entry) {
+		// String lists are edited as comma separated text
+		entry.text = settings.get_strv(key).join(', ');
+		entry.connect('changed', () => {
+			settings.set_strv(key, entry.text.split(',').map( p => p.trim() ).filter( p => p != '' ));
+		});
+	}
+
+	_fillBackendsGroup(group) {
+		this._backendsGroup = group;
+		this._backendRows = [];
+		let addButton = new Gtk.Button({
+			icon_name: 'list-add-symbolic',
+			tooltip_text: _('Add a backend'),
+			valign: Gtk.Align.CENTER,
+			css_classes: ['flat'],
+		});
+		addButton.connect('clicked', () => {
+			this._addBackendRow([true, _('New backend'), '', 'pacman', 120]);
+			this._saveBackends();
+		});
+		group.set_header_suffix(addButton);
+		this._settings.get_value('check-backends').deepUnpack().forEach( backend => this._addBackendRow(backend) );
+	}
+
+	_addBackendRow([enabled, name, command, parser, timeout]) {
+		let row = new Adw.ExpanderRow({
+			title: GLib.markup_escape_text(name, -1),
+			subtitle: GLib.markup_escape_text(command, -1),
+			show_enable_switch: true,
+			enable_expansion: enabled,
+		});
+		let nameRow = new Adw.EntryRow({ title: _('Name'), text: name });
+		let commandRow = new Adw.EntryRow({ title: _('Command'), text: command });
+		let parserRow = new Adw.ComboRow({
+			title: _('Output parser'),
+			model: Gtk.StringList.new(BACKEND_PARSERS),
+			selected: Math.max(0, BACKEND_PARSERS.indexOf(parser)),
+		});
+		let timeoutRow = Adw.SpinRow.new_with_range(0, 3600, 10);
+		timeoutRow.title = _('Timeout (seconds)');
+		timeoutRow.value = timeout;
+		let removeButton = new Gtk.Button({
+			label: _('Remove'),
+			halign: Gtk.Align.END,
+			margin_top: 6,
+			margin_bottom: 6,
+			margin_end: 6,
+			css_classes: ['destructive-action'],
+		});
+		[nameRow, commandRow, parserRow, timeoutRow].forEach( child => row.add_row(child) );
+		row.add_row(removeButton);
+
+		row.getBackend = () => [
+			row.enable_expansion,
+			nameRow.text,
+			commandRow.text,
+			BACKEND_PARSERS[parserRow.selected],
+			Math.round(timeoutRow.value),
+		];
+		nameRow.connect('changed', () => { row.title = GLib.markup_escape_text(nameRow.text, -1); this._saveBackends(); });
+		commandRow.connect('changed', () => { row.subtitle = GLib.markup_escape_text(commandRow.text, -1); this._saveBackends(); });
+		parserRow.connect('notify::selected', () => this._saveBackends());
+		timeoutRow.connect('notify::value', () => this._saveBackends());
+		row.connect('notify::enable-expansion', () => this._saveBackends());
+		removeButton.connect('clicked', () => {
+			this._backendsGroup.remove(row);
+			this._backendRows.splice(this._backendRows.indexOf(row), 1);
+			this._saveBackends();
+		});
+
+		this._backendsGroup.add(row);
+		this._backendRows.push(row);
+	}
+
+	_saveBackends() {
+		this._settings.set_value('check-backends', new GLib.Variant('a(bsssi)',
+			this._backendRows.map( row => row.getBackend() )
+		));
+	}
+
 }
@@ -0,0 +1,77 @@
+/*
+    This file is part of Arch Linux Updates Indicator
+
+    Arch Linux Updates Indicator is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Arch Linux Updates Indicator is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Arch Linux Updates Indicator.  If not, see <http://www.gnu.org/licenses/>.
+
+    Copyright 2016-2022 Raphaël Rochet
+*/
+
+/* Severities as used by the Arch Linux security tracker, most severe first */
+export const SEVERITIES = ['Critical', 'High', 'Medium', 'Low', 'Unknown'];
+
+/*
+	arch-audit text output, current releases : "openssl is affected by arbitrary code execution. High risk!"
+	with --show-cve the issue types are replaced by "CVE-2016-2177, CVE-2016-2178",
+	older releases prefixed lines with "Package " and always listed CVE IDs.
+*/
+const RE_AuditLine = /^(?:Package\s+)?(\S+)\s+is affected by\s+(.+?)\.\s+(\w+) risk!/i;
+const RE_Cve = /(CVE|AVG|ASA)-\d+-\d+/g;
+
+function normalizeSeverity(severity) {
+	let found = SEVERITIES.find( s => s.toLowerCase() == String(severity).toLowerCase() );
+	return found || 'Unknown';
+}
+
+export function compareSeverities(a, b) {
+	return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+}
+
+function addAdvisory(advisories, name, severity, cves) {
+	let previous = advisories.get(name);
+	if (previous) {
+		// A package may be affected by several issues, keep them all and the worst severity
+		cves.forEach( cve => { if (!previous.cves.includes(cve)) previous.cves.push(cve) } );
+		if (compareSeverities(severity, previous.severity) < 0) previous.severity = severity;
+	} else {
+		advisories.set(name, { severity: severity, cves: cves });
+	}
+}
+
+/*
+	Parse security advisories, either arch-audit text output or JSON as given by "arch-audit --json".
+	JSON may also be a simplified list of { name, severity, cves } objects.
+	Returns a Map of package name to { severity, cves }.
+*/
+export function parseAdvisories(text) {
+	let advisories = new Map();
+	let trimmed = text.trim();
+	if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+		let data = JSON.parse(trimmed);
+		if (!Array.isArray(data)) data = data.advisories || data.packages || [data];
+		data.forEach( entry => {
+			let names = Array.isArray(entry.packages) ? entry.packages : [entry.name || entry.package];
+			let cves = entry.issues || entry.cves || [];
+			names.filter( name => name ).forEach( name => {
+				addAdvisory(advisories, name, normalizeSeverity(entry.severity), [...cves]);
+			});
+		});
+	} else {
+		trimmed.split("\n").forEach( line => {
+			let m = line.match(RE_AuditLine);
+			if (m == null) return;
+			addAdvisory(advisories, m[1], normalizeSeverity(m[3]), m[2].match(RE_Cve) || []);
+		});
+	}
+	return advisories;
+}
@@ -18,7 +18,7 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-import {Gio, GLib, Adw, GObject} from '../dependencies/gi.js';
+import {Gio, GLib, Adw, GObject, GdkPixbuf} from '../dependencies/gi.js';
 import * as Gettext from 'gettext';
 import {
     Preferences,
@@ -36,7 +36,12 @@ import * as System from 'system';
 Gio._promisify(Gio.AppInfo, 'launch_default_for_uri_async');
 Gio._promisify(Gio.FileEnumerator.prototype, 'close_async');
 Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+Gio._promisify(Gio.InputStream.prototype, 'close_async');
+Gio._promisify(Gio.InputStream.prototype, 'read_bytes_async');
+Gio._promisify(Gio.Subprocess.prototype, 'wait_async');
 Gio._promisify(Gio.Subprocess.prototype, 'wait_check_async');
+Gio._promisify(GdkPixbuf.Pixbuf, 'new_from_stream_at_scale_async',
+    'new_from_stream_finish');
 
 const fileProto = imports.system.version >= 17200
     ? Gio.File.prototype : Gio._LocalFilePrototype;
@@ -49,6 +54,8 @@ Gio._promisify(fileProto, 'query_info_async');
 Gio._promisify(fileProto, 'set_attributes_async');
 Gio._promisify(fileProto, 'replace_contents_async');
 Gio._promisify(fileProto, 'load_contents_async');
+Gio._promisify(fileProto, 'read_async');
+Gio._promisify(fileProto, 'set_display_name_async');
 
 const getTextDomain = 'gtk4-ding';
 const appID = 'com.desktop.ding';
@@ -31,15 +31,87 @@ const AppImageFileIcon = class extends FileItemIcon {
 
         this._trusted =
             fileInfo.get_attribute_as_string('metadata::trusted') === 'true';
+
+        if (this._isAppImageFile)
+            this._loadAppImageInfo();
+    }
+
+    _loadAppImageInfo() {
+        const modifiedTime = this._modifiedTime;
+
+        if (this._appImageInfoTime === modifiedTime)
+            return;
+
+        this._appImageInfoTime = modifiedTime;
+
+        this._desktopManager.appImageInfo.getInfo(this._file, modifiedTime)
+        .then(info => {
+            if (this._destroyed || this._appImageInfoTime !== modifiedTime)
+                return;
+
+            this._appImageInfo = info;
+            this._updateName();
+            this.updateIcon();
+        });
+    }
+
+    _updateName() {
+        // Like desktop files, only show the embedded name once trusted
+        if (this.trustedAppImageFile && this._appImageInfo?.name)
+            this._setFileName(this._appImageInfo.name);
+        else
+            this._setFileName(this._getVisibleName());
+
+        this._setAccesibilityName();
+    }
+
+    _getDefaultIcon() {
+        if (this._appImageInfo?.iconPath) {
+            return new Gio.FileIcon({
+                file: Gio.File.new_for_path(this._appImageInfo.iconPath),
+            });
+        }
+
+        return super._getDefaultIcon();
     }
 
     async onAllowDisallowLaunchingClicked() {
-        if (this._isAppImageFile)
+        if (this._isAppImageFile) {
             this.metadataTrusted = !this.trustedAppImageFile;
 
+            // An untrusted AppImage must not stay launchable from the grid
+            if (!this.metadataTrusted && this.registeredAppImage)
+                await this._desktopManager.appImageInfo.unregister(this._file);
+        }
+
         await super.onAllowDisallowLaunchingClicked();
     }
 
+    async onRegisterUnregisterClicked() {
+        const appImageInfo = this._desktopManager.appImageInfo;
+
+        try {
+            if (appImageInfo.isRegistered(this._file)) {
+                await appImageInfo.unregister(this._file);
+                return;
+            }
+
+            if (!this.trustedAppImageFile)
+                return;
+
+            const info =
+                await appImageInfo.getInfo(this._file, this._modifiedTime);
+            await appImageInfo.register(this._file, info);
+        } catch (e) {
+            console.error(e, `Error registering ${this.path}: ${e.message}`);
+
+            this._showerrorpopup(
+                _('Could not update the Applications'),
+                e.message
+            );
+        }
+    }
+
     async _doOpenContext(context, fileList) {
         if (this._isAppImageFile) {
             try {
@@ -122,10 +194,22 @@ const AppImageFileIcon = class extends FileItemIcon {
         return super._addEmblemsToIconIfNeeded(newIconPaintable, position);
     }
 
+    get displayName() {
+        if (this.trustedAppImageFile && this._appImageInfo?.name)
+            return this._appImageInfo.name;
+
+        return super.displayName;
+    }
+
     get isAppImageFile() {
         return this._isAppImageFile;
     }
 
+    get registeredAppImage() {
+        return this._isAppImageFile &&
+            this._desktopManager.appImageInfo.isRegistered(this._file);
+    }
+
     get trustedAppImageFile() {
         return this._isAppImageFile &&
         this._attributeCanExecute &&
@@ -0,0 +1,690 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Gio, GLib} from '../dependencies/gi.js';
+
+export {AppImageInfo};
+
+const ELF_HEADER_SIZE = 64;
+const SQUASHFS_MAGIC = 'hsqs';
+const DESKTOP_GROUP = 'Desktop Entry';
+const MAX_ICON_LINKS = 4;
+const ENTRY_PREFIX = 'ding-appimage-';
+
+/**
+ * AppImageInfo
+ *
+ * Reads the name and icon embedded in type 2 AppImages without running
+ * them. The squashfs image appended to the ELF runtime starts where the
+ * ELF section headers end, unsquashfs extracts only .DirIcon and the
+ * top level .desktop entry from it.
+ *
+ * The results are kept in the user cache, keyed on the path of the
+ * AppImage and checked against its modification time.
+ *
+ * An AppImage can also be added to the application grid, this writes a
+ * ding-appimage-*.desktop entry in ~/.local/share/applications. The entry
+ * follows the AppImage when it is renamed on the desktop, and goes away
+ * with it. Entries of AppImages gone while the desktop was not running
+ * are dropped on startup.
+ */
+const AppImageInfo = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._DesktopIconsUtil = desktopManager.DesktopIconsUtil;
+        this._FileUtils = desktopManager.FileUtils;
+
+        const appId = desktopManager.mainApp.get_application_id();
+
+        this._cacheDir = GLib.build_filenamev([
+            GLib.get_user_cache_dir(),
+            appId,
+            'appimages',
+        ]);
+
+        this._iconDir = GLib.build_filenamev([
+            GLib.get_user_data_dir(),
+            appId,
+            'appimage-icons',
+        ]);
+
+        this._applicationsDir = GLib.build_filenamev([
+            GLib.get_user_data_dir(),
+            'applications',
+        ]);
+
+        this._pending = new Map();
+        this._warnedNoUnsquashfs = false;
+
+        this.pruneStaleEntries().catch(e =>
+            console.error(e, 'Error removing stale AppImage entries'));
+    }
+
+    /**
+     * Get the embedded application name and icon.
+     *
+     * @param {Gio.File} file the AppImage
+     * @param {number} modifiedTime of the AppImage, in seconds
+     * @returns {Promise<object|null>} {name, iconPath, entryPath}, null if
+     *  nothing could be read
+     */
+    getInfo(file, modifiedTime) {
+        const path = file.get_path();
+        if (!path)
+            return Promise.resolve(null);
+
+        const pending = this._pending.get(path);
+        if (pending?.modifiedTime === modifiedTime)
+            return pending.promise;
+
+        const promise = this._readInfo(file, modifiedTime).catch(e => {
+            console.error(e, `AppImageInfo: cannot read ${path}`);
+            return null;
+        });
+
+        this._pending.set(path, {modifiedTime, promise});
+
+        return promise;
+    }
+
+    async _readInfo(file, modifiedTime) {
+        const cacheDir = Gio.File.new_for_path(
+            GLib.build_filenamev([this._cacheDir, this._getKey(file)])
+        );
+        const infoFile = cacheDir.get_child('info.json');
+
+        const cached = await this._readCachedInfo(infoFile);
+        if (cached?.modifiedTime === modifiedTime)
+            return cached.info;
+
+        if (!this._findUnsquashfs())
+            return null;
+
+        const offset = await this._getSquashfsOffset(file);
+        if (offset === null)
+            return null;
+
+        let info = null;
+        let extractDir = null;
+
+        try {
+            extractDir = GLib.dir_make_tmp('ding-appimage-XXXXXX');
+            const rootDir = Gio.File.new_for_path(extractDir).get_child('root');
+
+            info = await this._extractInfo(file, offset, rootDir, cacheDir);
+        } finally {
+            if (extractDir) {
+                await this._FileUtils.recursivelyDeleteDir(
+                    Gio.File.new_for_path(extractDir),
+                    true
+                ).catch(e => console.error(e,
+                    `Error removing ${extractDir}`));
+            }
+        }
+
+        if (info) {
+            const bytes = new TextEncoder().encode(
+                JSON.stringify({modifiedTime, info})
+            );
+
+            await infoFile.replace_contents_async(
+                bytes,
+                null,
+                false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION,
+                null
+            );
+        }
+
+        return info;
+    }
+
+    async _readCachedInfo(infoFile) {
+        if (!await this._FileUtils.queryExists(infoFile))
+            return null;
+
+        try {
+            const [contents] = await infoFile.load_contents_async(null);
+            const cached = JSON.parse(new TextDecoder().decode(contents));
+
+            if (cached.info?.iconPath &&
+                !GLib.file_test(cached.info.iconPath, GLib.FileTest.EXISTS))
+                return null;
+
+            return cached;
+        } catch (e) {
+            console.error(e, `AppImageInfo: ignoring ${infoFile.get_path()}`);
+            return null;
+        }
+    }
+
+    // ─────────────────────────
+    // Squashfs extraction
+    // ─────────────────────────
+
+    /**
+     * Find where the squashfs image starts: right after the section header
+     * table of the ELF runtime, at e_shoff + e_shentsize * e_shnum.
+     *
+     * @param {Gio.File} file the AppImage
+     * @returns {Promise<number|null>} the offset, null if not a type 2
+     *  AppImage
+     */
+    async _getSquashfsOffset(file) {
+        const stream = await file.read_async(GLib.PRIORITY_DEFAULT, null);
+
+        try {
+            const headerBytes = await stream.read_bytes_async(
+                ELF_HEADER_SIZE, GLib.PRIORITY_DEFAULT, null);
+            const header = headerBytes.toArray();
+
+            if (header.length < ELF_HEADER_SIZE ||
+                header[0] !== 0x7f ||
+                String.fromCharCode(...header.slice(1, 4)) !== 'ELF')
+                return null;
+
+            // AppImage type 2 magic, in the ELF padding
+            if (header[8] !== 0x41 || header[9] !== 0x49 || header[10] !== 2)
+                return null;
+
+            const view =
+                new DataView(header.buffer, header.byteOffset, header.length);
+            const littleEndian = header[5] === 1;
+
+            let offset;
+
+            switch (header[4]) {
+            case 1: // ELFCLASS32
+                offset = view.getUint32(0x20, littleEndian) +
+                    view.getUint16(0x2e, littleEndian) *
+                    view.getUint16(0x30, littleEndian);
+                break;
+            case 2: // ELFCLASS64
+                offset = Number(view.getBigUint64(0x28, littleEndian)) +
+                    view.getUint16(0x3a, littleEndian) *
+                    view.getUint16(0x3c, littleEndian);
+                break;
+            default:
+                return null;
+            }
+
+            stream.seek(offset, GLib.SeekType.SET, null);
+
+            const magicBytes = await stream.read_bytes_async(
+                SQUASHFS_MAGIC.length, GLib.PRIORITY_DEFAULT, null);
+
+            if (String.fromCharCode(...magicBytes.toArray()) !==
+                SQUASHFS_MAGIC)
+                return null;
+
+            return offset;
+        } finally {
+            await stream.close_async(GLib.PRIORITY_DEFAULT, null)
+                .catch(e => console.error(e));
+        }
+    }
+
+    async _extractInfo(file, offset, rootDir, cacheDir) {
+        await this._unsquashfs(file, offset, rootDir, ['.DirIcon', '*.desktop']);
+
+        const keyFile = await this._readDesktopEntry(rootDir);
+        const name = this._getEntryName(keyFile);
+
+        let iconFile = await this._resolveIcon(
+            file, offset, rootDir, rootDir.get_child('.DirIcon'));
+
+        // No .DirIcon, look for the entry Icon next to it
+        const iconName = keyFile ? this._getEntryString(keyFile, 'Icon') : null;
+        if (!iconFile && iconName && !iconName.includes('/')) {
+            const candidates = [`${iconName}.png`, `${iconName}.svg`];
+            await this._unsquashfs(file, offset, rootDir, candidates);
+
+            for (const candidate of candidates) {
+                const child = rootDir.get_child(candidate);
+                // eslint-disable-next-line no-await-in-loop
+                if (await this._isRegularFile(child)) {
+                    iconFile = child;
+                    break;
+                }
+            }
+        }
+
+        if (!name && !iconFile)
+            return null;
+
+        this._DesktopIconsUtil.ensureDir(cacheDir.get_path());
+
+        let iconPath = null;
+        if (iconFile)
+            iconPath = await this._copyIcon(iconFile, cacheDir, 'icon');
+
+        let entryPath = null;
+        if (keyFile) {
+            entryPath = cacheDir.get_child('entry.desktop').get_path();
+            keyFile.save_to_file(entryPath);
+        }
+
+        return {name, iconPath, entryPath};
+    }
+
+    /**
+     * .DirIcon is usually a link to an icon somewhere in the image, follow
+     * it inside the extracted root and extract the target too.
+     *
+     * @param {Gio.File} file the AppImage
+     * @param {number} offset of the squashfs image
+     * @param {Gio.File} rootDir extraction root
+     * @param {Gio.File} iconFile the extracted .DirIcon
+     * @returns {Promise<Gio.File|null>} the icon, null if missing
+     */
+    async _resolveIcon(file, offset, rootDir, iconFile) {
+        for (let links = 0; links < MAX_ICON_LINKS; links++) {
+            let info;
+
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                info = await iconFile.query_info_async(
+                    [
+                        Gio.FILE_ATTRIBUTE_STANDARD_TYPE,
+                        Gio.FILE_ATTRIBUTE_STANDARD_SYMLINK_TARGET,
+                    ].join(','),
+                    Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+                    GLib.PRIORITY_DEFAULT,
+                    null
+                );
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+                    throw e;
+
+                return null;
+            }
+
+            if (info.get_file_type() === Gio.FileType.REGULAR)
+                return iconFile;
+
+            if (info.get_file_type() !== Gio.FileType.SYMBOLIC_LINK)
+                return null;
+
+            const target = info.get_symlink_target();
+            const resolved = GLib.path_is_absolute(target)
+                ? rootDir.resolve_relative_path(target.replace(/^\/+/, ''))
+                : iconFile.get_parent().resolve_relative_path(target);
+
+            // Never leave the extracted image
+            const relativePath = rootDir.get_relative_path(resolved);
+            if (!relativePath)
+                return null;
+
+            // eslint-disable-next-line no-await-in-loop
+            await this._unsquashfs(file, offset, rootDir, [relativePath]);
+            iconFile = resolved;
+        }
+
+        return null;
+    }
+
+    async _readDesktopEntry(rootDir) {
+        if (!await this._FileUtils.queryExists(rootDir))
+            return null;
+
+        const children = await this._FileUtils.enumerateDir(rootDir);
+
+        for (const info of children) {
+            if (!info.get_name().endsWith('.desktop') ||
+                info.get_file_type() !== Gio.FileType.REGULAR)
+                continue;
+
+            try {
+                const keyFile = new GLib.KeyFile();
+                keyFile.load_from_file(
+                    rootDir.get_child(info.get_name()).get_path(),
+                    GLib.KeyFileFlags.KEEP_TRANSLATIONS
+                );
+
+                if (keyFile.has_group(DESKTOP_GROUP))
+                    return keyFile;
+            } catch (e) {
+                console.log(
+                    `AppImageInfo: invalid entry ${info.get_name()}: ` +
+                    `${e.message}`
+                );
+            }
+        }
+
+        return null;
+    }
+
+    _getEntryName(keyFile) {
+        if (!keyFile)
+            return null;
+
+        try {
+            return keyFile.get_locale_string(DESKTOP_GROUP, 'Name', null);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _getEntryString(keyFile, key) {
+        try {
+            return keyFile.get_string(DESKTOP_GROUP, key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async _isRegularFile(file) {
+        try {
+            const info = await file.query_info_async(
+                Gio.FILE_ATTRIBUTE_STANDARD_TYPE,
+                Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+                GLib.PRIORITY_DEFAULT,
+                null
+            );
+
+            return info.get_file_type() === Gio.FileType.REGULAR;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async _copyIcon(iconFile, destDir, baseName) {
+        const [contents] = await iconFile.load_contents_async(null);
+        const [contentType] = Gio.content_type_guess(null, contents);
+
+        let extension;
+        if (Gio.content_type_is_a(contentType, 'image/svg+xml'))
+            extension = 'svg';
+        else if (Gio.content_type_is_a(contentType, 'image/png'))
+            extension = 'png';
+        else if (contentType.startsWith('image/'))
+            extension = contentType.split('/')[1];
+        else
+            return null;
+
+        const destFile = destDir.get_child(`${baseName}.${extension}`);
+
+        await destFile.replace_contents_async(
+            contents,
+            null,
+            false,
+            Gio.FileCreateFlags.REPLACE_DESTINATION,
+            null
+        );
+
+        return destFile.get_path();
+    }
+
+    _findUnsquashfs() {
+        const unsquashfs = GLib.find_program_in_path('unsquashfs');
+
+        if (!unsquashfs && !this._warnedNoUnsquashfs) {
+            console.log(
+                'AppImageInfo: unsquashfs is not installed, ' +
+                'AppImage icons are not shown'
+            );
+            this._warnedNoUnsquashfs = true;
+        }
+
+        return unsquashfs;
+    }
+
+    async _unsquashfs(file, offset, rootDir, paths) {
+        const argv = [
+            this._findUnsquashfs(),
+            '-o', `${offset}`,
+            '-no-progress',
+            '-no-xattrs',
+            '-f',
+            '-d', rootDir.get_path(),
+            file.get_path(),
+            ...paths,
+        ];
+
+        const subprocess = Gio.Subprocess.new(
+            argv,
+            Gio.SubprocessFlags.STDOUT_SILENCE |
+                Gio.SubprocessFlags.STDERR_SILENCE
+        );
+
+        let timeoutId =
+            GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 10, () => {
+                timeoutId = 0;
+                subprocess.force_exit();
+
+                return GLib.SOURCE_REMOVE;
+            });
+
+        try {
+            // unsquashfs exits with an error when a path is missing
+            await subprocess.wait_async(null);
+        } finally {
+            if (timeoutId)
+                GLib.source_remove(timeoutId);
+        }
+    }
+
+    // ─────────────────────────
+    // Application grid
+    // ─────────────────────────
+
+    isRegistered(file) {
+        return this._getEntryFile(file).query_exists(null);
+    }
+
+    /**
+     * Write a desktop entry launching the AppImage in the user
+     * applications folder, based on the embedded one.
+     *
+     * @param {Gio.File} file the AppImage
+     * @param {object|null} info from getInfo()
+     */
+    async register(file, info) {
+        const keyFile = new GLib.KeyFile();
+
+        if (info?.entryPath) {
+            keyFile.load_from_file(
+                info.entryPath,
+                GLib.KeyFileFlags.KEEP_TRANSLATIONS
+            );
+        }
+
+        // Actions and TryExec point inside the image, they can not run
+        for (const group of keyFile.get_groups()[0]) {
+            if (group !== DESKTOP_GROUP)
+                keyFile.remove_group(group);
+        }
+
+        for (const key of ['Actions', 'TryExec', 'DBusActivatable']) {
+            if (keyFile.has_group(DESKTOP_GROUP) &&
+                keyFile.has_key(DESKTOP_GROUP, key))
+                keyFile.remove_key(DESKTOP_GROUP, key);
+        }
+
+        const oldExec = keyFile.has_group(DESKTOP_GROUP)
+            ? this._getEntryString(keyFile, 'Exec') : null;
+        const fieldCodes = oldExec?.match(/%[fFuU]/)?.[0] ?? '%U';
+
+        keyFile.set_string(DESKTOP_GROUP, 'Type', 'Application');
+        keyFile.set_string(DESKTOP_GROUP, 'Exec',
+            `${this._quoteExecArg(file.get_path())} ${fieldCodes}`);
+        keyFile.set_string(DESKTOP_GROUP, 'X-Ding-AppImage', file.get_path());
+
+        if (!info?.name) {
+            keyFile.set_string(DESKTOP_GROUP, 'Name',
+                file.get_basename().replace(/\.appimage$/i, ''));
+        }
+
+        keyFile.set_string(DESKTOP_GROUP, 'Icon', 'application-x-executable');
+
+        if (info?.iconPath) {
+            const iconFile = Gio.File.new_for_path(info.iconPath);
+            this._DesktopIconsUtil.ensureDir(this._iconDir);
+
+            const iconPath = await this._copyIcon(
+                iconFile,
+                Gio.File.new_for_path(this._iconDir),
+                this._getKey(file)
+            );
+
+            if (iconPath)
+                keyFile.set_string(DESKTOP_GROUP, 'Icon', iconPath);
+        }
+
+        this._DesktopIconsUtil.ensureDir(this._applicationsDir);
+        keyFile.save_to_file(this._getEntryFile(file).get_path());
+    }
+
+    async unregister(file) {
+        const entryFile = this._getEntryFile(file);
+        if (await this._FileUtils.queryExists(entryFile))
+            await entryFile.delete_async(GLib.PRIORITY_DEFAULT, null);
+
+        const iconDir = Gio.File.new_for_path(this._iconDir);
+        if (!await this._FileUtils.queryExists(iconDir))
+            return;
+
+        const key = this._getKey(file);
+        const icons = await this._FileUtils.enumerateDir(iconDir);
+
+        for (const info of icons) {
+            if (!info.get_name().startsWith(`${key}.`))
+                continue;
+
+            // eslint-disable-next-line no-await-in-loop
+            await this._FileUtils.deleteFile(
+                iconDir.get_child(info.get_name()), info);
+        }
+    }
+
+    /**
+     * Point the entry of a registered AppImage to its new name.
+     *
+     * @param {Gio.File} oldFile the AppImage before the rename
+     * @param {Gio.File} newFile the AppImage after the rename
+     */
+    async moveRegistration(oldFile, newFile) {
+        const oldEntryFile = this._getEntryFile(oldFile);
+        if (!await this._FileUtils.queryExists(oldEntryFile))
+            return;
+
+        const keyFile = new GLib.KeyFile();
+        keyFile.load_from_file(
+            oldEntryFile.get_path(),
+            GLib.KeyFileFlags.KEEP_TRANSLATIONS
+        );
+
+        const oldExec = this._getEntryString(keyFile, 'Exec');
+        const fieldCodes = oldExec?.match(/%[fFuU]/)?.[0] ?? '%U';
+
+        keyFile.set_string(DESKTOP_GROUP, 'Exec',
+            `${this._quoteExecArg(newFile.get_path())} ${fieldCodes}`);
+        keyFile.set_string(DESKTOP_GROUP, 'X-Ding-AppImage',
+            newFile.get_path());
+
+        // The icon copy is named after the path too
+        const oldKey = this._getKey(oldFile);
+        const iconPath = this._getEntryString(keyFile, 'Icon');
+        const oldIconPrefix =
+            GLib.build_filenamev([this._iconDir, `${oldKey}.`]);
+
+        if (iconPath?.startsWith(oldIconPrefix)) {
+            const iconFile = Gio.File.new_for_path(iconPath);
+            const newIconFile = iconFile.get_parent().get_child(
+                iconFile.get_basename().replace(oldKey, this._getKey(newFile))
+            );
+
+            iconFile.move(newIconFile, Gio.FileCopyFlags.OVERWRITE,
+                null, null);
+            keyFile.set_string(DESKTOP_GROUP, 'Icon',
+                newIconFile.get_path());
+        }
+
+        keyFile.save_to_file(this._getEntryFile(newFile).get_path());
+        await oldEntryFile.delete_async(GLib.PRIORITY_DEFAULT, null);
+    }
+
+    /**
+     * Remove the entry of an AppImage deleted or moved off the desktop.
+     *
+     * @param {Gio.File} file the AppImage
+     */
+    async onFileRemoved(file) {
+        if (this.isRegistered(file))
+            await this.unregister(file);
+    }
+
+    async pruneStaleEntries() {
+        const applicationsDir = Gio.File.new_for_path(this._applicationsDir);
+        if (!await this._FileUtils.queryExists(applicationsDir))
+            return;
+
+        const children = await this._FileUtils.enumerateDir(applicationsDir);
+
+        for (const info of children) {
+            const name = info.get_name();
+            if (!name.startsWith(ENTRY_PREFIX) || !name.endsWith('.desktop'))
+                continue;
+
+            const keyFile = new GLib.KeyFile();
+            try {
+                keyFile.load_from_file(
+                    applicationsDir.get_child(name).get_path(),
+                    GLib.KeyFileFlags.NONE
+                );
+            } catch (e) {
+                console.error(e, `Error reading ${name}`);
+                continue;
+            }
+
+            const path = this._getEntryString(keyFile, 'X-Ding-AppImage');
+            if (!path)
+                continue;
+
+            const file = Gio.File.new_for_path(path);
+
+            // eslint-disable-next-line no-await-in-loop
+            if (!await this._FileUtils.queryExists(file))
+                // eslint-disable-next-line no-await-in-loop
+                await this.unregister(file);
+        }
+    }
+
+    _getEntryFile(file) {
+        return Gio.File.new_for_path(GLib.build_filenamev([
+            this._applicationsDir,
+            `${ENTRY_PREFIX}${this._getKey(file)}.desktop`,
+        ]));
+    }
+
+    _getKey(file) {
+        return GLib.compute_checksum_for_string(
+            GLib.ChecksumType.MD5,
+            file.get_path(),
+            -1
+        );
+    }
+
+    _quoteExecArg(arg) {
+        // Desktop Entry Specification, quoting of Exec arguments
+        const escaped = arg
+            .replace(/([\\"`$])/g, '\\$1')
+            .replace(/%/g, '%%');
+
+        return `"${escaped}"`;
+    }
+};
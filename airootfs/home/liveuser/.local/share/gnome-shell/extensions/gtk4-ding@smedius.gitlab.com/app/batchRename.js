@@ -0,0 +1,460 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Adw, GExiv2, GLib, Gtk} from '../dependencies/gi.js';
+import {_} from '../dependencies/gettext.js';
+
+export {BatchRename};
+
+const DATE_FORMAT = '%Y-%m-%d';
+const MAX_NAME_BYTES = 255;
+const PREVIEW_HEIGHT = 240;
+
+const CaseChange = {
+    KEEP: 0,
+    LOWER: 1,
+    UPPER: 2,
+    TITLE: 3,
+};
+
+/**
+ * BatchRename
+ *
+ * Renames the selected files in one go. The new names are built from a
+ * template with the tokens {name}, {n}, {date} and {exif}, after a plain
+ * or regular expression find and replace on the name. The extension is
+ * kept. A preview lists every file before and after, names taken on the
+ * desktop or twice in the batch block the rename.
+ *
+ * The files are renamed here and not by Nautilus, which would record one
+ * undo step per file. The batch is a single UndoManager entry.
+ */
+const BatchRename = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._mainApp = desktopManager.mainApp;
+        this._DesktopIconsUtil = desktopManager.DesktopIconsUtil;
+
+        this._exifDates = new Map();
+    }
+
+    async show(fileItems) {
+        fileItems = (fileItems ?? []).filter(f => f.canRename);
+
+        if (fileItems.length < 2)
+            return;
+
+        this._exifDates.clear();
+        fileItems.sort((a, b) => a.fileName.localeCompare(
+            b.fileName, undefined, {numeric: true, sensitivity: 'base'}));
+
+        const items = fileItems.map(fileItem => ({
+            fileName: fileItem.fileName,
+            isDirectory: fileItem.isDirectory,
+            path: fileItem.path,
+            modifiedTime: fileItem.modifiedTime,
+            contentType: fileItem.attributeContentType,
+        }));
+
+        const dialog = new Adw.AlertDialog({
+            // TRANSLATORS: {count} is the number of files to rename
+            heading: _('Rename {count} Items')
+                .replace('{count}', `${items.length}`),
+            body: _('Use {name} for the current name, {n} for a number, ' +
+                '{date} for the modification date and {exif} for the date ' +
+                'a photo was taken.'),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('rename', _('Rename'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response('rename');
+        dialog.set_response_appearance(
+            'rename', Adw.ResponseAppearance.SUGGESTED);
+
+        const options = this._createOptions();
+        const preview = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list'],
+        });
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 12,
+        });
+        box.append(options.list);
+        box.append(new Gtk.Label({
+            label: _('Preview'),
+            halign: Gtk.Align.START,
+            css_classes: ['heading'],
+        }));
+        box.append(new Gtk.ScrolledWindow({
+            child: preview,
+            hscrollbar_policy: Gtk.PolicyType.NEVER,
+            propagate_natural_height: true,
+            max_content_height: PREVIEW_HEIGHT,
+        }));
+        dialog.set_extra_child(box);
+
+        let renames = [];
+
+        const update = () => {
+            const result =
+                this._computeNames(items, this._readOptions(options));
+
+            options.find.remove_css_class('error');
+            if (result.badPattern)
+                options.find.add_css_class('error');
+
+            this._fillPreview(preview, result.names);
+
+            renames = result.names.filter(n => n.newName !== n.fileName);
+            dialog.set_response_enabled('rename',
+                !result.badPattern &&
+                renames.length > 0 &&
+                result.names.every(n => !n.problem));
+        };
+
+        for (const row of [options.find, options.replace, options.template])
+            row.connect('changed', update);
+
+        for (const row of [options.start, options.digits])
+            row.connect('notify::value', update);
+
+        options.regex.connect('notify::active', update);
+        options.caseChange.connect('notify::selected', update);
+
+        update();
+
+        if (await this._choose(dialog) !== 'rename' || !renames.length)
+            return;
+
+        const pairs = renames.map(n => ({from: n.fileName, to: n.newName}));
+
+        if (!await this._renameAll(pairs))
+            return;
+
+        this._desktopManager.undoManager.push({
+            label: _('Rename'),
+            undo: () => this._renameAll(
+                pairs.map(p => ({from: p.to, to: p.from})).reverse()),
+            redo: () => this._renameAll(pairs),
+        });
+    }
+
+    _createOptions() {
+        const list = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list'],
+        });
+
+        const options = {
+            list,
+            find: new Adw.EntryRow({title: _('Find')}),
+            replace: new Adw.EntryRow({title: _('Replace With')}),
+            regex: new Adw.SwitchRow({title: _('Regular Expression')}),
+            template: new Adw.EntryRow({
+                title: _('New Name'),
+                text: '{name}',
+            }),
+            start: new Adw.SpinRow({
+                title: _('Start Numbers At'),
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper: 999999,
+                    step_increment: 1,
+                    value: 1,
+                }),
+            }),
+            digits: new Adw.SpinRow({
+                title: _('Digits'),
+                adjustment: new Gtk.Adjustment({
+                    lower: 1,
+                    upper: 6,
+                    step_increment: 1,
+                    value: 2,
+                }),
+            }),
+            caseChange: new Adw.ComboRow({
+                title: _('Case'),
+                model: Gtk.StringList.new([
+                    _('Unchanged'),
+                    _('lowercase'),
+                    _('UPPERCASE'),
+                    _('Title Case'),
+                ]),
+            }),
+        };
+
+        for (const key of ['find', 'replace', 'regex', 'template', 'start',
+            'digits', 'caseChange'])
+            list.append(options[key]);
+
+        return options;
+    }
+
+    _readOptions(options) {
+        return {
+            find: options.find.get_text(),
+            replace: options.replace.get_text(),
+            regex: options.regex.get_active(),
+            template: options.template.get_text() || '{name}',
+            start: options.start.get_value(),
+            digits: options.digits.get_value(),
+            caseChange: options.caseChange.get_selected(),
+        };
+    }
+
+    // ─────────────────────────
+    // New names
+    // ─────────────────────────
+
+    _computeNames(items, options) {
+        let pattern = null;
+        let badPattern = false;
+
+        if (options.find && options.regex) {
+            try {
+                pattern = new RegExp(options.find, 'g');
+            } catch {
+                badPattern = true;
+            }
+        }
+
+        const names = items.map((item, index) => {
+            const parts = this._DesktopIconsUtil.getFileExtensionOffset(
+                item.fileName, {isDirectory: item.isDirectory});
+            let name = parts.basename;
+
+            if (pattern)
+                name = name.replace(pattern, options.replace);
+            else if (options.find && !options.regex)
+                name = name.split(options.find).join(options.replace);
+
+            const number = `${options.start + index}`
+                .padStart(options.digits, '0');
+
+            name = options.template.replace(/{(name|n|date|exif)}/g,
+                (match, token) => {
+                    switch (token) {
+                    case 'name':
+                        return name;
+                    case 'n':
+                        return number;
+                    case 'date':
+                        return this._formatTime(item.modifiedTime);
+                    case 'exif':
+                        return this._getExifDate(item) ??
+                            this._formatTime(item.modifiedTime);
+                    }
+
+                    return match;
+                });
+
+            name = this._changeCase(name.trim(), options.caseChange);
+
+            return {
+                fileName: item.fileName,
+                newName: `${name}${parts.extension}`,
+                problem: null,
+            };
+        });
+
+        this._findProblems(names);
+
+        return {names, badPattern};
+    }
+
+    _changeCase(name, caseChange) {
+        switch (caseChange) {
+        case CaseChange.LOWER:
+            return name.toLocaleLowerCase();
+        case CaseChange.UPPER:
+            return name.toLocaleUpperCase();
+        case CaseChange.TITLE:
+            return name.toLocaleLowerCase().replace(/(^|[\s_.-])(\p{L})/gu,
+                (match, separator, letter) =>
+                    `${separator}${letter.toLocaleUpperCase()}`);
+        default:
+            return name;
+        }
+    }
+
+    _findProblems(names) {
+        const desktopMonitor = this._desktopManager.desktopMonitor;
+        const encoder = new TextEncoder();
+        const sources = new Set(names.map(n => n.fileName));
+        const counts = new Map();
+
+        for (const {newName} of names)
+            counts.set(newName, (counts.get(newName) ?? 0) + 1);
+
+        for (const entry of names) {
+            const {fileName, newName} = entry;
+
+            if (newName === fileName)
+                continue;
+
+            if (!newName || newName === '.' || newName === '..' ||
+                newName.includes('/') ||
+                encoder.encode(newName).length > MAX_NAME_BYTES)
+                entry.problem = _('Not a valid name');
+            else if (counts.get(newName) > 1)
+                entry.problem = _('Used more than once');
+            else if (!sources.has(newName) &&
+                desktopMonitor.getDesktopUniqueFileName(newName) !== newName)
+                entry.problem = _('Already exists');
+        }
+    }
+
+    _formatTime(time) {
+        if (!time)
+            return '';
+
+        return GLib.DateTime.new_from_unix_local(time).format(DATE_FORMAT);
+    }
+
+    _getExifDate(item) {
+        if (!GExiv2 || !item.path || !item.contentType?.startsWith('image/'))
+            return null;
+
+        if (this._exifDates.has(item.path))
+            return this._exifDates.get(item.path);
+
+        let date = null;
+
+        try {
+            const metadata = new GExiv2.Metadata();
+            metadata.open_path(item.path);
+
+            const tag = 'Exif.Photo.DateTimeOriginal';
+            const value = metadata.try_get_tag_string
+                ? metadata.try_get_tag_string(tag)
+                : metadata.get_tag_string(tag);
+
+            // EXIF dates look like 2024:06:30 14:05:09
+            const parts = value?.match(/^(\d{4}):(\d{2}):(\d{2})/);
+
+            if (parts)
+                date = `${parts[1]}-${parts[2]}-${parts[3]}`;
+        } catch (e) {
+            console.log(`No EXIF date in ${item.path}: ${e.message}`);
+        }
+
+        this._exifDates.set(item.path, date);
+        return date;
+    }
+
+    _fillPreview(preview, names) {
+        preview.remove_all();
+
+        for (const {fileName, newName, problem} of names) {
+            let subtitle = newName;
+
+            if (problem)
+                subtitle = `${newName} — ${problem}`;
+            else if (newName === fileName)
+                subtitle = _('Unchanged');
+
+            const row = new Adw.ActionRow({
+                title: fileName,
+                subtitle,
+                use_markup: false,
+            });
+
+            if (problem)
+                row.add_css_class('error');
+            else if (newName === fileName)
+                row.add_css_class('dim-label');
+
+            preview.append(row);
+        }
+    }
+
+    // ─────────────────────────
+    // Renaming
+    // ─────────────────────────
+
+    /**
+     * Rename files on the desktop, all of them or none.
+     *
+     * A name still held by another file of the batch is freed by moving
+     * that file to a temporary name first. On an error the files already
+     * renamed are renamed back.
+     *
+     * @param {Array<object>} pairs {from, to} file names
+     * @returns {Promise<boolean>} true if all files were renamed
+     */
+    async _renameAll(pairs) {
+        const desktopDir = this._desktopManager.desktopMonitor.desktopDir;
+        const sources = new Set(pairs.map(p => p.from));
+        const steps = [];
+
+        const rename = async (from, to) => {
+            await desktopDir.get_child(from)
+                .set_display_name_async(to, GLib.PRIORITY_DEFAULT, null);
+            steps.push({from, to});
+        };
+
+        try {
+            const staged = [];
+
+            for (const pair of pairs) {
+                let current = pair.from;
+
+                if (sources.has(pair.to)) {
+                    current = `.${pair.from}.${GLib.uuid_string_random()}`;
+                    // eslint-disable-next-line no-await-in-loop
+                    await rename(pair.from, current);
+                }
+
+                staged.push({from: current, to: pair.to});
+            }
+
+            for (const pair of staged) {
+                // eslint-disable-next-line no-await-in-loop
+                await rename(pair.from, pair.to);
+            }
+        } catch (e) {
+            console.error(e, 'Batch rename failed');
+
+            for (const step of steps.reverse()) {
+                // eslint-disable-next-line no-await-in-loop
+                await desktopDir.get_child(step.to)
+                    .set_display_name_async(
+                        step.from, GLib.PRIORITY_DEFAULT, null)
+                    .catch(error => console.error(error));
+            }
+
+            const header = _('Rename Failed');
+            this._desktopManager.dbusManager.doNotify(header, e.message);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    _choose(dialog) {
+        return new Promise(resolve => {
+            dialog.choose(this._mainApp.get_active_window(), null,
+                (actor, result) => {
+                    resolve(actor.choose_finish(result));
+                }
+            );
+        });
+    }
+};
@@ -271,6 +271,20 @@ const DesktopMonitor = class extends DesktopFolderUtils {
                 // can happen if a file is created and deleted very fast
             }
             break;
+        case Gio.FileMonitorEvent.RENAMED:
+            this.desktopManager.fenceManager.onFileRenamed(
+                file.get_basename(),
+                otherFile.get_basename()
+            );
+            this.desktopManager.appImageInfo.moveRegistration(file, otherFile)
+            .catch(e => console.error(e, 'Error moving AppImage entry'));
+            break;
+        case Gio.FileMonitorEvent.DELETED:
+        case Gio.FileMonitorEvent.MOVED_OUT:
+            this.desktopManager.fenceManager.onFileRemoved(file.get_basename());
+            this.desktopManager.appImageInfo.onFileRemoved(file)
+            .catch(e => console.error(e, 'Error removing AppImage entry'));
+            break;
         case Gio.FileMonitorEvent.ATTRIBUTE_CHANGED:
             /* The desktop is what changed, and not a file inside it */
             if (file.get_uri() === this._desktopDir.get_uri()) {
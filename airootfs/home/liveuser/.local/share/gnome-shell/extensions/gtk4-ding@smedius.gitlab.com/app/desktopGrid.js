@@ -18,6 +18,7 @@
  */
 import {GObject, Gtk, Gdk, GLib, Gio, Graphene, Gsk, Adw} from '../dependencies/gi.js';
 import {_} from '../dependencies/gettext.js';
+import {WidgetInstaller} from '../dependencies/localFiles.js';
 
 export {DesktopGrid};
 
@@ -147,6 +148,9 @@ const DisplayGrid = class {
 
         this._selectedList = null;
 
+        // Cells reserved by fences, see FenceManager
+        this._fenceCells = new Set();
+
         this._setGridStatus();
 
         if (!hidden)
@@ -753,9 +757,11 @@ const DisplayGrid = class {
     isAvailable() {
         // Returns true if there is an available slot in the grid
         let isFree = false;
-        for (const [, setOfFileItemsOnGridNumber] of this._gridStatus.entries()
+        for (const [gridNumber, setOfFileItemsOnGridNumber] of
+            this._gridStatus.entries()
         ) {
-            if (!setOfFileItemsOnGridNumber.size) {
+            if (!setOfFileItemsOnGridNumber.size &&
+                !this._fenceCells.has(gridNumber)) {
                 isFree = true;
 
                 break;
@@ -793,11 +799,19 @@ const DisplayGrid = class {
     }
 
     _isEmptyAt(column, row) {
-        // returns if grid at column row has a file or not
-        const setOfFileItemsOnGridNumber =
-            this._gridStatus.get(row * this._maxColumns + column);
+        // returns if grid at column row has a file or not, cells of fences
+        // are never empty
+        const gridNumber = row * this._maxColumns + column;
+        const setOfFileItemsOnGridNumber = this._gridStatus.get(gridNumber);
+
+        return setOfFileItemsOnGridNumber.size === 0 &&
+            !this._fenceCells.has(gridNumber);
+    }
+
+    _isFenceCellAt(x, y) {
+        const [column, row] = this._getColumnRowFromLocal(x, y);
 
-        return setOfFileItemsOnGridNumber.size === 0;
+        return this._fenceCells.has(row * this._maxColumns + column);
     }
 
     _gridInUse(x, y) {
@@ -948,7 +962,8 @@ const DisplayGrid = class {
             fileItem.savedCoordinates[1] === 0) ||
             !this.Prefs.freePositionIcons ||
             this.Prefs.keepArranged ||
-            this.Prefs.keepStacked
+            this.Prefs.keepStacked ||
+            this._isFenceCellAt(x, y)
         ) {
             this._addFileItemToGrid(
                 fileItem,
@@ -1053,6 +1068,49 @@ const DisplayGrid = class {
         );
     }
 
+    // Fences, the FenceManager decides what goes in them
+
+    setFenceAreas(areas) {
+        this._fenceCells = new Set();
+
+        for (const {column, row, columns, rows} of areas) {
+            for (let r = row; r < row + rows; r++) {
+                for (let c = column; c < column + columns; c++)
+                    this._fenceCells.add(r * this._maxColumns + c);
+            }
+        }
+    }
+
+    getAreaRectangle({column, row, columns, rows}) {
+        const [x, y] = this._getLocalCoordinatesForGrid(column, row);
+        const [x2, y2] =
+            this._getLocalCoordinatesForGrid(column + columns, row + rows);
+
+        return [x, y, x2 - x, y2 - y];
+    }
+
+    getColumnRowAt(X, Y) {
+        const [x, y] = this._coordinatesGlobalToLocal(X, Y);
+
+        return this._getColumnRowFromLocal(x, y);
+    }
+
+    placeFileItemAt(fileItem, column, row, coordinatesAction) {
+        this._addFileItemToGrid(fileItem, column, row, coordinatesAction);
+    }
+
+    get fenceContainer() {
+        return this._container;
+    }
+
+    get maxColumns() {
+        return this._maxColumns;
+    }
+
+    get maxRows() {
+        return this._maxRows;
+    }
+
     makeTopLayerOnGrid(fileItem) {
         if (!this.Prefs.freePositionIcons)
             return;
@@ -1223,6 +1281,32 @@ const DrawGrid =  class extends DisplayGrid {
         await Promise.all(dropRectanglePromises).catch(console.error);
     }
 
+    drawFenceFrame(cr, width, height) {
+        const fillColor = new Gdk.RGBA({
+            red: this.Prefs.selectColor.red,
+            green: this.Prefs.selectColor.green,
+            blue: this.Prefs.selectColor.blue,
+            alpha: 0.1,
+        });
+
+        const outlineColor = new Gdk.RGBA({
+            red: this.Prefs.selectColor.red,
+            green: this.Prefs.selectColor.green,
+            blue: this.Prefs.selectColor.blue,
+            alpha: 0.6,
+        });
+
+        this._roundedRectangleDraw(
+            0.5,
+            0.5,
+            width - 1,
+            height - 1,
+            cr,
+            fillColor,
+            outlineColor
+        );
+    }
+
     _rectangleDraw(x, y, width, height, cr, fillColor, outlineColor) {
         return new Promise(resolve => {
             cr.rectangle(x + 0.5, y + 0.5, width, height);
@@ -1752,6 +1836,16 @@ const ControlGrid = class extends DrawGrid {
         widget.add_controller(this.gridDropControllerMotion);
     }
 
+    _getDroppedWidgetPackages(dropData, acceptFormat) {
+        const uris =
+            this._dragManager.makeFileListFromSelection(dropData, acceptFormat);
+
+        if (!uris?.length || !uris.every(uri => WidgetInstaller.isPackage(uri)))
+            return null;
+
+        return uris.map(uri => Gio.File.new_for_uri(uri));
+    }
+
     async _completeDrop(
         X, Y,
         x, y,
@@ -1786,6 +1880,19 @@ const ControlGrid = class extends DrawGrid {
             return returnAction;
         }
 
+        // Widget packages dropped from outside install instead of copying
+        if (desktopDropZone && filesMove && !localDrop &&
+            this.Prefs.showDesktopWidgets) {
+            const packages =
+                this._getDroppedWidgetPackages(dropData, acceptFormat);
+
+            if (packages) {
+                this._desktopManager.widgetManager
+                    .installWidgetPackages(packages);
+                return Gdk.DragAction.COPY;
+            }
+        }
+
         if (desktopDropZone && (desktopMove || filesMove)) {
             returnAction = await this._receiveDrop(
                 x, y,
@@ -2597,7 +2704,7 @@ const WidgetGrid = class extends ControlGrid {
         const newLocalX = lx - offX;
         const newLocalY = ly - offY;
 
-        this._desktopManager.widgetManager.setInstanceFrame(
+        this._desktopManager.widgetManager.moveInstance(
             instanceId,
             newLocalX,
             newLocalY
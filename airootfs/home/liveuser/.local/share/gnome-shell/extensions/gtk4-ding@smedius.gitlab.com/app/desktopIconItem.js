@@ -58,6 +58,7 @@ const DesktopIconItem = class {
         this._normalCoordinates = null;
         this._monitorIndex = null;
         this._destroyed = false;
+        this.hiddenInFence = false;
         this.thumbnail = null;
         this.thumbnailFile = null;
     }
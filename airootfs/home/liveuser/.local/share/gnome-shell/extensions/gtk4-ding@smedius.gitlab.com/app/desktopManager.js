@@ -18,17 +18,24 @@
  */
 import {
     AppChooser,
+    AppImageInfo,
     AskRenamePopup,
     AutoAr,
+    BatchRename,
     DesktopMenu,
     DesktopMonitor,
+    DesktopSearch,
     DragManager,
+    FenceManager,
     FileItemMenu,
     GnomeShellDragDrop,
+    QuickLook,
     ShortcutManager,
     ShowErrorPopup,
     StackItem,
+    StackView,
     TemplatesScriptsManager,
+    UndoManager,
     WindowManager,
     WidgetManager
 } from '../dependencies/localFiles.js';
@@ -74,10 +81,17 @@ const DesktopManager = class {
             asDesktop,
             primaryIndex
         );
+        this.appImageInfo = new AppImageInfo(this);
         this.desktopMonitor = new DesktopMonitor.DesktopMonitor(this);
         this.autoAr = new AutoAr.AutoAr(this);
         this.fileItemMenu = new FileItemMenu.FileItemMenu(this);
         this.fileItemActions = new FileItemMenu.FileItemActions(this);
+        this.undoManager = new UndoManager(this);
+        this.desktopSearch = new DesktopSearch(this);
+        this.quickLook = new QuickLook(this);
+        this.fenceManager = new FenceManager(this);
+        this.stackView = new StackView(this);
+        this.batchRename = new BatchRename(this);
         this.desktopActions = new DesktopMenu.DesktopActions(this);
         this.desktopMenuManager = new DesktopMenu.DesktopBackgroundMenu(this);
         this.Prefs.init(this);
@@ -142,6 +156,8 @@ const DesktopManager = class {
         // This is no longer needed, if true it blocks and all updates.
         this.windowsPromiseResolve = null;
 
+        this.fenceManager.seedKnownFiles(fileList);
+
         await this._drawDesktop(fileList, {initialRead}).catch(e => logError(e));
         // First intitiation complete, valid file read from
         // desktopdir, even if a prior fileList was read, the
@@ -331,56 +347,10 @@ const DesktopManager = class {
         if (this.ignoreKeys.includes(keyval))
             return true;
 
-        let key = String.fromCharCode(Gdk.keyval_to_unicode(keyval));
-        if (this.keypressTimeoutID && this.searchString)
-            this.searchString = this.searchString.concat(key);
-        else
-            this.searchString = key;
-
-        if (this.searchString !== '') {
-            let found = this._scanForFiles(this.searchString, false);
-            if (found) {
-                if ((this.getNumberOfSelectedItems() >= 1) &&
-                    !this.keypressTimeoutID) {
-                    const secondaryText = null;
-                    const helpURL = null;
-                    const timeoutClose = 2000; // In ms
-                    this.showError(
-                        _('Clear current selection before new search'),
-                        secondaryText,
-                        helpURL,
-                        timeoutClose
-                    );
-                    return true;
-                }
-                this.searchEventTime = GLib.get_monotonic_time();
-                if (!this.keypressTimeoutID) {
-                    this.keypressTimeoutID =
-                        GLib.timeout_add(
-                            GLib.PRIORITY_DEFAULT,
-                            1000,
-                            () => {
-                                if (GLib.get_monotonic_time() -
-                                    this.searchEventTime < 1500000)
-                                    return true;
-
-                                this.searchString = null;
-                                this.keypressTimeoutID = null;
-
-                                if (this._findFileWindow) {
-                                    this._findFileWindow
-                                        .response(Gtk.ResponseType.OK);
-                                }
-
-                                return false;
-                            });
-                }
-                this.findFiles(this.searchString);
-            }
+        if (keyval === Gdk.KEY_Escape && this.fenceManager.cancelDrawing())
             return true;
-        } else {
-            return false;
-        }
+
+        return this.desktopSearch.onTypeAhead(keyval);
     }
 
     closePopUps() {
@@ -461,8 +431,11 @@ const DesktopManager = class {
         this._placeAllFilesOnGrids(opts);
 
         //* Detect all Icon sizes are allocated and Icons are now shown and
-        // placed on Grid. Desktop draw/paint is now complete *//
-        const drawComplete = this._displayList.map(async fileItem => {
+        // placed on Grid. Desktop draw/paint is now complete. Icons in
+        // collapsed fences are not placed *//
+        const drawComplete = this._displayList
+        .filter(fileItem => !fileItem.hiddenInFence)
+        .map(async fileItem => {
             await fileItem.iconPlaced;
         });
         await Promise.all([...drawComplete]);
@@ -507,6 +480,8 @@ const DesktopManager = class {
             if (!activeItem)
                 this.activeFileItem = null;
         }
+
+        this.stackView.refresh();
     }
 
     _placeAllFilesOnGrids(opts = {redisplay: false}) {
@@ -636,6 +611,10 @@ const DesktopManager = class {
         let preferredDesktop = this.preferredDisplayDesktop;
         if (!preferredDesktop)
             return;
+
+        // Icons in fences are placed by the fence
+        fileList = this.fenceManager.placeFenceMembers(fileList);
+
         let outOfDesktops = [];
         let notAssignedYet = [];
         let droppedFiles = [];
@@ -907,6 +886,7 @@ const DesktopManager = class {
         let stackedFiles = [];
         let newFileList = [];
         let stackTopMarkerFolderList = [];
+        let fencedFiles = [];
         let unstackList = this.Prefs.UnstackList;
 
         if (this._compositeStackList && opts.redisplay) {
@@ -920,6 +900,12 @@ const DesktopManager = class {
         this._sortByName(this._displayList);
 
         for (let fileItem of this._displayList) {
+            // Fences keep their icons unstacked
+            if (this.fenceManager.isFenceMember(fileItem)) {
+                fencedFiles.push(fileItem);
+                continue;
+            }
+
             if (fileItem.isSpecial) {
                 specialFiles.push(fileItem);
                 continue;
@@ -1033,6 +1019,8 @@ const DesktopManager = class {
             }
         }
 
+        newFileList.push(...fencedFiles);
+
         if (this._compositeStackList)
             this._compositeStackList = this._displayList;
 
@@ -1262,133 +1250,65 @@ const DesktopManager = class {
 
 
     findFiles(text) {
-        if (this._findFileWindow) {
-            this._findFileWindow.present();
+        this.desktopSearch.showSearch(text);
+    }
+
+    sortAllFilesFromGridsByPosition() {
+        if (this.Prefs.keepArranged)
             return;
-        }
 
-        const activeWindow = this.mainApp.get_active_window();
-        this._findFileWindow = new Gtk.Dialog({
-            use_header_bar: true,
-            resizable: false,
-        });
-        this._findFileButton =
-            this._findFileWindow.add_button(_('OK'), Gtk.ResponseType.OK);
-        this._findFileButton.sensitive = false;
-        this._findFileWindow.add_button(_('Cancel'), Gtk.ResponseType.CANCEL);
-        this._findFileWindow.set_modal(true);
-        this._findFileWindow.set_title(_('Find Files on Desktop'));
-        const modal = true;
-        this.DesktopIconsUtil
-        .windowHidePagerTaskbarModal(this._findFileWindow, modal);
-        this._findFileWindow.set_transient_for(activeWindow);
-        let contentArea = this._findFileWindow.get_content_area();
-        this._findFileTextArea = new Gtk.Entry();
-        this._findFileTextArea.set_margin_top(5);
-        this._findFileTextArea.set_margin_bottom(5);
-        this._findFileTextArea.set_margin_start(5);
-        this._findFileTextArea.set_margin_end(5);
-        contentArea.append(this._findFileTextArea);
-        contentArea.set_homogeneous(true);
-        contentArea.set_baseline_position(Gtk.BaselinePosition.CENTER);
-
-        this._findFileTextArea.connect('activate', () => {
-            if (this._findFileButton.sensitive)
-                this._findFileWindow.response(Gtk.ResponseType.OK);
+        this.undoManager.recordArrangement(_('Arrange Icons'), () => {
+            this._displayList.map(f =>
+                f.removeFromGrid({callOnDestroy: false}));
+            this._sortByCurrentPosition();
+            this._reassignFilesToDesktop();
         });
+    }
 
-        this._findFileTextArea.connect('changed', () => {
-            let context = this._findFileTextArea.get_style_context();
-
-            if (this._scanForFiles(this._findFileTextArea.text, true)) {
-                this._findFileButton.sensitive = true;
-
-                if (context.has_class('not-found'))
-                    context.remove_class('not-found');
-            } else {
-                this._findFileButton.sensitive = false;
-                this._findFileTextArea.error_bell();
+    /**
+     * Saved positions of the icons, to be given back to
+     * restoreIconPositions() by the undo manager.
+     *
+     * @param {Array|null} fileList fileItems, all of the desktop if null
+     * @returns {object} fileName -> saved coordinates or null
+     */
+    snapshotIconPositions(fileList = null) {
+        const positions = {};
 
-                if (!context.has_class('not-found'))
-                    context.add_class('not-found');
-            }
-
-            this.searchEventTime = GLib.get_monotonic_time();
-        });
+        for (const fileItem of fileList ?? this._displayList) {
+            if (fileItem.isStackMarker)
+                continue;
 
-        this._findFileTextArea.grab_focus_without_selecting();
+            const saved = fileItem.savedCoordinates;
+            const normal = fileItem.normalCoordinates;
 
-        if (text) {
-            this._findFileTextArea.set_text(text);
-            this._findFileTextArea.set_position(text.length);
-        } else {
-            this._scanForFiles(null);
+            if (!saved)
+                positions[fileItem.fileName] = null;
+            else if (!normal)
+                positions[fileItem.fileName] = [...saved];
+            else
+                positions[fileItem.fileName] =
+                    [...saved, ...normal, fileItem.monitorIndex];
         }
 
-        this._findFileWindow.show();
-
-        this.mainApp.activate_action('textEntryAccelsTurnOff', null);
-
-        this._findFileWindow.connect('close', () => {
-            this._findFileWindow.response(Gtk.ResponseType.CANCEL);
-        });
-
-        this._findFileWindow.connect('response', (actor, retval) => {
-            if (retval === Gtk.ResponseType.CANCEL)
-                this.unselectAll();
-
-            this.mainApp.activate_action('textEntryAccelsTurnOn', null);
-            this._displayList.forEach(f => (f.opacity = 1));
-            this._findFileWindow.destroy();
-            this._findFileWindow = null;
-        });
+        return positions;
     }
 
-    _scanForFiles(text, setselected) {
-        let found = [];
-        if (text && (text !== '')) {
-            const lowerCaseText = text.toLowerCase();
-            found =
-                this._displayList.filter(
-                    f => {
-                        const lowerCaseFilename = f.fileName.toLowerCase();
-                        const lowerCaseLabel =
-                            f._label.get_text().toLowerCase();
-
-                        return (
-                            lowerCaseFilename.includes(lowerCaseText) ||
-                            lowerCaseLabel.includes(lowerCaseText)
-                        );
-                    }
-                );
-        }
-
-        if (found.length !== 0) {
-            if (setselected) {
-                this.unselectAll();
-                const notfound = this._displayList.filter(
-                    f => !found.includes(f)
-                );
-                found.forEach(f => {
-                    f.setSelected();
-                    f.opacity = 1;
-                });
-                notfound.forEach(f => (f.opacity = 0.2));
-            }
-            return true;
-        } else {
-            this.unselectAll();
-            return false;
-        }
-    }
+    restoreIconPositions(positions) {
+        const fileItems =
+            this._displayList.filter(f => f.fileName in positions);
 
-    sortAllFilesFromGridsByPosition() {
-        if (this.Prefs.keepArranged)
+        if (!fileItems.length)
             return;
 
-        this._displayList.map(f => f.removeFromGrid({callOnDestroy: false}));
-        this._sortByCurrentPosition();
-        this._reassignFilesToDesktop();
+        fileItems.forEach(f => f.removeFromGrid({callOnDestroy: false}));
+        fileItems.forEach(f => {
+            f.savedCoordinates = positions[f.fileName];
+        });
+
+        this._addFilesToDesktop(fileItems,
+            this.Enums.StoredCoordinates.PRESERVE
+        );
     }
 
     _sortAllFilesFromGridsByModifiedTime() {
@@ -1509,6 +1429,24 @@ const DesktopManager = class {
         this._reassignFilesToDesktop();
     }
 
+    getStackMembers(contentType) {
+        const members = (this._compositeStackList ?? []).filter(f =>
+            !f.isStackMarker &&
+            !f.isSpecial &&
+            !f.isDirectory &&
+            !f._isValidDesktopFile &&
+            f.attributeContentType === contentType &&
+            !this.fenceManager.isFenceMember(f));
+
+        this._sortByName(members);
+
+        return members;
+    }
+
+    onActiveFileItemChanged(fileItem) {
+        this.quickLook?.onActiveFileItemChanged(fileItem);
+    }
+
     unselectAll() {
         this._displayList.forEach(f => {
             f.unsetSelected();
@@ -1518,7 +1456,11 @@ const DesktopManager = class {
     }
 
     getCurrentSelection() {
-        const selectedList = this._displayList.filter(f => f.isSelected);
+        // Files selected in an open stack are not on the desktop grid
+        const selectedList = [
+            ...this._displayList.filter(f => f.isSelected),
+            ...this.stackView?.selection ?? [],
+        ];
 
         if (selectedList.length)
             return selectedList;
@@ -1731,27 +1673,35 @@ const DesktopManager = class {
     }
 
     onKeepArrangedChanged() {
-        if (this.Prefs.keepArranged)
-            this.doSorts({redisplay: true});
+        this.undoManager.recordArrangement(_('Keep Arranged'), () => {
+            if (this.Prefs.keepArranged)
+                this.doSorts({redisplay: true});
+        });
     }
 
     onUnstackedTypesChanged() {
-        if (this.Prefs.keepStacked)
-            this.doStacks({redisplay: true});
+        this.undoManager.recordArrangement(_('Stack This Type'), () => {
+            if (this.Prefs.keepStacked)
+                this.doStacks({redisplay: true});
+        });
     }
 
     onkeepStackedChanged() {
-        if (!this.Prefs.keepStacked)
-            this._unstack();
-        else
-            this.doStacks({redisplay: true});
+        this.undoManager.recordArrangement(_('Keep Stacked by Type'), () => {
+            if (!this.Prefs.keepStacked)
+                this._unstack();
+            else
+                this.doStacks({redisplay: true});
+        });
     }
 
     onSortOrderChanged() {
-        if (this.Prefs.keepStacked)
-            this.doStacks({redisplay: true});
-        else
-            this.doSorts({redisplay: true});
+        this.undoManager.recordArrangement(_('Arrange Icons'), () => {
+            if (this.Prefs.keepStacked)
+                this.doStacks({redisplay: true});
+            else
+                this.doSorts({redisplay: true});
+        });
     }
 
     onIconSizeChanged() {
@@ -36,8 +36,8 @@ const DesktopActions = class {
         this._windowManager = desktopManager.windowManager;
         this._isCut = false;
         this._clipboardFiles = null;
-        this._intDBusSignalMonitoring();
         this._createMenuActionGroup();
+        this._monitorUndoManager();
     }
 
     // Create the menu action group
@@ -52,6 +52,12 @@ const DesktopActions = class {
         });
         this._mainApp.add_action(newFolder);
 
+        const newFence = Gio.SimpleAction.new('newFence', null);
+        newFence.connect('activate', () => {
+            this._desktopManager.fenceManager.startDrawing();
+        });
+        this._mainApp.add_action(newFence);
+
         this.doPasteSimpleAction = Gio.SimpleAction.new('doPaste', null);
         this.doPasteSimpleAction.connect(
             'activate',
@@ -273,13 +279,25 @@ const DesktopActions = class {
 
         const previewAction = Gio.SimpleAction.new('previewAction', null);
         previewAction.connect('activate', () => {
+            const quickLook = this._desktopManager.quickLook;
+            if (quickLook.isOpen) {
+                quickLook.close();
+                return;
+            }
+
+            // Space is part of the name being typed ahead, not a preview
+            const desktopSearch = this._desktopManager.desktopSearch;
+            if (desktopSearch.isTypingAhead) {
+                desktopSearch.onTypeAhead(Gdk.KEY_space);
+                return;
+            }
+
             if (this._desktopManager.popupmenu ||
                 this._desktopManager.fileItemMenu.popupmenu ||
                 !this.activeFileItem)
                 return;
-            const RemoteOperation =
-                this._DBusUtils.RemoteFileOperations;
-            RemoteOperation.ShowFileRemote(this.activeFileItem.uri, 0, true);
+
+            quickLook.show(this.activeFileItem);
         });
         this._mainApp.add_action(previewAction);
 
@@ -472,26 +490,12 @@ const DesktopActions = class {
         });
     }
 
-    _intDBusSignalMonitoring() {
-        const fileOperationsManager =
-            this._DBusUtils.RemoteFileOperations.fileOperationsManager;
-
-        fileOperationsManager.connectToProxy(
-            'g-properties-changed',
-            this._undoStatusChanged.bind(this)
-        );
-
-        fileOperationsManager.connect('changed-status',
-            (actor, available) => {
-                if (available)
-                    this._syncUndoRedo();
-                else
-                    this._syncUndoRedo(true);
-            }
+    _monitorUndoManager() {
+        this._desktopManager.undoManager.connect('changed',
+            () => this._syncUndoRedo()
         );
 
-        if (fileOperationsManager.isAvailable)
-            this._syncUndoRedo();
+        this._syncUndoRedo();
     }
 
     _setClipboardContent(text) {
@@ -525,39 +529,19 @@ const DesktopActions = class {
         return [true, isCut, files];
     }
 
-    _syncUndoRedo(hide = false) {
-        if (hide) {
-            this.doUndoSimpleAction.set_enabled(false);
-            this.doRedoSimpleAction.set_enabled(false);
-            return;
-        }
-        switch (this._DBusUtils.RemoteFileOperations.UndoStatus()) {
-        case this._Enums.UndoStatus.UNDO:
-            this.doUndoSimpleAction.set_enabled(true);
-            this.doRedoSimpleAction.set_enabled(false);
-            break;
-        case this._Enums.UndoStatus.REDO:
-            this.doUndoSimpleAction.set_enabled(false);
-            this.doRedoSimpleAction.set_enabled(true);
-            break;
-        default:
-            this.doUndoSimpleAction.set_enabled(false);
-            this.doRedoSimpleAction.set_enabled(false);
-            break;
-        }
-    }
+    _syncUndoRedo() {
+        const undoManager = this._desktopManager.undoManager;
 
-    _undoStatusChanged(proxy, properties) {
-        if ('UndoStatus' in properties.deep_unpack())
-            this._syncUndoRedo();
+        this.doUndoSimpleAction.set_enabled(undoManager.canUndo);
+        this.doRedoSimpleAction.set_enabled(undoManager.canRedo);
     }
 
     _doUndo() {
-        this._DBusUtils.RemoteFileOperations.UndoRemote();
+        this._desktopManager.undoManager.undo().catch(e => logError(e));
     }
 
     _doRedo() {
-        this._DBusUtils.RemoteFileOperations.RedoRemote();
+        this._desktopManager.undoManager.redo().catch(e => logError(e));
     }
 
     _doPaste() {
@@ -584,7 +568,7 @@ const DesktopActions = class {
 
     _selectAll() {
         for (let fileItem of this._displayList) {
-            if (fileItem.isAllSelectable)
+            if (fileItem.isAllSelectable && !fileItem.hiddenInFence)
                 fileItem.setSelected();
         }
     }
@@ -666,7 +650,7 @@ const DesktopActions = class {
             if (this.activeFileItem && this.activeFileItem.isStackMarker)
                 selection = [this.activeFileItem];
             else
-                selection = this._displayList;
+                selection = this._displayList.filter(f => !f.hiddenInFence);
         }
         if (!selection)
             return false;
@@ -717,6 +701,9 @@ const DesktopActions = class {
         let newDistance = null;
         let newItem = null;
         for (let item of this._displayList) {
+            if (item.hiddenInFence)
+                continue;
+
             let itemCoordinates = item.getCoordinates();
             if ((selectedCoordinates[index] * multiplier) >=
                 (itemCoordinates[index] * multiplier))
@@ -956,6 +943,8 @@ const DesktopBackgroundMenu = class {
 
         this.desktopBackgroundGioMenu.append(
             _('New Folder'), 'app.doNewFolder');
+        this.desktopBackgroundGioMenu.append(
+            _('New Fence'), 'app.newFence');
 
         const templatesmenu = this._templatesMonitor.getGioMenu();
         if (!(templatesmenu === null)) {
@@ -966,10 +955,20 @@ const DesktopBackgroundMenu = class {
         const pasteUndoRedoMenu = Gio.Menu.new();
         if (this._mainApp.lookup_action('doPaste').get_enabled())
             pasteUndoRedoMenu.append(_('Paste'), 'app.doPaste');
-        if (this._mainApp.lookup_action('doUndo').get_enabled())
-            pasteUndoRedoMenu.append(_('Undo'), 'app.doUndo');
-        if (this._mainApp.lookup_action('doRedo').get_enabled())
-            pasteUndoRedoMenu.append(_('Redo'), 'app.doRedo');
+        if (this._mainApp.lookup_action('doUndo').get_enabled()) {
+            pasteUndoRedoMenu.append(
+                this._makeUndoRedoLabel(_('Undo'),
+                    this._desktopManager.undoManager.undoLabel),
+                'app.doUndo'
+            );
+        }
+        if (this._mainApp.lookup_action('doRedo').get_enabled()) {
+            pasteUndoRedoMenu.append(
+                this._makeUndoRedoLabel(_('Redo'),
+                    this._desktopManager.undoManager.redoLabel),
+                'app.doRedo'
+            );
+        }
 
         if (pasteUndoRedoMenu.get_n_items())
             this.desktopBackgroundGioMenu.append_section(null, pasteUndoRedoMenu);
@@ -1018,6 +1017,13 @@ const DesktopBackgroundMenu = class {
             widgetLayerMenu.append(
                 _('Edit Widgets…'), 'app.toggleWidgetLayer');
 
+            const profilesMenu =
+                this._desktopManager.widgetManager?.profiles?.getGioMenu();
+            if (profilesMenu) {
+                widgetLayerMenu.append_submenu(
+                    _('Widget Layouts'), profilesMenu);
+            }
+
             this.desktopBackgroundGioMenu.append_section(null, widgetLayerMenu);
         }
 
@@ -1034,6 +1040,17 @@ const DesktopBackgroundMenu = class {
         this.desktopBackgroundGioMenu.append_section(null, backgroundMenu);
     }
 
+    _makeUndoRedoLabel(verb, label) {
+        if (!label)
+            return verb;
+
+        // TRANSLATORS: {verb} is "Undo" or "Redo", {action} what is undone,
+        // for example "Undo Move"
+        return _('{verb} {action}')
+            .replace('{verb}', verb)
+            .replace('{action}', label);
+    }
+
     updateTemplates() {
         this._templatesMonitor.updateEntries();
     }
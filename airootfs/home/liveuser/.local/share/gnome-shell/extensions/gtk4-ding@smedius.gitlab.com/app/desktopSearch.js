@@ -0,0 +1,721 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Gdk, Gio, GLib, Gtk, Tsparql} from '../dependencies/gi.js';
+import {_, Gettext} from '../dependencies/gettext.js';
+
+export {DesktopSearch};
+
+if (Tsparql) {
+    Gio._promisify(Tsparql.SparqlConnection,
+        'bus_new_async', 'bus_new_finish');
+    Gio._promisify(Tsparql.SparqlStatement.prototype,
+        'execute_async', 'execute_finish');
+    Gio._promisify(Tsparql.SparqlCursor.prototype,
+        'next_async', 'next_finish');
+}
+
+const TYPE_AHEAD_TIMEOUT_US = 1500000;
+const CONTENT_SEARCH_DELAY_MS = 300;
+const DIMMED_OPACITY = 0.2;
+
+// LocalSearch, and its name before the rename
+const CONTENT_SEARCH_SERVICES = [
+    'org.freedesktop.LocalSearch3',
+    'org.freedesktop.Tracker3.Miner.Files',
+];
+
+const CONTENT_SEARCH_QUERY = `
+    SELECT DISTINCT ?url WHERE {
+        ?file a nfo:FileDataObject ;
+            nie:url ?url .
+        ?content nie:isStoredAs ?file ;
+            fts:match ~match .
+        FILTER (STRSTARTS(?url, ~folder))
+    }`;
+
+const MatchMode = {
+    TEXT: 0,
+    GLOB: 1,
+    REGEX: 2,
+};
+
+const TypeFilter = {
+    ANY: 0,
+    FOLDER: 1,
+    DOCUMENT: 2,
+    IMAGE: 3,
+    AUDIO: 4,
+    VIDEO: 5,
+    ARCHIVE: 6,
+    APPLICATION: 7,
+};
+
+// Days back, 0 for since midnight
+const DateFilter = [null, 0, 7, 30, 365];
+
+// [min, max) in bytes
+const SizeFilter = [
+    null,
+    [0, 1000000],
+    [1000000, 100000000],
+    [100000000, Infinity],
+];
+
+const DOCUMENT_TYPES = [
+    'application/pdf',
+    'application/rtf',
+    'application/msword',
+    'application/vnd.ms-excel',
+    'application/vnd.ms-powerpoint',
+    'application/epub+zip',
+];
+
+const DOCUMENT_PREFIXES = [
+    'text/',
+    'application/vnd.oasis.opendocument.',
+    'application/vnd.openxmlformats-officedocument.',
+];
+
+const ARCHIVE_TYPES = [
+    'application/zip',
+    'application/x-tar',
+    'application/x-compressed-tar',
+    'application/x-bzip-compressed-tar',
+    'application/x-xz-compressed-tar',
+    'application/x-zstd-compressed-tar',
+    'application/gzip',
+    'application/x-bzip2',
+    'application/x-xz',
+    'application/zstd',
+    'application/x-7z-compressed',
+    'application/vnd.rar',
+    'application/x-rar',
+];
+
+const APPLICATION_TYPES = [
+    'application/x-desktop',
+    'application/vnd.appimage',
+    'application/x-executable',
+    'application/x-shellscript',
+];
+
+/**
+ * DesktopSearch
+ *
+ * Finds icons on the desktop without leaving it:
+ *  - Type-ahead: typing on the grid selects the first icon whose name
+ *    starts with, or else contains, the typed text. The text is
+ *    forgotten after a short pause, like in Files.
+ *  - Search popover (Find Files): name text, glob or regular expression,
+ *    filtered by type, modification date and size, and optionally by
+ *    file contents through the LocalSearch index when it is available.
+ *    Matches are selected in place and the other icons are dimmed while
+ *    the popover is open. Enter keeps the selection, Escape clears it.
+ */
+const DesktopSearch = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._mainApp = desktopManager.mainApp;
+
+        this._typeAheadString = null;
+        this._typeAheadTime = 0;
+        this._typeAheadTimeoutID = 0;
+
+        this._popover = null;
+        this._contentMatches = null;
+        this._contentCancellable = null;
+        this._contentTimeoutID = 0;
+        this._sparqlConnection = null;
+    }
+
+    get isSearching() {
+        return !!this._popover;
+    }
+
+    get isTypingAhead() {
+        return !!this._typeAheadString;
+    }
+
+    get _displayList() {
+        return this._desktopManager._displayList;
+    }
+
+    // ─────────────────────────
+    // Type-ahead
+    // ─────────────────────────
+
+    /**
+     * Select the icon matching the keys typed on the desktop.
+     *
+     * @param {number} keyval the key pressed
+     * @returns {boolean} true if the key was used
+     */
+    onTypeAhead(keyval) {
+        if (keyval === Gdk.KEY_BackSpace) {
+            if (!this._typeAheadString)
+                return false;
+
+            this._typeAheadString = this._typeAheadString.slice(0, -1);
+        } else {
+            const unicode = Gdk.keyval_to_unicode(keyval);
+            if (!unicode)
+                return false;
+
+            const key = String.fromCodePoint(unicode);
+            if (/\p{Cc}/u.test(key))
+                return false;
+
+            this._typeAheadString = `${this._typeAheadString ?? ''}${key}`;
+        }
+
+        this._typeAheadTime = GLib.get_monotonic_time();
+        this._startTypeAheadTimeout();
+
+        if (!this._typeAheadString)
+            return true;
+
+        const fileItem = this._findTypeAheadMatch(this._typeAheadString);
+        if (!fileItem) {
+            this._desktopManager.keyEventGrid?._window?.error_bell();
+            return true;
+        }
+
+        this._desktopManager.unselectAll();
+        fileItem.setSelected();
+        this._desktopManager.fileItemMenu.activeFileItem = fileItem;
+
+        return true;
+    }
+
+    _startTypeAheadTimeout() {
+        if (this._typeAheadTimeoutID)
+            return;
+
+        this._typeAheadTimeoutID = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            500,
+            () => {
+                if (GLib.get_monotonic_time() - this._typeAheadTime <
+                    TYPE_AHEAD_TIMEOUT_US)
+                    return GLib.SOURCE_CONTINUE;
+
+                this._typeAheadString = null;
+                this._typeAheadTimeoutID = 0;
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    _findTypeAheadMatch(text) {
+        const lowerCaseText = text.toLowerCase();
+        const names = this._displayList
+        .filter(f => !f.hiddenInFence)
+        .map(f => [
+            f,
+            f.fileName.toLowerCase(),
+            f._label.get_text().toLowerCase(),
+        ]);
+
+        const startsWith = names.find(([, fileName, label]) =>
+            label.startsWith(lowerCaseText) ||
+            fileName.startsWith(lowerCaseText)
+        );
+        if (startsWith)
+            return startsWith[0];
+
+        const contains = names.find(([, fileName, label]) =>
+            label.includes(lowerCaseText) || fileName.includes(lowerCaseText)
+        );
+
+        return contains ? contains[0] : null;
+    }
+
+    // ─────────────────────────
+    // Search popover
+    // ─────────────────────────
+
+    /**
+     * Open the search popover on the desktop, or focus it.
+     *
+     * @param {string|null} text initial name text
+     */
+    showSearch(text = null) {
+        if (this._popover) {
+            this._entry.grab_focus();
+            return;
+        }
+
+        const grid = this._desktopManager.keyEventGrid ??
+            this._desktopManager.preferredDisplayDesktop;
+        if (!grid)
+            return;
+
+        this._buildPopover();
+
+        this._popover.set_parent(grid._container);
+        this._popover.set_pointing_to(new Gdk.Rectangle({
+            x: Math.floor(grid._container.get_width() / 2),
+            y: 0,
+            width: 1,
+            height: 1,
+        }));
+        this._popover.set_position(Gtk.PositionType.BOTTOM);
+        this._popover.popup();
+
+        this._mainApp.activate_action('textEntryAccelsTurnOff', null);
+
+        if (text) {
+            this._entry.set_text(text);
+            this._entry.set_position(-1);
+        }
+
+        this._entry.grab_focus();
+        this._update();
+    }
+
+    /**
+     * Close the search popover.
+     *
+     * @param {boolean} keepSelection keep the matches selected
+     */
+    closeSearch(keepSelection = false) {
+        if (!this._popover)
+            return;
+
+        const popover = this._popover;
+        this._popover = null;
+
+        this._cancelContentSearch();
+        this._contentMatches = null;
+
+        this._displayList.forEach(f => (f.opacity = 1));
+        if (!keepSelection)
+            this._desktopManager.unselectAll();
+
+        this._mainApp.activate_action('textEntryAccelsTurnOn', null);
+
+        popover.popdown();
+        GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            popover.unparent();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _buildPopover() {
+        this._popover = new Gtk.Popover();
+        this._popover.set_autohide(false);
+        this._popover.set_has_arrow(false);
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_top: 10,
+            margin_bottom: 10,
+            margin_start: 10,
+            margin_end: 10,
+        });
+        this._popover.set_child(box);
+
+        const searchRow = new Gtk.Box({spacing: 6});
+        box.append(searchRow);
+
+        this._entry = new Gtk.SearchEntry({
+            hexpand: true,
+            width_chars: 28,
+            placeholder_text: _('Search the desktop'),
+        });
+        searchRow.append(this._entry);
+
+        this._modeDropDown = Gtk.DropDown.new_from_strings([
+            _('Name'),
+            _('Wildcards'),
+            _('Regular Expression'),
+        ]);
+        this._modeDropDown.set_tooltip_text(_('How to match the name'));
+        searchRow.append(this._modeDropDown);
+
+        const closeButton = Gtk.Button.new_from_icon_name(
+            'window-close-symbolic');
+        closeButton.add_css_class('flat');
+        closeButton.set_tooltip_text(_('Close'));
+        searchRow.append(closeButton);
+
+        const filterRow = new Gtk.Box({spacing: 6, homogeneous: true});
+        box.append(filterRow);
+
+        this._typeDropDown = Gtk.DropDown.new_from_strings([
+            _('Any Type'),
+            _('Folders'),
+            _('Documents'),
+            _('Images'),
+            _('Music'),
+            _('Videos'),
+            _('Archives'),
+            _('Applications'),
+        ]);
+        filterRow.append(this._typeDropDown);
+
+        this._dateDropDown = Gtk.DropDown.new_from_strings([
+            _('Any Time'),
+            _('Today'),
+            _('Past Week'),
+            _('Past Month'),
+            _('Past Year'),
+        ]);
+        filterRow.append(this._dateDropDown);
+
+        this._sizeDropDown = Gtk.DropDown.new_from_strings([
+            _('Any Size'),
+            _('Under 1 MB'),
+            _('1 MB to 100 MB'),
+            _('Over 100 MB'),
+        ]);
+        filterRow.append(this._sizeDropDown);
+
+        const statusRow = new Gtk.Box({spacing: 6});
+        box.append(statusRow);
+
+        this._contentCheck = new Gtk.CheckButton({
+            label: _('Search file contents'),
+            hexpand: true,
+        });
+        if (!Tsparql) {
+            this._contentCheck.set_sensitive(false);
+            this._contentCheck.set_tooltip_text(
+                _('Install LocalSearch to search inside files'));
+        }
+        statusRow.append(this._contentCheck);
+
+        this._statusLabel = new Gtk.Label({halign: Gtk.Align.END});
+        this._statusLabel.add_css_class('dim-label');
+        statusRow.append(this._statusLabel);
+
+        this._entry.connect('search-changed', () => this._onQueryChanged());
+        this._entry.connect('activate', () => this.closeSearch(true));
+        this._entry.connect('stop-search', () => this.closeSearch(false));
+        closeButton.connect('clicked', () => this.closeSearch(false));
+        this._contentCheck.connect('toggled', () => this._onQueryChanged());
+
+        for (const dropDown of [
+            this._modeDropDown,
+            this._typeDropDown,
+            this._dateDropDown,
+            this._sizeDropDown,
+        ])
+            dropDown.connect('notify::selected', () => this._onQueryChanged());
+
+        const keyController = new Gtk.EventControllerKey();
+        keyController.connect('key-pressed', (actor, keyval) => {
+            if (keyval !== Gdk.KEY_Escape)
+                return false;
+
+            this.closeSearch(false);
+            return true;
+        });
+        this._popover.add_controller(keyController);
+
+        this._popover.connect('closed', () => this.closeSearch(true));
+    }
+
+    _onQueryChanged() {
+        if (!this._popover)
+            return;
+
+        const mode = this._modeDropDown.get_selected();
+        this._contentCheck.set_sensitive(!!Tsparql && mode === MatchMode.TEXT);
+
+        this._cancelContentSearch();
+        this._contentMatches = null;
+
+        if (this._wantsContentSearch())
+            this._scheduleContentSearch();
+
+        this._update();
+    }
+
+    _wantsContentSearch() {
+        return !!Tsparql &&
+            this._contentCheck.get_active() &&
+            this._modeDropDown.get_selected() === MatchMode.TEXT &&
+            this._entry.get_text().trim() !== '';
+    }
+
+    // ─────────────────────────
+    // Matching
+    // ─────────────────────────
+
+    _update() {
+        if (!this._popover)
+            return;
+
+        const nameMatcher = this._makeNameMatcher();
+        const displayList = this._displayList;
+        const filtered = this._hasFilters() || nameMatcher;
+
+        this._desktopManager.unselectAll();
+
+        if (!filtered) {
+            this._statusLabel.set_text('');
+            return;
+        }
+
+        const found = displayList.filter(fileItem => {
+            if (fileItem.hiddenInFence || !this._passesFilters(fileItem))
+                return false;
+
+            if (!nameMatcher)
+                return true;
+
+            return nameMatcher(fileItem) ||
+                !!this._contentMatches?.has(fileItem.uri);
+        });
+
+        displayList.forEach(fileItem => {
+            if (found.includes(fileItem)) {
+                fileItem.setSelected();
+                fileItem.opacity = 1;
+            } else {
+                fileItem.opacity = DIMMED_OPACITY;
+            }
+        });
+
+        this._statusLabel.set_text(
+            Gettext.ngettext('{0} found', '{0} found', found.length)
+            .replace('{0}', found.length)
+        );
+    }
+
+    _makeNameMatcher() {
+        const text = this._entry.get_text().trim();
+        this._entry.remove_css_class('error');
+
+        if (!text)
+            return null;
+
+        const names = fileItem => [
+            fileItem.fileName,
+            fileItem._label.get_text(),
+        ];
+
+        switch (this._modeDropDown.get_selected()) {
+        case MatchMode.GLOB: {
+            const pattern = text.toLowerCase();
+            return fileItem => names(fileItem).some(name =>
+                GLib.pattern_match_simple(pattern, name.toLowerCase())
+            );
+        }
+        case MatchMode.REGEX: {
+            let regex;
+            try {
+                regex = new RegExp(text, 'iu');
+            } catch (e) {
+                this._entry.add_css_class('error');
+                return () => false;
+            }
+            return fileItem => names(fileItem).some(name => regex.test(name));
+        }
+        default: {
+            const lowerCaseText = text.toLowerCase();
+            return fileItem => names(fileItem).some(name =>
+                name.toLowerCase().includes(lowerCaseText)
+            );
+        }
+        }
+    }
+
+    _hasFilters() {
+        return this._typeDropDown.get_selected() !== TypeFilter.ANY ||
+            DateFilter[this._dateDropDown.get_selected()] !== null ||
+            SizeFilter[this._sizeDropDown.get_selected()] !== null;
+    }
+
+    _passesFilters(fileItem) {
+        return this._passesTypeFilter(fileItem) &&
+            this._passesDateFilter(fileItem) &&
+            this._passesSizeFilter(fileItem);
+    }
+
+    _passesTypeFilter(fileItem) {
+        const typeFilter = this._typeDropDown.get_selected();
+        if (typeFilter === TypeFilter.ANY)
+            return true;
+
+        if (typeFilter === TypeFilter.FOLDER)
+            return !!fileItem.isDirectory;
+
+        const contentType = fileItem.attributeContentType;
+        if (!contentType || fileItem.isDirectory)
+            return false;
+
+        switch (typeFilter) {
+        case TypeFilter.DOCUMENT:
+            return DOCUMENT_TYPES.includes(contentType) ||
+                DOCUMENT_PREFIXES.some(p => contentType.startsWith(p));
+        case TypeFilter.IMAGE:
+            return contentType.startsWith('image/');
+        case TypeFilter.AUDIO:
+            return contentType.startsWith('audio/');
+        case TypeFilter.VIDEO:
+            return contentType.startsWith('video/');
+        case TypeFilter.ARCHIVE:
+            return ARCHIVE_TYPES.includes(contentType);
+        case TypeFilter.APPLICATION:
+            return APPLICATION_TYPES.includes(contentType);
+        default:
+            return true;
+        }
+    }
+
+    _passesDateFilter(fileItem) {
+        const days = DateFilter[this._dateDropDown.get_selected()];
+        if (days === null)
+            return true;
+
+        const modifiedTime = fileItem.modifiedTime;
+        if (!modifiedTime)
+            return false;
+
+        const now = GLib.DateTime.new_now_local();
+        const since = days === 0
+            ? GLib.DateTime.new_local(
+                now.get_year(), now.get_month(), now.get_day_of_month(),
+                0, 0, 0)
+            : now.add_days(-days);
+
+        return modifiedTime >= since.to_unix();
+    }
+
+    _passesSizeFilter(fileItem) {
+        const range = SizeFilter[this._sizeDropDown.get_selected()];
+        if (!range)
+            return true;
+
+        if (fileItem.isDirectory || fileItem.fileSize === undefined)
+            return false;
+
+        const [min, max] = range;
+        return fileItem.fileSize >= min && fileItem.fileSize < max;
+    }
+
+    // ─────────────────────────
+    // Content search
+    // ─────────────────────────
+
+    _scheduleContentSearch() {
+        this._contentTimeoutID = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            CONTENT_SEARCH_DELAY_MS,
+            () => {
+                this._contentTimeoutID = 0;
+                this._runContentSearch().catch(e => logError(e));
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    _cancelContentSearch() {
+        if (this._contentTimeoutID) {
+            GLib.source_remove(this._contentTimeoutID);
+            this._contentTimeoutID = 0;
+        }
+
+        this._contentCancellable?.cancel();
+        this._contentCancellable = null;
+    }
+
+    async _runContentSearch() {
+        const cancellable = new Gio.Cancellable();
+        this._contentCancellable = cancellable;
+
+        const text = this._entry.get_text().trim();
+        const desktopDir = this._desktopManager.desktopMonitor.desktopDir;
+
+        try {
+            const uris = await this._queryContent(
+                text,
+                `${desktopDir.get_uri()}/`,
+                cancellable
+            );
+
+            if (cancellable.is_cancelled())
+                return;
+
+            this._contentMatches = new Set(uris);
+            this._update();
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                console.error('DesktopSearch: content search failed:', e);
+        } finally {
+            if (this._contentCancellable === cancellable)
+                this._contentCancellable = null;
+        }
+    }
+
+    async _queryContent(text, folderUri, cancellable) {
+        if (this._sparqlConnection) {
+            return this._runQuery(this._sparqlConnection, text, folderUri,
+                cancellable);
+        }
+
+        let lastError = null;
+
+        for (const service of CONTENT_SEARCH_SERVICES) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const connection = await Tsparql.SparqlConnection
+                    .bus_new_async(service, null, null, cancellable);
+
+                // eslint-disable-next-line no-await-in-loop
+                const uris = await this._runQuery(connection, text,
+                    folderUri, cancellable);
+
+                this._sparqlConnection = connection;
+                return uris;
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                    throw e;
+
+                lastError = e;
+            }
+        }
+
+        throw lastError;
+    }
+
+    async _runQuery(connection, text, folderUri, cancellable) {
+        const statement =
+            connection.query_statement(CONTENT_SEARCH_QUERY, cancellable);
+        statement.bind_string('match', text);
+        statement.bind_string('folder', folderUri);
+
+        const cursor = await statement.execute_async(cancellable);
+        const uris = [];
+
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            while (await cursor.next_async(cancellable)) {
+                const [uri] = cursor.get_string(0);
+                uris.push(uri);
+            }
+        } finally {
+            cursor.close();
+        }
+
+        return uris;
+    }
+};
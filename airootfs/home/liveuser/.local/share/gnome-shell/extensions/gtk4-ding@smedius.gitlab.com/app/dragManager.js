@@ -576,10 +576,24 @@ const DragManager = class {
     doMoveWithDragAndDrop(xOrigin, yOrigin, xDestination, yDestination) {
         const keepArranged =
             this._Prefs.keepArranged || this._Prefs.keepStacked;
+        const fenceManager = this._desktopManager.fenceManager;
+        const selection = this._displayList.filter(item => item.isSelected);
 
-        if (this._Prefs.sortSpecialFolders && keepArranged)
+        // Fences take icons even when the desktop is kept arranged
+        if (fenceManager.dropIntoFence(selection, xDestination, yDestination))
             return;
 
+        const fencesBefore = fenceManager.releaseFromFences(selection);
+
+        if (this._Prefs.sortSpecialFolders && keepArranged) {
+            if (fencesBefore) {
+                fenceManager.recordRelease(_('Move'), fencesBefore, null);
+                this._desktopManager.redrawDesktop().catch(e => logError(e));
+            }
+
+            return;
+        }
+
         let deltaX;
         let deltaY;
 
@@ -591,20 +605,37 @@ const DragManager = class {
             deltaY = yDestination - yOrigin - this.localDragOffset[1];
         }
 
-        const fileItems = [];
-        this._displayList.filter(item => item.isSelected).forEach(item => {
-            if (!keepArranged || item.isSpecial) {
-                fileItems.push(item);
-                item.removeFromGrid({callOnDestroy: false});
-                let [x, y] = item.getCoordinates().slice(0, 3);
-                item.temporarySavedPosition = [x + deltaX, y + deltaY];
-            }
+        const fileItems = this._displayList.filter(item =>
+            item.isSelected && (!keepArranged || item.isSpecial));
+        const positionsBefore =
+            this._desktopManager.snapshotIconPositions(fileItems);
+
+        fileItems.forEach(item => {
+            item.removeFromGrid({callOnDestroy: false});
+            let [x, y] = item.getCoordinates().slice(0, 3);
+            item.temporarySavedPosition = [x + deltaX, y + deltaY];
         });
 
         // force to store the new coordinates
         this._desktopManager._addFilesToDesktop(fileItems,
             this._Enums.StoredCoordinates.OVERWRITE);
-        if (keepArranged) {
+
+        const positionsAfter =
+            this._desktopManager.snapshotIconPositions(fileItems);
+
+        // Undoing the move puts the icons back into their fences
+        if (fencesBefore) {
+            fenceManager.recordRelease(_('Move'), fencesBefore, positionsAfter);
+        } else {
+            this._desktopManager.undoManager.recordIconPositions(
+                _('Move'),
+                positionsBefore,
+                positionsAfter
+            );
+        }
+
+        // The fences they left close the gaps
+        if (keepArranged || fencesBefore) {
             this._desktopManager.redrawDesktop().catch(e => {
                 console.log(
                     'Exception while doing move with drag and drop and' +
@@ -639,6 +670,9 @@ const DragManager = class {
                 });
             this._drawSelectionRectangles();
             for (let item of this._displayList) {
+                if (item.hiddenInFence)
+                    continue;
+
                 const labelintersect =
                     item.labelRectangle.intersect(this.selectionRectangle)[0];
                 const iconintersect =
@@ -655,6 +689,13 @@ const DragManager = class {
 
     onReleaseButton() {
         if (this.rubberBand) {
+            if (this._desktopManager.fenceManager.drawing) {
+                this._desktopManager.fenceManager.onRubberbandReleased(
+                    this.selectionRectangle,
+                    this._displayList.filter(item => item.touchedByRubberband)
+                );
+            }
+
             this.rubberBand = false;
             this.selectionRectangle = null;
         }
@@ -195,3 +195,18 @@ export const CspProfile = Object.freeze({
 });
 
 export const DEFAULT_CSP_PROFILE = CspProfile.STRICT;
+
+// Manifest "csp" values
+export const CspProfileNames = Object.freeze({
+    strict: CspProfile.STRICT,
+    dev: CspProfile.DEV,
+    relaxed: CspProfile.RELAXED,
+});
+
+// Host APIs an HTML widget can ask for in its manifest "capabilities"
+export const WidgetCapability = Object.freeze({
+    SYSTEM_STATS: 'system-stats',
+    READ_FILES: 'read-files',
+    LAUNCH_APPS: 'launch-apps',
+    NOTIFICATIONS: 'notifications',
+});
@@ -0,0 +1,1015 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Adw, Gdk, Gio, GLib, Gtk, Pango} from '../dependencies/gi.js';
+import {_} from '../dependencies/gettext.js';
+
+export {FenceManager};
+
+const STATE_VERSION = 1;
+const HEADER_HEIGHT = 34;
+const MIN_ROWS = 2;
+const MOVE_THRESHOLD = 8;
+
+/**
+ * FenceManager
+ *
+ * Fences are rectangles drawn by the user on a DesktopGrid, with a title.
+ * The icons dropped into a fence belong to it: they are kept sorted in the
+ * fence, hidden when the fence is collapsed into its title bar, and new
+ * files matching the rules of a fence, like "*.pdf", go there.
+ *
+ * The first row of a fence holds the title bar, the icons fill the rows
+ * below. The cells of a fence are reserved on the grid, other icons are
+ * placed around it.
+ *
+ * Stored in $XDG_DATA_HOME/<app-id>/fences.json:
+ * {
+ *   version: 1,
+ *   fences: [
+ *     {
+ *       id,
+ *       title,
+ *       monitor,                 // index, like icon positions
+ *       x, y, width, height,     // normalized to the grid
+ *       collapsed,
+ *       rules,                   // glob patterns of file names
+ *       members,                 // file names
+ *     },
+ *     ...
+ *   ]
+ * }
+ */
+const FenceManager = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._mainApp = desktopManager.mainApp;
+        this._Prefs = desktopManager.Prefs;
+        this._Enums = desktopManager.Enums;
+        this._DesktopIconsUtil = desktopManager.DesktopIconsUtil;
+
+        this._fences = [];
+        this._drawing = false;
+        this._knownFileNames = new Set();
+        this._knownFilesSeeded = false;
+
+        // grid -> {key, widgets}
+        this._views = new Map();
+
+        this._load().catch(e => {
+            console.error(e, 'FenceManager: failed to load fences');
+        });
+    }
+
+    get drawing() {
+        return this._drawing;
+    }
+
+    // ─────────────────────────
+    // Drawing a new fence
+    // ─────────────────────────
+
+    /**
+     * The next rubber band drawn on the desktop becomes a fence.
+     */
+    startDrawing() {
+        this._drawing = true;
+        this._desktopManager._desktops.forEach(grid =>
+            grid.fenceContainer.set_cursor_from_name('crosshair'));
+    }
+
+    /**
+     * @returns {boolean} true if a fence was being drawn
+     */
+    cancelDrawing() {
+        if (!this._drawing)
+            return false;
+
+        this._drawing = false;
+        this._desktopManager._desktops.forEach(grid =>
+            grid.fenceContainer.set_cursor(null));
+
+        return true;
+    }
+
+    /**
+     * Make a fence of the rubber band, the icons it touched join it.
+     *
+     * @param {Gdk.Rectangle|null} rectangle the rubber band, global
+     * @param {Array} fileItems icons touched by the rubber band
+     */
+    onRubberbandReleased(rectangle, fileItems) {
+        if (!this.cancelDrawing() || !rectangle)
+            return;
+
+        const grid = this._desktopManager._desktops.find(d =>
+            d.coordinatesBelongToThisGrid(rectangle.x, rectangle.y));
+
+        if (!grid)
+            return;
+
+        const [column, firstRow] =
+            grid.getColumnRowAt(rectangle.x, rectangle.y);
+        const [lastColumn, lastRow] = grid.getColumnRowAt(
+            rectangle.x + rectangle.width,
+            rectangle.y + rectangle.height
+        );
+        const row = Math.min(firstRow, grid.maxRows - MIN_ROWS);
+
+        const area = {
+            column,
+            row,
+            columns: lastColumn - column + 1,
+            rows: Math.max(lastRow - row + 1, MIN_ROWS),
+        };
+
+        if (this._overlapsOtherFence(grid, area, null)) {
+            this._desktopManager.dbusManager.doNotify(
+                _('Cannot create the fence'),
+                _('Fences cannot overlap each other.')
+            );
+            return;
+        }
+
+        const before = this._snapshot();
+        const fence = {
+            id: GLib.uuid_string_random(),
+            title: _('New Fence'),
+            monitor: grid.monitorIndex,
+            ...this._normalizeArea(grid, area),
+            collapsed: false,
+            rules: [],
+            members: [],
+        };
+
+        this._fences.push(fence);
+        this._releaseFromFences(fileItems);
+        this._addMembers(fence, fileItems);
+        this._commit(_('New Fence'), before);
+
+        this._askRename(fence).catch(e => logError(e));
+    }
+
+    // ─────────────────────────
+    // Placement, called by DesktopManager._addFilesToDesktop()
+    // ─────────────────────────
+
+    /**
+     * Place the icons that belong to a fence into it.
+     *
+     * Other members of the fences involved are placed again too, so the
+     * fence stays sorted.
+     *
+     * @param {Array} fileList fileItems to be placed on the desktop
+     * @returns {Array} the fileItems left to place on the desktop
+     */
+    placeFenceMembers(fileList) {
+        fileList.forEach(f => (f.hiddenInFence = false));
+
+        this._claimNewFiles(fileList);
+
+        if (!this._fences.length) {
+            this._layoutGrids(new Map());
+            return fileList;
+        }
+
+        const displayList = this._desktopManager._displayList;
+        const candidates = new Set([...displayList, ...fileList]);
+        const membersOf = new Map();
+
+        for (const fence of this._fences) {
+            const names = new Set(fence.members);
+            membersOf.set(fence, [...candidates].filter(f =>
+                !f.isStackMarker && names.has(f.fileName)));
+        }
+
+        this._layoutGrids(membersOf);
+
+        const placed = new Set();
+
+        for (const [fence, members] of membersOf) {
+            if (!members.some(f => fileList.includes(f)))
+                continue;
+
+            members.forEach(f => f.removeFromGrid({callOnDestroy: false}));
+
+            if (fence.collapsed) {
+                members.forEach(f => {
+                    f.hiddenInFence = true;
+                    placed.add(f);
+                });
+                continue;
+            }
+
+            const grid = this._getGrid(fence);
+            const slots = this._getSlots(grid, this._getArea(fence, grid));
+
+            this._sortMembers(members);
+
+            members.forEach((fileItem, index) => {
+                // A full fence leaves the rest of its icons on the desktop
+                if (index >= slots.length) {
+                    if (!fileList.includes(fileItem))
+                        fileList = [...fileList, fileItem];
+                    return;
+                }
+
+                const [column, row] = slots[index];
+                grid.placeFileItemAt(fileItem, column, row,
+                    this._Enums.StoredCoordinates.PRESERVE);
+                placed.add(fileItem);
+            });
+        }
+
+        return fileList.filter(f => !placed.has(f));
+    }
+
+    /**
+     * Record the files on the desktop when it is first read, even if there
+     * are none, so only files added later are claimed by fence rules.
+     *
+     * @param {Array} fileList fileItems read from the desktop folder
+     */
+    seedKnownFiles(fileList) {
+        if (this._knownFilesSeeded)
+            return;
+
+        this._knownFilesSeeded = true;
+        (fileList ?? []).forEach(f => this._knownFileNames.add(f.fileName));
+    }
+
+    /**
+     * Keep the fence of a file renamed on the desktop, by any program or
+     * by a batch rename.
+     *
+     * @param {string} oldName file name before the rename
+     * @param {string} newName file name after the rename
+     */
+    onFileRenamed(oldName, newName) {
+        const known = this._knownFileNames.delete(oldName);
+
+        // A file replaced by the rename is gone
+        let changed = this._removeMember(newName);
+
+        // Else the file is new, and fence rules may claim it
+        if (known)
+            this._knownFileNames.add(newName);
+
+        for (const fence of this._fences) {
+            const index = fence.members.indexOf(oldName);
+            if (index < 0)
+                continue;
+
+            fence.members[index] = newName;
+            changed = true;
+        }
+
+        if (changed)
+            this._save();
+    }
+
+    /**
+     * Forget a file deleted or moved off the desktop.
+     *
+     * @param {string} fileName
+     */
+    onFileRemoved(fileName) {
+        if (this._removeMember(fileName))
+            this._save();
+    }
+
+    _removeMember(fileName) {
+        this._knownFileNames.delete(fileName);
+
+        let changed = false;
+
+        for (const fence of this._fences) {
+            const members = fence.members.filter(name => name !== fileName);
+
+            if (members.length !== fence.members.length) {
+                fence.members = members;
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    isFenceMember(fileItem) {
+        return this._fences.some(fence =>
+            fence.members.includes(fileItem.fileName));
+    }
+
+    _claimNewFiles(fileList) {
+        // Until the desktop is first read, there is nothing to compare with
+        if (!this._knownFilesSeeded)
+            return;
+
+        let changed = false;
+
+        for (const fileItem of fileList) {
+            if (fileItem.isStackMarker ||
+                this._knownFileNames.has(fileItem.fileName))
+                continue;
+
+            this._knownFileNames.add(fileItem.fileName);
+
+            if (this.isFenceMember(fileItem))
+                continue;
+
+            const fence = this._getFenceForNewFile(fileItem);
+            if (!fence)
+                continue;
+
+            fence.members.push(fileItem.fileName);
+            changed = true;
+        }
+
+        if (changed)
+            this._save();
+    }
+
+    _getFenceForNewFile(fileItem) {
+        if (fileItem.dropCoordinates) {
+            const [X, Y] = fileItem.dropCoordinates;
+            return this.getFenceAt(X, Y);
+        }
+
+        const fileName = fileItem.fileName.toLowerCase();
+
+        return this._fences.find(fence => fence.rules.some(rule =>
+            GLib.pattern_match_simple(rule.toLowerCase(), fileName))
+        ) ?? null;
+    }
+
+    _sortMembers(members) {
+        const desktopManager = this._desktopManager;
+        const SortOrder = this._Enums.SortOrder;
+
+        switch (this._Prefs.sortOrder) {
+        case SortOrder.DESCENDINGNAME:
+            desktopManager._sortByName(members);
+            members.reverse();
+            break;
+        case SortOrder.MODIFIEDTIME:
+            members.sort((a, b) => a.modifiedTime - b.modifiedTime);
+            break;
+        case SortOrder.KIND:
+            desktopManager._sortByKindByName(members);
+            break;
+        case SortOrder.SIZE:
+            members.sort((a, b) => a.fileSize - b.fileSize);
+            break;
+        default:
+            desktopManager._sortByName(members);
+            break;
+        }
+    }
+
+    // ─────────────────────────
+    // Drag and drop, called by the DragManager
+    // ─────────────────────────
+
+    /**
+     * @param {number} X global
+     * @param {number} Y global
+     * @returns {object|null} the fence at the position
+     */
+    getFenceAt(X, Y) {
+        for (const fence of this._fences) {
+            const grid = this._getGrid(fence);
+            if (!grid?.coordinatesBelongToThisGrid(X, Y))
+                continue;
+
+            const [column, row] = grid.getColumnRowAt(X, Y);
+            const area = this._getArea(fence, grid);
+
+            if (column >= area.column &&
+                column < area.column + area.columns &&
+                row >= area.row &&
+                row < area.row + area.rows)
+                return fence;
+        }
+
+        return null;
+    }
+
+    /**
+     * Icons moved on the desktop, join the fence they were dropped on.
+     *
+     * @param {Array} fileItems the moved icons
+     * @param {number} X global drop position
+     * @param {number} Y global drop position
+     * @returns {boolean} true if they were dropped on a fence
+     */
+    dropIntoFence(fileItems, X, Y) {
+        const fence = this.getFenceAt(X, Y);
+        if (!fence)
+            return false;
+
+        const before = this._snapshot();
+
+        this._releaseFromFences(fileItems);
+        this._addMembers(fence, fileItems);
+        this._commit(_('Move to Fence'), before);
+
+        return true;
+    }
+
+    /**
+     * Icons moved out of their fences.
+     *
+     * @param {Array} fileItems the moved icons
+     * @returns {Array|null} the fences before, to give to recordRelease(),
+     *   null if none of the icons was in a fence
+     */
+    releaseFromFences(fileItems) {
+        const before = this._snapshot();
+
+        if (!this._releaseFromFences(fileItems))
+            return null;
+
+        this._save();
+
+        return before;
+    }
+
+    /**
+     * Record icons moved out of their fences, as one undo entry with
+     * their move on the desktop.
+     *
+     * @param {string} label shown in the menu
+     * @param {Array} before from releaseFromFences()
+     * @param {object|null} positions icon positions after the move, from
+     *   DesktopManager.snapshotIconPositions()
+     */
+    recordRelease(label, before, positions) {
+        const after = this._snapshot();
+
+        this._desktopManager.undoManager.push({
+            label,
+            undo: () => this._restore(before),
+            redo: () => {
+                this._restore(after);
+                if (positions)
+                    this._desktopManager.restoreIconPositions(positions);
+            },
+        });
+    }
+
+    _releaseFromFences(fileItems) {
+        const names = new Set(fileItems.map(f => f.fileName));
+        let changed = false;
+
+        for (const fence of this._fences) {
+            const members = fence.members.filter(name => !names.has(name));
+
+            if (members.length !== fence.members.length) {
+                fence.members = members;
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    _addMembers(fence, fileItems) {
+        for (const fileItem of fileItems) {
+            if (fileItem.isStackMarker ||
+                fence.members.includes(fileItem.fileName))
+                continue;
+
+            fence.members.push(fileItem.fileName);
+        }
+    }
+
+    // ─────────────────────────
+    // Fence commands
+    // ─────────────────────────
+
+    _setCollapsed(fence, collapsed) {
+        if (fence.collapsed === collapsed)
+            return;
+
+        fence.collapsed = collapsed;
+        this._save();
+        this._redraw();
+    }
+
+    _moveFence(fence, grid, area, label) {
+        if (this._overlapsOtherFence(grid, area, fence)) {
+            this._redraw();
+            return;
+        }
+
+        const before = this._snapshot();
+
+        Object.assign(fence, this._normalizeArea(grid, area));
+        fence.monitor = grid.monitorIndex;
+        this._commit(label, before);
+    }
+
+    _deleteFence(fence) {
+        const before = this._snapshot();
+
+        this._fences = this._fences.filter(f => f !== fence);
+        this._commit(_('Delete Fence'), before);
+    }
+
+    async _askRename(fence) {
+        const entry = new Gtk.Entry({
+            text: fence.title,
+            activates_default: true,
+        });
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Rename Fence'),
+            extra_child: entry,
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('rename', _('Rename'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response('rename');
+        dialog.set_response_appearance(
+            'rename', Adw.ResponseAppearance.SUGGESTED);
+
+        entry.connect('changed', () => {
+            dialog.set_response_enabled('rename', !!entry.get_text().trim());
+        });
+        entry.select_region(0, -1);
+
+        if (await this._choose(dialog) !== 'rename')
+            return;
+
+        const title = entry.get_text().trim();
+        if (title === fence.title)
+            return;
+
+        const before = this._snapshot();
+        fence.title = title;
+        this._commit(_('Rename Fence'), before);
+    }
+
+    async _askRules(fence) {
+        const entry = new Gtk.Entry({
+            text: fence.rules.join(' '),
+            placeholder_text: '*.pdf *.odt',
+            activates_default: true,
+        });
+
+        const dialog = new Adw.AlertDialog({
+            // TRANSLATORS: {title} is the title of a fence on the desktop
+            heading: _('Rules for “{title}”').replace('{title}', fence.title),
+            body: _('New files with a name matching one of these patterns ' +
+                'are put in this fence. Separate the patterns with spaces.'),
+            extra_child: entry,
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('save', _('Save'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response('save');
+        dialog.set_response_appearance(
+            'save', Adw.ResponseAppearance.SUGGESTED);
+
+        if (await this._choose(dialog) !== 'save')
+            return;
+
+        const rules = entry.get_text().split(/\s+/).filter(rule => !!rule);
+        if (rules.join(' ') === fence.rules.join(' '))
+            return;
+
+        const before = this._snapshot();
+        fence.rules = rules;
+        this._commit(_('Change Fence Rules'), before);
+    }
+
+    _choose(dialog) {
+        return new Promise(resolve => {
+            dialog.choose(this._mainApp.get_active_window(), null,
+                (actor, result) => {
+                    resolve(actor.choose_finish(result));
+                }
+            );
+        });
+    }
+
+    // ─────────────────────────
+    // Geometry
+    // ─────────────────────────
+
+    _getGrid(fence) {
+        const desktops = this._desktopManager._desktops;
+
+        return desktops.find(d => d.monitorIndex === fence.monitor) ??
+            this._desktopManager.preferredDisplayDesktop;
+    }
+
+    /**
+     * Cells of the fence on the grid, only the title row when collapsed.
+     *
+     * @param {object} fence
+     * @param {DesktopGrid} grid
+     * @returns {object} {column, row, columns, rows}
+     */
+    _getArea(fence, grid) {
+        const clamp = this._DesktopIconsUtil.clamp;
+        const maxColumns = grid.maxColumns;
+        const maxRows = grid.maxRows;
+
+        const column =
+            clamp(Math.round(fence.x * maxColumns), 0, maxColumns - 1);
+        const row = clamp(Math.round(fence.y * maxRows), 0, maxRows - 1);
+        const columns =
+            clamp(Math.round(fence.width * maxColumns), 1, maxColumns - column);
+        const rows =
+            clamp(Math.round(fence.height * maxRows), 1, maxRows - row);
+
+        return {column, row, columns, rows: fence.collapsed ? 1 : rows};
+    }
+
+    _normalizeArea(grid, area) {
+        return {
+            x: area.column / grid.maxColumns,
+            y: area.row / grid.maxRows,
+            width: area.columns / grid.maxColumns,
+            height: area.rows / grid.maxRows,
+        };
+    }
+
+    _getSlots(grid, area) {
+        const slots = [];
+
+        for (let row = area.row + 1; row < area.row + area.rows; row++) {
+            for (let column = area.column;
+                column < area.column + area.columns;
+                column++)
+                slots.push([column, row]);
+        }
+
+        return slots;
+    }
+
+    _overlapsOtherFence(grid, area, fence) {
+        return this._fences.some(other => {
+            if (other === fence || this._getGrid(other) !== grid)
+                return false;
+
+            const otherArea = this._getArea(other, grid);
+
+            return area.column < otherArea.column + otherArea.columns &&
+                otherArea.column < area.column + area.columns &&
+                area.row < otherArea.row + otherArea.rows &&
+                otherArea.row < area.row + area.rows;
+        });
+    }
+
+    // ─────────────────────────
+    // Fence widgets
+    // ─────────────────────────
+
+    _layoutGrids(membersOf) {
+        const desktops = this._desktopManager._desktops;
+
+        for (const grid of this._views.keys()) {
+            if (!desktops.includes(grid))
+                this._views.delete(grid);
+        }
+
+        for (const grid of desktops) {
+            const fences = this._fences.filter(f => this._getGrid(f) === grid);
+            const layout = fences.map(fence => ({
+                fence,
+                area: this._getArea(fence, grid),
+                count: membersOf.get(fence)?.length ?? 0,
+            }));
+
+            const key = JSON.stringify([
+                grid.maxColumns,
+                grid.maxRows,
+                grid.normalizedWidth,
+                grid.normalizedHeight,
+                layout,
+            ]);
+
+            const view = this._views.get(grid);
+            if (view?.key === key)
+                continue;
+
+            view?.widgets.forEach(w => grid.fenceContainer.remove(w));
+
+            grid.setFenceAreas(layout.map(l => l.area));
+
+            const widgets = [];
+            for (const {fence, area, count} of layout) {
+                widgets.push(
+                    ...this._createFenceWidgets(grid, fence, area, count));
+            }
+
+            this._views.set(grid, {key, widgets});
+        }
+    }
+
+    _createFenceWidgets(grid, fence, area, count) {
+        const container = grid.fenceContainer;
+        const spacing = grid.elementSpacing;
+        const [x, y, width, height] = grid.getAreaRectangle(area);
+
+        const frame = new Gtk.DrawingArea({
+            can_target: false,
+            content_width: width,
+            content_height: height,
+        });
+        frame.set_draw_func((actor, cr, w, h) => {
+            grid.drawFenceFrame(cr, w, h);
+            cr.$dispose();
+        });
+
+        const header = this._createHeader(grid, fence, area, count);
+        header.set_size_request(width - 2 * spacing, HEADER_HEIGHT);
+
+        container.put(frame, x, y);
+        container.put(header, x + spacing, y + spacing);
+
+        // Beneath the icons
+        frame.insert_after(container, null);
+        header.insert_after(container, frame);
+
+        const widgets = [frame, header];
+
+        if (!fence.collapsed) {
+            const grip = this._createResizeGrip(grid, fence, area);
+            container.put(grip, x + width - 24, y + height - 24);
+            grip.insert_after(container, header);
+            widgets.push(grip);
+        }
+
+        this._addMoveGesture(grid, fence, area, header, widgets);
+
+        return widgets;
+    }
+
+    _createHeader(grid, fence, area, count) {
+        const header = new Gtk.Box({
+            spacing: 4,
+            css_classes: ['osd', 'toolbar'],
+        });
+
+        const collapseButton = new Gtk.Button({
+            icon_name: fence.collapsed
+                ? 'pan-end-symbolic'
+                : 'pan-down-symbolic',
+            tooltip_text: fence.collapsed ? _('Expand') : _('Collapse'),
+            css_classes: ['flat'],
+        });
+        collapseButton.connect('clicked', () =>
+            this._setCollapsed(fence, !fence.collapsed));
+        header.append(collapseButton);
+
+        header.append(new Gtk.Label({
+            label: fence.title,
+            ellipsize: Pango.EllipsizeMode.END,
+            hexpand: true,
+            xalign: 0,
+            css_classes: ['heading'],
+        }));
+
+        if (fence.collapsed) {
+            header.append(new Gtk.Label({
+                label: `${count}`,
+                css_classes: ['dim-label'],
+            }));
+        }
+
+        const menuButton = new Gtk.MenuButton({
+            icon_name: 'view-more-symbolic',
+            menu_model: this._getGioMenu(fence),
+            css_classes: ['flat'],
+        });
+        header.append(menuButton);
+
+        header.insert_action_group('fence', this._getActionGroup(fence));
+
+        const click = Gtk.GestureClick.new();
+        click.set_button(3);
+        click.connect('pressed', gesture => {
+            // Keep the desktop menu from showing
+            gesture.set_state(Gtk.EventSequenceState.CLAIMED);
+            menuButton.popup();
+        });
+        header.add_controller(click);
+
+        return header;
+    }
+
+    _getGioMenu(fence) {
+        const menu = Gio.Menu.new();
+
+        const fenceSection = Gio.Menu.new();
+        fenceSection.append(_('Rename…'), 'fence.rename');
+        fenceSection.append(
+            fence.collapsed ? _('Expand') : _('Collapse'), 'fence.collapse');
+        fenceSection.append(_('Rules…'), 'fence.rules');
+        menu.append_section(null, fenceSection);
+
+        const deleteSection = Gio.Menu.new();
+        deleteSection.append(_('Delete Fence'), 'fence.delete');
+        menu.append_section(null, deleteSection);
+
+        return menu;
+    }
+
+    _getActionGroup(fence) {
+        const group = new Gio.SimpleActionGroup();
+        const actions = {
+            rename: () => this._askRename(fence).catch(e => logError(e)),
+            collapse: () => this._setCollapsed(fence, !fence.collapsed),
+            rules: () => this._askRules(fence).catch(e => logError(e)),
+            delete: () => this._deleteFence(fence),
+        };
+
+        for (const [name, callback] of Object.entries(actions)) {
+            const action = Gio.SimpleAction.new(name, null);
+            action.connect('activate', callback);
+            group.add_action(action);
+        }
+
+        return group;
+    }
+
+    _createResizeGrip(grid, fence, area) {
+        const grip = new Gtk.Image({
+            icon_name: 'list-drag-handle-symbolic',
+            width_request: 20,
+            height_request: 20,
+            cursor: Gdk.Cursor.new_from_name('se-resize', null),
+            tooltip_text: _('Resize'),
+        });
+
+        const drag = Gtk.GestureDrag.new();
+        drag.connect('drag-begin', gesture =>
+            gesture.set_state(Gtk.EventSequenceState.CLAIMED));
+        drag.connect('drag-end', (gesture, offsetX, offsetY) => {
+            const [dColumns, dRows] =
+                this._offsetToCells(grid, offsetX, offsetY);
+
+            if (!dColumns && !dRows)
+                return;
+
+            const clamp = this._DesktopIconsUtil.clamp;
+
+            this._moveFence(fence, grid, {
+                ...area,
+                columns: clamp(area.columns + dColumns,
+                    1, grid.maxColumns - area.column),
+                rows: clamp(area.rows + dRows,
+                    MIN_ROWS, grid.maxRows - area.row),
+            }, _('Resize Fence'));
+        });
+        grip.add_controller(drag);
+
+        return grip;
+    }
+
+    _addMoveGesture(grid, fence, area, header, widgets) {
+        const container = grid.fenceContainer;
+        const origins = new Map();
+        let moving = false;
+
+        const drag = Gtk.GestureDrag.new();
+        drag.connect('drag-begin', gesture => {
+            // Keep the desktop from starting a rubber band
+            gesture.set_state(Gtk.EventSequenceState.CLAIMED);
+            moving = false;
+
+            widgets.forEach(w =>
+                origins.set(w, container.get_child_position(w)));
+        });
+        drag.connect('drag-update', (gesture, offsetX, offsetY) => {
+            if (!moving && Math.hypot(offsetX, offsetY) < MOVE_THRESHOLD)
+                return;
+
+            moving = true;
+            origins.forEach(([x, y], w) =>
+                container.move(w, x + offsetX, y + offsetY));
+        });
+        drag.connect('drag-end', (gesture, offsetX, offsetY) => {
+            if (!moving)
+                return;
+
+            const [dColumns, dRows] =
+                this._offsetToCells(grid, offsetX, offsetY);
+
+            if (!dColumns && !dRows) {
+                origins.forEach(([x, y], w) => container.move(w, x, y));
+                return;
+            }
+
+            const clamp = this._DesktopIconsUtil.clamp;
+            const rows = this._getArea({...fence, collapsed: false}, grid).rows;
+
+            this._moveFence(fence, grid, {
+                column: clamp(area.column + dColumns,
+                    0, grid.maxColumns - area.columns),
+                row: clamp(area.row + dRows, 0, grid.maxRows - rows),
+                columns: area.columns,
+                rows,
+            }, _('Move Fence'));
+        });
+        header.add_controller(drag);
+    }
+
+    _offsetToCells(grid, offsetX, offsetY) {
+        const cellWidth = grid.normalizedWidth / grid.maxColumns;
+        const cellHeight = grid.normalizedHeight / grid.maxRows;
+
+        return [
+            Math.round(offsetX / cellWidth),
+            Math.round(offsetY / cellHeight),
+        ];
+    }
+
+    // ─────────────────────────
+    // State, undo and persistence
+    // ─────────────────────────
+
+    _snapshot() {
+        return JSON.parse(JSON.stringify(this._fences));
+    }
+
+    _commit(label, before) {
+        this._save();
+        this._recordUndo(label, before);
+        this._redraw();
+    }
+
+    _recordUndo(label, before) {
+        const after = this._snapshot();
+
+        if (JSON.stringify(before) === JSON.stringify(after))
+            return;
+
+        this._desktopManager.undoManager.push({
+            label,
+            undo: () => this._restore(before),
+            redo: () => this._restore(after),
+        });
+    }
+
+    _restore(fences) {
+        this._fences = JSON.parse(JSON.stringify(fences));
+        this._save();
+        this._redraw();
+    }
+
+    _redraw() {
+        this._desktopManager.redrawDesktop().catch(e => logError(e));
+    }
+
+    async _load() {
+        const file = this._DesktopIconsUtil.getFencesFile();
+        const state = await this._DesktopIconsUtil.readJsonFile(file);
+
+        if (state?.version !== STATE_VERSION || !Array.isArray(state.fences))
+            return;
+
+        this._fences = state.fences.filter(fence => fence?.id).map(fence => ({
+            title: '',
+            monitor: 0,
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            collapsed: false,
+            ...fence,
+            rules: Array.isArray(fence.rules) ? fence.rules : [],
+            members: Array.isArray(fence.members) ? fence.members : [],
+        }));
+
+        // Otherwise the first drawing of the desktop places them
+        if (this._fences.length && this._desktopManager._displayList.length)
+            this._redraw();
+    }
+
+    _save() {
+        const file = this._DesktopIconsUtil.getFencesFile();
+
+        this._DesktopIconsUtil.writeJsonFile(file, {
+            version: STATE_VERSION,
+            fences: this._fences,
+        }).catch(e => console.error(e, 'FenceManager: failed to save fences'));
+    }
+};
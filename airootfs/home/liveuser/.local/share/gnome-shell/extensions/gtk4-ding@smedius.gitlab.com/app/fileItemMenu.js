@@ -248,6 +248,12 @@ const FileItemMenu = class {
             if (fileItem.canRename && (selectedItemsNum === 1))
                 trashMenu.append(_('Rename…'), 'app.dorename');
 
+            if ((selectedItemsNum > 1) &&
+                this._desktopManager
+                .getCurrentSelection()
+                ?.every(f => f.canRename))
+                trashMenu.append(_('Rename…'), 'app.dobatchrename');
+
             if (fileItem.isAllSelectable &&
                 !this._desktopManager.checkIfSpecialFilesAreSelected() &&
                 (selectedItemsNum >= 1)) {
@@ -329,6 +335,16 @@ const FileItemMenu = class {
                             ? _("Don't Allow Launching")
                             : _('Allow Launching'),
                         'app.allowdisallowlaunching');
+
+                    if (fileItem.registeredAppImage) {
+                        allowLaunchingMenu.append(
+                            _('Remove from Applications'),
+                            'app.registerappimage');
+                    } else if (fileItem.trustedAppImageFile) {
+                        allowLaunchingMenu.append(
+                            _('Add to Applications'),
+                            'app.registerappimage');
+                    }
                 }
             }
         }
@@ -489,6 +505,7 @@ const FileItemMenu = class {
 
     set activeFileItem(fileItem) {
         this._activeFileItem = fileItem;
+        this._desktopManager.onActiveFileItemChanged(fileItem);
     }
 
     get activeFileItem() {
@@ -527,7 +544,11 @@ const FileItemActions = class {
             'activate',
             () => {
                 if (this.activeFileItem) {
-                    if (this.activeFileItem.isStackMarker) {
+                    if (this.activeFileItem.isStackMarker &&
+                        !this.activeFileItem.unStacked) {
+                        this._desktopManager.stackView
+                            .show(this.activeFileItem);
+                    } else if (this.activeFileItem.isStackMarker) {
                         this._onToggleStackUnstackThisTypeClicked(
                             this.activeFileItem.attributeContentType);
                     } else {
@@ -591,6 +612,14 @@ const FileItemActions = class {
         });
         this._mainApp.add_action(dorename);
 
+        const dobatchrename = Gio.SimpleAction.new('dobatchrename', null);
+        dobatchrename.connect('activate', () => {
+            this._desktopManager.batchRename
+                .show(this._desktopManager.getCurrentSelection())
+                .catch(e => logError(e));
+        });
+        this._mainApp.add_action(dobatchrename);
+
         this.moveToTrash = Gio.SimpleAction.new('movetotrash', null);
         this.moveToTrash.connect(
             'activate',
@@ -627,6 +656,17 @@ const FileItemActions = class {
         });
         this._mainApp.add_action(allowdisallowlaunching);
 
+        const registerappimage = Gio.SimpleAction.new('registerappimage', null);
+        registerappimage.connect('activate', () => {
+            if (!this.activeFileItem)
+                return;
+
+            this.activeFileItem
+                .onRegisterUnregisterClicked()
+                .catch(e => console.error(e));
+        });
+        this._mainApp.add_action(registerappimage);
+
         const eject = Gio.SimpleAction.new('eject', null);
         eject.connect('activate', () => {
             this.activeFileItem.eject().catch(e => console.error(e));
@@ -0,0 +1,380 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Gtk} from '../dependencies/gi.js';
+import {_} from '../dependencies/gettext.js';
+import {DingRoundedClip} from '../dependencies/localFiles.js';
+
+export {GtkWidgetHost};
+
+/**
+ * GtkWidgetHost
+ *
+ * Host for native GTK widgets (manifest kind "gtk"):
+ *  - Imports the widget module entry (or the prefs module in prefs mode).
+ *  - Calls its factory with a `ding` context and shows the returned
+ *    Gtk.Widget inside the rounded frame.
+ *  - Keeps the config and host state caches the context reads from,
+ *    delegating semantics to WidgetManager (config, frame, prefs).
+ *
+ * Module contract:
+ *
+ *   export default function createWidget(ding) {
+ *       return new Gtk.Label({label: 'Hello'});
+ *   }
+ *
+ * A named `createWidget` export works as well, and the factory may be
+ * async. The context mirrors window.ding of HTML widgets:
+ *   apiVersion, instanceId, mode, widgetDir,
+ *   log(), saveConfig(), getConfig(), getConfigSync(), onConfigChanged(),
+ *   getHostState(), onHostStateChanged(),
+ *   getFrame(), setSize(), onFrameChanged(),
+ *   openPreferences(), closePreferences(), onDestroy().
+ * The on*() helpers return an unsubscribe function.
+ */
+const GtkWidgetHost = class {
+    /**
+     * @param {object} params
+     *   {
+     *     instanceId: string,
+     *     widgetId: string,
+     *     frameRect: {x, y, width, height},
+     *     widgetRegistry: WidgetRegistry,
+     *     widgetManager: WidgetManager,
+     *     mode: 'prefs' or 'widget'
+     *     prefsUri: string widget relative module path
+     *   }
+     */
+    constructor(params) {
+        this._instanceId = params.instanceId;
+        this._widgetId = params.widgetId;
+        this._frameRect = params.frameRect;
+        this._widgetRegistry = params.widgetRegistry;
+        this._widgetManager = params.widgetManager;
+        this._mode = params.mode === 'prefs' ? 'prefs' : 'widget';
+        this._prefsUri = params.prefsUri || null;
+
+        this._config = {};
+        this._hostState = {};
+        this._configListeners = new Set();
+        this._hostStateListeners = new Set();
+        this._frameListeners = new Set();
+        this._destroyListeners = new Set();
+
+        this._widget = null;
+        this._destroyed = false;
+
+        this._makeGtkWidget();
+
+        this._start().catch(e => {
+            console.error(
+                `GtkWidgetHost: failed to start ${this._widgetId}:`, e
+            );
+            this._loadFallback(e?.message ?? e);
+        });
+    }
+
+    get actor() {
+        return this._frame;
+    }
+
+    get mode() {
+        return this._mode;
+    }
+
+    updateFrame(frameRect) {
+        if (this._destroyed)
+            return;
+
+        this._frameRect = frameRect;
+        this._frame.set_size_request(
+            frameRect.width,
+            frameRect.height
+        );
+
+        this._notify(this._frameListeners, {...frameRect});
+    }
+
+    isAlive() {
+        return !this._destroyed;
+    }
+
+    destroy() {
+        if (this._destroyed)
+            return;
+
+        this._destroyed = true;
+
+        this._notify(this._destroyListeners);
+
+        this._configListeners.clear();
+        this._hostStateListeners.clear();
+        this._frameListeners.clear();
+        this._destroyListeners.clear();
+
+        this._frame.set_child(null);
+        this._widget?.run_dispose();
+        this._widget = null;
+        this._frame = null;
+    }
+
+    setHostStatePatch(patch) {
+        if (!patch || typeof patch !== 'object' || this._destroyed)
+            return;
+
+        let changed = false;
+        for (const [key, value] of Object.entries(patch)) {
+            if (this._hostState[key] !== value) {
+                this._hostState[key] = value;
+                changed = true;
+            }
+        }
+
+        if (changed)
+            this._notify(this._hostStateListeners, {...this._hostState});
+    }
+
+    setConfig(config, meta = null) {
+        if (this._destroyed)
+            return;
+
+        this._config = this._cloneObject(config);
+        this._notify(this._configListeners, {...this._config}, meta);
+    }
+
+    _makeGtkWidget() {
+        this._frame = new DingRoundedClip({radius: 8});
+
+        this._frame.set_size_request(
+            this._frameRect.width,
+            this._frameRect.height
+        );
+
+        this._frame.instanceId = this._instanceId;
+        this._frame.widgetId = this._widgetId;
+    }
+
+    async _resolveModuleFile() {
+        if (this._mode === 'widget')
+            return this._widgetRegistry.getGtkEntryFile(this._widgetId);
+
+        const desc = await this._widgetRegistry.getDescriptor(this._widgetId);
+        return this._widgetRegistry.resolveWidgetFile(desc, this._prefsUri);
+    }
+
+    // ─────────────────────────
+    // start orchestration
+    // ─────────────────────────
+    async _start() {
+        const moduleFile = await this._resolveModuleFile();
+        if (!moduleFile) {
+            this._loadFallback(_('Missing widget module'));
+            return;
+        }
+
+        // Snapshot once the actor is attached to its instance
+        const inst = this._widgetManager.getInstance(this._instanceId);
+        if (inst) {
+            this._config = this._cloneObject(inst.config);
+            this._hostState =
+                this._widgetManager.computeHostStateForInstance(inst);
+        }
+
+        const module = await import(moduleFile.get_uri());
+        const factory = module.default ?? module.createWidget;
+
+        if (typeof factory !== 'function') {
+            this._loadFallback(_('Widget module has no factory'));
+            return;
+        }
+
+        const desc = await this._widgetRegistry.getDescriptor(this._widgetId);
+        const widget = await factory(this._makeContext(desc?.dir ?? null));
+
+        if (this._destroyed) {
+            widget?.run_dispose?.();
+            return;
+        }
+
+        if (!(widget instanceof Gtk.Widget)) {
+            this._loadFallback(_('Widget factory did not return a Gtk.Widget'));
+            return;
+        }
+
+        this._setChild(widget);
+    }
+
+    _setChild(widget) {
+        widget.set_hexpand(true);
+        widget.set_vexpand(true);
+        widget.set_overflow(Gtk.Overflow.HIDDEN);
+
+        this._widget = widget;
+        this._frame.set_child(widget);
+    }
+
+    _loadFallback(reason) {
+        if (this._destroyed)
+            return;
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            valign: Gtk.Align.CENTER,
+            halign: Gtk.Align.CENTER,
+            spacing: 2,
+        });
+
+        const title = new Gtk.Label({label: _('Widget unavailable')});
+        title.add_css_class('heading');
+        box.append(title);
+
+        const detail = new Gtk.Label({
+            label: String(reason ?? ''),
+            wrap: true,
+            justify: Gtk.Justification.CENTER,
+        });
+        detail.add_css_class('caption');
+        detail.add_css_class('dim-label');
+        box.append(detail);
+
+        this._setChild(box);
+    }
+
+    // ─────────────────────────
+    // ding context
+    // ─────────────────────────
+    _makeContext(widgetDir) {
+        const host = this;
+        const manager = this._widgetManager;
+        const instanceId = this._instanceId;
+
+        const subscribe = (listeners, cb, ...initial) => {
+            if (typeof cb !== 'function' || this._destroyed)
+                return () => {};
+
+            listeners.add(cb);
+
+            if (initial.length)
+                this._notifyOne(cb, ...initial);
+
+            return () => listeners.delete(cb);
+        };
+
+        return Object.freeze({
+            apiVersion: 1,
+            instanceId,
+            mode: this._mode,
+            widgetDir,
+
+            log(message) {
+                console.log(
+                    'GtkWidget log:',
+                    '(instanceId=',
+                    instanceId,
+                    ')',
+                    String(message)
+                );
+            },
+
+            saveConfig(config) {
+                if (host._destroyed)
+                    return;
+
+                manager.saveGtkInstanceConfig(
+                    instanceId,
+                    host._cloneObject(config),
+                    host._mode
+                );
+            },
+
+            getConfig() {
+                return Promise.resolve(host._cloneObject(host._config));
+            },
+
+            getConfigSync() {
+                return host._cloneObject(host._config);
+            },
+
+            onConfigChanged(cb) {
+                return subscribe(host._configListeners, cb,
+                    host._cloneObject(host._config),
+                    {reason: 'initial', sourceMode: null}
+                );
+            },
+
+            getHostState() {
+                return {...host._hostState};
+            },
+
+            onHostStateChanged(cb) {
+                return subscribe(host._hostStateListeners, cb,
+                    {...host._hostState}
+                );
+            },
+
+            getFrame() {
+                const frame = manager.getInstanceFrame(instanceId);
+                return frame ? {...frame} : null;
+            },
+
+            setSize(width, height) {
+                if (host._destroyed || host._mode !== 'widget')
+                    return;
+
+                manager.resizeInstance(instanceId, width, height);
+            },
+
+            onFrameChanged(cb) {
+                return subscribe(host._frameListeners, cb);
+            },
+
+            openPreferences() {
+                manager.openPreferencesForInstance(instanceId);
+            },
+
+            closePreferences() {
+                manager.closePreferencesForInstance(instanceId);
+            },
+
+            onDestroy(cb) {
+                return subscribe(host._destroyListeners, cb);
+            },
+        });
+    }
+
+    _notify(listeners, ...args) {
+        for (const cb of listeners)
+            this._notifyOne(cb, ...args);
+    }
+
+    _notifyOne(cb, ...args) {
+        try {
+            cb(...args);
+        } catch (e) {
+            console.error(
+                `GtkWidgetHost: listener failed for ${this._widgetId}:`, e
+            );
+        }
+    }
+
+    _cloneObject(obj) {
+        if (!obj || typeof obj !== 'object')
+            return {};
+
+        return {...obj};
+    }
+};
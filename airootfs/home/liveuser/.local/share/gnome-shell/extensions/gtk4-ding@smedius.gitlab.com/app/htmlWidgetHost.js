@@ -56,6 +56,10 @@ const HtmlWidgetHost = class {
         return this._frame;
     }
 
+    get webView() {
+        return this._webView;
+    }
+
     _webViewReadyPromise() {
         if (!this._webViewPromise) {
             this._webViewPromise = new Promise(resolve => {
@@ -0,0 +1,406 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Gdk, Gio, GLib, Gtk, Pango} from '../dependencies/gi.js';
+import {_} from '../dependencies/gettext.js';
+
+export {QuickLook};
+
+const PREVIEW_SIZE = 480;
+const ICON_SIZE = 128;
+const TEXT_PREVIEW_BYTES = 16384;
+const TEXT_PREVIEW_LINES = 40;
+
+/**
+ * QuickLook
+ *
+ * A floating preview of the active icon, opened and closed with Space.
+ * Images and PDFs are drawn by the ThumbnailLoader, text files show their
+ * first lines, audio and video get play controls, anything else a large
+ * icon. The popover is not modal: the arrow keys still move the
+ * selection on the desktop and the preview follows the active icon.
+ */
+const QuickLook = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._ThumbnailLoader = desktopManager.ThumbnailLoader;
+
+        this._popover = null;
+        this._grid = null;
+        this._fileItem = null;
+        this._cancellable = null;
+        this._video = null;
+        this._mediaStream = null;
+        this._closeIdleId = 0;
+    }
+
+    get isOpen() {
+        return !!this._popover;
+    }
+
+    show(fileItem) {
+        if (!fileItem || fileItem.isStackMarker)
+            return;
+
+        const grid = fileItem.getCoordinates()[4];
+        if (!grid)
+            return;
+
+        if (!this._popover)
+            this._buildPopover();
+
+        if (grid !== this._grid) {
+            if (this._grid) {
+                this._popover.popdown();
+                this._popover.unparent();
+            }
+
+            this._popover.set_parent(grid._container);
+            this._grid = grid;
+        }
+
+        const reload = !this._isSameFile(fileItem, this._fileItem);
+        this._fileItem = fileItem;
+
+        this._pointAt(fileItem);
+        this._popover.popup();
+
+        if (reload)
+            this._loadPreview(fileItem).catch(e => logError(e));
+    }
+
+    /**
+     * Follow the active icon while the preview is open.
+     *
+     * @param {FileItemIcon|null} fileItem the new active icon
+     */
+    onActiveFileItemChanged(fileItem) {
+        if (!this._popover || fileItem === this._fileItem)
+            return;
+
+        if (fileItem?.isStackMarker) {
+            this.close();
+            return;
+        }
+
+        if (fileItem) {
+            this.show(fileItem);
+            return;
+        }
+
+        // Moving with the arrows unselects everything first, only close
+        // if no icon became active meanwhile
+        if (this._closeIdleId)
+            return;
+
+        this._closeIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+            this._closeIdleId = 0;
+
+            if (!this._desktopManager.activeFileItem)
+                this.close();
+
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    close() {
+        if (!this._popover)
+            return;
+
+        const popover = this._popover;
+        this._popover = null;
+        this._grid = null;
+        this._fileItem = null;
+
+        this._clearContent();
+
+        popover.popdown();
+        GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            popover.unparent();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _buildPopover() {
+        this._popover = new Gtk.Popover();
+        this._popover.set_autohide(false);
+        this._popover.set_position(Gtk.PositionType.RIGHT);
+
+        // Escape with the focus inside, on the media controls
+        this._popover.connect('closed', () => {
+            if (this._popover)
+                this.close();
+        });
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_top: 10,
+            margin_bottom: 10,
+            margin_start: 10,
+            margin_end: 10,
+        });
+        this._popover.set_child(box);
+
+        this._titleLabel = new Gtk.Label({
+            ellipsize: Pango.EllipsizeMode.MIDDLE,
+            max_width_chars: 40,
+            css_classes: ['heading'],
+        });
+        box.append(this._titleLabel);
+
+        this._contentBox = new Gtk.Box({
+            halign: Gtk.Align.CENTER,
+            valign: Gtk.Align.CENTER,
+        });
+        box.append(this._contentBox);
+
+        this._detailsLabel = new Gtk.Label({
+            ellipsize: Pango.EllipsizeMode.END,
+            max_width_chars: 60,
+            css_classes: ['dim-label'],
+        });
+        box.append(this._detailsLabel);
+    }
+
+    _pointAt(fileItem) {
+        const [found, bounds] =
+            fileItem.container.compute_bounds(this._grid._container);
+
+        if (!found)
+            return;
+
+        this._popover.set_pointing_to(new Gdk.Rectangle({
+            x: Math.floor(bounds.get_x()),
+            y: Math.floor(bounds.get_y()),
+            width: Math.ceil(bounds.get_width()),
+            height: Math.ceil(bounds.get_height()),
+        }));
+    }
+
+    _isSameFile(a, b) {
+        return !!a && !!b &&
+            a.uri === b.uri &&
+            a.modifiedTime === b.modifiedTime;
+    }
+
+    // ─────────────────────────
+    // Preview content
+    // ─────────────────────────
+
+    async _loadPreview(fileItem) {
+        this._clearContent();
+
+        const cancellable = new Gio.Cancellable();
+        this._cancellable = cancellable;
+
+        this._titleLabel.set_label(fileItem.displayName ?? fileItem.fileName);
+        this._detailsLabel.set_label(this._getDetails(fileItem));
+        this._setContent(new Gtk.Spinner({
+            spinning: true,
+            width_request: 32,
+            height_request: 32,
+        }));
+
+        let widget = null;
+
+        try {
+            widget = await this._createPreviewWidget(fileItem, cancellable);
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                return;
+
+            console.error(e, `QuickLook: cannot preview ${fileItem.uri}`);
+        }
+
+        if (cancellable.is_cancelled() || fileItem !== this._fileItem)
+            return;
+
+        this._cancellable = null;
+        this._setContent(widget ?? this._createIconWidget(fileItem));
+    }
+
+    async _createPreviewWidget(fileItem, cancellable) {
+        const contentType = fileItem.attributeContentType ?? '';
+
+        if (fileItem.isDirectory)
+            return null;
+
+        if (contentType.startsWith('video/'))
+            return this._createVideoWidget(fileItem);
+
+        if (contentType.startsWith('audio/'))
+            return this._createAudioWidget(fileItem);
+
+        if (Gio.content_type_is_a(contentType, 'text/plain')) {
+            const textWidget =
+                await this._createTextWidget(fileItem, cancellable);
+
+            if (textWidget)
+                return textWidget;
+        }
+
+        const pixbuf = await this._ThumbnailLoader.getPreviewPixbuf(
+            fileItem, PREVIEW_SIZE, cancellable);
+
+        if (!pixbuf)
+            return null;
+
+        const picture = Gtk.Picture.new_for_paintable(
+            Gdk.Texture.new_for_pixbuf(pixbuf));
+        picture.set_can_shrink(true);
+        picture.set_size_request(pixbuf.width, pixbuf.height);
+
+        return picture;
+    }
+
+    async _createTextWidget(fileItem, cancellable) {
+        const stream = await fileItem.file.read_async(
+            GLib.PRIORITY_DEFAULT, cancellable);
+
+        let bytes;
+        try {
+            bytes = await stream.read_bytes_async(
+                TEXT_PREVIEW_BYTES, GLib.PRIORITY_DEFAULT, cancellable);
+        } finally {
+            await stream.close_async(GLib.PRIORITY_DEFAULT, null)
+                .catch(e => console.error(e));
+        }
+
+        const data = bytes.toArray();
+
+        // Mislabelled binary file
+        if (data.includes(0))
+            return null;
+
+        const lines = new TextDecoder().decode(data).split('\n');
+        let text = lines.slice(0, TEXT_PREVIEW_LINES).join('\n');
+
+        if (lines.length > TEXT_PREVIEW_LINES ||
+            data.length === TEXT_PREVIEW_BYTES)
+            text = `${text.trimEnd()}\n…`;
+
+        const textView = new Gtk.TextView({
+            editable: false,
+            cursor_visible: false,
+            monospace: true,
+            wrap_mode: Gtk.WrapMode.WORD_CHAR,
+            top_margin: 6,
+            bottom_margin: 6,
+            left_margin: 6,
+            right_margin: 6,
+        });
+        textView.get_buffer().set_text(text, -1);
+
+        return new Gtk.ScrolledWindow({
+            child: textView,
+            width_request: PREVIEW_SIZE,
+            height_request: Math.floor(PREVIEW_SIZE * 2 / 3),
+        });
+    }
+
+    _createVideoWidget(fileItem) {
+        this._video = new Gtk.Video({
+            autoplay: false,
+            width_request: PREVIEW_SIZE,
+            height_request: Math.floor(PREVIEW_SIZE * 9 / 16),
+        });
+        this._video.set_file(fileItem.file);
+
+        return this._video;
+    }
+
+    _createAudioWidget(fileItem) {
+        this._mediaStream = Gtk.MediaFile.new_for_file(fileItem.file);
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 12,
+        });
+
+        box.append(this._createIconWidget(fileItem));
+        box.append(new Gtk.MediaControls({
+            media_stream: this._mediaStream,
+            width_request: Math.floor(PREVIEW_SIZE * 3 / 4),
+        }));
+
+        return box;
+    }
+
+    _createIconWidget(fileItem) {
+        const contentType = fileItem.isDirectory
+            ? 'inode/directory'
+            : fileItem.attributeContentType ?? 'application/octet-stream';
+
+        return new Gtk.Image({
+            gicon: Gio.content_type_get_icon(contentType),
+            pixel_size: ICON_SIZE,
+        });
+    }
+
+    _getDetails(fileItem) {
+        const details = [];
+        const contentType = fileItem.attributeContentType;
+
+        if (contentType)
+            details.push(Gio.content_type_get_description(contentType));
+
+        if (!fileItem.isDirectory)
+            details.push(GLib.format_size(fileItem.fileSize));
+
+        if (fileItem.modifiedTime) {
+            const modified =
+                GLib.DateTime.new_from_unix_local(fileItem.modifiedTime);
+
+            /** TRANSLATORS: {date} is the modification date of the file */
+            details.push(
+                _('Modified {date}').replace('{date}', modified.format('%c'))
+            );
+        }
+
+        return details.join(' — ');
+    }
+
+    _setContent(widget) {
+        let child = this._contentBox.get_first_child();
+
+        while (child) {
+            const next = child.get_next_sibling();
+            this._contentBox.remove(child);
+            child = next;
+        }
+
+        this._contentBox.append(widget);
+    }
+
+    _clearContent() {
+        if (this._cancellable) {
+            this._cancellable.cancel();
+            this._cancellable = null;
+        }
+
+        const stream = this._video?.get_media_stream() ?? this._mediaStream;
+        if (stream) {
+            stream.set_playing(false);
+            if (stream instanceof Gtk.MediaFile)
+                stream.clear();
+        }
+
+        this._video = null;
+        this._mediaStream = null;
+    }
+};
@@ -126,6 +126,12 @@ const StackItem = class extends DesktopIconItem.DesktopIconItem {
 
     // eslint-disable-next-line no-unused-vars
     _doButtonOnePressed(button, X, Y, x, y, shiftPressed, controlPressed) {
+        // An unstacked type is stacked again, a stack opens in place
+        if (!this.unStacked) {
+            this._desktopManager.stackView.show(this);
+            return;
+        }
+
         const variant = GLib.Variant.new('s', this.attributeContentType);
         this._desktopManager.mainApp.activate_action(
             'stackunstack',
@@ -0,0 +1,504 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Gdk, Gio, GLib, Gtk, Pango} from '../dependencies/gi.js';
+import {_} from '../dependencies/gettext.js';
+
+export {StackView};
+
+const THUMBNAIL_SIZE = 96;
+const MAX_COLUMNS = 5;
+const MAX_CONTENT_HEIGHT = 420;
+
+/**
+ * StackView
+ *
+ * Opens a stack in place instead of unstacking it. A popover pointing at
+ * the stack icon shows the stacked files as a grid of thumbnails, the
+ * icons on the desktop do not move. Files in the popover can be opened,
+ * selected and dragged out. Their selection is part of the desktop
+ * selection, so the file shortcuts and actions work on them.
+ */
+const StackView = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._ThumbnailLoader = desktopManager.ThumbnailLoader;
+        this._Enums = desktopManager.Enums;
+
+        this._popover = null;
+        this._grid = null;
+        this._contentType = null;
+        this._flowBox = null;
+        this._children = new Map();
+        this._cancellable = null;
+        this._selectionAnchor = null;
+    }
+
+    get isOpen() {
+        return !!this._popover;
+    }
+
+    get selection() {
+        if (!this._popover)
+            return [];
+
+        return [...this._children.values()].filter(f => f.isSelected);
+    }
+
+    show(stackItem) {
+        if (!stackItem?.isStackMarker)
+            return;
+
+        const grid = stackItem.getCoordinates()[4];
+        const members =
+            this._desktopManager.getStackMembers(
+                stackItem.attributeContentType);
+
+        if (!grid || !members.length)
+            return;
+
+        this.close();
+        this._desktopManager.unselectAll();
+
+        this._grid = grid;
+        this._contentType = stackItem.attributeContentType;
+        this._buildPopover();
+        this._setTitle(stackItem, members.length);
+        this._fill(members);
+        this._pointAt(stackItem);
+
+        // Arrows, Return and Delete belong to the popover while it is open
+        this._desktopManager.mainApp
+            .activate_action('textEntryAccelsTurnOff', null);
+
+        this._popover.popup();
+        this._flowBox.get_child_at_index(0)?.grab_focus();
+    }
+
+    close() {
+        if (!this._popover)
+            return;
+
+        const popover = this._popover;
+        this._popover = null;
+        this._grid = null;
+        this._contentType = null;
+        this._flowBox = null;
+
+        this._cancelThumbnails();
+
+        for (const fileItem of this._children.values())
+            fileItem.unsetSelected();
+
+        this._children.clear();
+        this._selectionAnchor = null;
+
+        this._desktopManager.mainApp
+            .activate_action('textEntryAccelsTurnOn', null);
+
+        popover.popdown();
+        GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            popover.unparent();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Called after the desktop is redrawn. The file items and the stack
+     * marker are new objects, reopen on the new ones and keep the
+     * selection, close if the stack is gone.
+     */
+    refresh() {
+        if (!this._popover)
+            return;
+
+        const selectedUris = this.selection.map(f => f.uri);
+        const stackItem = this._desktopManager._displayList.find(f =>
+            f.isStackMarker && f.attributeContentType === this._contentType);
+        const members = stackItem
+            ? this._desktopManager.getStackMembers(this._contentType)
+            : [];
+
+        if (!members.length ||
+            stackItem.getCoordinates()[4] !== this._grid) {
+            this.close();
+            return;
+        }
+
+        this._cancelThumbnails();
+        this._children.clear();
+        this._selectionAnchor = null;
+
+        let child = this._flowBox.get_first_child();
+
+        while (child) {
+            const next = child.get_next_sibling();
+            this._flowBox.remove(child);
+            child = next;
+        }
+
+        this._setTitle(stackItem, members.length);
+        this._fill(members);
+        this._pointAt(stackItem);
+
+        for (const [flowBoxChild, fileItem] of this._children) {
+            if (selectedUris.includes(fileItem.uri))
+                this._flowBox.select_child(flowBoxChild);
+        }
+    }
+
+    _buildPopover() {
+        this._popover = new Gtk.Popover({autohide: true});
+        this._popover.set_parent(this._grid._container);
+
+        this._popover.connect('closed', () => {
+            if (this._popover)
+                this.close();
+        });
+
+        // Clicks that reach the popover must not go on to the desktop
+        // gestures below it
+        const click = Gtk.GestureClick.new();
+        click.set_button(0);
+        click.connect('pressed', gesture => {
+            gesture.set_state(Gtk.EventSequenceState.CLAIMED);
+            this._flowBox?.unselect_all();
+        });
+        this._popover.add_controller(click);
+
+        const keys = new Gtk.EventControllerKey();
+        keys.connect('key-pressed', (actor, keyval, keycode, state) => {
+            if (keyval !== Gdk.KEY_Delete ||
+                (state & Gdk.ModifierType.SHIFT_MASK) ||
+                !this.selection.length)
+                return false;
+
+            this._desktopManager.mainApp.activate_action('movetotrash', null);
+            return true;
+        });
+        this._popover.add_controller(keys);
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_top: 6,
+            margin_bottom: 6,
+            margin_start: 6,
+            margin_end: 6,
+        });
+        this._popover.set_child(box);
+
+        this._titleLabel = new Gtk.Label({
+            ellipsize: Pango.EllipsizeMode.END,
+            max_width_chars: 40,
+            css_classes: ['heading'],
+        });
+        box.append(this._titleLabel);
+
+        this._flowBox = new Gtk.FlowBox({
+            selection_mode: Gtk.SelectionMode.MULTIPLE,
+            activate_on_single_click: false,
+            homogeneous: true,
+            min_children_per_line: 1,
+            max_children_per_line: MAX_COLUMNS,
+            row_spacing: 4,
+            column_spacing: 4,
+            valign: Gtk.Align.START,
+        });
+        this._flowBox.connect('selected-children-changed', () => {
+            this._syncSelection();
+        });
+        this._flowBox.connect('child-activated', (flowBox, child) => {
+            this._openFrom(child);
+        });
+
+        box.append(new Gtk.ScrolledWindow({
+            child: this._flowBox,
+            hscrollbar_policy: Gtk.PolicyType.NEVER,
+            propagate_natural_width: true,
+            propagate_natural_height: true,
+            max_content_height: MAX_CONTENT_HEIGHT,
+        }));
+    }
+
+    _setTitle(stackItem, count) {
+        /** TRANSLATORS: {name} is the name of a stack, {count} the number
+         * of files in it */
+        this._titleLabel.set_label(
+            _('{name} ({count})')
+            .replace('{name}', stackItem.displayName)
+            .replace('{count}', `${count}`)
+        );
+    }
+
+    _pointAt(stackItem) {
+        const location =
+            this._grid.getGlobaltoLocalRectangle(stackItem.iconRectangle);
+
+        this._popover.set_pointing_to(location);
+
+        const position = this._grid.getIntelligentPosition(location);
+        if (position)
+            this._popover.set_position(position);
+    }
+
+    // ─────────────────────────
+    // Members
+    // ─────────────────────────
+
+    _fill(members) {
+        const cancellable = new Gio.Cancellable();
+        this._cancellable = cancellable;
+
+        const images = members.map(fileItem => {
+            const [child, image] = this._createChild(fileItem);
+
+            this._children.set(child, fileItem);
+            this._flowBox.append(child);
+
+            return image;
+        });
+
+        this._loadThumbnails(members, images, cancellable)
+        .catch(e => logError(e));
+    }
+
+    _createChild(fileItem) {
+        const name = fileItem.displayName ?? fileItem.fileName;
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 4,
+            margin_top: 4,
+            margin_bottom: 4,
+            margin_start: 4,
+            margin_end: 4,
+        });
+
+        const image = new Gtk.Image({pixel_size: THUMBNAIL_SIZE});
+        const paintable = fileItem._icon?.get_paintable();
+
+        if (paintable)
+            image.set_from_paintable(paintable);
+        else
+            image.set_from_gicon(
+                Gio.content_type_get_icon(fileItem.attributeContentType));
+
+        box.append(image);
+        box.append(new Gtk.Label({
+            label: name,
+            ellipsize: Pango.EllipsizeMode.MIDDLE,
+            max_width_chars: 14,
+            width_chars: 14,
+        }));
+
+        const child = new Gtk.FlowBoxChild({
+            child: box,
+            tooltip_text: name,
+        });
+        child.update_property([Gtk.AccessibleProperty.LABEL], [name]);
+
+        this._addChildControllers(child, image);
+
+        return [child, image];
+    }
+
+    _addChildControllers(child, image) {
+        const click = Gtk.GestureClick.new();
+        click.set_button(0);
+
+        const dragSource = new Gtk.DragSource({
+            actions: Gdk.DragAction.MOVE |
+                Gdk.DragAction.COPY |
+                Gdk.DragAction.LINK,
+        });
+
+        // Grouped so that claiming the click keeps the drag alive, the
+        // claim stops the desktop from seeing the press
+        click.group(dragSource);
+
+        click.connect('pressed', (gesture, nPress) => {
+            gesture.set_state(Gtk.EventSequenceState.CLAIMED);
+
+            const state = gesture.get_current_event_state();
+            const isCtrl = (state & Gdk.ModifierType.CONTROL_MASK) !== 0;
+            const isShift = (state & Gdk.ModifierType.SHIFT_MASK) !== 0;
+
+            child.grab_focus();
+
+            if (gesture.get_current_button() === Gdk.BUTTON_PRIMARY &&
+                nPress === 2) {
+                this._openFrom(child);
+                return;
+            }
+
+            if (isShift)
+                this._selectRange(child, isCtrl);
+            else if (isCtrl)
+                this._toggle(child);
+            else if (!child.is_selected())
+                this._selectOnly(child);
+        });
+
+        click.connect('released', (gesture, nPress) => {
+            const state = gesture.get_current_event_state();
+            const modifiers =
+                Gdk.ModifierType.CONTROL_MASK | Gdk.ModifierType.SHIFT_MASK;
+
+            // A plain click on a selected file that was not dragged
+            if (nPress === 1 && !(state & modifiers))
+                this._selectOnly(child);
+        });
+
+        dragSource.connect('prepare', () => {
+            if (!child.is_selected())
+                this._selectOnly(child);
+
+            dragSource.set_icon(
+                Gtk.WidgetPaintable.new(image),
+                Math.floor(THUMBNAIL_SIZE / 2),
+                Math.floor(THUMBNAIL_SIZE / 2)
+            );
+
+            return this._getContentProvider();
+        });
+
+        child.add_controller(click);
+        child.add_controller(dragSource);
+    }
+
+    async _loadThumbnails(members, images, cancellable) {
+        const size = THUMBNAIL_SIZE * this._grid._container.get_scale_factor();
+
+        for (const [index, fileItem] of members.entries()) {
+            let pixbuf = null;
+
+            try {
+                pixbuf = await this._ThumbnailLoader.getPreviewPixbuf(
+                    fileItem, size, cancellable);
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                    return;
+
+                console.error(e, `StackView: no thumbnail for ${fileItem.uri}`);
+            }
+
+            if (cancellable.is_cancelled())
+                return;
+
+            if (pixbuf)
+                images[index].set_from_paintable(
+                    Gdk.Texture.new_for_pixbuf(pixbuf));
+        }
+
+        if (this._cancellable === cancellable)
+            this._cancellable = null;
+    }
+
+    _cancelThumbnails() {
+        if (!this._cancellable)
+            return;
+
+        this._cancellable.cancel();
+        this._cancellable = null;
+    }
+
+    // ─────────────────────────
+    // Selection and actions
+    // ─────────────────────────
+
+    _syncSelection() {
+        for (const [child, fileItem] of this._children) {
+            if (child.is_selected())
+                fileItem.setSelected();
+            else
+                fileItem.unsetSelected();
+        }
+    }
+
+    _selectOnly(child) {
+        this._flowBox.unselect_all();
+        this._flowBox.select_child(child);
+        this._selectionAnchor = child;
+    }
+
+    _toggle(child) {
+        if (child.is_selected())
+            this._flowBox.unselect_child(child);
+        else
+            this._flowBox.select_child(child);
+
+        this._selectionAnchor = child;
+    }
+
+    _selectRange(child, extend) {
+        const anchor = this._selectionAnchor ?? child;
+        const from = Math.min(anchor.get_index(), child.get_index());
+        const to = Math.max(anchor.get_index(), child.get_index());
+
+        if (!extend)
+            this._flowBox.unselect_all();
+
+        for (let index = from; index <= to; index++)
+            this._flowBox.select_child(this._flowBox.get_child_at_index(index));
+
+        this._selectionAnchor = anchor;
+    }
+
+    _openFrom(child) {
+        const fileItem = this._children.get(child);
+
+        if (!fileItem)
+            return;
+
+        const fileItems = child.is_selected() ? this.selection : [fileItem];
+
+        this.close();
+        fileItems.forEach(f => f.doOpen());
+    }
+
+    _getContentProvider() {
+        const dragManager = this._desktopManager.dragManager;
+        const encoder = new TextEncoder();
+
+        const uriList = dragManager.fillDragDataGet(
+            this._Enums.DndTargetInfo.DING_ICON_LIST);
+        const pathList =
+            dragManager.fillDragDataGet(this._Enums.DndTargetInfo.TEXT_PLAIN);
+
+        if (!uriList || !pathList)
+            return null;
+
+        const encodedPathList = encoder.encode(pathList);
+
+        // No ding icon list, the files are not on the grid. Dropped on the
+        // desktop they are handled like files from another application
+        return Gdk.ContentProvider.new_union([
+            Gdk.ContentProvider.new_for_bytes(
+                this._Enums.DndTargetInfo.URI_LIST,
+                encoder.encode(uriList)
+            ),
+            Gdk.ContentProvider.new_for_bytes(
+                this._Enums.DndTargetInfo.TEXT_PLAIN,
+                encodedPathList
+            ),
+            Gdk.ContentProvider.new_for_bytes(
+                this._Enums.DndTargetInfo.TEXT_PLAIN_UTF8,
+                encodedPathList
+            ),
+        ]);
+    }
+};
@@ -46,6 +46,18 @@ const MAX_FILE_SIZE = 5242880;
 const WIDTH = 130;
 const HEIGHT = 130;
 
+// Size asked from the system thumbnailers, the large thumbnail size
+const THUMBNAILER_SIZE = 256;
+const THUMBNAILER_GROUP = 'Thumbnailer Entry';
+
+// Directories a sandboxed thumbnailer may need to run, read only
+const SANDBOX_READ_ONLY_PATHS = [
+    '/etc/ld.so.cache',
+    '/etc/alternatives',
+    '/etc/fonts',
+    '/var/cache/fontconfig',
+];
+
 const ThumbnailLoader = class {
     constructor(FileUtils) {
         this.FileUtils = FileUtils;
@@ -80,6 +92,10 @@ const ThumbnailLoader = class {
 
         this.md5Hasher = GLib.Checksum.new(GLib.ChecksumType.MD5);
         this.textCoder = new TextEncoder();
+
+        this._systemThumbnailers = null;
+        this._failedThumbnailerRuns = new Set();
+        this._warnedNoSandbox = false;
     }
 
     async _generateThumbnail(file, cancellable) {
@@ -148,9 +164,11 @@ const ThumbnailLoader = class {
                 );
             }
 
+            // The factory could not run its thumbnailer, try it ourselves
             return await this._createFallBackThumbnailAsync(
                 file,
-                gotTimeout && cancellable.is_cancelled() ? null : cancellable
+                gotTimeout && cancellable.is_cancelled() ? null : cancellable,
+                true
             );
         } finally {
             if (timeoutId)
@@ -158,8 +176,16 @@ const ThumbnailLoader = class {
         }
     }
 
-    async _createFallBackThumbnailAsync(file, cancellable) {
-        const thumbnailPixbuf = this._createThumbnailLocally(file, cancellable);
+    async _createFallBackThumbnailAsync(
+        file, cancellable, useSystemThumbnailers = false
+    ) {
+        let thumbnailPixbuf =
+            await this._createThumbnailLocally(file, cancellable);
+
+        if (!thumbnailPixbuf && useSystemThumbnailers) {
+            thumbnailPixbuf =
+                await this._runSystemThumbnailer(file, cancellable);
+        }
 
         if (thumbnailPixbuf !== null) {
             await this._thumbnailFactory
@@ -196,7 +222,7 @@ const ThumbnailLoader = class {
         }
     }
 
-    _createThumbnailLocally(file, cancellable) {
+    async _createThumbnailLocally(file, cancellable) {
         let thumbnailPixbuf = null;
 
         if (file.fileSize < MAX_FILE_SIZE) {
@@ -223,6 +249,278 @@ const ThumbnailLoader = class {
         return thumbnailPixbuf;
     }
 
+    /*
+     * System thumbnailers
+     *
+     * The *.thumbnailer entries of the data dirs are run here directly, so
+     * videos, office documents, fonts and the like get a preview even if
+     * Files never generated one. Each run is confined with bubblewrap to
+     * read the file and write the output directory only, without network,
+     * and is killed after the thumbnail timeout. Without bubblewrap, no
+     * thumbnailer is run. They are a fallback for when the thumbnail
+     * factory failed to run them, types it declines are left alone.
+     */
+
+    async _runSystemThumbnailer(file, cancellable) {
+        const inputPath = file.file.is_native() ? file.path : null;
+        if (!inputPath)
+            return null;
+
+        const runKey = `${file.uri}:${file.modifiedTime}`;
+        if (this._failedThumbnailerRuns.has(runKey))
+            return null;
+
+        const thumbnailer =
+            await this._findSystemThumbnailer(file.attributeContentType);
+        if (!thumbnailer)
+            return null;
+
+        let outputDir = null;
+
+        try {
+            outputDir = GLib.dir_make_tmp('ding-thumbnailer-XXXXXX');
+            const outputPath =
+                GLib.build_filenamev([outputDir, 'thumbnail.png']);
+
+            const sandboxArgv = this._getSandboxArgv(inputPath, outputDir);
+            if (!sandboxArgv)
+                return null;
+
+            const argv = [
+                ...sandboxArgv,
+                ...this._expandThumbnailerExec(
+                    thumbnailer.exec,
+                    file,
+                    inputPath,
+                    outputPath
+                ),
+            ];
+
+            await this._runSandboxedThumbnailer(argv, cancellable);
+
+            return GdkPixbuf.Pixbuf.new_from_file_at_scale(
+                outputPath,
+                THUMBNAILER_SIZE,
+                THUMBNAILER_SIZE,
+                true
+            );
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                throw e;
+
+            this._failedThumbnailerRuns.add(runKey);
+            console.log(
+                `Thumbnailer ${thumbnailer.name} failed for ` +
+                `${file.displayName}: ${e.message}`
+            );
+
+            return null;
+        } finally {
+            if (outputDir) {
+                await this.FileUtils.recursivelyDeleteDir(
+                    Gio.File.new_for_path(outputDir),
+                    true
+                ).catch(e => console.error(e,
+                    `Error removing ${outputDir}`));
+            }
+        }
+    }
+
+    async _findSystemThumbnailer(contentType) {
+        if (!contentType)
+            return null;
+
+        if (!this._systemThumbnailers) {
+            this._systemThumbnailers =
+                this._readSystemThumbnailers().catch(e => {
+                    console.error(e, 'Error reading system thumbnailers');
+                    return [];
+                });
+        }
+
+        const thumbnailers = await this._systemThumbnailers;
+
+        return thumbnailers.find(t => t.mimeTypes.includes(contentType)) ??
+            thumbnailers.find(t => t.mimeTypes.some(
+                mimeType => Gio.content_type_is_a(contentType, mimeType)
+            )) ??
+            null;
+    }
+
+    async _readSystemThumbnailers() {
+        const thumbnailers = [];
+        const seen = new Set();
+
+        // User entries first, they override system ones of the same name
+        const dataDirs = [
+            GLib.get_user_data_dir(),
+            ...GLib.get_system_data_dirs(),
+        ];
+
+        for (const dataDir of dataDirs) {
+            const dir = Gio.File.new_for_path(
+                GLib.build_filenamev([dataDir, 'thumbnailers']));
+
+            // eslint-disable-next-line no-await-in-loop
+            if (!await this.FileUtils.queryExists(dir))
+                continue;
+
+            // eslint-disable-next-line no-await-in-loop
+            const children = await this.FileUtils.enumerateDir(dir) ?? [];
+
+            for (const info of children) {
+                const name = info.get_name();
+                if (!name.endsWith('.thumbnailer') || seen.has(name))
+                    continue;
+
+                seen.add(name);
+
+                // eslint-disable-next-line no-await-in-loop
+                const thumbnailer = await this._readThumbnailerEntry(
+                    dir.get_child(name)
+                ).catch(e => {
+                    console.log(`Ignoring thumbnailer ${name}: ${e.message}`);
+                    return null;
+                });
+
+                if (thumbnailer)
+                    thumbnailers.push(thumbnailer);
+            }
+        }
+
+        return thumbnailers;
+    }
+
+    async _readThumbnailerEntry(entryFile) {
+        const [bytes] = await entryFile.load_bytes_async(null);
+
+        const keyFile = new GLib.KeyFile();
+        keyFile.load_from_bytes(bytes, GLib.KeyFileFlags.NONE);
+
+        const exec = keyFile.get_string(THUMBNAILER_GROUP, 'Exec');
+        const mimeTypes =
+            keyFile.get_string_list(THUMBNAILER_GROUP, 'MimeType')
+            .filter(m => m.length);
+
+        let tryExec = null;
+        if (keyFile.has_key(THUMBNAILER_GROUP, 'TryExec'))
+            tryExec = keyFile.get_string(THUMBNAILER_GROUP, 'TryExec');
+
+        const [, argv] = GLib.shell_parse_argv(exec);
+        const program = tryExec ?? argv[0];
+
+        if (!GLib.find_program_in_path(program))
+            return null;
+
+        return {
+            name: entryFile.get_basename(),
+            exec,
+            mimeTypes,
+        };
+    }
+
+    _expandThumbnailerExec(exec, file, inputPath, outputPath) {
+        const [, argv] = GLib.shell_parse_argv(exec);
+
+        return argv.map(arg => arg.replace(/%([iuos%])/g, (match, code) => {
+            switch (code) {
+            case 'i':
+                return inputPath;
+            case 'u':
+                return file.uri;
+            case 'o':
+                return outputPath;
+            case 's':
+                return `${THUMBNAILER_SIZE}`;
+            default:
+                return '%';
+            }
+        }));
+    }
+
+    _getSandboxArgv(inputPath, outputDir) {
+        const bwrap = GLib.find_program_in_path('bwrap');
+        if (!bwrap) {
+            if (!this._warnedNoSandbox) {
+                console.log('bwrap not found, not running thumbnailers');
+                this._warnedNoSandbox = true;
+            }
+
+            return null;
+        }
+
+        const argv = [
+            bwrap,
+            '--ro-bind', '/usr', '/usr',
+            '--proc', '/proc',
+            '--dev', '/dev',
+            '--tmpfs', '/tmp',
+            '--chdir', '/',
+            '--unshare-all',
+            '--die-with-parent',
+        ];
+
+        for (const path of SANDBOX_READ_ONLY_PATHS)
+            argv.push('--ro-bind-try', path, path);
+
+        // Merged /usr systems link these, others keep real directories
+        for (const path of ['/bin', '/lib', '/lib64', '/sbin']) {
+            if (GLib.file_test(path, GLib.FileTest.IS_SYMLINK))
+                argv.push('--symlink', GLib.file_read_link(path), path);
+            else
+                argv.push('--ro-bind-try', path, path);
+        }
+
+        argv.push(
+            '--ro-bind', inputPath, inputPath,
+            '--bind', outputDir, outputDir
+        );
+
+        return argv;
+    }
+
+    async _runSandboxedThumbnailer(argv, cancellable) {
+        const launcher = new Gio.SubprocessLauncher({
+            flags: Gio.SubprocessFlags.STDOUT_SILENCE |
+                Gio.SubprocessFlags.STDERR_SILENCE,
+        });
+
+        launcher.set_environ([
+            'PATH=/usr/bin:/bin',
+            'HOME=/tmp',
+            'GIO_USE_VFS=local',
+        ]);
+
+        const subprocess = launcher.spawnv(argv);
+        let timedOut = false;
+
+        let timeoutId =
+            GLib.timeout_add(GLib.PRIORITY_DEFAULT, this._timeoutValue, () => {
+                timeoutId = 0;
+                timedOut = true;
+                subprocess.force_exit();
+
+                return GLib.SOURCE_REMOVE;
+            });
+
+        try {
+            await subprocess.wait_check_async(cancellable);
+        } catch (e) {
+            subprocess.force_exit();
+
+            if (timedOut) {
+                throw new GLib.Error(Gio.IOErrorEnum,
+                    Gio.IOErrorEnum.TIMED_OUT,
+                    'Thumbnailer timed out');
+            }
+
+            throw e;
+        } finally {
+            if (timeoutId)
+                GLib.source_remove(timeoutId);
+        }
+    }
+
     _loadPdfAsIcon(file, cancellable) {
         let thumbnailPixbuf = null;
 
@@ -467,16 +765,69 @@ const ThumbnailLoader = class {
         return thumbnail;
     }
 
+    /**
+     * A large rendering of the file for previews: the image itself, else its
+     * thumbnail. PDFs are not rendered here, as Poppler would block the main
+     * loop; their thumbnail comes from an out of process thumbnailer.
+     *
+     * @param {FileItemIcon} file the file item
+     * @param {number} size largest side in pixels
+     * @param {Gio.Cancellable} cancellable to stop the thumbnailer
+     * @returns {Promise<GdkPixbuf.Pixbuf|null>} null if there is no image
+     */
+    async getPreviewPixbuf(file, size, cancellable) {
+        const contentType = file.attributeContentType;
+
+        if (file.path && PIXBUF_CONTENT_TYPES.has(contentType)) {
+            try {
+                return await this._loadPixbuf(file.file, size, cancellable);
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                    throw e;
+
+                console.error(e, `Error loading preview of ${file.uri}`);
+            }
+        }
+
+        const thumbnail = await this.getThumbnail(file, cancellable);
+        if (!thumbnail)
+            return null;
+
+        return this._loadPixbuf(
+            Gio.File.new_for_path(thumbnail), -1, cancellable);
+    }
+
+    async _loadPixbuf(gfile, size, cancellable) {
+        const stream =
+            await gfile.read_async(GLib.PRIORITY_DEFAULT, cancellable);
+
+        try {
+            return await GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(
+                stream, size, size, true, cancellable);
+        } finally {
+            stream.close_async(GLib.PRIORITY_DEFAULT, null).catch(e =>
+                console.error(e, 'Error closing preview stream'));
+        }
+    }
+
     async getThumbnail(file, cancellable) {
         try {
             let thumbnail = this.hasThumbnail(file, cancellable);
 
+            // Failed in an earlier run, the factory will not try again
+            const factoryFailed = this._thumbnailFactory
+                .has_valid_failed_thumbnail(file.uri, file.modifiedTime);
+
             if (!thumbnail && this.canThumbnail(file))
                 thumbnail = await this._generateThumbnail(file, cancellable);
 
             if (
                 !thumbnail &&
-                await this._createFallBackThumbnailAsync(file, cancellable)
+                await this._createFallBackThumbnailAsync(
+                    file,
+                    cancellable,
+                    factoryFailed
+                )
             ) {
                 thumbnail =
                     this._thumbnailFactory.lookup(file.uri, file.modifiedTime);
@@ -0,0 +1,386 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {GLib} from '../dependencies/gi.js';
+
+const Signals = imports.signals;
+
+export {UndoManager};
+
+const MAX_ENTRIES = 50;
+
+// Returned by an entry that no longer applies, the next one is tried
+const STALE = Symbol('stale');
+
+/**
+ * UndoManager
+ *
+ * One undo/redo history for everything done on the desktop:
+ *  - icon moves and arrangement changes, restored from position snapshots,
+ *  - widget moves, restored by the WidgetManager,
+ *  - file operations, handed back to Nautilus with UndoRemote/RedoRemote.
+ *
+ * An entry is {label, undo(), redo()}, the callbacks may be async. A
+ * callback resolving to false, or throwing, failed: the entry stays where
+ * it is and nothing else is replayed. One resolving to the stale value
+ * no longer applies, it is dropped and the next entry is replayed.
+ * Nautilus only remembers its last file operation, so at most one file
+ * operation entry is kept in the history, the most recent one.
+ *
+ * Emits 'changed' whenever canUndo, canRedo or the labels change.
+ */
+const UndoManager = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._Prefs = desktopManager.Prefs;
+        this._Enums = desktopManager.Enums;
+        this._DBusUtils = desktopManager.DBusUtils;
+
+        this._undoStack = [];
+        this._redoStack = [];
+        this._busy = false;
+        this._replaying = false;
+        this._expectRemoteStatus = false;
+        this._arrangement = this._getArrangement();
+
+        this._monitorFileOperations();
+    }
+
+    get stale() {
+        return STALE;
+    }
+
+    get canUndo() {
+        return !this._busy && this._undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return !this._busy && this._redoStack.length > 0;
+    }
+
+    get undoLabel() {
+        return this._undoStack.at(-1)?.label ?? null;
+    }
+
+    get redoLabel() {
+        return this._redoStack.at(-1)?.label ?? null;
+    }
+
+    /**
+     * Record a change that has just been done.
+     *
+     * @param {object} entry {label, undo, redo}
+     */
+    push(entry) {
+        if (this._replaying)
+            return;
+
+        this._undoStack.push(entry);
+        if (this._undoStack.length > MAX_ENTRIES)
+            this._undoStack.shift();
+
+        this._redoStack = [];
+        this.emit('changed');
+    }
+
+    async undo() {
+        await this._replay(this._undoStack, this._redoStack, 'undo');
+    }
+
+    async redo() {
+        await this._replay(this._redoStack, this._undoStack, 'redo');
+    }
+
+    async _replay(fromStack, toStack, direction) {
+        if (this._busy)
+            return;
+
+        this._busy = true;
+        this._replaying = true;
+        this.emit('changed');
+
+        try {
+            while (fromStack.length) {
+                const entry = fromStack.pop();
+                let done;
+
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    done = await entry[direction]();
+                } catch (e) {
+                    console.error(`UndoManager: ${direction} failed:`, e);
+                    done = false;
+                }
+
+                if (done === STALE)
+                    continue;
+
+                if (done === false) {
+                    fromStack.push(entry);
+                    break;
+                }
+
+                toStack.push(entry);
+                break;
+            }
+
+            // Let settings and grid callbacks triggered by the replay
+            // settle before recording again
+            await this._waitForIdle();
+        } finally {
+            this._replaying = false;
+            this._busy = false;
+            this.emit('changed');
+        }
+    }
+
+    _waitForIdle() {
+        return new Promise(resolve => {
+            GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                resolve();
+                return GLib.SOURCE_REMOVE;
+            });
+        });
+    }
+
+    // ─────────────────────────
+    // Icon positions and arrangements
+    // ─────────────────────────
+
+    /**
+     * Record icons moved by the user.
+     *
+     * @param {string} label shown in the menu
+     * @param {object} before positions from snapshotIconPositions()
+     * @param {object} after positions from snapshotIconPositions()
+     */
+    recordIconPositions(label, before, after) {
+        if (this._samePositions(before, after))
+            return;
+
+        this.push({
+            label,
+            undo: () => this._desktopManager.restoreIconPositions(before),
+            redo: () => this._desktopManager.restoreIconPositions(after),
+        });
+    }
+
+    /**
+     * Run an operation that rearranges the desktop and record it.
+     *
+     * The arrangement settings are compared with the ones seen last, as
+     * the settings callbacks run after the new value is already set.
+     *
+     * @param {string} label shown in the menu
+     * @param {Function} operation rearranges the icons
+     */
+    recordArrangement(label, operation) {
+        if (this._replaying) {
+            this._arrangement = this._getArrangement();
+            operation();
+            return;
+        }
+
+        const before = {
+            ...this._arrangement,
+            positions: this._snapshotIfFree(this._arrangement),
+        };
+
+        operation();
+
+        const arrangement = this._getArrangement();
+        const after = {
+            ...arrangement,
+            positions: this._snapshotIfFree(arrangement),
+        };
+        this._arrangement = arrangement;
+
+        if (this._sameArrangement(before, after) &&
+            this._samePositions(before.positions, after.positions))
+            return;
+
+        this.push({
+            label,
+            undo: () => this._restoreArrangement(before),
+            redo: () => this._restoreArrangement(after),
+        });
+    }
+
+    _getArrangement() {
+        return {
+            sortOrder: this._Prefs.sortOrder,
+            keepArranged: this._Prefs.keepArranged,
+            keepStacked: this._Prefs.keepStacked,
+            unstackedTypes: this._Prefs.UnstackList,
+        };
+    }
+
+    _snapshotIfFree(arrangement) {
+        if (arrangement.keepArranged || arrangement.keepStacked)
+            return null;
+
+        return this._desktopManager.snapshotIconPositions();
+    }
+
+    async _restoreArrangement(state) {
+        const settings = this._Prefs.desktopSettings;
+        const current = this._getArrangement();
+
+        if (current.sortOrder !== state.sortOrder)
+            this._Prefs.SortOrder = state.sortOrder;
+
+        if (current.unstackedTypes.join() !== state.unstackedTypes.join())
+            this._Prefs.UnstackList = state.unstackedTypes;
+
+        if (current.keepArranged !== state.keepArranged)
+            settings.set_boolean('keep-arranged', state.keepArranged);
+
+        if (current.keepStacked !== state.keepStacked)
+            settings.set_boolean('keep-stacked', state.keepStacked);
+
+        this._arrangement = {...state};
+        delete this._arrangement.positions;
+
+        if (!state.positions)
+            return;
+
+        // Place the icons once the desktop has followed the settings
+        await this._waitForIdle();
+        this._desktopManager.restoreIconPositions(state.positions);
+    }
+
+    _sameArrangement(a, b) {
+        return a.sortOrder === b.sortOrder &&
+            a.keepArranged === b.keepArranged &&
+            a.keepStacked === b.keepStacked &&
+            a.unstackedTypes.join() === b.unstackedTypes.join();
+    }
+
+    _samePositions(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // ─────────────────────────
+    // Nautilus file operations
+    // ─────────────────────────
+
+    _monitorFileOperations() {
+        const fileOperationsManager =
+            this._DBusUtils.RemoteFileOperations.fileOperationsManager;
+
+        fileOperationsManager.connectToProxy(
+            'g-properties-changed',
+            (proxy, properties) => {
+                if ('UndoStatus' in properties.deep_unpack())
+                    this._onUndoStatusChanged();
+            }
+        );
+
+        fileOperationsManager.connect('changed-status',
+            (actor, available) => {
+                this._dropFileOperations();
+
+                if (available)
+                    this._onUndoStatusChanged();
+            }
+        );
+
+        if (fileOperationsManager.isAvailable)
+            this._onUndoStatusChanged();
+    }
+
+    _getUndoStatus() {
+        const fileOperationsManager =
+            this._DBusUtils.RemoteFileOperations.fileOperationsManager;
+
+        if (!fileOperationsManager.proxy)
+            return this._Enums.UndoStatus.NONE;
+
+        return this._DBusUtils.RemoteFileOperations.UndoStatus();
+    }
+
+    _onUndoStatusChanged() {
+        // Our own UndoRemote/RedoRemote, the entry already moved stacks
+        if (this._expectRemoteStatus) {
+            this._expectRemoteStatus = false;
+            return;
+        }
+
+        switch (this._getUndoStatus()) {
+        case this._Enums.UndoStatus.UNDO:
+            this._dropFileOperations();
+            this._undoStack.push(this._makeFileOperationEntry());
+            if (this._undoStack.length > MAX_ENTRIES)
+                this._undoStack.shift();
+            this._redoStack = [];
+            break;
+        case this._Enums.UndoStatus.REDO:
+            // Undone from Nautilus itself
+            this._dropFileOperations();
+            this._redoStack.push(this._makeFileOperationEntry());
+            break;
+        default:
+            this._dropFileOperations();
+            break;
+        }
+
+        this.emit('changed');
+    }
+
+    _dropFileOperations() {
+        this._undoStack = this._undoStack.filter(e => !e.isFileOperation);
+        this._redoStack = this._redoStack.filter(e => !e.isFileOperation);
+    }
+
+    _makeFileOperationEntry() {
+        return {
+            label: null,
+            isFileOperation: true,
+            undo: () => this._runRemote(this._Enums.UndoStatus.UNDO),
+            redo: () => this._runRemote(this._Enums.UndoStatus.REDO),
+        };
+    }
+
+    _runRemote(expectedStatus) {
+        // Nautilus moved on since the entry was recorded
+        if (this._getUndoStatus() !== expectedStatus)
+            return STALE;
+
+        const remote = this._DBusUtils.RemoteFileOperations;
+        const callback = (result, error) => {
+            if (error)
+                this._expectRemoteStatus = false;
+        };
+
+        this._expectRemoteStatus = true;
+
+        try {
+            if (expectedStatus === this._Enums.UndoStatus.UNDO)
+                remote.UndoRemote(callback);
+            else
+                remote.RedoRemote(callback);
+        } catch (e) {
+            this._expectRemoteStatus = false;
+            logError(e);
+            return false;
+        }
+
+        return true;
+    }
+};
+
+Signals.addSignalMethods(UndoManager.prototype);
@@ -178,6 +178,28 @@ const DesktopIconsUtil = class {
         return appDir.get_child('widgets.json');
     }
 
+    /**
+     * Widget layout profiles under the app data dir:
+     *   $XDG_DATA_HOME/<app-id>/widget-profiles.json
+     *
+     * @returns {Gio.File}
+     */
+    getWidgetProfilesFile() {
+        const appDir = this.getAppUserDataDir();
+        return appDir.get_child('widget-profiles.json');
+    }
+
+    /**
+     * Fences of the desktop under the app data dir:
+     *   $XDG_DATA_HOME/<app-id>/fences.json
+     *
+     * @returns {Gio.File}
+     */
+    getFencesFile() {
+        const appDir = this.getAppUserDataDir();
+        return appDir.get_child('fences.json');
+    }
+
     /**
      *
      * @param {float} value number
@@ -233,8 +233,42 @@ export const WIDGET_API =
     // ---------------------------------------------------------------------
 
     var pending = new Map();
+    var pendingCalls = new Map();
     var msgCounter = 1;
 
+    function _resolveCall(data) {
+        var call = pendingCalls.get(data.requestId);
+        if (!call)
+            return;
+
+        pendingCalls.delete(data.requestId);
+
+        if (data.ok)
+            call.resolve(data.result);
+        else
+            call.reject(new Error(data.error || 'Call failed'));
+    }
+
+    // Capability calls (system stats, files, apps, notifications).
+    // Rejects unless the user granted the capability to this instance.
+    function call(method, args) {
+        if (!window.ding || !window.ding.instanceId)
+            return Promise.reject(new Error('No widget instance'));
+
+        var requestId = msgCounter++;
+        return new Promise(function(resolve, reject) {
+            pendingCalls.set(requestId, {resolve: resolve, reject: reject});
+            post({
+                type: 'call',
+                instanceId: window.ding.instanceId,
+                mode: window.ding.mode,
+                requestId: requestId,
+                method: method,
+                args: args || {},
+            });
+        });
+    }
+
     // Host responds to getConfig by running:
     //   window.postMessage({ _dingInternal: true, requestId, config }, '*');
     window.addEventListener('message', function(event) {
@@ -246,6 +280,11 @@ export const WIDGET_API =
         var requestId = data.requestId || null;
         var config = data.config;
 
+        if (type === 'callReply') {
+            _resolveCall(data);
+            return;
+        }
+
         if (config && typeof config === 'object') {
             _setConfigCache(config, {
                 reason: type === 'configChanged'
@@ -289,6 +328,7 @@ export const WIDGET_API =
         locale: (typeof navigator !== 'undefined' && navigator.language) ?
             navigator.language :
             'en_US',
+        capabilities: [],
     };
 
     var _hostStateListeners = new Set();
@@ -475,7 +515,7 @@ export const WIDGET_API =
          * Returns a shallow copy of the current host state:
          * {
          *   editMode, selected, theme, visible,
-         *   reducedMotion, direction, locale
+         *   reducedMotion, direction, locale, capabilities
          * }
          */
         getHostState: function() {
@@ -506,6 +546,39 @@ export const WIDGET_API =
             };
         },
 
+        // -----------------------------
+        // Capabilities (granted in the widget picker)
+        // -----------------------------
+
+        hasCapability: function(name) {
+            var caps = _hostState.capabilities || [];
+            return caps.indexOf(name) !== -1;
+        },
+
+        // {cpu: {usage, cores, loadAverage},
+        //  memory: {total, available, used, swapTotal, swapFree},
+        //  battery: {level, charging, batteries} | null}
+        getSystemStats: function() {
+            return call('getSystemStats');
+        },
+
+        // Paths are relative to the directory declared in the manifest
+        listFiles: function(path) {
+            return call('listFiles', {path: path || ''});
+        },
+
+        readFile: function(path) {
+            return call('readFile', {path: path});
+        },
+
+        launchApp: function(desktopId) {
+            return call('launchApp', {desktopId: desktopId});
+        },
+
+        notify: function(title, body) {
+            return call('notify', {title: title, body: body || ''});
+        },
+
         onConfigChanged: function(cb) {
             if (typeof cb !== 'function')
                 return function() {};
@@ -555,6 +628,18 @@ export const WIDGET_API =
         }
     })();
 
+    // Report what the widget CSP blocks through the log channel
+    document.addEventListener('securitypolicyviolation', function(e) {
+        post({
+            type: 'log',
+            instanceId: window.ding.instanceId,
+            cspViolation: true,
+            message: e.effectiveDirective + ' blocked ' +
+                (e.blockedURI || 'inline') +
+                (e.sourceFile ? ' in ' + e.sourceFile + ':' + e.lineNumber : ''),
+        });
+    });
+
     // Notify the host that the widget API is ready and has an instanceId
     try {
         post({
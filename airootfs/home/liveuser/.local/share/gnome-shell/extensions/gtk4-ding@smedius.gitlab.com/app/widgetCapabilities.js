@@ -0,0 +1,502 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {DesktopAppInfo, Gdk, Gio, GLib} from '../dependencies/gi.js';
+import {_} from '../dependencies/gettext.js';
+import {Enums} from '../dependencies/localFiles.js';
+
+export {
+    WidgetCapabilities,
+    describeCapability,
+    capabilityKey,
+    parseCapabilities
+};
+
+const MAX_READ_BYTES = 1024 * 1024;
+const MAX_LIST_ENTRIES = 1000;
+const NOTIFY_INTERVAL_US = 5 * GLib.USEC_PER_SEC;
+
+// window.ding call -> capability it needs
+const METHOD_CAPABILITY = Object.freeze({
+    getSystemStats: 'system-stats',
+    listFiles: 'read-files',
+    readFile: 'read-files',
+    launchApp: 'launch-apps',
+    notify: 'notifications',
+});
+
+/**
+ * Human readable description of a capability, for the approval dialog.
+ *
+ * @param {object} cap {name, directory}
+ * @returns {string}
+ */
+function describeCapability(cap) {
+    switch (cap.name) {
+    case Enums.WidgetCapability.SYSTEM_STATS:
+        return _('Read processor, memory and battery usage');
+    case Enums.WidgetCapability.READ_FILES:
+        // TRANSLATORS: {folder} is replaced by a folder path
+        return _('Read files in {folder}').replace(
+            '{folder}',
+            cap.directory.replace(GLib.get_home_dir(), '~')
+        );
+    case Enums.WidgetCapability.LAUNCH_APPS:
+        return _('Launch applications');
+    case Enums.WidgetCapability.NOTIFICATIONS:
+        return _('Show desktop notifications');
+    default:
+        return cap.name;
+    }
+}
+
+/**
+ * Identify a capability entry: a widget may ask for read-files on several
+ * directories, so the name alone is not enough.
+ *
+ * @param {object} cap {name, directory}
+ * @returns {string}
+ */
+function capabilityKey(cap) {
+    return cap.directory ? `${cap.name}:${cap.directory}` : cap.name;
+}
+
+/**
+ * Normalize the manifest "capabilities" list. Entries are either a name,
+ * or an object with a name, read-files also needs a directory:
+ *
+ *   "capabilities": [
+ *     "system-stats",
+ *     {"name": "read-files", "directory": "~/Documents/Notes"}
+ *   ]
+ *
+ * Unknown or incomplete entries are dropped.
+ *
+ * @param {Array} list manifest value
+ * @param {string} widgetId for warnings
+ * @returns {Array<{name: string, directory: string|null}>}
+ */
+function parseCapabilities(list, widgetId) {
+    if (!Array.isArray(list))
+        return [];
+
+    const known = Object.values(Enums.WidgetCapability);
+    const out = [];
+
+    for (const entry of list) {
+        const name = typeof entry === 'string' ? entry : entry?.name;
+
+        if (!known.includes(name) || out.some(c => c.name === name)) {
+            console.warn(
+                `WidgetRegistry: ignoring capability ${name} of ${widgetId}`
+            );
+            continue;
+        }
+
+        let directory = null;
+        if (name === Enums.WidgetCapability.READ_FILES) {
+            directory = expandDirectory(entry?.directory);
+
+            if (!directory) {
+                console.warn(
+                    `WidgetRegistry: read-files of ${widgetId} needs a directory`
+                );
+                continue;
+            }
+        }
+
+        out.push({name, directory});
+    }
+
+    return out;
+}
+
+function expandDirectory(path) {
+    if (typeof path !== 'string' || !path)
+        return null;
+
+    const home = GLib.get_home_dir();
+
+    if (path === '~')
+        path = home;
+    else if (path.startsWith('~/'))
+        path = GLib.build_filenamev([home, path.substring(2)]);
+
+    // Relative paths are relative to home, never to the widget
+    const canon = GLib.canonicalize_filename(path, home);
+
+    // The home directory or the root itself is too broad
+    if (canon === home || canon === '/')
+        return null;
+
+    return canon;
+}
+
+/**
+ * WidgetCapabilities
+ *
+ * Host side of the permissioned window.ding calls. A call only runs when
+ * the widget manifest declares the capability it needs and the user
+ * granted it when adding the instance (inst.capabilities).
+ *
+ * Calls reject with an Error whose message is passed back to the widget.
+ */
+const WidgetCapabilities = class {
+    constructor(desktopManager) {
+        this._desktopManager = desktopManager;
+        this._dbusManager = desktopManager.dbusManager;
+
+        this._lastCpuSample = null;
+        this._lastNotifyTime = new Map();
+    }
+
+    destroy() {
+        this._lastNotifyTime.clear();
+        this._desktopManager = null;
+        this._dbusManager = null;
+    }
+
+    /**
+     * @param {object} inst widget instance
+     * @param {object} desc widget descriptor
+     * @param {string} method one of METHOD_CAPABILITY keys
+     * @param {object} args call arguments from the widget
+     * @returns {Promise<any>} JSON-compatible result
+     */
+    async call(inst, desc, method, args = {}) {
+        const capName = METHOD_CAPABILITY[method];
+        if (!capName)
+            throw new Error(`Unknown method ${method}`);
+
+        const cap = desc?.capabilities?.find(c => c.name === capName);
+        const granted = inst.capabilities?.includes(capName);
+
+        if (!cap || !granted)
+            throw new Error(`Capability ${capName} not granted`);
+
+        args = args && typeof args === 'object' ? args : {};
+
+        switch (method) {
+        case 'getSystemStats':
+            return this._getSystemStats();
+        case 'listFiles':
+            return this._listFiles(cap.directory, args.path);
+        case 'readFile':
+            return this._readFile(cap.directory, args.path);
+        case 'launchApp':
+            return this._launchApp(args.desktopId);
+        case 'notify':
+            return this._notify(inst, desc, args.title, args.body);
+        default:
+            throw new Error(`Unknown method ${method}`);
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // system-stats
+    // ---------------------------------------------------------------------
+
+    async _getSystemStats() {
+        const [cpu, memory, battery] = await Promise.all([
+            this._getCpuStats(),
+            this._getMemoryStats(),
+            this._getBatteryStats(),
+        ]);
+
+        return {cpu, memory, battery};
+    }
+
+    async _readTextFile(path) {
+        const file = Gio.File.new_for_path(path);
+        const [contents] = await file.load_contents_async(null);
+        return new TextDecoder().decode(contents);
+    }
+
+    async _getCpuStats() {
+        const [stat, loadavg] = await Promise.all([
+            this._readTextFile('/proc/stat'),
+            this._readTextFile('/proc/loadavg'),
+        ]);
+
+        // cpu  user nice system idle iowait irq softirq steal
+        const fields = stat.split('\n')[0].trim().split(/\s+/)
+            .slice(1, 9)
+            .map(Number);
+        const total = fields.reduce((a, b) => a + b, 0);
+        const idle = fields[3] + fields[4];
+
+        // Usage since the previous call, or since boot for the first one
+        const last = this._lastCpuSample ?? {total: 0, idle: 0};
+        this._lastCpuSample = {total, idle};
+
+        const deltaTotal = total - last.total;
+        const usage = deltaTotal > 0
+            ? 100 * (1 - (idle - last.idle) / deltaTotal)
+            : 0;
+
+        return {
+            usage: Math.round(usage * 10) / 10,
+            cores: GLib.get_num_processors(),
+            loadAverage: loadavg.trim().split(/\s+/).slice(0, 3).map(Number),
+        };
+    }
+
+    async _getMemoryStats() {
+        const meminfo = await this._readTextFile('/proc/meminfo');
+        const values = {};
+
+        for (const line of meminfo.split('\n')) {
+            const match = line.match(/^(\w+):\s+(\d+)/);
+            if (match)
+                values[match[1]] = Number(match[2]) * 1024;
+        }
+
+        const total = values.MemTotal ?? 0;
+        const available = values.MemAvailable ?? values.MemFree ?? 0;
+
+        return {
+            total,
+            available,
+            used: total - available,
+            swapTotal: values.SwapTotal ?? 0,
+            swapFree: values.SwapFree ?? 0,
+        };
+    }
+
+    async _getBatteryStats() {
+        const supplies = Gio.File.new_for_path('/sys/class/power_supply');
+        const batteries = [];
+
+        try {
+            const enumerator = await supplies.enumerate_children_async(
+                'standard::name',
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT,
+                null
+            );
+
+            let infos;
+            while ((infos = await enumerator.next_files_async(
+                20, GLib.PRIORITY_DEFAULT, null)).length > 0) {
+                for (const info of infos) {
+                    const dir = supplies.get_child(info.get_name());
+                    // eslint-disable-next-line no-await-in-loop
+                    const battery = await this._readBattery(dir);
+                    if (battery)
+                        batteries.push(battery);
+                }
+            }
+
+            await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+        } catch (e) {
+            return null;
+        }
+
+        if (!batteries.length)
+            return null;
+
+        // Several batteries show as their average charge
+        const level = batteries.reduce((a, b) => a + b.level, 0) /
+            batteries.length;
+        const charging = batteries.some(b => b.status === 'charging');
+
+        return {level: Math.round(level), charging, batteries};
+    }
+
+    async _readBattery(dir) {
+        const read = async name =>
+            (await this._readTextFile(dir.get_child(name).get_path())).trim();
+
+        try {
+            if (await read('type') !== 'Battery')
+                return null;
+
+            return {
+                name: dir.get_basename(),
+                level: Number(await read('capacity')),
+                status: (await read('status')).toLowerCase(),
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // read-files
+    // ---------------------------------------------------------------------
+
+    /*
+     * Resolve a path relative to the granted directory, refusing anything
+     * outside it: "../" traversal, absolute paths and symlinks anywhere
+     * along the path (same rules as widget bundle files).
+     */
+    async _resolveInDirectory(directory, relPath = '') {
+        if (typeof relPath !== 'string')
+            throw new Error('Invalid path');
+
+        const sep = GLib.DIR_SEPARATOR_S;
+        const canon = GLib.canonicalize_filename(
+            relPath.replace(/^\/+/, ''),
+            directory
+        );
+
+        if (canon !== directory && !canon.startsWith(`${directory}${sep}`))
+            throw new Error('Path escapes the granted directory');
+
+        let file = Gio.File.new_for_path(directory);
+        let info = await file.query_info_async(
+            'standard::type,standard::is-symlink,standard::size,time::modified',
+            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+            GLib.PRIORITY_DEFAULT,
+            null
+        );
+
+        const parts = canon.substring(directory.length).split(sep)
+            .filter(p => p.length > 0);
+
+        for (const part of parts) {
+            file = file.get_child(part);
+            // eslint-disable-next-line no-await-in-loop
+            info = await file.query_info_async(
+                'standard::type,standard::is-symlink,standard::size,' +
+                'time::modified',
+                Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+                GLib.PRIORITY_DEFAULT,
+                null
+            );
+
+            if (info.get_is_symlink())
+                throw new Error('Symlinks are not allowed');
+        }
+
+        return [file, info];
+    }
+
+    async _listFiles(directory, relPath = '') {
+        const [dir, dirInfo] =
+            await this._resolveInDirectory(directory, relPath ?? '');
+
+        if (dirInfo.get_file_type() !== Gio.FileType.DIRECTORY)
+            throw new Error('Not a directory');
+
+        const enumerator = await dir.enumerate_children_async(
+            'standard::name,standard::type,standard::is-symlink,' +
+            'standard::size,time::modified',
+            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+            GLib.PRIORITY_DEFAULT,
+            null
+        );
+
+        const entries = [];
+        let infos;
+        while (entries.length < MAX_LIST_ENTRIES &&
+            (infos = await enumerator.next_files_async(
+                100, GLib.PRIORITY_DEFAULT, null)).length > 0) {
+            for (const info of infos) {
+                if (info.get_is_symlink())
+                    continue;
+
+                const type = info.get_file_type();
+                if (type !== Gio.FileType.REGULAR &&
+                    type !== Gio.FileType.DIRECTORY)
+                    continue;
+
+                entries.push({
+                    name: info.get_name(),
+                    type: type === Gio.FileType.DIRECTORY ? 'directory' : 'file',
+                    size: info.get_size(),
+                    modified:
+                        info.get_modification_date_time()?.to_unix() ?? null,
+                });
+            }
+        }
+
+        await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+
+        return entries.slice(0, MAX_LIST_ENTRIES);
+    }
+
+    async _readFile(directory, relPath) {
+        if (!relPath)
+            throw new Error('No file specified');
+
+        const [file, info] = await this._resolveInDirectory(directory, relPath);
+
+        if (info.get_file_type() !== Gio.FileType.REGULAR)
+            throw new Error('Not a regular file');
+
+        if (info.get_size() > MAX_READ_BYTES)
+            throw new Error('File is too large');
+
+        const [contents] = await file.load_contents_async(null);
+
+        try {
+            return new TextDecoder('utf-8', {fatal: true}).decode(contents);
+        } catch (e) {
+            throw new Error('File is not valid UTF-8 text');
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // launch-apps
+    // ---------------------------------------------------------------------
+
+    _launchApp(desktopId) {
+        if (typeof desktopId !== 'string' || !desktopId.endsWith('.desktop'))
+            throw new Error('Invalid desktop file id');
+
+        // Only installed applications, looked up by id, never a path
+        if (desktopId.includes('/'))
+            throw new Error('Invalid desktop file id');
+
+        const appInfo = DesktopAppInfo.new(desktopId);
+        if (!appInfo)
+            throw new Error(`Application ${desktopId} not found`);
+
+        const context = Gdk.Display.get_default().get_app_launch_context();
+        context.set_timestamp(Gdk.CURRENT_TIME);
+
+        appInfo.launch([], context);
+        return true;
+    }
+
+    // ---------------------------------------------------------------------
+    // notifications
+    // ---------------------------------------------------------------------
+
+    _notify(inst, desc, title, body) {
+        if (typeof title !== 'string' || !title)
+            throw new Error('Notification needs a title');
+
+        // Widgets can't flood the notification list
+        const now = GLib.get_monotonic_time();
+        const last = this._lastNotifyTime.get(inst.instanceId) ?? -Infinity;
+        if (now - last < NOTIFY_INTERVAL_US)
+            throw new Error('Too many notifications');
+
+        this._lastNotifyTime.set(inst.instanceId, now);
+
+        // Always name the widget, so it can't pass for another program
+        const header = `${desc.displayName || desc.id}: ${title}`;
+        this._dbusManager.doNotify(
+            header.substring(0, 200),
+            String(body ?? '').substring(0, 1000)
+        );
+
+        return true;
+    }
+};
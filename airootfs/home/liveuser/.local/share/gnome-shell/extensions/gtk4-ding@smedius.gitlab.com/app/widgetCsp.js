@@ -0,0 +1,169 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Content Security Policy of HTML widgets.
+ *
+ * widget.json may declare:
+ *   "csp": "strict" | "dev" | "relaxed",
+ *   "connectSrc": ["https://api.example.com", "wss://*.example.org:443"]
+ *
+ * The level picks one of the WidgetApi CSP strings. A declared connectSrc
+ * replaces the connect-src of that level, so the widget only reaches the
+ * listed hosts. Both can be overridden per instance from its preferences.
+ */
+
+import {_} from '../dependencies/gettext.js';
+import {Enums, WidgetApi} from '../dependencies/localFiles.js';
+
+export {
+    getLevels,
+    describeLevel,
+    parseConnectSrc,
+    parseOverride,
+    getEffectivePolicy,
+    buildCspString
+};
+
+// Scheme, host with an optional leading wildcard label, optional port
+const HOST_SOURCE_RE =
+    /^(https|wss|http|ws):\/\/(\*\.)?[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*(:(\d{1,5}|\*))?$/;
+
+function getLevels() {
+    return Object.keys(Enums.CspProfileNames);
+}
+
+function describeLevel(level) {
+    switch (level) {
+    case 'dev':
+        return _('Development, also reaches local servers');
+    case 'relaxed':
+        return _('Relaxed, loads scripts and content from the network');
+    default:
+        return _('Strict, only the widget files');
+    }
+}
+
+/**
+ * Keep the valid host sources of a manifest or user allowlist.
+ *
+ * @param {*} list array of host sources
+ * @param {string} widgetId for the log
+ * @returns {string[]|null} null if no allowlist is given
+ */
+function parseConnectSrc(list, widgetId) {
+    if (!Array.isArray(list))
+        return null;
+
+    const out = [];
+
+    for (const entry of list) {
+        const source = typeof entry === 'string' ? entry.trim() : '';
+
+        if (!HOST_SOURCE_RE.test(source)) {
+            console.warn(
+                `WidgetCsp: ignoring connect-src ${entry} of ${widgetId}`
+            );
+            continue;
+        }
+
+        if (!out.includes(source))
+            out.push(source);
+    }
+
+    return out;
+}
+
+/**
+ * Sanitize the per-instance override kept in the saved widget state.
+ *
+ * @param {*} value {level?, connectSrc?}, connectSrc null for none
+ * @param {string} widgetId for the log
+ * @returns {object|null} null to follow the manifest
+ */
+function parseOverride(value, widgetId) {
+    if (!value || typeof value !== 'object')
+        return null;
+
+    const override = {};
+
+    if (getLevels().includes(value.level))
+        override.level = value.level;
+
+    if (value.connectSrc === null)
+        override.connectSrc = null;
+    else if (Array.isArray(value.connectSrc))
+        override.connectSrc = parseConnectSrc(value.connectSrc, widgetId);
+
+    return Object.keys(override).length ? override : null;
+}
+
+/**
+ * The policy an instance runs with: its override, else the manifest.
+ *
+ * @param {object} inst widget instance, may carry csp {level, connectSrc}
+ * @param {object|null} desc widget descriptor
+ * @returns {{level: string, connectSrc: string[]|null}}
+ */
+function getEffectivePolicy(inst, desc) {
+    const override = inst?.csp ?? null;
+
+    let level = override?.level ?? desc?.csp ?? 'strict';
+    if (!getLevels().includes(level))
+        level = 'strict';
+
+    const connectSrc = override?.connectSrc !== undefined
+        ? override.connectSrc
+        : desc?.connectSrc ?? null;
+
+    return {level, connectSrc};
+}
+
+function buildCspString(policy) {
+    let cspString;
+
+    switch (Enums.CspProfileNames[policy.level]) {
+    case Enums.CspProfile.STRICT:
+        cspString = WidgetApi.CSP_STRICT;
+        break;
+    case Enums.CspProfile.DEV:
+        cspString = WidgetApi.CSP_DEV;
+        break;
+    case Enums.CspProfile.RELAXED:
+        cspString = WidgetApi.CSP_RELAXED;
+        break;
+    default:
+        console.warn('Unknown CSP profile, enforcing STRICT');
+        cspString = WidgetApi.CSP_STRICT;
+    }
+
+    let directives = cspString
+        .split(';')
+        .map(directive => directive.replace(/\s+/g, ' ').trim())
+        .filter(directive => directive.length);
+
+    if (Array.isArray(policy.connectSrc)) {
+        const connectSrc =
+            ["connect-src 'self'", ...policy.connectSrc].join(' ');
+
+        directives = directives.map(directive =>
+            directive.startsWith('connect-src ') ? connectSrc : directive
+        );
+    }
+
+    return `${directives.join('; ')};`;
+}
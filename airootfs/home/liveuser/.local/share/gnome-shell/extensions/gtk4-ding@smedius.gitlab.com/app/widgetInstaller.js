@@ -0,0 +1,671 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Widget packages are zip archives named <something>.dingwidget holding
+ * one widget: widget.json at the archive root, or inside a single
+ * top-level folder.
+ *
+ * They are unpacked next to the user widgets root, validated, then moved
+ * in as $XDG_DATA_HOME/<app-id>/widgets/<widgetId>.
+ */
+
+import {Adw, Gio, GLib, Gtk, GnomeAutoar} from '../dependencies/gi.js';
+import {_} from '../dependencies/gettext.js';
+import {WidgetCapabilities, WidgetCsp} from '../dependencies/localFiles.js';
+
+export {WidgetInstaller};
+
+const PACKAGE_SUFFIX = '.dingwidget';
+const ID_RE = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const VERSION_RE = /^\d+(\.\d+){0,3}([-+][0-9A-Za-z.-]+)?$/;
+
+const WidgetInstaller = class {
+    constructor(desktopManager, widgetManager, widgetRegistry) {
+        this._desktopManager = desktopManager;
+        this._widgetManager = widgetManager;
+        this._widgetRegistry = widgetRegistry;
+        this._desktopIconsUtil = desktopManager.DesktopIconsUtil;
+        this._autoAr = desktopManager.autoAr;
+        this._mainApp = desktopManager.mainApp;
+    }
+
+    static isPackage(fileOrUri) {
+        const name = typeof fileOrUri === 'string'
+            ? fileOrUri
+            : fileOrUri?.get_basename?.() ?? '';
+
+        return name.toLowerCase().endsWith(PACKAGE_SUFFIX);
+    }
+
+    // =====================================================================
+    // Install / update
+    // =====================================================================
+
+    /**
+     * Let the user pick packages to install.
+     *
+     * @param {Gtk.Window} parentWindow
+     * @returns {Promise<boolean>} true if anything was installed
+     */
+    async chooseAndInstall(parentWindow) {
+        const filter = new Gtk.FileFilter({name: _('Desktop Widgets')});
+        filter.add_pattern(`*${PACKAGE_SUFFIX}`);
+
+        const filters = new Gio.ListStore({item_type: Gtk.FileFilter});
+        filters.append(filter);
+
+        const dialog = new Gtk.FileDialog({
+            title: _('Install Widget'),
+            modal: true,
+            filters,
+        });
+
+        const files = await new Promise(resolve => {
+            dialog.open_multiple(parentWindow, null, (actor, result) => {
+                try {
+                    resolve(actor.open_multiple_finish(result));
+                } catch (e) {
+                    // Dismissed
+                    resolve(null);
+                }
+            });
+        });
+
+        if (!files)
+            return false;
+
+        const list = [];
+        for (let i = 0; i < files.get_n_items(); i++)
+            list.push(files.get_item(i));
+
+        return this.installPackages(list, parentWindow);
+    }
+
+    /**
+     * @param {Array<Gio.File>} files .dingwidget packages
+     * @param {Gtk.Window|null} parentWindow
+     * @returns {Promise<boolean>} true if anything was installed
+     */
+    async installPackages(files, parentWindow = null) {
+        let installed = false;
+
+        for (const file of files) {
+            // One dialog at a time
+            // eslint-disable-next-line no-await-in-loop
+            if (await this.installPackage(file, parentWindow))
+                installed = true;
+        }
+
+        return installed;
+    }
+
+    async installPackage(file, parentWindow = null) {
+        if (!this._autoAr.checkAutoAr())
+            return false;
+
+        parentWindow ??= this._mainApp.get_active_window();
+
+        const userRoot = this._widgetRegistry.userRoot;
+        if (!userRoot) {
+            console.error('WidgetInstaller: no user widgets root');
+            return false;
+        }
+
+        let staging = null;
+
+        try {
+            staging = await this._makeStagingDir(userRoot);
+
+            // One level down, so the staging dir is left behind even when
+            // the widget is the archive root and gets moved as a whole
+            const unpacked = staging.get_child('package');
+            unpacked.make_directory(null);
+            await this._extract(file, unpacked);
+
+            const widgetDir = await this._findWidgetDir(unpacked);
+            await this._checkTree(widgetDir);
+
+            const manifest = await this._desktopIconsUtil.readJsonFile(
+                widgetDir.get_child('widget.json')
+            );
+            const errors = this._validateManifest(manifest, widgetDir);
+
+            if (errors.length) {
+                this._showError(
+                    parentWindow,
+                    _('Invalid Widget Package'),
+                    `${file.get_basename()}\n\n${errors.join('\n')}`
+                );
+                return false;
+            }
+
+            const existing =
+                await this._widgetRegistry.getDescriptor(manifest.id);
+            const current = existing?.isUser ? existing : null;
+
+            const decisions =
+                await this._confirmInstall(parentWindow, manifest, current);
+            if (!decisions)
+                return false;
+
+            // An update goes where the installed copy is
+            const target = current?.dir ?? userRoot.get_child(manifest.id);
+            if (!current && target.query_exists(null)) {
+                throw new Error(
+                    _('A folder named {name} is already in the widgets folder')
+                        .replace('{name}', manifest.id)
+                );
+            }
+
+            await this._moveIntoPlace(widgetDir, target);
+
+            this._widgetRegistry.reload();
+            const desc = await this._widgetRegistry.getDescriptor(manifest.id);
+
+            if (current)
+                this._widgetManager.onWidgetPackageUpdated(desc, decisions);
+
+            // GJS keeps the first import of a module for the whole session
+            const note = current && desc?.kind === 'gtk'
+                ? _('The new version shows after the desktop restarts.')
+                : '';
+
+            this._desktopManager.dbusManager.doNotify(
+                current ? _('Widget updated') : _('Widget installed'),
+                `${desc?.displayName ?? manifest.id} ${manifest.version}\n${note}`
+                    .trim()
+            );
+
+            return true;
+        } catch (e) {
+            console.error('WidgetInstaller: install failed:', e);
+            this._showError(
+                parentWindow,
+                _('Could Not Install Widget'),
+                `${file.get_basename()}\n\n${e.message ?? e}`
+            );
+            return false;
+        } finally {
+            if (staging) {
+                await this._removeTree(staging).catch(e =>
+                    console.error('WidgetInstaller: staging cleanup:', e)
+                );
+            }
+        }
+    }
+
+    async _makeStagingDir(userRoot) {
+        // A sibling of the user root, so the final move is a rename
+        const stagingRoot = userRoot.get_parent().get_child('widget-staging');
+
+        try {
+            stagingRoot.make_directory_with_parents(null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS))
+                throw e;
+        }
+
+        const dir = stagingRoot.get_child(GLib.uuid_string_random());
+        dir.make_directory(null);
+        return dir;
+    }
+
+    async _extract(file, staging) {
+        const extractor = GnomeAutoar.Extractor.new(file, staging);
+        extractor.set_output_is_dest(true);
+
+        await this._autoAr.runToolAsync(extractor, null);
+    }
+
+    async _findWidgetDir(unpacked) {
+        if (unpacked.get_child('widget.json').query_exists(null))
+            return unpacked;
+
+        // Else a single top-level folder holding the widget
+        const children = await this._listChildren(unpacked);
+        if (children.length === 1 &&
+            children[0].get_file_type() === Gio.FileType.DIRECTORY) {
+            const dir = unpacked.get_child(children[0].get_name());
+
+            if (dir.get_child('widget.json').query_exists(null))
+                return dir;
+        }
+
+        throw new Error(_('The package has no widget.json'));
+    }
+
+    /*
+     * Reject anything but plain files and folders, symlinks in particular
+     * could point the widget root out of its folder.
+     */
+    async _checkTree(dir) {
+        for (const info of await this._listChildren(dir)) {
+            const type = info.get_file_type();
+
+            if (type === Gio.FileType.DIRECTORY)
+                // eslint-disable-next-line no-await-in-loop
+                await this._checkTree(dir.get_child(info.get_name()));
+            else if (type !== Gio.FileType.REGULAR)
+                throw new Error(_('The package contains links or special files'));
+        }
+    }
+
+    _validateManifest(manifest, widgetDir) {
+        if (!manifest || typeof manifest !== 'object')
+            return [_('widget.json is not a valid JSON object')];
+
+        const errors = [];
+
+        if (typeof manifest.id !== 'string' || !ID_RE.test(manifest.id))
+            errors.push(_('Missing or invalid id'));
+
+        if (typeof manifest.version !== 'string' ||
+            !VERSION_RE.test(manifest.version))
+            errors.push(_('Missing or invalid version'));
+
+        if (typeof manifest.license !== 'string' || !manifest.license.trim())
+            errors.push(_('Missing license'));
+
+        const kind = manifest.kind ?? 'html';
+        if (kind !== 'html' && kind !== 'gtk')
+            errors.push(_('Unknown widget kind'));
+
+        if (manifest.csp !== undefined &&
+            !WidgetCsp.getLevels().includes(manifest.csp))
+            errors.push(_('Unknown content security level'));
+
+        if (manifest.connectSrc !== undefined) {
+            const hosts =
+                WidgetCsp.parseConnectSrc(manifest.connectSrc, manifest.id);
+            // Duplicates are merged, only count the distinct entries
+            const entries = Array.isArray(manifest.connectSrc)
+                ? new Set(manifest.connectSrc.map(
+                    e => typeof e === 'string' ? e.trim() : e))
+                : null;
+
+            if (!hosts || hosts.length !== entries.size)
+                errors.push(_('Invalid network allowlist'));
+        }
+
+        if (kind !== 'html' &&
+            (manifest.csp !== undefined || manifest.connectSrc !== undefined))
+            errors.push(_('Only HTML widgets have a content security policy'));
+
+        const declared = manifest.capabilities ?? [];
+        if (!Array.isArray(declared)) {
+            errors.push(_('Invalid capabilities'));
+        } else if (declared.length) {
+            if (kind !== 'html') {
+                errors.push(_('Only HTML widgets can request capabilities'));
+            } else {
+                const parsed = WidgetCapabilities.parseCapabilities(
+                    declared, manifest.id
+                );
+                if (parsed.length !== declared.length)
+                    errors.push(_('Unknown or incomplete capabilities'));
+            }
+        }
+
+        // Files the manifest points to must be in the package
+        const desc = {id: manifest.id, dir: widgetDir};
+        const entry = kind === 'gtk'
+            ? manifest.entry ?? 'widget.js'
+            : 'index.html';
+
+        if (!this._widgetRegistry.resolveWidgetFile(desc, entry))
+            errors.push(_('Missing entry file {file}').replace('{file}', entry));
+
+        if (manifest.prefs !== undefined &&
+            !this._widgetRegistry.resolveWidgetFile(desc, manifest.prefs))
+            errors.push(_('Missing preferences file'));
+
+        return errors;
+    }
+
+    async _moveIntoPlace(widgetDir, target) {
+        let backup = null;
+
+        try {
+            target.get_parent().make_directory_with_parents(null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS))
+                throw e;
+        }
+
+        if (target.query_exists(null)) {
+            backup = target.get_parent().get_child(
+                `.${target.get_basename()}.old-${GLib.uuid_string_random()}`
+            );
+            target.move(backup, Gio.FileCopyFlags.NONE, null, null);
+        }
+
+        try {
+            widgetDir.move(target, Gio.FileCopyFlags.NONE, null, null);
+        } catch (e) {
+            if (backup)
+                backup.move(target, Gio.FileCopyFlags.NONE, null, null);
+            throw e;
+        }
+
+        if (backup) {
+            await this._removeTree(backup).catch(e =>
+                console.error('WidgetInstaller: old version cleanup:', e)
+            );
+        }
+    }
+
+    // =====================================================================
+    // Confirmation
+    // =====================================================================
+
+    /*
+     * Resolves to null if cancelled, else to the decision taken for each
+     * new or changed capability of an update: {capabilityKey: granted}.
+     */
+    _confirmInstall(parentWindow, manifest, current) {
+        const name = manifest.name || manifest.id;
+        const dialog = new Adw.AlertDialog();
+
+        const bodyLines = [];
+
+        if (current) {
+            // TRANSLATORS: {widget} is replaced by the widget name
+            dialog.set_heading(_('Update {widget}?').replace('{widget}', name));
+
+            const order =
+                this._compareVersions(manifest.version, current.version);
+            let line = `${current.version || '?'} → ${manifest.version}`;
+            if (order < 0)
+                line = `${line}  ${_('(older version)')}`;
+            else if (order === 0)
+                line = `${line}  ${_('(same version)')}`;
+            bodyLines.push(line);
+        } else {
+            // TRANSLATORS: {widget} is replaced by the widget name
+            dialog.set_heading(_('Install {widget}?').replace('{widget}', name));
+            bodyLines.push(manifest.version);
+        }
+
+        if (manifest.author)
+            bodyLines.push(manifest.author);
+        bodyLines.push(manifest.license);
+
+        dialog.set_body(bodyLines.join('\n'));
+
+        const decisions = {};
+        const list = this._makePermissionList(manifest, current, decisions);
+        if (list)
+            dialog.set_extra_child(list);
+
+        // GTK widgets are not sandboxed, installing one is trusting it
+        const unrestricted = (manifest.kind ?? 'html') === 'gtk';
+
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('install', current ? _('Update') : _('Install'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response(unrestricted ? 'cancel' : 'install');
+        dialog.set_response_appearance('install', unrestricted
+            ? Adw.ResponseAppearance.DESTRUCTIVE
+            : Adw.ResponseAppearance.SUGGESTED);
+
+        return new Promise(resolve => {
+            dialog.choose(parentWindow, null, (actor, asyncResult) => {
+                const response = actor.choose_finish(asyncResult);
+                if (response !== 'install') {
+                    resolve(null);
+                    return;
+                }
+
+                const result = {};
+                for (const [key, row] of Object.entries(decisions))
+                    result[key] = row.active;
+
+                resolve(result);
+            });
+        });
+    }
+
+    /*
+     * Permissions requested by the package. On update it's a diff against
+     * the installed version: new or changed ones can be switched off for
+     * the widgets already on the desktop, dropped ones are listed too.
+     */
+    _makePermissionList(manifest, current, decisions) {
+        const requested = WidgetCapabilities.parseCapabilities(
+            manifest.capabilities, manifest.id
+        );
+        const previous = current?.capabilities ?? [];
+
+        const newCsp = manifest.csp ?? 'strict';
+        const oldCsp = current?.csp ?? 'strict';
+
+        const newConnectSrc =
+            WidgetCsp.parseConnectSrc(manifest.connectSrc, manifest.id);
+        const oldConnectSrc = current?.connectSrc ?? null;
+
+        const unrestricted = (manifest.kind ?? 'html') === 'gtk';
+
+        if (!unrestricted && !requested.length && !previous.length &&
+            newCsp === 'strict' && oldCsp === 'strict' &&
+            !newConnectSrc?.length)
+            return null;
+
+        const list = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+        list.add_css_class('boxed-list');
+
+        if (unrestricted) {
+            const row = new Adw.ActionRow({
+                title: _('This widget runs unrestricted code'),
+                subtitle: _('It can read and change your files and use the network like any program. Only continue if you trust where it comes from.'),
+            });
+            row.add_prefix(new Gtk.Image({icon_name: 'dialog-warning-symbolic'}));
+            row.add_css_class('warning');
+            list.append(row);
+        }
+
+        const same = (a, b) => a.name === b.name && a.directory === b.directory;
+
+        for (const cap of requested) {
+            const title = WidgetCapabilities.describeCapability(cap);
+
+            if (!current) {
+                list.append(new Adw.ActionRow({
+                    title,
+                    subtitle: _('Asked for when adding the widget'),
+                }));
+            } else if (previous.some(p => same(p, cap))) {
+                list.append(new Adw.ActionRow({title, subtitle: _('Unchanged')}));
+            } else {
+                const row = new Adw.SwitchRow({
+                    title,
+                    subtitle: _('New, for the widgets already on the desktop'),
+                    active: true,
+                });
+                decisions[WidgetCapabilities.capabilityKey(cap)] = row;
+                list.append(row);
+            }
+        }
+
+        for (const cap of previous) {
+            if (requested.some(r => same(r, cap)))
+                continue;
+
+            if (requested.some(r => r.name === cap.name))
+                continue;
+
+            const row = new Adw.ActionRow({
+                title: WidgetCapabilities.describeCapability(cap),
+                subtitle: _('No longer requested'),
+            });
+            row.add_css_class('dim-label');
+            list.append(row);
+        }
+
+        if (newCsp !== 'strict' || oldCsp !== newCsp) {
+            // TRANSLATORS: {level} describes the content security level
+            const title = _('Content security: {level}')
+                .replace('{level}', WidgetCsp.describeLevel(newCsp));
+            const subtitle = current && oldCsp !== newCsp
+                ? _('Was {level}')
+                    .replace('{level}', WidgetCsp.describeLevel(oldCsp))
+                : null;
+            list.append(new Adw.ActionRow({title, subtitle}));
+        }
+
+        const newHosts = (newConnectSrc ?? []).join(', ');
+        const oldHosts = (oldConnectSrc ?? []).join(', ');
+
+        if (newHosts && (!current || newHosts !== oldHosts)) {
+            list.append(new Adw.ActionRow({
+                // TRANSLATORS: {hosts} is a list of web addresses
+                title: _('Connects to {hosts}').replace('{hosts}', newHosts),
+                subtitle: current && oldHosts
+                    ? _('Was {hosts}').replace('{hosts}', oldHosts)
+                    : null,
+            }));
+        }
+
+        return list;
+    }
+
+    _compareVersions(a, b) {
+        const parse = v => String(v ?? '').split(/[-+]/)[0].split('.')
+            .map(n => Number(n) || 0);
+        const pa = parse(a);
+        const pb = parse(b);
+
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] ?? 0) - (pb[i] ?? 0);
+            if (diff)
+                return Math.sign(diff);
+        }
+
+        return 0;
+    }
+
+    // =====================================================================
+    // Uninstall
+    // =====================================================================
+
+    /**
+     * Remove a user installed widget, and its instances on the desktop
+     * unless a system copy of the widget takes over.
+     *
+     * @param {string} widgetId
+     * @param {Gtk.Window} parentWindow
+     * @returns {Promise<boolean>} true if uninstalled
+     */
+    async uninstall(widgetId, parentWindow = null) {
+        const desc = await this._widgetRegistry.getDescriptor(widgetId);
+        if (!desc?.isUser)
+            return false;
+
+        parentWindow ??= this._mainApp.get_active_window();
+
+        const name = desc.displayName || desc.id;
+        const count = this._widgetManager.countInstancesOfWidget(widgetId);
+
+        const dialog = new Adw.AlertDialog();
+        // TRANSLATORS: {widget} is replaced by the widget name
+        dialog.set_heading(_('Uninstall {widget}?').replace('{widget}', name));
+        if (count) {
+            dialog.set_body(
+                _('Widgets of this kind on the desktop will be removed, along with their settings.')
+            );
+        }
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('uninstall', _('Uninstall'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response('cancel');
+        dialog.set_response_appearance(
+            'uninstall', Adw.ResponseAppearance.DESTRUCTIVE);
+
+        const response = await new Promise(resolve => {
+            dialog.choose(parentWindow, null, (actor, asyncResult) => {
+                resolve(actor.choose_finish(asyncResult));
+            });
+        });
+
+        if (response !== 'uninstall')
+            return false;
+
+        try {
+            await this._removeTree(desc.dir);
+        } catch (e) {
+            console.error('WidgetInstaller: uninstall failed:', e);
+            this._showError(parentWindow, _('Could Not Uninstall Widget'),
+                e.message ?? String(e));
+            return false;
+        } finally {
+            this._widgetRegistry.reload();
+        }
+
+        await this._widgetManager.pruneOrphanedInstances();
+        return true;
+    }
+
+    // =====================================================================
+    // Helpers
+    // =====================================================================
+
+    async _listChildren(dir) {
+        const enumerator = await dir.enumerate_children_async(
+            'standard::name,standard::type',
+            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+            GLib.PRIORITY_DEFAULT,
+            null
+        );
+
+        const children = [];
+        let infos;
+        while ((infos = await enumerator.next_files_async(
+            100, GLib.PRIORITY_DEFAULT, null)).length > 0)
+            children.push(...infos);
+
+        await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+        return children;
+    }
+
+    /*
+     * Delete a folder without following symlinks, so an untrusted package
+     * can't have anything outside of it removed.
+     */
+    async _removeTree(dir) {
+        for (const info of await this._listChildren(dir)) {
+            const child = dir.get_child(info.get_name());
+
+            if (info.get_file_type() === Gio.FileType.DIRECTORY)
+                // eslint-disable-next-line no-await-in-loop
+                await this._removeTree(child);
+            else
+                // eslint-disable-next-line no-await-in-loop
+                await child.delete_async(GLib.PRIORITY_DEFAULT, null);
+        }
+
+        await dir.delete_async(GLib.PRIORITY_DEFAULT, null);
+    }
+
+    _showError(parentWindow, heading, body) {
+        const dialog = new Adw.AlertDialog({heading, body});
+        dialog.add_response('close', _('Close'));
+        dialog.set_close_response('close');
+        dialog.present(parentWindow);
+    }
+};
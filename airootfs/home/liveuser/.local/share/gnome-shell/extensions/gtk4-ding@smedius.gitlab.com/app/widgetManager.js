@@ -15,11 +15,16 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-import {Gdk, Gio, GLib, Gtk, WebKit} from '../dependencies/gi.js';
+import {Adw, Gdk, Gio, GLib, Gtk, WebKit} from '../dependencies/gi.js';
 import {_} from '../dependencies/gettext.js';
 import {WidgetRegistry} from '../dependencies/localFiles.js';
 import {HtmlWidgetHost} from '../dependencies/localFiles.js';
+import {GtkWidgetHost} from '../dependencies/localFiles.js';
 import {WebWidgetContext} from '../dependencies/localFiles.js';
+import {WidgetCapabilities} from '../dependencies/localFiles.js';
+import {WidgetInstaller} from '../dependencies/localFiles.js';
+import {WidgetCsp} from '../dependencies/localFiles.js';
+import {WidgetProfiles} from '../dependencies/localFiles.js';
 
 /**
  * WidgetManager
@@ -49,6 +54,9 @@ const WidgetManager = class {
         this._preferences = desktopManager.Prefs;
         this._desktopIconsUtil = desktopManager.DesktopIconsUtil;
         this._widgetRegistry = new WidgetRegistry(this._desktopIconsUtil);
+        this._widgetInstaller = new WidgetInstaller(
+            desktopManager, this, this._widgetRegistry
+        );
 
         // monitorIndex -> { grid, widgetContainer }
         this._surfaces = new Map();
@@ -73,11 +81,18 @@ const WidgetManager = class {
         this._selectedInstanceId = null;
         this._webWidgetContext = null;
 
+        // Preferences window of GTK widgets, one at a time like HTML ones
+        this._gtkPrefsWindow = null;
+        this._gtkPrefsHost = null;
+        this._gtkPrefsInstanceId = null;
+
         // When true, suppress emitting stateChanged events
         this._suppressStateEvents = false;
 
         this._addActions();
 
+        this.profiles = new WidgetProfiles(desktopManager, this);
+
         this.loadState(this._preferences.widgetState);
     }
 
@@ -99,6 +114,7 @@ const WidgetManager = class {
             surface.grid.lowerWidgetContainer();
 
         this.clearFromGrids();
+        this._closeGtkPreferences();
 
         for (const inst of this._instances.values()) {
             if (inst.host && typeof inst.host.destroy === 'function')
@@ -169,6 +185,7 @@ const WidgetManager = class {
      *     y?: number,
      *     width?: number,         // override defaultWidth/defaultHeight
      *     height?: number,
+     *     capabilities?: string[], // capabilities the user granted
      *   }
      *
      * Returns the created instance object or null.
@@ -255,12 +272,20 @@ const WidgetManager = class {
             kind
         );
 
+        if (!instance)
+            return null;
+
         const prefsUri = descriptor?.prefs ?? null;
         instance.prefsUri = prefsUri || null;
         instance.hasPreferences = !!prefsUri;
 
-        if (!instance)
-            return null;
+        // Only what the manifest declares can be granted
+        const declared = (descriptor?.capabilities ?? []).map(c => c.name);
+        instance.capabilities = (opts.capabilities ?? [])
+            .filter(name => declared.includes(name));
+
+        // Content security follows the manifest until the user overrides it
+        instance.csp = null;
 
         // Persist creation
         this._stateChanged();
@@ -326,6 +351,87 @@ const WidgetManager = class {
         inst.normY = normY;
 
         this._positionInstanceActor(inst);
+
+        if (sizeChanged)
+            inst.host?.updateFrame?.(this.getInstanceFrame(instanceId));
+    }
+
+    /**
+     * Move an instance where the user dropped it, recording the move on
+     * the desktop undo stack.
+     *
+     * @param {string} instanceId
+     * @param {number} x local x in the widgetContainer
+     * @param {number} y local y in the widgetContainer
+     */
+    moveInstance(instanceId, x, y) {
+        const before = this._getInstanceGeometry(instanceId);
+
+        this.setInstanceFrame(instanceId, x, y);
+
+        const after = this._getInstanceGeometry(instanceId);
+        if (!before || !after ||
+            (before.normX === after.normX && before.normY === after.normY))
+            return;
+
+        const undoManager = this._desktopManager.undoManager;
+
+        undoManager.push({
+            label: _('Move Widget'),
+            undo: () => this._setInstanceGeometry(instanceId, before) ||
+                undoManager.stale,
+            redo: () => this._setInstanceGeometry(instanceId, after) ||
+                undoManager.stale,
+        });
+    }
+
+    _getInstanceGeometry(instanceId) {
+        const inst = this._instances.get(instanceId);
+        if (!inst)
+            return null;
+
+        const {normX, normY, width, height} = inst;
+        return {normX, normY, width, height};
+    }
+
+    _setInstanceGeometry(instanceId, geometry) {
+        const inst = this._instances.get(instanceId);
+
+        // Removed since, nothing left to undo
+        if (!inst)
+            return false;
+
+        const sizeChanged =
+            inst.width !== geometry.width || inst.height !== geometry.height;
+
+        Object.assign(inst, geometry);
+        this._positionInstanceActor(inst);
+
+        if (sizeChanged)
+            inst.host?.updateFrame?.(this.getInstanceFrame(instanceId));
+
+        this.updateSelectionChromePositionFor(instanceId);
+        return true;
+    }
+
+    /**
+     * Resize an instance in place, keeping its position.
+     *
+     * @param {string} instanceId
+     * @param {number} width
+     * @param {number} height
+     */
+    resizeInstance(instanceId, width, height) {
+        const frame = this.getInstanceFrame(instanceId);
+        if (!frame)
+            return;
+
+        width = Number.isFinite(width) ? Math.max(1, Math.floor(width)) : null;
+        height =
+            Number.isFinite(height) ? Math.max(1, Math.floor(height)) : null;
+
+        this.setInstanceFrame(instanceId, frame.x, frame.y, width, height);
+        this.updateSelectionChromePositionFor(instanceId);
     }
 
     /*
@@ -413,6 +519,7 @@ const WidgetManager = class {
                 const ctx = oldInst.actor.get_style_context();
                 ctx.remove_class('ding-widget-selected');
                 this._webWidgetContext?.closePreferencesIfAny();
+                this._closeGtkPreferences();
             }
         }
 
@@ -422,6 +529,7 @@ const WidgetManager = class {
             this._detachChrome();
             this._updateWidgetsSelectionState();
             this._webWidgetContext?.closePreferencesIfAny();
+            this._closeGtkPreferences();
             return;
         }
 
@@ -431,6 +539,7 @@ const WidgetManager = class {
             this._detachChrome();
             this._updateWidgetsSelectionState();
             this._webWidgetContext?.closePreferencesForInstance();
+            this._closeGtkPreferences();
             return;
         }
 
@@ -518,7 +627,9 @@ const WidgetManager = class {
      *       instanceId, widgetId, kind,
      *       monitorIndex, normX, normY,
      *       width, height,
-     *       config: { ... }   // author-defined future fields
+     *       config: { ... },  // author-defined future fields
+     *       capabilities: [ ... ], // granted host APIs, optional
+     *       csp: {level, connectSrc} // user CSP override, optional
      *     },
      *     ...
      *   ]
@@ -584,6 +695,16 @@ const WidgetManager = class {
                 instance.prefsUri = instData.prefsUri ?? null;
                 instance.hasPreferences =
                     instData.hasPreferences ?? !!instance.prefsUri;
+                instance.capabilities = instData.capabilities ?? [];
+
+                const csp =
+                    WidgetCsp.parseOverride(instData.csp, instData.widgetId);
+                const cspChanged =
+                    JSON.stringify(csp) !== JSON.stringify(instance.csp ?? null);
+                if (cspChanged) {
+                    instance.csp = csp;
+                    this._reloadHtmlInstance(instance);
+                }
             } else {
                 instance = {
                     instanceId: instData.instanceId,
@@ -599,6 +720,9 @@ const WidgetManager = class {
                     prefsUri: instData.prefsUri ?? null,
                     hasPreferences:
                         instData.hasPreferences ?? !!instData.prefsUri,
+                    capabilities: instData.capabilities ?? [],
+                    csp: WidgetCsp.parseOverride(
+                        instData.csp, instData.widgetId),
                 };
 
                 this._instances.set(instance.instanceId, instance);
@@ -632,6 +756,32 @@ const WidgetManager = class {
         this._suppressStateEvents = previousSuppressionState;
     }
 
+    /**
+     * Override the content security policy of an HTML instance, null to
+     * follow its manifest again. The widget reloads under the new policy.
+     *
+     * @param {string} instanceId
+     * @param {object|null} override {level?, connectSrc?}
+     */
+    setInstanceCsp(instanceId, override) {
+        const inst = this._instances.get(instanceId);
+        if (!inst || inst.kind !== 'html')
+            return;
+
+        inst.csp = WidgetCsp.parseOverride(override, inst.widgetId);
+        this._reloadHtmlInstance(inst);
+        this._stateChanged();
+    }
+
+    _reloadHtmlInstance(inst) {
+        if (inst.kind !== 'html' || !inst.host?.isAlive?.())
+            return;
+
+        Promise.resolve(inst.host.getWebViewAsync())
+            .then(webView => webView?.reload())
+            .catch(e => console.error('WidgetManager: reload failed:', e));
+    }
+
     updateInstanceConfig(instanceId, newConfig) {
         const inst = this._instances.get(instanceId);
         if (!inst)
@@ -641,6 +791,28 @@ const WidgetManager = class {
         this._stateChanged();
     }
 
+    /**
+     * Save config coming from a GTK widget or its preferences, then push
+     * it to both so they can update live.
+     *
+     * @param {string} instanceId
+     * @param {object} newConfig
+     * @param {string} sourceMode 'widget' or 'prefs'
+     */
+    saveGtkInstanceConfig(instanceId, newConfig, sourceMode) {
+        const inst = this._instances.get(instanceId);
+        if (!inst || inst.kind !== 'gtk')
+            return;
+
+        this.updateInstanceConfig(instanceId, newConfig);
+
+        const meta = {reason: 'configSaved', sourceMode};
+        inst.host?.setConfig(inst.config, meta);
+
+        if (this._gtkPrefsHost && this._gtkPrefsInstanceId === instanceId)
+            this._gtkPrefsHost.setConfig(inst.config, meta);
+    }
+
     /**
      * Notify Preferences that widget state has changed.
      * Triggers async write to $XDG_DATA_HOME/<app-id>/widgets.json
@@ -745,7 +917,7 @@ const WidgetManager = class {
      *   version: 1,
      *   instances: [
      *     { instanceId, widgetId, kind, monitorIndex,
-     *       normX, normY, width, height, config }
+     *       normX, normY, width, height, config, capabilities, csp }
      *   ]
      * }
      * */
@@ -772,12 +944,116 @@ const WidgetManager = class {
                 config: inst.config ?? {},
                 prefsUri: inst.prefsUri ?? null,
                 hasPreferences: !!inst.hasPreferences,
+                capabilities: inst.capabilities ?? [],
+                csp: inst.csp ?? null,
             });
         }
 
         return out;
     }
 
+    // =====================================================================
+    // Layout profiles support
+    // =====================================================================
+
+    /**
+     * Describe the monitors widgets are shown on, saved along with a
+     * profile to remap it on another monitor configuration.
+     *
+     * @returns {Array<{monitorIndex, width, height, primary}>}
+     */
+    getMonitorLayout() {
+        const primaryIndex =
+            this._desktopManager.windowManager?.primaryMonitorIndex ?? null;
+
+        return Array.from(this._surfaces.values(), ({grid, monitorIndex}) => ({
+            monitorIndex,
+            width: grid.normalizedWidth,
+            height: grid.normalizedHeight,
+            primary: monitorIndex === primaryIndex,
+        }));
+    }
+
+    /**
+     * Move the instances of a saved state onto the current monitors.
+     *
+     * A saved monitor maps to the current one with the same index and
+     * size, else to one with the same size, else to the primary monitor.
+     * Instances are then kept inside their monitor.
+     *
+     * @param {object} state exportState() object
+     * @param {Array<object>|null} savedMonitors getMonitorLayout() at save
+     * @returns {object} remapped copy of state
+     */
+    remapStateToMonitors(state, savedMonitors) {
+        const current = this.getMonitorLayout();
+        if (!current.length || !Array.isArray(state?.instances))
+            return state;
+
+        const primary = current.find(m => m.primary) ?? current[0];
+        const sameSize = (a, b) => a.width === b.width && a.height === b.height;
+
+        const targets = new Map();
+        for (const saved of savedMonitors ?? []) {
+            const used = new Set(targets.values());
+            const sameIndex = m => m.monitorIndex === saved.monitorIndex;
+
+            const target =
+                current.find(m => sameIndex(m) && sameSize(m, saved)) ??
+                current.find(m => !used.has(m) && sameSize(m, saved)) ??
+                (saved.primary ? primary : null) ??
+                current.find(sameIndex) ??
+                primary;
+
+            targets.set(saved.monitorIndex, target);
+        }
+
+        const instances = state.instances.map(instData => {
+            const target = targets.get(instData.monitorIndex) ??
+                current.find(m => m.monitorIndex === instData.monitorIndex) ??
+                primary;
+
+            const width = instData.width ?? 200;
+            const height = instData.height ?? 150;
+
+            const maxX = Math.max(0, (target.width - width) / target.width);
+            const maxY = Math.max(0, (target.height - height) / target.height);
+
+            return {
+                ...instData,
+                monitorIndex: target.monitorIndex,
+                normX: Math.min(Math.max(instData.normX ?? 0, 0), maxX),
+                normY: Math.min(Math.max(instData.normY ?? 0, 0), maxY),
+            };
+        });
+
+        return {...state, instances};
+    }
+
+    /**
+     * Replace the widgets on the desktop with a saved arrangement, and
+     * persist it as the current state.
+     *
+     * @param {object} state exportState() object, already remapped
+     */
+    applyLayoutState(state) {
+        this.selectInstance(null);
+        this.loadState(state);
+
+        // loadState() moves actors, sizes are up to the hosts
+        for (const inst of this._instances.values()) {
+            if (inst._isAddButton || !inst.actor)
+                continue;
+
+            const frame = this.getInstanceFrame(inst.instanceId);
+            if (frame)
+                inst.host?.updateFrame?.(frame);
+        }
+
+        this._stopWebkitIfUnneeded();
+        this._stateChanged();
+    }
+
     // =====================================================================
     // Internal helpers
     // =====================================================================
@@ -1064,7 +1340,7 @@ const WidgetManager = class {
         if (!frame)
             return;
 
-        const kind = this._getWidgetKind(inst.widgetId);
+        const kind = this._getWidgetKind(inst);
 
         let actor = null;
         if (kind === 'html') {
@@ -1212,7 +1488,7 @@ const WidgetManager = class {
 
         this.closeButton.show();
 
-        if (inst.hasPreferences)
+        if (this._hasPreferencesWindow(inst))
             this.prefsButton.show();
         else
             this.prefsButton.hide();
@@ -1235,14 +1511,39 @@ const WidgetManager = class {
             ? this._instances.get(selectedId)
             : null;
 
-        if (!inst || !inst.hasPreferences) {
+        if (!inst || !this._hasPreferencesWindow(inst)) {
             console.warn('No widget selected or widget has no preferences UI.');
             return;
         }
 
+        this.openPreferencesForInstance(selectedId);
+    }
+
+    // HTML widgets always have one, for their content security settings
+    _hasPreferencesWindow(inst) {
+        return inst.kind === 'html' || (inst.hasPreferences && !!inst.prefsUri);
+    }
+
+    openPreferencesForInstance(instanceId) {
+        const inst = this._instances.get(instanceId);
+        if (!inst || !this._hasPreferencesWindow(inst))
+            return;
+
+        if (inst.kind === 'gtk') {
+            this._openGtkPreferences(inst);
+            return;
+        }
+
         // Delegate everything to WebWidgetContext
         const webCtx = this._ensureWebWidgetContext();
-        webCtx.openPreferencesForInstance(selectedId, inst.prefsUri);
+        webCtx.openPreferencesForInstance(instanceId, inst.prefsUri);
+    }
+
+    closePreferencesForInstance(instanceId) {
+        if (instanceId && instanceId === this._gtkPrefsInstanceId)
+            this._closeGtkPreferences();
+
+        this._webWidgetContext?.closePreferencesForInstance(instanceId);
     }
 
     _raiseInstance(inst) {
@@ -1266,10 +1567,9 @@ const WidgetManager = class {
         this._raiseAddButton(surface);
     }
 
-    _getWidgetKind(_widgetId) {
-        // Stub for future GTK widgets. For now, everything is HTML.
-        //
-        return 'html';
+    _getWidgetKind(inst) {
+        // Kind comes from the registry at creation and is persisted.
+        return inst.kind === 'gtk' ? 'gtk' : 'html';
     }
 
     _updateWidgetLayerChange(monitorIndex, onTop) {
@@ -1283,30 +1583,34 @@ const WidgetManager = class {
     }
 
     _sendLayerStateToInstance(inst, onTop) {
-        // ToDo: GTK Widget layer change;
         if (inst.kind === 'html' && inst.host)
             this._webWidgetContext?.updateHtmlWidgetLayer(inst, onTop);
+        else if (inst.kind === 'gtk')
+            this._updateGtkWidgetHostState(inst, {editMode: !!onTop});
     }
 
     _updateWidgetsSelectionState() {
         for (const inst of this._instances.values()) {
             const selected = inst.instanceId === this._selectedInstanceId;
-            // To Do: GTK Widget seleted state
             if (inst.kind === 'html' && inst.actor && inst.host)
                 this._webWidgetContext?.updateHtmlWidgetSelected(inst, selected);
+            else if (inst.kind === 'gtk' && inst.actor)
+                this._updateGtkWidgetHostState(inst, {selected});
         }
     }
 
     _updateTheme(inst, theme) {
-        // To Do: GTK Widget layer change
         if (inst.kind === 'html' && inst.actor && inst.host)
             this._webWidgetContext?.updateHtmlWidgetTheme(inst, theme);
+        else if (inst.kind === 'gtk' && inst.actor)
+            this._updateGtkWidgetHostState(inst, {theme});
     }
 
     _updateAnimation(inst, reducedMotion) {
-        // To Do : Gtk Widget layer change
         if (inst.kind === 'html' && inst.actor && inst.host)
             this._webWidgetContext?.updateHtmlWidgetAnimation(inst, reducedMotion);
+        else if (inst.kind === 'gtk' && inst.actor)
+            this._updateGtkWidgetHostState(inst, {reducedMotion});
     }
 
     _getLocale() {
@@ -1357,22 +1661,226 @@ const WidgetManager = class {
             reducedMotion,
             direction,
             locale,
+            capabilities: [...inst.capabilities ?? []],
         };
     }
 
     /* ====================================================================
-     * --- IGNORE ---
-     * GTK widget support stub (future)
-     * --- IGNORE ---
+     * Widget packages
+     * ==================================================================== */
+
+    /**
+     * Install .dingwidget packages dropped on the desktop.
+     *
+     * @param {Array<Gio.File>} files
+     */
+    installWidgetPackages(files) {
+        this._widgetInstaller.installPackages(files).catch(e => {
+            console.error('WidgetManager: installWidgetPackages failed:', e);
+        });
+    }
+
+    countInstancesOfWidget(widgetId) {
+        let count = 0;
+        for (const inst of this._instances.values()) {
+            if (!inst._isAddButton && inst.widgetId === widgetId)
+                count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Remove instances whose widget is no longer installed, once a widget
+     * has been uninstalled.
+     */
+    async pruneOrphanedInstances() {
+        const widgets = await this._widgetRegistry.listWidgets();
+        const known = new Set(widgets.map(desc => desc.id));
+
+        const orphans = Array.from(this._instances.values())
+            .filter(inst => !inst._isAddButton && !known.has(inst.widgetId));
+
+        if (!orphans.length)
+            return;
+
+        for (const inst of orphans) {
+            if (inst.instanceId === this._selectedInstanceId)
+                this.selectInstance(null);
+            if (inst.instanceId === this._gtkPrefsInstanceId)
+                this._closeGtkPreferences();
+
+            this._removeActor(inst.instanceId);
+        }
+
+        this._stopWebkitIfUnneeded();
+        this._stateChanged();
+    }
+
+    /**
+     * Bring the instances of an updated widget in line with its new
+     * manifest, and restart them on the new files.
+     *
+     * @param {object} desc new widget descriptor
+     * @param {object} decisions {capabilityKey: granted} for the
+     *   capabilities the update added
+     */
+    onWidgetPackageUpdated(desc, decisions = {}) {
+        if (!desc)
+            return;
+
+        const declared = desc.capabilities.map(c => c.name);
+
+        // Instances are granted names, refusing any entry refuses the name
+        const verdicts = new Map();
+        for (const cap of desc.capabilities) {
+            const key = WidgetCapabilities.capabilityKey(cap);
+            if (!(key in decisions))
+                continue;
+
+            const allowed = verdicts.get(cap.name) ?? true;
+            verdicts.set(cap.name, allowed && decisions[key]);
+        }
+
+        for (const inst of this._instances.values()) {
+            if (inst._isAddButton || inst.widgetId !== desc.id)
+                continue;
+
+            if (inst.instanceId === this._selectedInstanceId)
+                this.selectInstance(null);
+            if (inst.instanceId === this._gtkPrefsInstanceId)
+                this._closeGtkPreferences();
+
+            inst.kind = desc.kind;
+            inst.prefsUri = desc.prefs || null;
+            inst.hasPreferences = !!desc.prefs;
+
+            const granted = new Set(inst.capabilities ?? []);
+            for (const [name, allowed] of verdicts) {
+                if (allowed)
+                    granted.add(name);
+                else
+                    granted.delete(name);
+            }
+            inst.capabilities = [...granted]
+                .filter(name => declared.includes(name));
+
+            const parent = inst.actor?.get_parent?.();
+            if (parent?.remove)
+                parent.remove(inst.actor);
+
+            inst.host?.destroy?.();
+            inst.host = null;
+            inst.actor = null;
+
+            if (this._surfaces.has(inst.monitorIndex)) {
+                this._ensureInstanceActor(inst);
+                this._positionInstanceActor(inst);
+            }
+        }
+
+        this._stopWebkitIfUnneeded();
+        this._stateChanged();
+    }
+
+    /* ====================================================================
+     * Native GTK widget support
      * ===================================================================== */
 
-    _createGtkActorForInstance(inst, _frame) {
-        // GTK stub for later: we could create a native Gtk.Widget here, e.g.:
-        console.warn(
-            `WidgetManager: GTK widget kind requested for ${inst.widgetId}, ` +
-            'but GTK widget support is not implemented yet'
-        );
-        return null;
+    _createGtkActorForInstance(inst, frame) {
+        const host = new GtkWidgetHost({
+            instanceId: inst.instanceId,
+            widgetId: inst.widgetId,
+            frameRect: frame,
+            widgetRegistry: this._widgetRegistry,
+            widgetManager: this,
+        });
+
+        inst.host = host;
+        return host.actor;
+    }
+
+    _updateGtkWidgetHostState(inst, patch) {
+        inst.host?.setHostStatePatch(patch);
+
+        if (this._gtkPrefsHost && this._gtkPrefsInstanceId === inst.instanceId)
+            this._gtkPrefsHost.setHostStatePatch(patch);
+    }
+
+    _openGtkPreferences(inst) {
+        // Only for currently selected instance
+        if (inst.instanceId !== this._selectedInstanceId)
+            return;
+
+        if (this._gtkPrefsWindow &&
+            this._gtkPrefsInstanceId === inst.instanceId) {
+            this._gtkPrefsWindow.present();
+            return;
+        }
+
+        this._closeGtkPreferences();
+
+        const defaultWidth = 420;
+        const defaultHeight = 520;
+
+        const window = new Gtk.Window({
+            title: _('Widget Preferences'),
+            default_width: defaultWidth,
+            default_height: defaultHeight,
+        });
+        const closeShortcut = new Gtk.ShortcutController({
+            propagation_phase: Gtk.PropagationPhase.CAPTURE,
+        });
+        closeShortcut.add_shortcut(new Gtk.Shortcut({
+            trigger: Gtk.ShortcutTrigger.parse_string('Escape'),
+            action: Gtk.CallbackAction.new(() => {
+                window.close();
+                return true;
+            }),
+        }));
+        window.add_controller(closeShortcut);
+
+        const parentWindow = this._desktopManager.mainApp.get_active_window();
+        if (parentWindow)
+            window.set_transient_for(parentWindow);
+
+        const host = new GtkWidgetHost({
+            instanceId: inst.instanceId,
+            widgetId: inst.widgetId,
+            frameRect: {x: 0, y: 0, width: defaultWidth, height: defaultHeight},
+            widgetRegistry: this._widgetRegistry,
+            widgetManager: this,
+            mode: 'prefs',
+            prefsUri: inst.prefsUri,
+        });
+        host.actor.set_name('ding-prefs-frame');
+
+        window.set_child(host.actor);
+
+        window.connect('close-request', () => {
+            this._gtkPrefsHost?.destroy();
+            this._gtkPrefsHost = null;
+            this._gtkPrefsWindow = null;
+            this._gtkPrefsInstanceId = null;
+            return false;
+        });
+
+        this._gtkPrefsWindow = window;
+        this._gtkPrefsHost = host;
+        this._gtkPrefsInstanceId = inst.instanceId;
+
+        window.present();
+    }
+
+    _closeGtkPreferences() {
+        if (!this._gtkPrefsWindow)
+            return;
+
+        this._gtkPrefsHost?.destroy();
+        this._gtkPrefsHost = null;
+        this._gtkPrefsWindow.destroy();
+        this._gtkPrefsWindow = null;
+        this._gtkPrefsInstanceId = null;
     }
 
     /* ====================================================================
@@ -1396,7 +1904,7 @@ const WidgetManager = class {
         // no isAlive(). Look only for html hosts
         const hasHtmlWidget =
             Array.from(this._instances.values())
-                .some(inst => inst.host?.isAlive?.());
+                .some(inst => inst.kind === 'html' && inst.host?.isAlive?.());
 
         if (hasHtmlWidget)
             return;
@@ -1415,28 +1923,45 @@ const WidgetManager = class {
             return null;
         }
 
-        let widgets;
-        try {
-            widgets = await this._widgetRegistry.listWidgets();
-        } catch (e) {
-            console.error('openAddWidgetDialog: listWidgets failed:', e);
+        let widgets = await this._listSortedWidgets();
+        if (!widgets)
             return null;
-        }
-
-        // Sort by display name
-        widgets.sort((a, b) => {
-            const nameA = (a.name || a.id || '').toLowerCase();
-            const nameB = (b.name || b.id || '').toLowerCase();
-            return nameA.localeCompare(nameB);
-        });
 
         if (!parentWindow)
             parentWindow = this._desktopManager.mainApp.get_active_window();
 
-        const {window, list, addButton, cancelButton} =
-            this._createWidgetPickerWindow(parentWindow, widgets);
+        const onUninstall = async widgetId => {
+            if (!await this._widgetInstaller.uninstall(widgetId, window))
+                return;
+
+            widgets = await this._listSortedWidgets() ?? [];
+            this._fillWidgetList(list, widgets, onUninstall);
+        };
+
+        const {window, list, addButton, cancelButton, installButton} =
+            this._createWidgetPickerWindow(parentWindow, widgets, onUninstall);
 
         const resultPromise = new Promise(resolve => {
+            installButton.connect('clicked', async () => {
+                try {
+                    if (!await this._widgetInstaller.chooseAndInstall(window))
+                        return;
+
+                    widgets = await this._listSortedWidgets() ?? [];
+                    this._fillWidgetList(list, widgets, onUninstall);
+                } catch (e) {
+                    console.error('openAddWidgetDialog: install failed:', e);
+
+                    const dialog = new Adw.AlertDialog({
+                        heading: _('Could Not Install Widget'),
+                        body: e.message ?? String(e),
+                    });
+                    dialog.add_response('close', _('Close'));
+                    dialog.set_close_response('close');
+                    dialog.present(window);
+                }
+            });
+
             cancelButton.connect('clicked', () => {
                 window.close();
                 resolve(null);
@@ -1450,10 +1975,23 @@ const WidgetManager = class {
                     return;
                 }
 
+                const desc = widgets.find(w => w.id === row._widgetId);
+                let capabilities = [];
+
+                if (desc?.capabilities?.length) {
+                    capabilities =
+                        await this._askCapabilityApproval(window, desc);
+
+                    // Declined, back to the picker
+                    if (!capabilities)
+                        return;
+                }
+
                 let created = null;
                 try {
                     created = await this.createInstanceForWidget(row._widgetId, {
                         monitorIndex,
+                        capabilities,
                     });
                 } catch (e) {
                     console.error(
@@ -1496,7 +2034,26 @@ const WidgetManager = class {
         return createdInstance;
     }
 
-    _createWidgetPickerWindow(parentWindow, widgets) {
+    async _listSortedWidgets() {
+        let widgets;
+        try {
+            widgets = await this._widgetRegistry.listWidgets();
+        } catch (e) {
+            console.error('openAddWidgetDialog: listWidgets failed:', e);
+            return null;
+        }
+
+        // Sort by display name
+        widgets.sort((a, b) => {
+            const nameA = (a.name || a.id || '').toLowerCase();
+            const nameB = (b.name || b.id || '').toLowerCase();
+            return nameA.localeCompare(nameB);
+        });
+
+        return widgets;
+    }
+
+    _createWidgetPickerWindow(parentWindow, widgets, onUninstall) {
         const builder =
             Gtk.Builder
             .new_from_resource('/com/desktop/ding/ui/ding-widget-chooser.ui');
@@ -1513,9 +2070,24 @@ const WidgetManager = class {
         if (parentWindow)
             window.set_transient_for(parentWindow);
 
+        // Installing packages isn't in the .ui resource
+        const installButton = new Gtk.Button({
+            icon_name: 'document-open-symbolic',
+            tooltip_text: _('Install Widget from File…'),
+        });
+        builder.get_object('header_bar').pack_end(installButton);
+
+        this._fillWidgetList(list, widgets, onUninstall);
+
+        return {window, list, addButton, cancelButton, installButton};
+    }
+
+    _fillWidgetList(list, widgets, onUninstall) {
+        list.remove_all();
+
         // Populate rows from registry
         for (const desc of widgets) {
-            const row = this._createWidgetRow(desc);
+            const row = this._createWidgetRow(desc, onUninstall);
             list.append(row);
         }
 
@@ -1523,11 +2095,9 @@ const WidgetManager = class {
         const firstRow = list.get_row_at_index(0);
         if (firstRow)
             list.select_row(firstRow);
-
-        return {window, list, addButton, cancelButton};
     }
 
-    _createWidgetRow(desc) {
+    _createWidgetRow(desc, onUninstall = null) {
         const row = new Gtk.ListBoxRow();
         row._widgetId = desc.id;
 
@@ -1558,6 +2128,9 @@ const WidgetManager = class {
         if (desc.isUser)
             subtitleParts.push(_('User'));
 
+        if (desc.capabilities?.length)
+            subtitleParts.push(_('Requests access'));
+
         const subtitle = subtitleParts.join(' · ');
 
         const subtitleLabel = new Gtk.Label({
@@ -1570,10 +2143,89 @@ const WidgetManager = class {
         if (subtitle)
             box.append(subtitleLabel);
 
-        row.set_child(box);
+        if (!desc.isUser || !onUninstall) {
+            row.set_child(box);
+            return row;
+        }
+
+        // Installed widgets can be removed from the picker
+        const rowBox = new Gtk.Box({spacing: 6});
+        box.set_hexpand(true);
+        rowBox.append(box);
+
+        const uninstallButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Uninstall'),
+            valign: Gtk.Align.CENTER,
+        });
+        uninstallButton.add_css_class('flat');
+        uninstallButton.connect('clicked', () => {
+            onUninstall(desc.id).catch(e => {
+                console.error('WidgetManager: uninstall failed:', e);
+            });
+        });
+        rowBox.append(uninstallButton);
+
+        row.set_child(rowBox);
         return row;
     }
 
+    /**
+     * Ask the user which of the capabilities declared by a widget it may
+     * use. Each one can be switched off before adding the widget.
+     *
+     * @param {Gtk.Window} parentWindow
+     * @param {object} desc widget descriptor with capabilities
+     * @returns {Promise<string[]|null>} granted names, null if cancelled
+     */
+    _askCapabilityApproval(parentWindow, desc) {
+        const dialog = new Adw.AlertDialog();
+        // TRANSLATORS: {widget} is replaced by the widget name
+        dialog.set_heading(
+            _('Allow {widget} Access?').replace('{widget}',
+                desc.displayName || desc.id)
+        );
+        dialog.set_body(
+            _('This widget asks to use the following. Anything switched off will be refused to it.')
+        );
+
+        const list = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+        list.add_css_class('boxed-list');
+
+        const rows = desc.capabilities.map(cap => {
+            const row = new Adw.SwitchRow({
+                title: WidgetCapabilities.describeCapability(cap),
+                active: true,
+            });
+            list.append(row);
+            return [cap.name, row];
+        });
+
+        dialog.set_extra_child(list);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('add', _('Add Widget'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response('add');
+        dialog.set_response_appearance(
+            'add', Adw.ResponseAppearance.SUGGESTED);
+
+        return new Promise(resolve => {
+            dialog.choose(parentWindow, null, (actor, asyncResult) => {
+                const response = actor.choose_finish(asyncResult);
+
+                if (response !== 'add') {
+                    resolve(null);
+                    return;
+                }
+
+                resolve(rows.filter(([, row]) => row.active)
+                    .map(([name]) => name));
+            });
+        });
+    }
+
     _addActions() {
         const addWidgetAction = Gio.SimpleAction.new('addWidget', null);
         addWidgetAction.connect('activate', () => {
@@ -0,0 +1,497 @@
+/* DING: Desktop Icons New Generation for GNOME Shell
+ *
+ * Gtk4 Port Copyright (C) 2022 - 2025 Sundeep Mediratta (smedius@gmail.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Adw, Gio, GLib, Gtk} from '../dependencies/gi.js';
+import {_, Gettext} from '../dependencies/gettext.js';
+
+export {WidgetProfiles};
+
+const EXPORT_FORMAT = 'ding-widget-layout';
+
+/**
+ * WidgetProfiles
+ *
+ * Named widget layouts, like "work" or "presentation", switched from the
+ * desktop menu. Owned by WidgetManager.
+ *
+ * Stored in $XDG_DATA_HOME/<app-id>/widget-profiles.json:
+ * {
+ *   version: 1,
+ *   active: 'work' | null,
+ *   profiles: [
+ *     {
+ *       name,
+ *       savedAt,   // ISO 8601
+ *       monitors,  // WidgetManager.getMonitorLayout() when saved
+ *       state,     // WidgetManager.exportState(), version 1 schema
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * Exported files hold a single profile, with format: 'ding-widget-layout'.
+ * Plain exportState() objects, like widgets.json, can be imported too.
+ *
+ * Switching keeps the current arrangement in the active profile first, so
+ * changes made meanwhile are not lost.
+ */
+const WidgetProfiles = class {
+    constructor(desktopManager, widgetManager) {
+        this._desktopManager = desktopManager;
+        this._widgetManager = widgetManager;
+        this._desktopIconsUtil = desktopManager.DesktopIconsUtil;
+        this._mainApp = desktopManager.mainApp;
+
+        // name -> profile, in menu order
+        this._profiles = new Map();
+        this._active = null;
+
+        this._addActions();
+
+        this._load().catch(e => {
+            console.error('WidgetProfiles: failed to load profiles:', e);
+        });
+    }
+
+    get activeProfile() {
+        return this._active;
+    }
+
+    /**
+     * Menu of the desktop, built each time it pops up.
+     *
+     * @returns {Gio.Menu}
+     */
+    getGioMenu() {
+        const menu = Gio.Menu.new();
+
+        const profilesSection = Gio.Menu.new();
+        for (const name of this._profiles.keys()) {
+            const item = Gio.MenuItem.new(name, null);
+            item.set_action_and_target_value(
+                'app.widgetProfile', GLib.Variant.new_string(name)
+            );
+            profilesSection.append_item(item);
+        }
+
+        if (profilesSection.get_n_items())
+            menu.append_section(null, profilesSection);
+
+        const commandsSection = Gio.Menu.new();
+        commandsSection.append(_('Save Layout As…'), 'app.saveWidgetProfile');
+        commandsSection.append(_('Import Layout…'), 'app.importWidgetProfile');
+        commandsSection.append(_('Export Layout…'), 'app.exportWidgetProfile');
+
+        if (this._active) {
+            // TRANSLATORS: {name} is the name of a widget layout
+            commandsSection.append(
+                _('Delete “{name}”').replace('{name}', this._active),
+                'app.deleteWidgetProfile'
+            );
+        }
+
+        menu.append_section(null, commandsSection);
+
+        return menu;
+    }
+
+    /**
+     * Save the current arrangement under a name, and make it active.
+     *
+     * @param {string} name
+     */
+    async saveCurrentAs(name) {
+        this._profiles.set(name, this._captureCurrent(name));
+        this._setActive(name);
+
+        await this._save();
+    }
+
+    /**
+     * Show the widgets of another profile.
+     *
+     * @param {string} name
+     */
+    async switchTo(name) {
+        const profile = this._profiles.get(name);
+        if (!profile || name === this._active)
+            return;
+
+        if (this._active && this._profiles.has(this._active)) {
+            this._profiles.set(
+                this._active, this._captureCurrent(this._active)
+            );
+        }
+
+        const state = this._widgetManager.remapStateToMonitors(
+            profile.state,
+            profile.monitors
+        );
+        this._widgetManager.applyLayoutState(state);
+
+        this._setActive(name);
+
+        await this._save();
+    }
+
+    async deleteProfile(name) {
+        if (!this._profiles.delete(name))
+            return;
+
+        if (this._active === name)
+            this._setActive(null);
+
+        await this._save();
+    }
+
+    // ---------------------------------------------------------------------
+    // Import / export
+    // ---------------------------------------------------------------------
+
+    async exportToFile(file) {
+        const name = this._active ?? _('Widget Layout');
+        const profile = this._captureCurrent(name);
+
+        await this._desktopIconsUtil.writeJsonFile(file, {
+            format: EXPORT_FORMAT,
+            version: 1,
+            ...profile,
+        });
+    }
+
+    /**
+     * Add the profile of an exported file and switch to it.
+     *
+     * @param {Gio.File} file
+     * @returns {Promise<{name: string, skipped: number}>} skipped counts
+     *   the widgets that are not installed here
+     */
+    async importFromFile(file) {
+        const data = await this._desktopIconsUtil.readJsonFile(file);
+
+        let profile = null;
+        if (data?.format === EXPORT_FORMAT)
+            profile = data;
+        else if (Array.isArray(data?.instances))
+            profile = {state: data, monitors: null};
+
+        const state = profile?.state;
+        if (!state || state.version !== 1 || !Array.isArray(state.instances))
+            throw new Error(_('The file is not a widget layout'));
+
+        const widgets = await this._widgetManager.listAvailableWidgets();
+        const installed = new Set(widgets.map(desc => desc.id));
+
+        // Grants are never taken from a file, only kept for the widgets
+        // that already have them here
+        const local = new Map(this._widgetManager.exportState().instances
+            .map(instData => [instData.instanceId, instData]));
+
+        const instances = state.instances.filter(instData =>
+            instData?.instanceId && installed.has(instData.widgetId)
+        ).map(instData => {
+            const known = local.get(instData.instanceId);
+            const granted = known?.widgetId === instData.widgetId;
+
+            return {
+                ...instData,
+                capabilities: granted ? known.capabilities : [],
+                csp: granted ? known.csp : null,
+            };
+        });
+
+        const baseName = typeof profile.name === 'string' && profile.name.trim()
+            ? profile.name.trim()
+            : file.get_basename().replace(/\.json$/i, '');
+
+        const name = this._makeUniqueName(baseName);
+
+        this._profiles.set(name, {
+            name,
+            savedAt: profile.savedAt ?? this._now(),
+            monitors: Array.isArray(profile.monitors) ? profile.monitors : null,
+            state: {...state, instances},
+        });
+
+        await this._save();
+        await this.switchTo(name);
+
+        return {name, skipped: state.instances.length - instances.length};
+    }
+
+    // ---------------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------------
+
+    _captureCurrent(name) {
+        return {
+            name,
+            savedAt: this._now(),
+            monitors: this._widgetManager.getMonitorLayout(),
+            state: this._widgetManager.exportState(),
+        };
+    }
+
+    _makeUniqueName(baseName) {
+        if (!this._profiles.has(baseName))
+            return baseName;
+
+        let n = 2;
+        while (this._profiles.has(`${baseName} (${n})`))
+            n++;
+
+        return `${baseName} (${n})`;
+    }
+
+    _now() {
+        return GLib.DateTime.new_now_local().format_iso8601();
+    }
+
+    _setActive(name) {
+        this._active = name;
+        this._profileAction.set_state(GLib.Variant.new_string(name ?? ''));
+        this._deleteAction.set_enabled(!!name);
+    }
+
+    async _load() {
+        const file = this._desktopIconsUtil.getWidgetProfilesFile();
+        const data = await this._desktopIconsUtil.readJsonFile(file);
+
+        if (!data)
+            return;
+
+        if (data.version !== 1) {
+            console.warn(
+                `WidgetProfiles: Unknown profiles version ${data.version}`
+            );
+        }
+
+        this._profiles.clear();
+
+        for (const profile of Array.isArray(data.profiles) ? data.profiles : []) {
+            if (typeof profile?.name !== 'string' || !profile.name ||
+                !Array.isArray(profile.state?.instances))
+                continue;
+
+            this._profiles.set(profile.name, profile);
+        }
+
+        this._setActive(
+            this._profiles.has(data.active) ? data.active : null
+        );
+    }
+
+    async _save() {
+        const file = this._desktopIconsUtil.getWidgetProfilesFile();
+
+        await this._desktopIconsUtil.writeJsonFile(file, {
+            version: 1,
+            active: this._active,
+            profiles: Array.from(this._profiles.values()),
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Actions and dialogs
+    // ---------------------------------------------------------------------
+
+    _addActions() {
+        this._profileAction = Gio.SimpleAction.new_stateful(
+            'widgetProfile',
+            GLib.VariantType.new('s'),
+            GLib.Variant.new_string('')
+        );
+        this._profileAction.connect('change-state', (action, value) => {
+            this.switchTo(value.unpack()).catch(e => {
+                console.error('WidgetProfiles: switch failed:', e);
+            });
+        });
+        this._mainApp.add_action(this._profileAction);
+
+        const saveAction = Gio.SimpleAction.new('saveWidgetProfile', null);
+        saveAction.connect('activate', () => {
+            this._askSaveAs().catch(e => {
+                console.error('WidgetProfiles: save failed:', e);
+            });
+        });
+        this._mainApp.add_action(saveAction);
+
+        const exportAction = Gio.SimpleAction.new('exportWidgetProfile', null);
+        exportAction.connect('activate', () => {
+            this._askExport().catch(e => {
+                console.error('WidgetProfiles: export failed:', e);
+                this._notifyError(_('Could not export the layout'), e);
+            });
+        });
+        this._mainApp.add_action(exportAction);
+
+        const importAction = Gio.SimpleAction.new('importWidgetProfile', null);
+        importAction.connect('activate', () => {
+            this._askImport().catch(e => {
+                console.error('WidgetProfiles: import failed:', e);
+                this._notifyError(_('Could not import the layout'), e);
+            });
+        });
+        this._mainApp.add_action(importAction);
+
+        this._deleteAction = Gio.SimpleAction.new('deleteWidgetProfile', null);
+        this._deleteAction.set_enabled(false);
+        this._deleteAction.connect('activate', () => {
+            this._askDelete().catch(e => {
+                console.error('WidgetProfiles: delete failed:', e);
+            });
+        });
+        this._mainApp.add_action(this._deleteAction);
+    }
+
+    async _askSaveAs() {
+        const entry = new Gtk.Entry({
+            text: this._active ?? '',
+            placeholder_text: _('Work, Presentation…'),
+            activates_default: true,
+        });
+
+        const dialog = new Adw.AlertDialog({
+            heading: _('Save Widget Layout'),
+            body: _('Saving under an existing name replaces that layout.'),
+            extra_child: entry,
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('save', _('Save'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response('save');
+        dialog.set_response_appearance(
+            'save', Adw.ResponseAppearance.SUGGESTED);
+
+        const updateSensitive = () => {
+            dialog.set_response_enabled('save', !!entry.get_text().trim());
+        };
+        entry.connect('changed', updateSensitive);
+        updateSensitive();
+
+        const response = await this._choose(dialog);
+        if (response !== 'save')
+            return;
+
+        await this.saveCurrentAs(entry.get_text().trim());
+    }
+
+    async _askDelete() {
+        const name = this._active;
+        if (!name)
+            return;
+
+        const dialog = new Adw.AlertDialog({
+            // TRANSLATORS: {name} is the name of a widget layout
+            heading: _('Delete “{name}”?').replace('{name}', name),
+            body: _('The widgets on the desktop stay as they are.'),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('delete', _('Delete'));
+        dialog.set_close_response('cancel');
+        dialog.set_default_response('cancel');
+        dialog.set_response_appearance(
+            'delete', Adw.ResponseAppearance.DESTRUCTIVE);
+
+        if (await this._choose(dialog) === 'delete')
+            await this.deleteProfile(name);
+    }
+
+    async _askExport() {
+        const dialog = new Gtk.FileDialog({
+            title: _('Export Widget Layout'),
+            modal: true,
+            initial_name: `${this._active ?? _('Widget Layout')}.json`,
+            filters: this._makeJsonFilters(),
+        });
+
+        const file = await new Promise(resolve => {
+            dialog.save(this._getParentWindow(), null, (actor, result) => {
+                try {
+                    resolve(actor.save_finish(result));
+                } catch (e) {
+                    // Dismissed
+                    resolve(null);
+                }
+            });
+        });
+
+        if (file)
+            await this.exportToFile(file);
+    }
+
+    async _askImport() {
+        const dialog = new Gtk.FileDialog({
+            title: _('Import Widget Layout'),
+            modal: true,
+            filters: this._makeJsonFilters(),
+        });
+
+        const file = await new Promise(resolve => {
+            dialog.open(this._getParentWindow(), null, (actor, result) => {
+                try {
+                    resolve(actor.open_finish(result));
+                } catch (e) {
+                    // Dismissed
+                    resolve(null);
+                }
+            });
+        });
+
+        if (!file)
+            return;
+
+        const {name, skipped} = await this.importFromFile(file);
+
+        if (skipped) {
+            this._desktopManager.dbusManager.doNotify(
+                // TRANSLATORS: {name} is the name of a widget layout
+                _('Imported “{name}”').replace('{name}', name),
+                Gettext.ngettext(
+                    '{0} widget is not installed and was left out',
+                    '{0} widgets are not installed and were left out', skipped)
+                    .replace('{0}', skipped)
+            );
+        }
+    }
+
+    _makeJsonFilters() {
+        const filter = new Gtk.FileFilter({name: _('Widget Layouts')});
+        filter.add_mime_type('application/json');
+        filter.add_pattern('*.json');
+
+        const filters = new Gio.ListStore({item_type: Gtk.FileFilter});
+        filters.append(filter);
+        return filters;
+    }
+
+    _getParentWindow() {
+        return this._mainApp.get_active_window();
+    }
+
+    _choose(dialog) {
+        return new Promise(resolve => {
+            dialog.choose(this._getParentWindow(), null, (actor, result) => {
+                resolve(actor.choose_finish(result));
+            });
+        });
+    }
+
+    _notifyError(header, e) {
+        this._desktopManager.dbusManager.doNotify(header, e.message ?? `${e}`);
+    }
+};
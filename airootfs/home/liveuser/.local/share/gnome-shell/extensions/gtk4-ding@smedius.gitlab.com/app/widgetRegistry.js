@@ -22,6 +22,7 @@
  */
 
 import {Gio, GLib} from '../dependencies/gi.js';
+import {WidgetCapabilities, WidgetCsp} from '../dependencies/localFiles.js';
 
 export {WidgetRegistry};
 
@@ -77,6 +78,10 @@ const WidgetRegistry = class  {
      *   defaultWidth: number | null,
      *   defaultHeight: number | null,
      *   defaultConfig: object | null,
+     *   entry: string | null,   // GTK widgets: module entry, widget.js
+     *   capabilities: Array<{name, directory}>, // HTML widget host APIs
+     *   csp: 'strict' | 'dev' | 'relaxed' | null, // HTML widgets
+     *   connectSrc: string[] | null, // HTML widgets: connect-src hosts
      *   "name_localized": {
      *     "fr": "Horloge analogique"
      *   },
@@ -145,6 +150,81 @@ const WidgetRegistry = class  {
         return null;
     }
 
+    /**
+     * For GTK widgets, return the module entry file (manifest "entry",
+     * widget.js by default). The entry must stay inside the widget dir.
+     *
+     * @param {string} id Widget identifier
+     * @returns {Promise<Gio.File|null>}
+     */
+    async getGtkEntryFile(id) {
+        const desc = await this.getDescriptor(id);
+        if (!desc || desc.kind !== 'gtk')
+            return null;
+
+        return this.resolveWidgetFile(desc, desc.entry);
+    }
+
+    /**
+     * Resolve a path relative to a widget dir, refusing anything that
+     * escapes it (absolute paths, "../" traversal).
+     *
+     * @param {object} desc Widget descriptor
+     * @param {string} relPath Widget-root-relative path
+     * @returns {Gio.File|null}
+     */
+    resolveWidgetFile(desc, relPath) {
+        if (!desc?.dir || typeof relPath !== 'string' || !relPath)
+            return null;
+
+        const rootPath = desc.dir.get_path();
+        if (!rootPath || GLib.path_is_absolute(relPath))
+            return null;
+
+        const canonRoot = GLib.canonicalize_filename(rootPath, null);
+        const canonFile = GLib.canonicalize_filename(relPath, canonRoot);
+
+        if (!canonFile.startsWith(`${canonRoot}${GLib.DIR_SEPARATOR_S}`)) {
+            console.warn(
+                'WidgetRegistry: path escapes widget dir:',
+                desc.id,
+                relPath
+            );
+            return null;
+        }
+
+        const file = Gio.File.new_for_path(canonFile);
+
+        try {
+            const info = file.query_info(
+                'standard::type',
+                Gio.FileQueryInfoFlags.NONE,
+                null
+            );
+            if (info.get_file_type() === Gio.FileType.REGULAR)
+                return file;
+        } catch (e) {
+            console.error(
+                'WidgetRegistry: resolveWidgetFile failed for',
+                desc.id,
+                relPath,
+                e
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * User widgets root, $XDG_DATA_HOME/<app-id>/widgets, where packages
+     * are installed.
+     *
+     * @returns {Gio.File|null}
+     */
+    get userRoot() {
+        return this._userRoot ?? null;
+    }
+
     reload() {
         this._loaded = false;
         this._loadingPromise = null;
@@ -334,6 +414,7 @@ const WidgetRegistry = class  {
                     const author = manifest.author || '';
                     const version = manifest.version || '';
                     const icon = manifest.icon || '';
+                    const license = manifest.license || '';
 
                     const defaultWidth =
                         Number.isFinite(manifest.defaultWidth)
@@ -355,6 +436,27 @@ const WidgetRegistry = class  {
                             ? manifest.prefs
                             : null;
 
+                    let entry = null;
+                    if (kind === 'gtk') {
+                        entry = typeof manifest.entry === 'string'
+                            ? manifest.entry
+                            : 'widget.js';
+                    }
+
+                    const capabilities = kind === 'html'
+                        ? WidgetCapabilities.parseCapabilities(
+                            manifest.capabilities, id)
+                        : [];
+
+                    const csp = kind === 'html' &&
+                        WidgetCsp.getLevels().includes(manifest.csp)
+                        ? manifest.csp
+                        : null;
+
+                    const connectSrc = kind === 'html'
+                        ? WidgetCsp.parseConnectSrc(manifest.connectSrc, id)
+                        : null;
+
                     const desc = {
                         id,
                         kind,
@@ -365,11 +467,16 @@ const WidgetRegistry = class  {
                         description,
                         author,
                         version,
+                        license,
                         icon,
                         defaultWidth,
                         defaultHeight,
                         defaultConfig,
                         prefs,
+                        entry,
+                        capabilities,
+                        csp,
+                        connectSrc,
                     };
 
                     // Resolve duplicates deterministically;
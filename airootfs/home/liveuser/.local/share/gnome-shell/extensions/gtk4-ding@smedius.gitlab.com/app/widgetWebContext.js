@@ -15,9 +15,10 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-import {Gdk, Gio, GLib, Gtk, Soup, WebKit} from '../dependencies/gi.js';
+import {Adw, Gdk, Gio, GLib, Gtk, Soup, WebKit} from '../dependencies/gi.js';
 import {_} from '../dependencies/gettext.js';
-import {HtmlWidgetHost, WidgetApi} from '../dependencies/localFiles.js';
+import {HtmlWidgetHost, WidgetApi, WidgetCapabilities} from '../dependencies/localFiles.js';
+import {WidgetCsp} from '../dependencies/localFiles.js';
 
 export {WebWidgetContext};
 
@@ -25,10 +26,16 @@ export {WebWidgetContext};
  * WebWidgetContext
  *
  * Single runtime for all HTML widgets:
- *  - Owns shared WebKit.WebContext and WebKit.UserContentManager.
+ *  - Owns the shared WebKit.WebContext, and a WebKit.UserContentManager
+ *    per view so each script message is known to come from that view.
  *  - Injects WIDGET_API (window.ding) into all frames.
- *  - Receives script messages ("dingWidget") and parses JSON payloads.
+ *  - Receives script messages ("dingWidget") and parses JSON payloads,
+ *    dropping those sent for another instance than the view's own.
  *  - Delegates semantics to WidgetManager (config, host state, prefs).
+ *  - Runs capability calls (system stats, files, apps, notifications)
+ *    granted to an instance through WidgetCapabilities.
+ *  - Serves each instance with the CSP of its widget (WidgetCsp), and
+ *    logs the violations the page reports.
  *
  * Lifetime:
  *  - Created lazily by WidgetManager when the first HTML widget is created.
@@ -45,18 +52,15 @@ const WebWidgetContext = class {
         this._desktopIconsUtil = desktopManager.DesktopIconsUtil;
 
         this._webContext = null;
-        this._userContentManager = null;
         this._networkSession = null;
-        this._scriptHandlerId = 0;
-        this._cspString = null;
+        this._scriptHandlers = new Map();
 
         this._prefsWindow = null;
         this._prefsWebView = null;
         this._prefsInstanceId = null;
 
         this._instanceRoots = new Map();
-
-        this._setCspString();
+        this._capabilities = null;
     }
 
     // ---------------------------------------------------------------------
@@ -68,28 +72,18 @@ const WebWidgetContext = class {
         return this._webContext;
     }
 
-    get userContentManager() {
-        this._initWebKitRuntime();
-        return this._userContentManager;
-    }
-
     destroy() {
         this.closePreferencesIfAny();
 
-        if (this._userContentManager && this._scriptHandlerId) {
-            this._userContentManager.disconnect(this._scriptHandlerId);
+        this._capabilities?.destroy();
+        this._capabilities = null;
 
-            this._scriptHandlerId = 0;
+        for (const [manager, handlerId] of this._scriptHandlers) {
+            manager.disconnect(handlerId);
+            manager.unregister_script_message_handler('dingWidget', null);
         }
+        this._scriptHandlers.clear();
 
-        if (this._userContentManager) {
-            this._userContentManager.unregister_script_message_handler(
-                'dingWidget',
-                null
-            );
-        }
-
-        this._userContentManager = null;
         this._webContext = null;
     }
 
@@ -104,14 +98,32 @@ const WebWidgetContext = class {
         // Ensure runtime is set up before constructing a view.
         this._initWebKitRuntime();
 
+        // A UserContentManager per view, so messages tell their sender
+        const userContentManager = this._newUserContentManager();
+
         const webViewOptions = {
             web_context: this._webContext,
-            user_content_manager: this._userContentManager,
+            user_content_manager: userContentManager,
             network_session: this._networkSession,
         };
 
         const webView = new WebKit.WebView(webViewOptions);
 
+        const handlerId = userContentManager.connect(
+            'script-message-received::dingWidget',
+            (_manager, jsResult) =>
+                this._onWidgetScriptMessage(webView, jsResult)
+        );
+        this._scriptHandlers.set(userContentManager, handlerId);
+
+        webView.connect('destroy', () => {
+            if (!this._scriptHandlers.has(userContentManager))
+                return;
+
+            userContentManager.disconnect(handlerId);
+            this._scriptHandlers.delete(userContentManager);
+        });
+
         const rootDir = await this._getInstanceRoot(instanceId);
 
         // Per-view FS jail root (we ignore URL host in scheme handler)
@@ -152,11 +164,14 @@ const WebWidgetContext = class {
      *  - Calls closePreferencesForInstance() or closePreferencesIfForInstance()
      *    when unselecting/destroying the widget.
      *
+     * Below the widget preferences page, if it has one, the user can
+     * review and override the content security policy of the instance.
+     *
      * @param {string} instanceId
-     * @param {string} prefsUri
+     * @param {string|null} prefsUri
      */
     openPreferencesForInstance(instanceId, prefsUri) {
-        if (!instanceId || !prefsUri)
+        if (!instanceId)
             return;
 
         // Only for currently selected instance
@@ -204,20 +219,37 @@ const WebWidgetContext = class {
         if (parentWindow)
             window.set_transient_for(parentWindow);
 
-        const host = new HtmlWidgetHost({
-            instanceId,
-            widgetId: inst.widgetId,
-            frameRect: {x: 0, y: 0, width: defaultWidth, height: defaultHeight},
-            widgetRegistry: this._widgetManager._widgetRegistry,
-            webContext: this,
-            mode: 'prefs',
-            prefsUri,
-        });
+        const content = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+        if (prefsUri) {
+            const host = new HtmlWidgetHost({
+                instanceId,
+                widgetId: inst.widgetId,
+                frameRect: {
+                    x: 0,
+                    y: 0,
+                    width: defaultWidth,
+                    height: defaultHeight,
+                },
+                widgetRegistry: this._widgetManager._widgetRegistry,
+                webContext: this,
+                mode: 'prefs',
+                prefsUri,
+            });
+
+            this._prefsHost = host;
+            host.actor.set_name('ding-prefs-frame');
+            host.actor.set_vexpand(true);
+
+            content.append(host.actor);
+        } else {
+            window.set_default_size(defaultWidth, -1);
+        }
 
-        this._prefsHost = host;
-        host.actor.set_name('ding-prefs-frame');
+        const securityGroup = this._makeSecurityGroup(inst);
+        content.append(securityGroup);
 
-        window.set_child(host.actor);
+        window.set_child(content);
 
         window.connect('close-request', () => {
             this._prefsHost?.destroy();
@@ -233,6 +265,123 @@ const WebWidgetContext = class {
         window.present();
     }
 
+    /*
+     * Content security level and network allowlist of an instance. The
+     * first level choice, and an allowlist equal to the manifest one,
+     * follow the widget.
+     */
+    _makeSecurityGroup(inst) {
+        const group = new Adw.PreferencesGroup({
+            title: _('Content Security'),
+            margin_top: 12,
+            margin_bottom: 12,
+            margin_start: 12,
+            margin_end: 12,
+        });
+
+        const levels = WidgetCsp.getLevels();
+
+        const levelRow = new Adw.ComboRow({
+            title: _('Level'),
+            model: new Gtk.StringList(),
+        });
+        group.add(levelRow);
+
+        const hostsRow = new Adw.EntryRow({
+            title: _('Allowed hosts, separated by spaces'),
+            show_apply_button: true,
+        });
+        group.add(hostsRow);
+
+        const resetButton = new Gtk.Button({
+            label: _('Reset'),
+            tooltip_text: _('Use the settings of the widget'),
+            valign: Gtk.Align.CENTER,
+        });
+        resetButton.add_css_class('flat');
+        group.set_header_suffix(resetButton);
+
+        let desc = null;
+        let updating = false;
+
+        const update = () => {
+            updating = true;
+
+            const policy = WidgetCsp.getEffectivePolicy(inst, desc);
+            const manifestLevel = desc?.csp ?? 'strict';
+
+            const model = levelRow.get_model();
+            model.splice(0, model.get_n_items(), [
+                // TRANSLATORS: {level} describes the content security level
+                _('As the widget asks: {level}')
+                    .replace('{level}', WidgetCsp.describeLevel(manifestLevel)),
+                ...levels.map(level => WidgetCsp.describeLevel(level)),
+            ]);
+
+            const overridden = inst.csp?.level;
+            levelRow.set_selected(
+                overridden ? levels.indexOf(overridden) + 1 : 0
+            );
+
+            hostsRow.set_text((policy.connectSrc ?? []).join(' '));
+            hostsRow.remove_css_class('error');
+            resetButton.set_sensitive(!!inst.csp);
+
+            updating = false;
+        };
+
+        const save = patch => {
+            const override = {...inst.csp ?? {}, ...patch};
+            for (const [key, value] of Object.entries(patch)) {
+                if (value === undefined)
+                    delete override[key];
+            }
+
+            this._widgetManager.setInstanceCsp(inst.instanceId, override);
+            update();
+        };
+
+        levelRow.connect('notify::selected', () => {
+            if (updating)
+                return;
+
+            const selected = levelRow.get_selected();
+            save({level: selected > 0 ? levels[selected - 1] : undefined});
+        });
+
+        hostsRow.connect('apply', () => {
+            const hosts = hostsRow.get_text().split(/[\s,]+/).filter(h => h);
+            const parsed = WidgetCsp.parseConnectSrc(hosts, inst.widgetId);
+
+            if (parsed.length !== hosts.length) {
+                hostsRow.add_css_class('error');
+                return;
+            }
+
+            const manifestHosts = desc?.connectSrc ?? [];
+            const sameAsManifest = parsed.length > 0 &&
+                parsed.join(' ') === manifestHosts.join(' ');
+
+            // Cleared leaves the widget only its own files, following the
+            // manifest again is what Reset is for
+            save({connectSrc: sameAsManifest ? undefined : parsed});
+        });
+
+        resetButton.connect('clicked', () => {
+            this._widgetManager.setInstanceCsp(inst.instanceId, null);
+            update();
+        });
+
+        this._widgetManager._widgetRegistry.getDescriptor(inst.widgetId)
+            .then(d => {
+                desc = d;
+                update();
+            })
+            .catch(e => console.error('WebWidgetContext: descriptor:', e));
+
+        return group;
+    }
+
     closePreferencesForInstance(instanceId) {
         if (!instanceId || instanceId !== this._prefsInstanceId)
             return;
@@ -275,12 +424,12 @@ const WebWidgetContext = class {
     }
 
     _initWebKitRuntime() {
-        if (this._webContext && this._userContentManager)
+        if (this._webContext)
             return;
 
         this._initPaths();
 
-        // Shared WebKit plumbing: one WebContext, one UserContentManager
+        // Shared WebKit plumbing: one WebContext for all the views
         this._webContext = new WebKit.WebContext();
         this._webContext.set_cache_model(WebKit.CacheModel.DOCUMENT_VIEWER);
 
@@ -298,13 +447,20 @@ const WebWidgetContext = class {
             logError(e, 'WidgetWebKit: WebContext directory setup failed');
         }
 
-        this._userContentManager = new WebKit.UserContentManager();
+        this._webContext.register_uri_scheme(
+            'ding-widget',
+            this._onDingWidgetUriRequest.bind(this)
+        );
+    }
+
+    _newUserContentManager() {
+        const userContentManager = new WebKit.UserContentManager();
 
         const defaultWorld = null; // default JS world
 
         // Register script message handler for window.ding → "dingWidget"
         try {
-            this._userContentManager.register_script_message_handler(
+            userContentManager.register_script_message_handler(
                 'dingWidget',
                 defaultWorld
             );
@@ -315,16 +471,6 @@ const WebWidgetContext = class {
             );
         }
 
-        this._webContext.register_uri_scheme(
-            'ding-widget',
-            this._onDingWidgetUriRequest.bind(this)
-        );
-
-        this._scriptHandlerId = this._userContentManager.connect(
-            'script-message-received::dingWidget',
-            this._onWidgetScriptMessage.bind(this)
-        );
-
         const whitelist = null;
         const blacklist = null;
 
@@ -337,35 +483,26 @@ const WebWidgetContext = class {
                 blacklist
             );
 
-            this._userContentManager.add_script(userScript);
+            userContentManager.add_script(userScript);
         } catch (e) {
             console.error(
                 'WebWidgetContext: failed to install WIDGET_API user script:',
                 e
             );
         }
-    }
 
-    _setCspString() {
-        const profile = this.Enums.DEFAULT_CSP_PROFILE;
-        let cspString = '';
+        return userContentManager;
+    }
 
-        switch (profile) {
-        case this.Enums.CspProfile.STRICT:
-            cspString = WidgetApi.CSP_STRICT;
-            break;
-        case this.Enums.CspProfile.DEV:
-            cspString = WidgetApi.CSP_DEV;
-            break;
-        case this.Enums.CspProfile.RELAXED:
-            cspString = WidgetApi.RELAXED;
-            break;
-        default:
-            console.warn('Unknown CSP profile, enforcing STRICT');
-            cspString = this.Enums.CspProfile.STRICT;
-        }
+    async _getCspStringForInstance(instanceId) {
+        const inst = this._widgetManager.getInstance(instanceId);
+        const desc = await this._widgetManager._widgetRegistry
+            .getDescriptor(inst?.widgetId)
+            .catch(() => null);
 
-        this._cspString = cspString.replace(/\s+/g, ' ').trim();
+        return WidgetCsp.buildCspString(
+            WidgetCsp.getEffectivePolicy(inst, desc)
+        );
     }
 
     // ---------------------------------------------------------------------
@@ -407,7 +544,7 @@ const WebWidgetContext = class {
 
     // Script Handler
 
-    _onWidgetScriptMessage(_manager, jsResult) {
+    _onWidgetScriptMessage(webView, jsResult) {
         let jsValue;
 
         try {
@@ -475,6 +612,17 @@ const WebWidgetContext = class {
         this._debugWidgetMessage(payload);
 
         // Log messages are always allowed through
+        if (type === 'log' && payload.cspViolation) {
+            console.warn(
+                'HtmlWidget CSP violation:',
+                '(instanceId=',
+                instanceId,
+                ')',
+                message
+            );
+            return;
+        }
+
         if (type === 'log') {
             console.log(
                 'HtmlWidget log:',
@@ -493,16 +641,18 @@ const WebWidgetContext = class {
         if (!manager)
             return;
 
-        this._dispatchWidgetMessage(manager, payload);
+        this._dispatchWidgetMessage(manager, payload, webView);
     }
 
-    async _dispatchWidgetMessage(manager, payload) {
+    _dispatchWidgetMessage(manager, payload, webView) {
         const {
             instanceId,
             type,
             config,
             requestId,
             mode,
+            method,
+            args,
         } = payload || {};
 
         const inst = manager.getInstance(instanceId);
@@ -510,15 +660,14 @@ const WebWidgetContext = class {
         if (!inst)
             return;
 
-        let webView;
+        // The payload names the instance, only its own views may act for it
+        const prefsView = this._prefsInstanceId === instanceId
+            ? this._prefsHost?.webView : null;
 
-        try {
-            webView = await inst.host.getWebViewAsync();
-        } catch (e) {
+        if (webView !== inst.host?.webView && webView !== prefsView)
             return;
-        }
 
-        const uri = webView?.get_uri?.() ?? '';
+        const uri = webView.get_uri?.() ?? '';
 
         if (!uri.startsWith(`ding-widget://${instanceId}/`))
             return;
@@ -557,6 +706,11 @@ const WebWidgetContext = class {
             break;
         }
 
+        case 'call': {
+            this._doWidgetCall(inst, mode, requestId, method, args);
+            break;
+        }
+
         default:
             // Unknown message type; ignore for now
             break;
@@ -618,6 +772,43 @@ const WebWidgetContext = class {
         this._routeAndPost(mode, inst, reply);
     }
 
+    async _doWidgetCall(inst, mode, requestId, method, args) {
+        if (!requestId)
+            return;
+
+        this._capabilities ??=
+            new WidgetCapabilities.WidgetCapabilities(this._desktopManager);
+
+        const reply = {
+            _dingInternal: true,
+            type: 'callReply',
+            requestId,
+        };
+
+        try {
+            const desc = await this._widgetManager._widgetRegistry
+                .getDescriptor(inst.widgetId);
+
+            reply.result =
+                await this._capabilities.call(inst, desc, method, args);
+            reply.ok = true;
+        } catch (e) {
+            reply.ok = false;
+            reply.error = e.message ?? String(e);
+        }
+
+        this._debugWidgetMessage({
+            instanceId: inst?.instanceId,
+            type: 'callReply',
+            requestId,
+            mode,
+            method,
+            ok: reply.ok,
+        }, 'out');
+
+        this._routeAndPost(mode, inst, reply);
+    }
+
     _pushConfigChangedForInstance(inst, mode = null) {
         const msg = {
             _dingInternal: true,
@@ -964,14 +1155,13 @@ const WebWidgetContext = class {
 
             response.set_content_type(mimeType);
 
-            // To Do: set cspstring depending on widgetID with a manager...
-            if (this._cspString) {
-                const headers = new Soup.MessageHeaders(
-                    Soup.MessageHeadersType.RESPONSE
-                );
-                headers.append('Content-Security-Policy', this._cspString);
-                response.set_http_headers(headers);
-            }
+            // Each instance runs with its own widget's policy
+            const cspString = await this._getCspStringForInstance(instanceId);
+            const headers = new Soup.MessageHeaders(
+                Soup.MessageHeadersType.RESPONSE
+            );
+            headers.append('Content-Security-Policy', cspString);
+            response.set_http_headers(headers);
 
             request.finish_with_response(response);
         } catch (e) {
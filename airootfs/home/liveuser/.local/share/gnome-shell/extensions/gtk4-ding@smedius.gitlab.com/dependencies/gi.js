@@ -64,6 +64,23 @@ const Soup = await import('gi://Soup?version=3.0')
 
 const DesktopWidgetCapability = !!WebKit && !!Soup;
 
+// TinySPARQL, formerly Tracker, for searching inside files
+const Tsparql = await import('gi://Tsparql?version=3.0')
+    .catch(() => import('gi://Tracker?version=3.0'))
+    .then(m => m.default)
+    .catch(e => {
+        console.log(`TinySPARQL GI not found; content search disabled\n${e}`);
+        return null;
+    });
+
+// GExiv2 reads the date a photo was taken, for renaming files
+const GExiv2 = await import('gi://GExiv2?version=0.10')
+    .then(m => m.default)
+    .catch(e => {
+        console.log(`GExiv2 GI not found; EXIF dates disabled\n${e}`);
+        return null;
+    });
+
 export {
     Adw,
     Cairo,
@@ -73,6 +90,7 @@ export {
     GdkPixbuf,
     GdkX11,
     GdkWayland,
+    GExiv2,
     gettext,
     GLib,
     GLibUnix,
@@ -86,5 +104,6 @@ export {
     Pango,
     Poppler,
     Soup,
+    Tsparql,
     WebKit
 };
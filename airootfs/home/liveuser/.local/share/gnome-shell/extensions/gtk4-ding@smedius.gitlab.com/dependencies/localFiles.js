@@ -28,6 +28,7 @@ export {DesktopIconItem} from '../app/desktopIconItem.js';
 export {VolumeIcon} from '../app/volumeIcon.js';
 export {DesktopFileIcon} from '../app/desktopFileIcon.js';
 export {AppImageFileIcon} from '../app/appImageFileItem.js';
+export {AppImageInfo} from '../app/appImageInfo.js';
 export {SymLinkIcon} from '../app/symLinkIcon.js';
 export {SpecialFolderIcon} from '../app/specialFolderIcon.js';
 export {ShortcutManager} from '../app/shortcutManager.js';
@@ -35,6 +36,17 @@ export {DefaultShortcuts} from '../app/shortcuts.js';
 export {GlobalShortcuts} from '../app/shortcuts.js';
 export * as WidgetManager from '../app/widgetManager.js';
 export {WidgetRegistry} from '../app/widgetRegistry.js';
-export {HtmlWidgetHost} from '../app/htmlWidgetHost.js';
+export {HtmlWidgetHost, DingRoundedClip} from '../app/htmlWidgetHost.js';
+export {GtkWidgetHost} from '../app/gtkWidgetHost.js';
 export * as WidgetApi from '../app/widgetApi.js';
+export * as WidgetCapabilities from '../app/widgetCapabilities.js';
+export {WidgetInstaller} from '../app/widgetInstaller.js';
+export * as WidgetCsp from '../app/widgetCsp.js';
+export {WidgetProfiles} from '../app/widgetProfiles.js';
 export {WebWidgetContext} from '../app/widgetWebContext.js';
+export {UndoManager} from '../app/undoManager.js';
+export {DesktopSearch} from '../app/desktopSearch.js';
+export {QuickLook} from '../app/quickLook.js';
+export {FenceManager} from '../app/fenceManager.js';
+export {StackView} from '../app/stackView.js';
+export {BatchRename} from '../app/batchRename.js';
@@ -3,8 +3,24 @@
  * Developer: Rafostar
  */
 
+import Clutter from 'gi://Clutter';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 import {Extension, gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import {compileTitle, loadRules, saveRules} from './rules.js';
+
+/* Order in which the keybinding moves windows around */
+const CORNER_CYCLE = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+/* Milliseconds between pointer checks when fading PiP windows */
+const HOVER_INTERVAL = 250;
+
+/* Milliseconds a window must stay still before its geometry is remembered */
+const SAVE_GEOMETRY_DELAY = 1000;
 
 export default class PipOnTop extends Extension
 {
@@ -13,11 +29,19 @@ export default class PipOnTop extends Extension
     this._lastWorkspace = null;
     this._windowAddedId = 0;
     this._windowRemovedId = 0;
+    this._hoverId = 0;
+    this._pipWindows = new Set();
 
     this.settings = this.getSettings();
+    this._migrateSettings();
+    this._loadRules();
     this._settingsChangedId = this.settings.connect(
       'changed', this._onSettingsChanged.bind(this));
 
+    Main.wm.addKeybinding('cycle-corner', this.settings,
+      Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+      this._cycleCorner.bind(this));
+
     this._switchWorkspaceId = global.window_manager.connect_after(
       'switch-workspace', this._onSwitchWorkspace.bind(this));
     this._onSwitchWorkspace();
@@ -26,7 +50,7 @@ export default class PipOnTop extends Extension
   disable()
   {
     this.settings.disconnect(this._settingsChangedId);
-    this.settings = null;
+    Main.wm.removeKeybinding('cycle-corner');
 
     global.window_manager.disconnect(this._switchWorkspaceId);
 
@@ -47,25 +71,53 @@ export default class PipOnTop extends Extension
         let window = actor.meta_window;
         if (!window) continue;
 
-        if (window._isPipAble) {
-          if (window.above)
-            window.unmake_above();
-          if (window.on_all_workspaces)
-            window.unstick();
-        }
+        if (window._pipRule)
+          this._unapplyRule(window);
+        window._pipPlaced = null;
+        window._pipCorner = null;
 
         this._onWindowRemoved(null, window);
       }
     }
+
+    this._stopHover();
+    this._pipWindows = null;
+    this.settings = null;
+  }
+
+  _migrateSettings()
+  {
+    /* "stick" used to apply to every PiP window, it is now a per rule action */
+    if (this.settings.get_user_value('stick') === null)
+      return;
+
+    let stick = this.settings.get_boolean('stick');
+    let rules = loadRules(this.settings);
+    for (let rule of rules)
+      rule.stick = stick;
+
+    saveRules(this.settings, rules);
+    this.settings.reset('stick');
+  }
+
+  _loadRules()
+  {
+    this._rules = loadRules(this.settings)
+      .filter(rule => rule.enabled)
+      .map(rule => ({...rule, titleRegExp: compileTitle(rule)}));
   }
 
   _onSettingsChanged(settings, key)
   {
     switch (key) {
-      case 'stick':
+      case 'rules':
+        this._loadRules();
         /* Updates already present windows */
         this._onSwitchWorkspace();
         break;
+      case 'inactive-opacity':
+        this._updateHover();
+        break;
       default:
         break;
     }
@@ -96,49 +148,373 @@ export default class PipOnTop extends Extension
 
   _onWindowAdded(workspace, window)
   {
-    if (!window._notifyPipTitleId) {
-      window._notifyPipTitleId = window.connect_after(
-        'notify::title', this._checkTitle.bind(this));
+    if (!window._pipSignalIds) {
+      let check = this._checkWindow.bind(this);
+      let saveGeometry = this._scheduleSaveGeometry.bind(this);
+      let updateHover = this._updateHover.bind(this);
+      /* Wayland clients may set their app ID and title after mapping */
+      window._pipSignalIds = [
+        window.connect_after('notify::title', check),
+        window.connect_after('notify::wm-class', check),
+        window.connect_after('size-changed', check),
+        window.connect_after('size-changed', saveGeometry),
+        window.connect_after('position-changed', saveGeometry),
+        window.connect_after('notify::minimized', updateHover),
+        /* Closed on another workspace than the watched one */
+        window.connect('unmanaged', () => this._onWindowRemoved(null, window)),
+      ];
     }
-    this._checkTitle(window);
+    this._checkWindow(window);
   }
 
   _onWindowRemoved(workspace, window)
   {
-    if (window._notifyPipTitleId) {
-      window.disconnect(window._notifyPipTitleId);
-      window._notifyPipTitleId = null;
+    if (window._pipSignalIds) {
+      for (let id of window._pipSignalIds)
+        window.disconnect(id);
+      window._pipSignalIds = null;
+    }
+    if (window._pipSaveId) {
+      GLib.source_remove(window._pipSaveId);
+      window._pipSaveId = 0;
+    }
+    if (window._pipRule)
+      window._pipRule = null;
+
+    this._pipWindows.delete(window);
+    this._updateHover();
+  }
+
+  _getAppIds(window)
+  {
+    let ids = [
+      Shell.WindowTracker.get_default().get_window_app(window)?.get_id(),
+      window.get_gtk_application_id(),
+      window.get_sandboxed_app_id(),
+    ];
+    return ids.filter(id => id).map(id => id.replace(/\.desktop$/, '').toLowerCase());
+  }
+
+  _ruleMatches(rule, window, titles)
+  {
+    let matched = false;
+
+    if (rule.wmClass) {
+      let wmClass = rule.wmClass.toLowerCase();
+      if (window.get_wm_class()?.toLowerCase() != wmClass
+          && window.get_wm_class_instance()?.toLowerCase() != wmClass)
+        return false;
+      matched = true;
+    }
+    if (rule.appId) {
+      let appId = rule.appId.replace(/\.desktop$/, '').toLowerCase();
+      if (!this._getAppIds(window).includes(appId))
+        return false;
+      matched = true;
+    }
+    if (rule.titleRegExp) {
+      if (!titles.some(title => rule.titleRegExp.test(title)))
+        return false;
+      matched = true;
+    }
+    if (rule.windowType) {
+      if (window.get_window_type() != Meta.WindowType[rule.windowType.toUpperCase()])
+        return false;
+      matched = true;
+    }
+    if (rule.minWidth || rule.minHeight || rule.maxWidth || rule.maxHeight) {
+      let rect = window.get_frame_rect();
+      if ((rule.minWidth && rect.width < rule.minWidth)
+          || (rule.minHeight && rect.height < rule.minHeight)
+          || (rule.maxWidth && rect.width > rule.maxWidth)
+          || (rule.maxHeight && rect.height > rule.maxHeight))
+        return false;
+      matched = true;
+    }
+
+    /* A rule without any condition would catch every window */
+    return matched;
+  }
+
+  _findRule(window)
+  {
+    let title = window.title ?? '';
+
+    /* Rules are written against the untranslated title, also
+     * check it for users running applications in another language */
+    let titles = [title];
+    if (title && title == _('Picture-in-Picture'))
+      titles.push('Picture-in-Picture');
+
+    return this._rules.find(rule => this._ruleMatches(rule, window, titles)) ?? null;
+  }
+
+  _checkWindow(window)
+  {
+    let rule = this._findRule(window);
+
+    if (rule)
+      this._applyRule(window, rule);
+    else if (window._pipRule)
+      this._unapplyRule(window);
+  }
+
+  _applyRule(window, rule)
+  {
+    let previous = window._pipRule;
+    window._pipRule = rule;
+
+    if (rule.above && !window.above)
+      window.make_above();
+    else if (!rule.above && previous?.above && window.above)
+      window.unmake_above();
+
+    if (rule.stick && !window.on_all_workspaces)
+      window.stick();
+    else if (!rule.stick && previous?.stick && window.on_all_workspaces)
+      window.unstick();
+
+    if (rule.skipTaskbar && !window.skip_taskbar)
+      window._pipSkipTaskbar = this._setSkipTaskbar(window, true);
+    else if (!rule.skipTaskbar && window._pipSkipTaskbar)
+      window._pipSkipTaskbar = !this._setSkipTaskbar(window, false);
+
+    /* Only once, the window can still be moved away afterwards */
+    if (!window._pipPlaced) {
+      window._pipPlaced = true;
+      this._placeWindow(window, rule);
+    }
+
+    this._pipWindows.add(window);
+    this._updateHover();
+  }
+
+  _unapplyRule(window)
+  {
+    let rule = window._pipRule;
+    window._pipRule = null;
+
+    if (rule.above && window.above)
+      window.unmake_above();
+    if (rule.stick && window.on_all_workspaces)
+      window.unstick();
+    if (window._pipSkipTaskbar)
+      window._pipSkipTaskbar = !this._setSkipTaskbar(window, false);
+
+    let actor = window.get_compositor_private();
+    if (actor) {
+      actor.remove_transition('opacity');
+      actor.opacity = 255;
+    }
+
+    this._pipWindows.delete(window);
+    this._updateHover();
+  }
+
+  /* Mutter offers no setter, so the _NET_WM_STATE hint is changed the way
+   * a pager would do it. That only exists for X11 windows, Wayland ones
+   * keep their own choice. Returns whether the request could be sent. */
+  _setSkipTaskbar(window, skip)
+  {
+    if (window.get_client_type() != Meta.WindowClientType.X11)
+      return false;
+
+    /* The description of X11 windows starts with their XID */
+    let xid = window.get_description()?.match(/^0x[0-9a-f]+/i)?.[0];
+    if (!xid)
+      return false;
+
+    let argv;
+    if (GLib.find_program_in_path('wmctrl'))
+      argv = ['wmctrl', '-i', '-r', xid, '-b', `${skip ? 'add' : 'remove'},skip_taskbar`];
+    else if (GLib.find_program_in_path('xdotool'))
+      argv = ['xdotool', 'windowstate', skip ? '--add' : '--remove', 'SKIP_TASKBAR', xid];
+    else
+      return false;
+
+    try {
+      Gio.Subprocess.new(argv, Gio.SubprocessFlags.NONE);
+    } catch (e) {
+      console.warn(`PiP on top: unable to change skip taskbar: ${e.message}`);
+      return false;
     }
-    if (window._isPipAble)
-      window._isPipAble = null;
+    return true;
+  }
+
+  /* Wait for the window to be placed by mutter, or it would move it back */
+  _later(window, callback)
+  {
+    global.compositor.get_laters().add(Meta.LaterType.BEFORE_REDRAW, () => {
+      if (window.get_compositor_private())
+        callback();
+      return GLib.SOURCE_REMOVE;
+    });
+  }
+
+  _placeWindow(window, rule)
+  {
+    let geometry = this._getRememberedGeometry(window);
+
+    if (geometry) {
+      this._later(window, () => {
+        let area = window.get_work_area_current_monitor();
+        let [x, y, width, height] = geometry;
+        width = Math.min(width, area.width);
+        height = Math.min(height, area.height);
+        x = Math.max(area.x, Math.min(area.x + x, area.x + area.width - width));
+        y = Math.max(area.y, Math.min(area.y + y, area.y + area.height - height));
+        window.move_resize_frame(true, x, y, width, height);
+      });
+    } else if (rule.corner) {
+      this._moveToCorner(window, rule.corner);
+    }
+  }
+
+  _moveToCorner(window, corner)
+  {
+    window._pipCorner = corner;
+
+    this._later(window, () => {
+      let margin = this.settings.get_int('corner-margin');
+      let area = window.get_work_area_current_monitor();
+      let rect = window.get_frame_rect();
+      let x = corner.endsWith('left')
+        ? area.x + margin
+        : area.x + area.width - rect.width - margin;
+      let y = corner.startsWith('top')
+        ? area.y + margin
+        : area.y + area.height - rect.height - margin;
+
+      window.move_frame(true, x, y);
+    });
+  }
+
+  _getNearestCorner(window)
+  {
+    let area = window.get_work_area_current_monitor();
+    let rect = window.get_frame_rect();
+    let top = (rect.y + rect.height / 2) < (area.y + area.height / 2);
+    let left = (rect.x + rect.width / 2) < (area.x + area.width / 2);
+
+    return `${top ? 'top' : 'bottom'}-${left ? 'left' : 'right'}`;
+  }
+
+  _cycleCorner()
+  {
+    /* The focused PiP window, or else any of them */
+    let window = global.display.focus_window;
+    if (!window?._pipRule)
+      window = [...this._pipWindows].find(win => win.get_compositor_private());
+    if (!window)
+      return;
+
+    let corner = window._pipCorner ?? this._getNearestCorner(window);
+    let next = CORNER_CYCLE[(CORNER_CYCLE.indexOf(corner) + 1) % CORNER_CYCLE.length];
+    this._moveToCorner(window, next);
+  }
+
+  _getAppKey(window)
+  {
+    return this._getAppIds(window)[0]
+      ?? window.get_wm_class()?.toLowerCase()
+      ?? null;
   }
 
-  _checkTitle(window)
+  _getRememberedGeometry(window)
   {
-    if (!window.title)
+    let key = this._getAppKey(window);
+    if (!key || !this.settings.get_boolean('remember-geometry'))
+      return null;
+
+    return this.settings.get_value('window-geometry').deepUnpack()[key] ?? null;
+  }
+
+  _scheduleSaveGeometry(window)
+  {
+    if (!window._pipRule || !this.settings.get_boolean('remember-geometry'))
+      return;
+
+    if (window._pipSaveId)
+      GLib.source_remove(window._pipSaveId);
+
+    window._pipSaveId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SAVE_GEOMETRY_DELAY, () => {
+      window._pipSaveId = 0;
+      this._saveGeometry(window);
+      return GLib.SOURCE_REMOVE;
+    });
+  }
+
+  _saveGeometry(window)
+  {
+    let key = this._getAppKey(window);
+    if (!key || !window.get_compositor_private())
+      return;
+
+    /* Position is relative to the work area, monitors may be rearranged */
+    let area = window.get_work_area_current_monitor();
+    let rect = window.get_frame_rect();
+    let geometries = this.settings.get_value('window-geometry').deepUnpack();
+    geometries[key] = [rect.x - area.x, rect.y - area.y, rect.width, rect.height];
+
+    this.settings.set_value('window-geometry',
+      new GLib.Variant('a{s(iiii)}', geometries));
+  }
+
+  /* Only poll while fading is enabled and a PiP window can be seen */
+  _updateHover()
+  {
+    let shown = [...this._pipWindows].some(window => !window.minimized);
+    if (this.settings.get_int('inactive-opacity') >= 100 || !shown) {
+      this._stopHover();
       return;
+    }
+    if (!this._hoverId) {
+      this._hoverId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, HOVER_INTERVAL, () => {
+        this._checkHover();
+        return GLib.SOURCE_CONTINUE;
+      });
+    }
+    this._checkHover();
+  }
 
-    /* Check both translated and untranslated string for
-     * users that prefer running applications in English */
-    let isPipWin = (window.title == 'Picture-in-Picture'
-      || window.title == _('Picture-in-Picture')
-      || window.title == 'Picture in picture'
-      || window.title == 'Picture-in-picture'
-      || window.title.endsWith(' - PiP')
-      /* Telegram support */
-      || window.title == 'TelegramDesktop'
-      /* Yandex.Browser support YouTube */
-      || window.title.endsWith(' - YouTube'));
-
-    if (isPipWin || window._isPipAble) {
-      let un = (isPipWin) ? '' : 'un';
-
-      window._isPipAble = true;
-      window[`${un}make_above`]();
-
-      /* Change stick if enabled or unstick PipAble windows */
-      un = (isPipWin && this.settings.get_boolean('stick')) ? '' : 'un';
-      window[`${un}stick`]();
+  _stopHover()
+  {
+    if (this._hoverId) {
+      GLib.source_remove(this._hoverId);
+      this._hoverId = 0;
+    }
+    for (let window of this._pipWindows) {
+      let actor = window.get_compositor_private();
+      if (actor) {
+        actor.remove_transition('opacity');
+        actor.opacity = 255;
+      }
+    }
+  }
+
+  /* Window actors get no pointer events, so the pointer is polled */
+  _checkHover()
+  {
+    let [x, y] = global.get_pointer();
+    let inactive = Math.round(this.settings.get_int('inactive-opacity') * 255 / 100);
+
+    for (let window of this._pipWindows) {
+      let actor = window.get_compositor_private();
+      if (!actor)
+        continue;
+
+      let rect = window.get_frame_rect();
+      let over = (x >= rect.x && x < rect.x + rect.width
+        && y >= rect.y && y < rect.y + rect.height);
+      let opacity = over ? 255 : inactive;
+
+      if (actor.opacity != opacity && !actor.get_transition('opacity')) {
+        actor.ease({
+          opacity: opacity,
+          duration: 200,
+          mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+        });
+      }
     }
   }
 }
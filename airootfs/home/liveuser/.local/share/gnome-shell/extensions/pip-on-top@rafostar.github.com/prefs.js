@@ -4,6 +4,23 @@ import Gtk from 'gi://Gtk';
 
 import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import {CORNERS, WINDOW_TYPES, createRule, loadRules, saveRules} from './rules.js';
+
+const WINDOW_TYPE_LABELS = [
+  'Normal', 'Dialog', 'Modal dialog', 'Utility', 'Splash screen', 'Toolbar', 'Menu',
+];
+const CORNER_LABELS = ['Top left', 'Top right', 'Bottom left', 'Bottom right'];
+
+function _addSpin(group, settings, title, subtitle, key, min, max)
+{
+  const spinRow = Adw.SpinRow.new_with_range(min, max, 1);
+  spinRow.title = title;
+  spinRow.subtitle = subtitle;
+  settings.bind(key, spinRow, 'value',
+    Gio.SettingsBindFlags.DEFAULT);
+  group.add(spinRow);
+}
+
 function _addToggle(group, settings, title, key)
 {
   const toggleRow = new Adw.SwitchRow({
@@ -13,6 +30,97 @@ function _addToggle(group, settings, title, key)
   settings.bind(key, toggleRow, 'active',
     Gio.SettingsBindFlags.DEFAULT);
   group.add(toggleRow);
+  return toggleRow;
+}
+
+function _addShortcut(group, settings, title, key)
+{
+  const entryRow = new Adw.EntryRow({
+    title: title,
+    text: settings.get_strv(key)[0] ?? '',
+    show_apply_button: true,
+  });
+  entryRow.connect('apply', () => {
+    /* Empty disables the shortcut */
+    if (entryRow.text && !Gtk.accelerator_parse(entryRow.text)[0]) {
+      entryRow.add_css_class('error');
+      return;
+    }
+    entryRow.remove_css_class('error');
+    settings.set_strv(key, entryRow.text ? [entryRow.text] : []);
+  });
+  group.add(entryRow);
+}
+
+function _isValidRegExp(text)
+{
+  try {
+    new RegExp(text);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function _addRuleEntry(expander, rule, title, prop, save, validate = null)
+{
+  const entryRow = new Adw.EntryRow({
+    title: title,
+    text: rule[prop],
+    show_apply_button: true,
+  });
+  entryRow.connect('apply', () => {
+    if (validate && !validate(entryRow.text)) {
+      entryRow.add_css_class('error');
+      return;
+    }
+    entryRow.remove_css_class('error');
+    rule[prop] = entryRow.text;
+    save();
+  });
+  expander.add_row(entryRow);
+}
+
+function _addRuleSpin(expander, rule, title, prop, save)
+{
+  const spinRow = Adw.SpinRow.new_with_range(0, 10000, 10);
+  spinRow.title = title;
+  spinRow.subtitle = 'Pixels, 0 for no limit';
+  spinRow.value = rule[prop];
+  spinRow.connect('notify::value', () => {
+    rule[prop] = Math.round(spinRow.value);
+    save();
+  });
+  expander.add_row(spinRow);
+}
+
+function _addRuleSwitch(expander, rule, title, prop, save, subtitle = null)
+{
+  const switchRow = new Adw.SwitchRow({
+    title: title,
+    subtitle: subtitle,
+    active: rule[prop],
+  });
+  switchRow.connect('notify::active', () => {
+    rule[prop] = switchRow.active;
+    save();
+  });
+  expander.add_row(switchRow);
+}
+
+/* First choice stands for an empty value */
+function _addRuleCombo(expander, rule, title, prop, emptyLabel, values, labels, save)
+{
+  const comboRow = new Adw.ComboRow({
+    title: title,
+    model: new Gtk.StringList({strings: [emptyLabel, ...labels]}),
+    selected: values.indexOf(rule[prop]) + 1,
+  });
+  comboRow.connect('notify::selected', () => {
+    rule[prop] = (comboRow.selected > 0) ? values[comboRow.selected - 1] : '';
+    save();
+  });
+  expander.add_row(comboRow);
 }
 
 export default class PipOnTopPrefs extends ExtensionPreferences {
@@ -22,12 +130,107 @@ export default class PipOnTopPrefs extends ExtensionPreferences {
 
       const page = new Adw.PreferencesPage();
       const group = new Adw.PreferencesGroup({
-        title: 'Options',
+        title: 'Rules',
+        description: 'Windows matching all the conditions set in a rule get its actions, first matching rule wins',
+      });
+
+      const addButton = new Gtk.Button({
+        icon_name: 'list-add-symbolic',
+        tooltip_text: 'Add rule',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+      });
+      group.set_header_suffix(addButton);
+
+      let rules = loadRules(settings);
+      let rows = [];
+      const save = () => saveRules(settings, rules);
+      const fill = () => {
+        for (let row of rows)
+          group.remove(row);
+        rows = rules.map((rule, index) => this._createRuleRow(rule, save, () => {
+          rules.splice(index, 1);
+          save();
+          fill();
+        }));
+        for (let row of rows)
+          group.add(row);
+      };
+      addButton.connect('clicked', () => {
+        rules.push(createRule({name: 'New rule'}));
+        save();
+        fill();
+        rows[rows.length - 1].expanded = true;
       });
+      fill();
 
-      _addToggle(group, settings, 'Show on all workspaces', 'stick');
+      const placementGroup = new Adw.PreferencesGroup({
+        title: 'Placement',
+      });
+      _addSpin(placementGroup, settings, 'Corner margin',
+        'Pixels kept from the screen edges', 'corner-margin', 0, 500);
+      const rememberRow = _addToggle(placementGroup, settings,
+        'Remember size and position per app', 'remember-geometry');
+      const forgetButton = new Gtk.Button({
+        label: 'Forget',
+        valign: Gtk.Align.CENTER,
+      });
+      forgetButton.connect('clicked', () => settings.reset('window-geometry'));
+      rememberRow.add_suffix(forgetButton);
+      _addSpin(placementGroup, settings, 'Opacity when not hovered',
+        'Percent, 100 keeps windows opaque', 'inactive-opacity', 10, 100);
+      _addShortcut(placementGroup, settings, 'Move to next corner shortcut', 'cycle-corner');
 
       page.add(group);
+      page.add(placementGroup);
       window.add(page);
     }
+
+    _createRuleRow(rule, save, remove)
+    {
+      const expander = new Adw.ExpanderRow({
+        title: rule.name || 'Unnamed rule',
+        show_enable_switch: true,
+        enable_expansion: rule.enabled,
+      });
+      expander.connect('notify::enable-expansion', () => {
+        rule.enabled = expander.enable_expansion;
+        save();
+      });
+
+      const removeButton = new Gtk.Button({
+        icon_name: 'user-trash-symbolic',
+        tooltip_text: 'Remove rule',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+      });
+      removeButton.connect('clicked', remove);
+      expander.add_suffix(removeButton);
+
+      _addRuleEntry(expander, rule, 'Name', 'name', () => {
+        expander.title = rule.name || 'Unnamed rule';
+        save();
+      });
+
+      /* Conditions */
+      _addRuleEntry(expander, rule, 'WM_CLASS', 'wmClass', save);
+      _addRuleEntry(expander, rule, 'App ID', 'appId', save);
+      _addRuleEntry(expander, rule, 'Title (regular expression)', 'title', save, _isValidRegExp);
+      _addRuleCombo(expander, rule, 'Window type', 'windowType', 'Any',
+        WINDOW_TYPES, WINDOW_TYPE_LABELS, save);
+      _addRuleSpin(expander, rule, 'Minimum width', 'minWidth', save);
+      _addRuleSpin(expander, rule, 'Minimum height', 'minHeight', save);
+      _addRuleSpin(expander, rule, 'Maximum width', 'maxWidth', save);
+      _addRuleSpin(expander, rule, 'Maximum height', 'maxHeight', save);
+
+      /* Actions */
+      _addRuleSwitch(expander, rule, 'Keep above', 'above', save);
+      _addRuleSwitch(expander, rule, 'Show on all workspaces', 'stick', save);
+      _addRuleSwitch(expander, rule, 'Skip taskbar', 'skipTaskbar', save,
+        'X11 windows only, needs wmctrl or xdotool');
+      _addRuleCombo(expander, rule, 'Pin to corner', 'corner', 'None',
+        CORNERS, CORNER_LABELS, save);
+
+      return expander;
+    }
 }
@@ -0,0 +1,76 @@
+/*
+ * GNOME Shell Extension: PiP on top
+ * Developer: Rafostar
+ */
+
+import GLib from 'gi://GLib';
+
+/* Stored as "aa{sv}", a field left empty or zero does not take part in matching */
+export const RULE_FIELDS = [
+  /* [settings key, rule property, variant type, default] */
+  ['name', 'name', 's', ''],
+  ['enabled', 'enabled', 'b', true],
+  ['wm-class', 'wmClass', 's', ''],
+  ['app-id', 'appId', 's', ''],
+  ['title', 'title', 's', ''],
+  ['window-type', 'windowType', 's', ''],
+  ['min-width', 'minWidth', 'i', 0],
+  ['min-height', 'minHeight', 'i', 0],
+  ['max-width', 'maxWidth', 'i', 0],
+  ['max-height', 'maxHeight', 'i', 0],
+  ['above', 'above', 'b', true],
+  ['stick', 'stick', 'b', false],
+  ['skip-taskbar', 'skipTaskbar', 'b', false],
+  ['corner', 'corner', 's', ''],
+];
+
+/* Meta.WindowType values, lowercase, that rules can match on */
+export const WINDOW_TYPES = [
+  'normal', 'dialog', 'modal_dialog', 'utility', 'splashscreen', 'toolbar', 'menu',
+];
+
+export const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export function createRule(props = {})
+{
+  let rule = {};
+  for (let [, prop, , defaultValue] of RULE_FIELDS)
+    rule[prop] = (prop in props) ? props[prop] : defaultValue;
+
+  return rule;
+}
+
+export function loadRules(settings)
+{
+  return settings.get_value('rules').recursiveUnpack().map(dict => {
+    let props = {};
+    for (let [key, prop] of RULE_FIELDS) {
+      if (key in dict)
+        props[prop] = dict[key];
+    }
+    return createRule(props);
+  });
+}
+
+export function saveRules(settings, rules)
+{
+  settings.set_value('rules', new GLib.Variant('aa{sv}', rules.map(rule => {
+    let dict = {};
+    for (let [key, prop, type] of RULE_FIELDS)
+      dict[key] = new GLib.Variant(type, rule[prop]);
+    return dict;
+  })));
+}
+
+/* Invalid expressions never match rather than breaking every other rule */
+export function compileTitle(rule)
+{
+  if (!rule.title)
+    return null;
+
+  try {
+    return new RegExp(rule.title);
+  } catch (e) {
+    return /(?!)/;
+  }
+}